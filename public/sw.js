@@ -0,0 +1,139 @@
+/**
+ * Service worker: caches the app shell, the MediaPipe WASM fileset and the pose models
+ * so the app can start without a network connection
+ */
+
+const APP_CACHE = 'realfy-oasis-app-v2';
+const MODEL_CACHE = 'realfy-oasis-models-v2';
+
+const SCOPE = self.registration.scope;
+
+// Cached on install, along with the hashed build assets listed in the precache manifest
+const APP_SHELL_URLS = [
+  SCOPE,
+  `${SCOPE}index.html`
+];
+
+// Written by the build (see vite.config.js); missing in development
+const PRECACHE_MANIFEST_URL = `${SCOPE}precache-manifest.json`;
+
+// Smallest believable model or WASM file; anything smaller is an error page
+const MIN_MODEL_BYTES = 1024;
+
+const WASM_URLS = [
+  `${SCOPE}mediapipe/wasm/vision_wasm_internal.js`,
+  `${SCOPE}mediapipe/wasm/vision_wasm_internal.wasm`,
+  `${SCOPE}mediapipe/wasm/vision_wasm_nosimd_internal.js`,
+  `${SCOPE}mediapipe/wasm/vision_wasm_nosimd_internal.wasm`
+];
+
+// Large, versioned assets that never change once downloaded
+const isModelAsset = (url) => {
+  return url.pathname.includes('/mediapipe/wasm/') ||
+    url.pathname.endsWith('.task') ||
+    url.hostname === 'cdn.jsdelivr.net' ||
+    url.hostname === 'storage.googleapis.com';
+};
+
+// Whether a response really is a model or WASM file. A static host may answer a
+// missing file with the app's index.html and a 200, which must never be cached.
+const isModelResponse = (response) => {
+  if (!response.ok) return false;
+  if ((response.headers.get('content-type') || '').includes('text/html')) return false;
+  const length = response.headers.get('content-length');
+  return length === null || Number(length) >= MIN_MODEL_BYTES;
+};
+
+// Add URLs to a cache one by one, so one missing file doesn't fail the rest
+const cacheUrls = async (cacheName, urls, isCacheable = response => response.ok) => {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(async (url) => {
+    try {
+      const response = await fetch(url);
+      if (!isCacheable(response)) throw new Error(`unexpected response (${response.status})`);
+      await cache.put(url, response);
+    } catch (err) {
+      console.warn(`Service worker could not cache ${url}:`, err);
+    }
+  }));
+};
+
+// The app shell plus every file the build emitted
+const getAppUrls = async () => {
+  try {
+    const response = await fetch(PRECACHE_MANIFEST_URL, { cache: 'no-store' });
+    if (!response.ok) return APP_SHELL_URLS;
+    const files = await response.json();
+    return [...APP_SHELL_URLS, ...files.map(file => `${SCOPE}${file}`)];
+  } catch (err) {
+    console.warn('Service worker could not read the precache manifest:', err);
+    return APP_SHELL_URLS;
+  }
+};
+
+// Serve from the cache, fetching and storing on a miss
+const cacheFirst = async (cacheName, request) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isModelResponse(response)) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Serve from the network so updates show up, falling back to the cache when offline
+const networkFirst = async (cacheName, request) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request) ||
+      (request.mode === 'navigate' ? await cache.match(SCOPE) : null);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([getAppUrls().then(urls => cacheUrls(APP_CACHE, urls)), cacheUrls(MODEL_CACHE, WASM_URLS, isModelResponse)])
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from older versions of this worker
+  const current = [APP_CACHE, MODEL_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (isModelAsset(url)) {
+    event.respondWith(cacheFirst(MODEL_CACHE, request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(APP_CACHE, request));
+  }
+});
+
+// Let the page ask for assets (e.g. the chosen model variant) to be cached ahead of time
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'precache' && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheUrls(MODEL_CACHE, event.data.urls, isModelResponse));
+  }
+});
@@ -0,0 +1,42 @@
+/**
+ * Regenerate the synthetic golden recordings used by the rule tests
+ * (test/fixtures/recordings). Recorded fixtures without a generator are left alone.
+ *
+ * Usage: node scripts/generate-test-fixtures.js [fixture-name ...]
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { FIXTURES } from '../test/fixtures/index.js';
+import { createRecording, appendRecordingFrame, serializeRecording, RECORDING_FILE_EXTENSION } from '../src/utils/landmarkRecording.js';
+
+const RECORDINGS_DIR = fileURLToPath(new URL('../test/fixtures/recordings/', import.meta.url));
+
+// Fixed timestamp so regenerating unchanged fixtures gives identical files
+const RECORDED_AT = Date.UTC(2025, 0, 1);
+
+const main = async () => {
+  const names = process.argv.slice(2);
+  const fixtures = FIXTURES.filter(fixture => fixture.generate && (names.length === 0 || names.includes(fixture.name)));
+
+  await mkdir(RECORDINGS_DIR, { recursive: true });
+
+  for (const fixture of fixtures) {
+    const recording = createRecording({
+      exerciseType: fixture.exercise,
+      recordedAt: RECORDED_AT,
+      metadata: { label: fixture.label, source: 'synthetic' }
+    });
+    const frames = fixture.generate();
+    frames.forEach(({ timestamp, landmarks }) => appendRecordingFrame(recording, timestamp, landmarks));
+
+    const file = path.join(RECORDINGS_DIR, `${fixture.name}${RECORDING_FILE_EXTENSION}`);
+    await writeFile(file, `${serializeRecording(recording)}\n`);
+    console.log(`${fixture.name}: ${frames.length} frames`);
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+/**
+ * Replay a landmark recording through the exercise pipeline in Node and print what the
+ * app would have reported.
+ *
+ * Usage: node scripts/replay-recording.js <file.landmarks.json> [--exercise=squat] [--json]
+ */
+import { readFile } from 'node:fs/promises';
+import { parseRecording } from '../src/utils/landmarkRecording.js';
+import { replayRecording, getPhaseChanges } from '../src/utils/replay.js';
+import { formatDuration, formatIssues } from '../src/utils/formatUtils.js';
+
+const parseArgs = (args) => {
+  const file = args.find(arg => !arg.startsWith('--'));
+  const exerciseArg = args.find(arg => arg.startsWith('--exercise='));
+
+  return {
+    file,
+    exerciseType: exerciseArg ? exerciseArg.slice('--exercise='.length) : undefined,
+    json: args.includes('--json')
+  };
+};
+
+// Print a readable summary of the replay
+const printReport = (recording, replay) => {
+  console.log(`Exercise: ${recording.exerciseType} · ${recording.frames.length} frames · ${formatDuration(recording.durationMs)}`);
+
+  console.log('\nPhase changes:');
+  getPhaseChanges(replay).forEach(({ timestamp, from, to }) => {
+    console.log(`  ${(timestamp / 1000).toFixed(2)}s  ${from} -> ${to}`);
+  });
+
+  if (replay.hold) {
+    console.log(`\nHold: ${formatDuration(replay.hold.goodFormTimeMs)} good form of ${formatDuration(replay.hold.totalTimeMs)}`);
+    if (replay.hold.firstBreak) {
+      console.log(`First break at ${(replay.hold.firstBreak.atMs / 1000).toFixed(2)}s: ${replay.hold.firstBreak.reason} ${formatIssues(replay.hold.firstBreak.issues)}`);
+    }
+    return;
+  }
+
+  const { summary } = replay;
+  console.log(`\nReps: ${summary.totalReps} (${summary.goodReps} good, ${summary.badReps} need work, ${summary.partialReps} partial)`);
+  replay.state.repState.reps.forEach((rep) => {
+    const issues = rep.issues.length > 0 ? formatIssues(rep.issues) : 'good form';
+    console.log(`  Rep ${rep.number}${rep.side ? ` (${rep.side})` : ''}: ${(rep.startTime / 1000).toFixed(2)}s, ${(rep.duration / 1000).toFixed(1)}s - ${issues}`);
+  });
+};
+
+const main = async () => {
+  const { file, exerciseType, json } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    throw new Error('Usage: node scripts/replay-recording.js <file.landmarks.json> [--exercise=id] [--json]');
+  }
+
+  const recording = parseRecording(await readFile(file, 'utf-8'));
+  const replay = replayRecording(recording, { exerciseType });
+
+  if (json) {
+    console.log(JSON.stringify({
+      phaseChanges: getPhaseChanges(replay),
+      summary: replay.summary,
+      reps: replay.state.repState.reps,
+      hold: replay.hold
+    }, null, 2));
+  } else {
+    printReport(recording, replay);
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
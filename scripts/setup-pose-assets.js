@@ -0,0 +1,112 @@
+/**
+ * Copy the MediaPipe WASM fileset and download the pose landmarker models into public/,
+ * so the app serves them from its own build output instead of a CDN.
+ *
+ * Usage: node scripts/setup-pose-assets.js [--variants=lite,full,heavy] [--optional]
+ *
+ * Files that already exist are left alone. With --optional, failed model downloads only
+ * print a warning (the app then falls back to the remote models at runtime).
+ */
+import { copyFile, mkdir, readdir, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const WASM_SOURCE = join(ROOT, 'node_modules', '@mediapipe', 'tasks-vision', 'wasm');
+const WASM_TARGET = join(ROOT, 'public', 'mediapipe', 'wasm');
+const MODEL_TARGET = join(ROOT, 'public', 'models');
+
+const REMOTE_MODEL_BASE = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker';
+const ALL_VARIANTS = ['lite', 'full', 'heavy'];
+// Every variant the start screen offers, so none of them needs the network
+const DEFAULT_VARIANTS = ALL_VARIANTS;
+
+// Give up on a model download after this long (milliseconds)
+const DOWNLOAD_TIMEOUT_MS = 120000;
+
+// Parse --variants and --optional from the command line
+const parseArgs = (args) => {
+  const variantsArg = args.find(arg => arg.startsWith('--variants='));
+  const variants = variantsArg
+    ? variantsArg.slice('--variants='.length).split(',').filter(Boolean)
+    : (process.env.POSE_MODEL_VARIANTS || '').split(',').filter(Boolean);
+
+  const unknown = variants.filter(variant => !ALL_VARIANTS.includes(variant));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown model variants: ${unknown.join(', ')} (expected ${ALL_VARIANTS.join(', ')})`);
+  }
+
+  return {
+    variants: variants.length > 0 ? variants : DEFAULT_VARIANTS,
+    optional: args.includes('--optional')
+  };
+};
+
+// Check whether a file already exists and is not empty
+const exists = async (path) => {
+  try {
+    return (await stat(path)).size > 0;
+  } catch {
+    return false;
+  }
+};
+
+// Copy the WASM fileset from the installed @mediapipe/tasks-vision package
+const copyWasm = async () => {
+  await mkdir(WASM_TARGET, { recursive: true });
+  const files = await readdir(WASM_SOURCE);
+
+  for (const file of files) {
+    await copyFile(join(WASM_SOURCE, file), join(WASM_TARGET, file));
+  }
+
+  console.log(`Copied ${files.length} MediaPipe WASM files to public/mediapipe/wasm`);
+};
+
+// Download one model variant unless it is already present
+const downloadModel = async (variant) => {
+  const name = `pose_landmarker_${variant}`;
+  const target = join(MODEL_TARGET, `${name}.task`);
+
+  if (await exists(target)) {
+    console.log(`Model ${name}.task already present`);
+    return;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${REMOTE_MODEL_BASE}/${name}/float16/1/${name}.task`, {
+      signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)
+    });
+  } catch (err) {
+    throw new Error(`Failed to download ${name}.task: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Failed to download ${name}.task: ${response.status} ${response.statusText}`);
+  }
+
+  await writeFile(target, Buffer.from(await response.arrayBuffer()));
+  console.log(`Downloaded ${name}.task`);
+};
+
+const main = async () => {
+  const { variants, optional } = parseArgs(process.argv.slice(2));
+
+  await copyWasm();
+  await mkdir(MODEL_TARGET, { recursive: true });
+
+  for (const variant of variants) {
+    try {
+      await downloadModel(variant);
+    } catch (err) {
+      if (!optional) throw err;
+      console.warn(`Warning: ${err.message}. The app will load this model remotely.`);
+    }
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
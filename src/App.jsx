@@ -1,9 +1,27 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import ExerciseSelector from './components/ExerciseSelector';
 import PoseDetector from './components/PoseDetector';
+import SessionHistory from './components/SessionHistory';
+import VideoAnalyzer from './components/VideoAnalyzer';
+import { getActiveProfileId, getProfile } from './utils/profileStore';
 
 function App() {
   const [selectedExercise, setSelectedExercise] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showVideoAnalyzer, setShowVideoAnalyzer] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+
+  // Restore the profile used last time
+  useEffect(() => {
+    const id = getActiveProfileId();
+    if (id === null) return;
+
+    getProfile(id)
+      .then(stored => setProfile(stored || null))
+      .catch(err => console.error('Error loading profile:', err));
+  }, []);
 
   const handleExerciseSelection = (exercise) => {
     setSelectedExercise(exercise);
@@ -20,12 +38,40 @@ function App() {
       <main className="container mx-auto p-4 flex flex-col items-center justify-center" style={{ minHeight: '70vh' }}>
         {selectedExercise ? (
           <PoseDetector
+            key={isCalibrating ? 'calibration' : 'workout'}
             exerciseType={selectedExercise}
-            onStopDetection={() => setSelectedExercise(null)}
+            replay={replay}
+            profile={profile}
+            calibrate={isCalibrating}
+            onCalibrated={(updatedProfile) => {
+              setProfile(updatedProfile);
+              setIsCalibrating(false);
+            }}
+            onStopDetection={() => {
+              setSelectedExercise(null);
+              setReplay(null);
+              setIsCalibrating(false);
+            }}
           />
+        ) : showHistory ? (
+          <SessionHistory onBack={() => setShowHistory(false)} />
+        ) : showVideoAnalyzer ? (
+          <VideoAnalyzer profile={profile} onBack={() => setShowVideoAnalyzer(false)} />
         ) : (
           <ExerciseSelector
             onSelectExercise={handleExerciseSelection}
+            profile={profile}
+            onProfileChange={setProfile}
+            onCalibrate={(exercise) => {
+              setIsCalibrating(true);
+              setSelectedExercise(exercise);
+            }}
+            onShowHistory={() => setShowHistory(true)}
+            onAnalyzeVideo={() => setShowVideoAnalyzer(true)}
+            onReplayRecording={(recording) => {
+              setReplay(recording);
+              setSelectedExercise(recording.exerciseType);
+            }}
             isDetecting={!!selectedExercise}
           />
         )}
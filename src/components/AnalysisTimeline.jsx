@@ -0,0 +1,115 @@
+import React, { useRef } from 'react';
+import { formatDuration, formatIssues } from '../utils/formatUtils';
+
+// Band colour for each phase role
+const ROLE_COLORS = {
+  start: 'bg-gray-300',
+  descending: 'bg-blue-400',
+  bottom: 'bg-purple-500',
+  ascending: 'bg-green-400',
+  hold: 'bg-teal-400'
+};
+
+const AnalysisTimeline = ({ report, exercise, currentTimeMs, onSeek }) => {
+  const trackRef = useRef(null);
+  const isDraggingRef = useRef(false);
+
+  const toPercent = (timeMs) => `${(timeMs / report.durationMs) * 100}%`;
+
+  const getPhaseColor = (phaseId) => {
+    const phase = exercise.phases.find(p => p.id === phaseId);
+    return (phase && ROLE_COLORS[phase.role]) || 'bg-gray-300';
+  };
+
+  // Convert a pointer position on the track into a video time
+  const seekToPointer = (event) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    onSeek(ratio * report.durationMs);
+  };
+
+  const handlePointerDown = (event) => {
+    isDraggingRef.current = true;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    seekToPointer(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (isDraggingRef.current) {
+      seekToPointer(event);
+    }
+  };
+
+  const handlePointerUp = () => {
+    isDraggingRef.current = false;
+  };
+
+  return (
+    <div className="w-full select-none">
+      <div
+        ref={trackRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        className="relative w-full cursor-pointer"
+      >
+        {/* Phase band */}
+        <div className="relative h-5 bg-gray-100 rounded overflow-hidden">
+          {report.phaseSegments.map(segment => (
+            <div
+              key={`phase-${segment.start}`}
+              className={`absolute top-0 h-full ${getPhaseColor(segment.phase)}`}
+              style={{ left: toPercent(segment.start), width: toPercent(segment.end - segment.start) }}
+              title={`${segment.phase} (${formatDuration(segment.start)})`}
+            />
+          ))}
+        </div>
+
+        {/* Rep markers */}
+        <div className="relative h-5 mt-1">
+          {report.repMarkers.map(rep => (
+            <div
+              key={`rep-${rep.number}`}
+              className={`absolute top-0 h-full rounded text-[10px] text-white text-center leading-5 overflow-hidden
+                ${rep.isGood ? 'bg-green-600' : 'bg-red-600'}`}
+              style={{ left: toPercent(rep.start), width: toPercent(rep.end - rep.start) }}
+              title={`Rep ${rep.number}: score ${rep.score}${rep.issues.length > 0 ? ` · ${formatIssues(rep.issues)}` : ' · good form'}`}
+            >
+              {rep.number}
+            </div>
+          ))}
+        </div>
+
+        {/* Issue flags */}
+        <div className="relative h-3 mt-1">
+          {report.issueSegments.map(segment => (
+            <div
+              key={`issue-${segment.start}`}
+              className="absolute top-0 h-full bg-orange-500"
+              style={{ left: toPercent(segment.start), width: toPercent(Math.max(segment.end - segment.start, 50)) }}
+              title={formatIssues(segment.issues)}
+            />
+          ))}
+        </div>
+
+        {/* Playhead */}
+        <div
+          className="absolute top-0 bottom-0 w-0.5 bg-black pointer-events-none"
+          style={{ left: toPercent(currentTimeMs) }}
+        />
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{formatDuration(currentTimeMs)}</span>
+        <div className="flex gap-3">
+          <span><span className="inline-block w-2 h-2 bg-blue-400 mr-1"></span>Phases</span>
+          <span><span className="inline-block w-2 h-2 bg-green-600 mr-1"></span>Reps</span>
+          <span><span className="inline-block w-2 h-2 bg-orange-500 mr-1"></span>Issues</span>
+        </div>
+        <span>{formatDuration(report.durationMs)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisTimeline;
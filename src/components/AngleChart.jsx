@@ -0,0 +1,101 @@
+import React from 'react';
+import { getAngleRange, getPhaseBands } from '../utils/angleSeries';
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const PADDING = { top: 8, right: 8, bottom: 16, left: 28 };
+
+// Band colours by phase role
+const ROLE_COLORS = {
+  start: '#f3f4f6',
+  descending: '#dbeafe',
+  bottom: '#ede9fe',
+  ascending: '#dcfce7',
+  hold: '#dcfce7'
+};
+
+// SVG line chart of one or more angles over time (or over reps), with shaded phase bands
+// and dashed threshold guide lines. `samples` are { t, phase, angles }; `phases` are the
+// exercise's phases, used to colour the bands; `formatX` labels the first and last x.
+const AngleChart = ({ title, samples, lines, thresholds = [], phases = [], formatX = t => `${(t / 1000).toFixed(1)}s` }) => {
+  const angleNames = lines.map(line => line.angle);
+  const range = getAngleRange(samples, angleNames, thresholds);
+  const start = samples.length > 0 ? samples[0].t : 0;
+  const end = samples.length > 1 ? samples[samples.length - 1].t : start + 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = t => PADDING.left + ((t - start) / (end - start)) * plotWidth;
+  const y = value => PADDING.top + (1 - (value - range.min) / (range.max - range.min)) * plotHeight;
+  const roleOf = phaseId => phases.find(phase => phase.id === phaseId)?.role;
+
+  const toPoints = angle => samples
+    .filter(sample => Number.isFinite(sample.angles[angle]))
+    .map(sample => `${x(sample.t).toFixed(1)},${y(sample.angles[angle]).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <div className="mb-2">
+      <div className="flex items-center justify-between text-xs text-gray-600">
+        <span className="font-semibold">{title}</span>
+        {lines.length > 1 && (
+          <span className="flex gap-2">
+            {lines.map(line => (
+              <span key={line.angle} style={{ color: line.color }}>— {line.label}</span>
+            ))}
+          </span>
+        )}
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto bg-white border border-gray-200 rounded">
+        {getPhaseBands(samples).filter(band => band.phase).map(band => (
+          <rect
+            key={`${band.phase}-${band.start}`}
+            x={x(band.start)}
+            y={PADDING.top}
+            width={Math.max(0, x(band.end) - x(band.start))}
+            height={plotHeight}
+            fill={ROLE_COLORS[roleOf(band.phase)] || ROLE_COLORS.start}
+          >
+            <title>{phases.find(phase => phase.id === band.phase)?.name || band.phase}</title>
+          </rect>
+        ))}
+
+        {[range.min, range.max].map(value => (
+          <text key={value} x={PADDING.left - 3} y={y(value) + 3} textAnchor="end" fontSize="8" fill="#6b7280">
+            {value}°
+          </text>
+        ))}
+
+        {thresholds.map(threshold => (
+          <g key={threshold.name}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(threshold.value)}
+              y2={y(threshold.value)}
+              stroke={threshold.bound === 'max' ? '#f97316' : '#a855f7'}
+              strokeDasharray="4 3"
+              strokeWidth="1"
+            />
+            <text x={WIDTH - PADDING.right - 2} y={y(threshold.value) - 2} textAnchor="end" fontSize="7" fill="#6b7280">
+              {threshold.bound} {Math.round(threshold.value)}°
+            </text>
+          </g>
+        ))}
+
+        {lines.map(line => (
+          <polyline key={line.angle} points={toPoints(line.angle)} fill="none" stroke={line.color} strokeWidth="1.5" />
+        ))}
+
+        {samples.length > 0 && (
+          <>
+            <text x={PADDING.left} y={HEIGHT - 4} fontSize="8" fill="#6b7280">{formatX(start)}</text>
+            <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" fontSize="8" fill="#6b7280">{formatX(end)}</text>
+          </>
+        )}
+      </svg>
+    </div>
+  );
+};
+
+export default AngleChart;
@@ -0,0 +1,25 @@
+import React from 'react';
+import AngleChart from './AngleChart';
+import { getAngleCharts, getThresholdLines } from '../utils/angleSeries';
+
+// One angle chart per joint of an exercise, with guide lines from its checks (using
+// calibrated `thresholds` when given)
+const AngleChartPanel = ({ exercise, samples, thresholds = {}, formatX, showPhases = true }) => {
+  return (
+    <div>
+      {getAngleCharts(exercise).map(chart => (
+        <AngleChart
+          key={chart.id}
+          title={chart.title}
+          samples={samples}
+          lines={chart.lines}
+          thresholds={getThresholdLines(exercise, chart.lines.map(line => line.angle), thresholds)}
+          phases={showPhases ? exercise.phases : []}
+          formatX={formatX}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default AngleChartPanel;
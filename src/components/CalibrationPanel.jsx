@@ -0,0 +1,75 @@
+import React from 'react';
+import { CALIBRATION_STEPS } from '../utils/calibration';
+import { getInitialPhase } from '../utils/exerciseEngine';
+
+// Show a threshold in its unit: degrees, or a normalised distance for scaled ones
+const formatThreshold = (value, spec) => (spec.scaleBy ? value.toFixed(3) : `${Math.round(value)}°`);
+
+// Instructions and progress for the guided calibration, then the derived thresholds
+const CalibrationPanel = ({ exercise, profile, progress, result, error, onFinish }) => {
+  const startPhase = exercise.phases.find(phase => phase.id === getInitialPhase(exercise));
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4">
+      <h2 className="text-xl font-bold mb-1">Calibrate {exercise.name}</h2>
+      <p className="text-xs text-gray-500 mb-4">Thresholds are saved to {profile.name}</p>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {!result && progress.step === CALIBRATION_STEPS.STILL && (
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-700">1. Hold still</h3>
+          <p className="text-sm text-gray-600 mt-1">{startPhase.description}, with your whole body in view.</p>
+          <div className="w-full h-2 bg-gray-200 rounded mt-2">
+            <div className="h-2 bg-blue-500 rounded" style={{ width: `${progress.stillProgress * 100}%` }} />
+          </div>
+        </div>
+      )}
+
+      {!result && progress.step !== CALIBRATION_STEPS.STILL && (
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-700">2. Do {progress.repsNeeded} slow reps</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Go as deep as is comfortable with good form, then return to the start position.
+          </p>
+          <p className="text-3xl font-bold mt-2">{progress.reps} / {progress.repsNeeded}</p>
+        </div>
+      )}
+
+      {result && (
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-700">Your thresholds</h3>
+          <table className="w-full text-sm mt-2">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-1">Threshold</th>
+                <th className="py-1">Default</th>
+                <th className="py-1">Yours</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(result.thresholds).map(([name, value]) => {
+                const spec = exercise.calibration.thresholds[name];
+                return (
+                  <tr key={name} className="border-b border-gray-100">
+                    <td className="py-1 text-xs">{name}</td>
+                    <td className="py-1">{formatThreshold(exercise.thresholds[name], spec)}</td>
+                    <td className="py-1 font-semibold">{formatThreshold(value, spec)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <button
+            onClick={onFinish}
+            className="mt-4 w-full px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+          >
+            Start Workout
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { SETUP_CHECKS } from '../utils/cameraSetup';
+
+const CHECK_LABELS = {
+  [SETUP_CHECKS.FRAMING]: 'Whole body in frame',
+  [SETUP_CHECKS.ORIENTATION]: 'Facing the right way',
+  [SETUP_CHECKS.DISTANCE]: 'Good distance'
+};
+
+// Live camera setup guidance shown over the video until setup passes
+const CameraSetupGuide = ({ result, onSkip }) => {
+  const checks = result ? result.checks : [];
+  const guidance = result
+    ? result.guidance || 'Hold that position...'
+    : 'Step into the camera view';
+
+  return (
+    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 w-11/12 max-w-md bg-black/70 text-white rounded-lg p-4">
+      <p className="text-xs uppercase tracking-wide text-gray-300">Camera setup</p>
+      <p className="text-xl font-bold mt-1">{guidance}</p>
+      <ul className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm">
+        {Object.values(SETUP_CHECKS).map((id) => {
+          const check = checks.find(c => c.id === id);
+          return (
+            <li key={id} className={check && check.passed ? 'text-green-400' : 'text-gray-300'}>
+              {check && check.passed ? '✓' : '○'} {CHECK_LABELS[id]}
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        onClick={onSkip}
+        className="mt-3 text-xs text-gray-300 underline hover:text-white"
+      >
+        Skip setup
+      </button>
+    </div>
+  );
+};
+
+export default CameraSetupGuide;
@@ -1,6 +1,52 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { listExercises } from '../utils/exerciseRegistry';
+import { MAX_PEOPLE, MODEL_VARIANTS, getModelVariant, getPeopleCount, setModelVariant, setPeopleCount } from '../utils/poseModel';
+import { parseRecording, RECORDING_FILE_EXTENSION } from '../utils/landmarkRecording';
+import { getRecordingExercise } from '../utils/replay';
+import { formatDateTime } from '../utils/formatUtils';
+import ProfileSelector from './ProfileSelector';
+
+const ExerciseSelector = ({
+  onSelectExercise,
+  onShowHistory,
+  onAnalyzeVideo,
+  onReplayRecording,
+  profile = null,
+  onProfileChange,
+  onCalibrate,
+  isDetecting
+}) => {
+  const [modelVariant, setSelectedModelVariant] = useState(getModelVariant);
+  const [peopleCount, setSelectedPeopleCount] = useState(getPeopleCount);
+  const [replayError, setReplayError] = useState(null);
+
+  const handleModelVariantChange = (event) => {
+    setModelVariant(event.target.value);
+    setSelectedModelVariant(event.target.value);
+  };
+
+  const handlePeopleCountChange = (event) => {
+    const count = Number(event.target.value);
+    setPeopleCount(count);
+    setSelectedPeopleCount(count);
+  };
+
+  const handleRecordingFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setReplayError(null);
+      const recording = parseRecording(await file.text());
+      getRecordingExercise(recording);
+      onReplayRecording(recording);
+    } catch (err) {
+      console.error('Error loading recording:', err);
+      setReplayError(`Failed to load recording: ${err.message}`);
+    }
+  };
 
-const ExerciseSelector = ({ onSelectExercise, isDetecting }) => {
   return (
     <div className="flex flex-col items-center justify-center p-4 space-y-6">
       <h1 className="text-3xl font-bold text-center">
@@ -11,25 +57,108 @@ const ExerciseSelector = ({ onSelectExercise, isDetecting }) => {
       </p>
       
       <div className="flex flex-col sm:flex-row gap-4 mt-4">
-        <button
-          onClick={() => onSelectExercise('squat')}
-          disabled={isDetecting}
-          className={`px-6 py-3 rounded-lg text-white font-semibold transition-all
-            ${isDetecting ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
-        >
-          Start Squats
-        </button>
-        
-        <button
-          onClick={() => onSelectExercise('pushup')}
-          disabled={isDetecting}
-          className={`px-6 py-3 rounded-lg text-white font-semibold transition-all
-            ${isDetecting ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
-        >
-          Start Push-Ups
-        </button>
+        {listExercises().map(exercise => (
+          <button
+            key={exercise.id}
+            onClick={() => onSelectExercise(exercise.id)}
+            disabled={isDetecting}
+            className={`px-6 py-3 rounded-lg text-white font-semibold transition-all
+              ${isDetecting ? 'bg-gray-400 cursor-not-allowed' : exercise.selector.className}`}
+          >
+            {exercise.selector.label}
+          </button>
+        ))}
       </div>
       
+      {!isDetecting && onProfileChange && (
+        <ProfileSelector profile={profile} onProfileChange={onProfileChange} />
+      )}
+
+      {!isDetecting && profile && onCalibrate && (
+        <div className="flex flex-wrap justify-center gap-2 text-sm">
+          {listExercises().filter(exercise => exercise.calibration).map(exercise => {
+            const calibration = profile.calibrations[exercise.id];
+            return (
+              <button
+                key={exercise.id}
+                onClick={() => onCalibrate(exercise.id)}
+                title={calibration ? `Calibrated ${formatDateTime(calibration.calibratedAt)}` : 'Not calibrated yet'}
+                className="px-3 py-1 rounded-lg border border-gray-400 text-gray-700 hover:bg-gray-200 transition-all"
+              >
+                {calibration ? 'Recalibrate' : 'Calibrate'} {exercise.name}
+                {calibration && <span className="ml-1 text-green-600">✓</span>}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {!isDetecting && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Pose model:
+          <select
+            value={modelVariant}
+            onChange={handleModelVariantChange}
+            className="border border-gray-300 rounded px-2 py-1 bg-white"
+          >
+            {Object.entries(MODEL_VARIANTS).map(([id, variant]) => (
+              <option key={id} value={id}>{variant.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {!isDetecting && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          People in frame:
+          <select
+            value={peopleCount}
+            onChange={handlePeopleCountChange}
+            className="border border-gray-300 rounded px-2 py-1 bg-white"
+          >
+            {Array.from({ length: MAX_PEOPLE }, (_, i) => i + 1).map(count => (
+              <option key={count} value={count}>{count === 1 ? 'Just me' : `${count} (group session)`}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {!isDetecting && (onShowHistory || onAnalyzeVideo || onReplayRecording) && (
+        <div className="flex gap-4">
+          {onShowHistory && (
+            <button
+              onClick={onShowHistory}
+              className="px-6 py-2 rounded-lg border border-gray-400 text-gray-700 font-semibold hover:bg-gray-200 transition-all"
+            >
+              View History
+            </button>
+          )}
+          {onAnalyzeVideo && (
+            <button
+              onClick={onAnalyzeVideo}
+              className="px-6 py-2 rounded-lg border border-gray-400 text-gray-700 font-semibold hover:bg-gray-200 transition-all"
+            >
+              Analyze a Recording
+            </button>
+          )}
+          {onReplayRecording && (
+            <label className="px-6 py-2 rounded-lg border border-gray-400 text-gray-700 font-semibold hover:bg-gray-200 transition-all cursor-pointer">
+              Replay Landmarks
+              <input
+                type="file"
+                accept={`${RECORDING_FILE_EXTENSION},application/json`}
+                onChange={handleRecordingFile}
+                className="hidden"
+              />
+            </label>
+          )}
+        </div>
+      )}
+
+      {replayError && (
+        <p className="text-sm text-red-600">{replayError}</p>
+      )}
+
       {isDetecting && (
         <button
           onClick={() => onSelectExercise(null)}
@@ -1,66 +1,109 @@
 import React from 'react';
-import { SQUAT_PHASES } from '../utils/squatRules';
-import { PUSHUP_PHASES } from '../utils/pushupRules';
+import { getExercise } from '../utils/exerciseRegistry';
+import { describeSideImbalance, describeAsymmetry, describeHoldPause, describeHoldBreak, formatDuration, formatDeductions, formatIssueMeasurement, formatScore } from '../utils/formatUtils';
+import { getIssueCode, getIssueMessage } from '../utils/formIssues';
+
+// Persistent left/right imbalances over the session, plus any that only show up in the
+// current set
+const getImbalances = (repSummary) => {
+  const session = repSummary.asymmetry || [];
+  const currentSet = repSummary.sets[repSummary.sets.length - 1];
+  const setOnly = (currentSet?.asymmetry || []).filter(imbalance => !session.some(item => (
+    item.type === imbalance.type && item.joint === imbalance.joint
+  )));
+  return [
+    ...session.map(imbalance => ({ imbalance, scope: 'session' })),
+    ...setOnly.map(imbalance => ({ imbalance, scope: 'set' }))
+  ];
+};
+
+// `profileName` is set when the evaluation uses that profile's calibrated thresholds
+const FeedbackDisplay = ({ exerciseType, phase, evaluation, repSummary, holdSummary, profileName = null }) => {
+  const exercise = getExercise(exerciseType);
 
-const FeedbackDisplay = ({ exerciseType, phase, evaluation }) => {
   const getPhaseDescription = () => {
-    if (exerciseType === 'squat') {
-      switch (phase) {
-        case SQUAT_PHASES.STANDING:
-          return 'Stand with feet shoulder-width apart, toes slightly turned out';
-        case SQUAT_PHASES.DESCENDING:
-          return 'Bend knees and push hips back, keeping chest up';
-        case SQUAT_PHASES.BOTTOM:
-          return 'Lower until thighs are parallel to ground, knees tracking over toes';
-        case SQUAT_PHASES.ASCENDING:
-          return 'Push through heels to return to standing position';
-        default:
-          return '';
-      }
-    } else if (exerciseType === 'pushup') {
-      switch (phase) {
-        case PUSHUP_PHASES.TOP:
-          return 'Start in plank position with arms extended, body in straight line';
-        case PUSHUP_PHASES.DESCENDING:
-          return 'Lower body by bending elbows, keeping them close to body';
-        case PUSHUP_PHASES.BOTTOM:
-          return 'Lower until chest is near ground, elbows at about 90 degrees';
-        case PUSHUP_PHASES.ASCENDING:
-          return 'Push back up to starting position, maintaining body alignment';
-        default:
-          return '';
-      }
-    }
-    return '';
+    const current = exercise && exercise.phases.find(p => p.id === phase);
+    return current ? current.description : '';
   };
 
   const getExerciseTips = () => {
-    if (exerciseType === 'squat') {
-      return [
-        'Keep your chest up and back straight',
-        'Push your knees out in line with your toes',
-        'Distribute weight through your heels',
-        'Maintain a neutral spine position',
-        'Descend to proper depth (thighs parallel to ground)'
-      ];
-    } else if (exerciseType === 'pushup') {
-      return [
-        'Keep your body in a straight line from head to heels',
-        'Position hands slightly wider than shoulder-width',
-        'Keep elbows at about 45° angle to your body',
-        'Lower until chest is about an inch from the ground',
-        'Maintain a neutral neck position (don\'t look up or down)'
-      ];
-    }
-    return [];
+    return exercise && exercise.tips ? exercise.tips : [];
   };
 
   return (
     <div className="bg-white rounded-lg shadow-md p-4 mb-4">
       <h2 className="text-xl font-bold mb-2">
-        {exerciseType === 'squat' ? 'Squat' : 'Push-Up'} Evaluation
+        {exercise ? exercise.name : exerciseType} Evaluation
       </h2>
-      
+      {profileName && (
+        <p className="text-xs text-gray-500 -mt-1 mb-2">Using {profileName}'s calibrated thresholds</p>
+      )}
+
+      {holdSummary && (
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-700">Hold Time:</h3>
+          <div className="flex items-baseline mt-1 space-x-3">
+            <span className={`text-3xl font-bold ${holdSummary.isTiming ? 'text-green-600' : 'text-gray-500'}`}>
+              {formatDuration(holdSummary.goodFormTimeMs)}
+            </span>
+            <span className="text-sm text-gray-600">of {formatDuration(holdSummary.totalTimeMs)} total</span>
+          </div>
+          {!holdSummary.isTiming && (
+            <p className="text-sm text-orange-600 mt-1">{describeHoldPause(holdSummary.pauseReason)}</p>
+          )}
+          {holdSummary.hasStarted && (
+            <p className="text-xs text-gray-600 mt-1">
+              Longest good stretch: {formatDuration(holdSummary.longestGoodStreakMs)}
+              {holdSummary.breakCount > 0 && ` · ${holdSummary.breakCount} form breaks`}
+            </p>
+          )}
+          {holdSummary.firstBreak && (
+            <p className="text-xs text-red-600 mt-1">{describeHoldBreak(holdSummary.firstBreak)}</p>
+          )}
+        </div>
+      )}
+
+      {!holdSummary && repSummary && (
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-700">Reps:</h3>
+          <div className="flex items-baseline mt-1 space-x-3">
+            <span className="text-3xl font-bold">{repSummary.totalReps}</span>
+            <span className="text-sm text-green-600">{repSummary.goodReps} good</span>
+            <span className="text-sm text-red-600">{repSummary.badReps} need work</span>
+            {Number.isFinite(repSummary.averageScore) && (
+              <span className="text-sm text-gray-600">avg score {repSummary.averageScore}</span>
+            )}
+          </div>
+          {repSummary.setCount > 0 && (
+            <p className="text-sm text-gray-600 mt-1">
+              Set {repSummary.setCount}: {repSummary.currentSetReps} reps
+              {repSummary.setCount > 1 && ` (previous sets: ${repSummary.sets.slice(0, -1).map(set => set.reps).join(', ')})`}
+            </p>
+          )}
+          {repSummary.sideReps.left.reps + repSummary.sideReps.right.reps > 0 && (
+            <p className="text-sm text-gray-600 mt-1">
+              Left: {repSummary.sideReps.left.reps} ({repSummary.sideReps.left.goodReps} good)
+              {' · '}
+              Right: {repSummary.sideReps.right.reps} ({repSummary.sideReps.right.goodReps} good)
+            </p>
+          )}
+          {repSummary.sideImbalance && (
+            <p className="text-xs text-orange-600 mt-1">{describeSideImbalance(repSummary.sideImbalance)}</p>
+          )}
+          {getImbalances(repSummary).map(({ imbalance, scope }) => (
+            <p key={`${scope}-${imbalance.type}-${imbalance.joint}`} className="text-xs text-orange-600 mt-1">
+              {describeAsymmetry(imbalance)}{scope === 'set' && ', this set'}
+            </p>
+          ))}
+          {repSummary.lastRep && (
+            <p className={`text-xs mt-1 ${repSummary.lastRep.isGood ? 'text-green-600' : 'text-red-600'}`}>
+              Last rep: {formatScore(repSummary.lastRep.score, repSummary.lastRep.grade)}
+              {repSummary.lastRep.deductions.length > 0 && ` · ${formatDeductions(repSummary.lastRep.deductions)}`}
+            </p>
+          )}
+        </div>
+      )}
+
       <div className="mb-4">
         <h3 className="font-semibold text-gray-700">Current Phase:</h3>
         <div className="flex items-center mt-1">
@@ -82,8 +125,13 @@ const FeedbackDisplay = ({ exerciseType, phase, evaluation }) => {
         <div className="mb-4">
           <h3 className="font-semibold text-gray-700">Issues to Fix:</h3>
           <ul className="list-disc list-inside text-sm text-red-600 mt-1">
-            {evaluation.issues.map((issue, index) => (
-              <li key={index}>{issue}</li>
+            {evaluation.issues.map(issue => (
+              <li key={getIssueCode(issue)}>
+                {getIssueMessage(issue)}
+                {formatIssueMeasurement(issue) && (
+                  <span className="text-xs text-gray-500"> · {formatIssueMeasurement(issue)}</span>
+                )}
+              </li>
             ))}
           </ul>
         </div>
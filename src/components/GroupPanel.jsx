@@ -0,0 +1,47 @@
+import React from 'react';
+import { formatDuration } from '../utils/formatUtils';
+import { getIssueMessage } from '../utils/formIssues';
+
+// One row per tracked person in a group session: their count or hold time, phase and
+// most serious issue
+const GroupPanel = ({ exercise, people }) => {
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4">
+      <h2 className="text-xl font-bold mb-2">{exercise.name} Group Session</h2>
+
+      {people.length === 0 ? (
+        <p className="text-sm text-gray-500">Waiting for people to step into frame...</p>
+      ) : (
+        <ul className="space-y-3">
+          {people.map(person => (
+            <li key={person.id} className="border-b border-gray-100 pb-2 last:border-b-0">
+              <div className="flex items-baseline justify-between">
+                <span className="font-semibold text-gray-700">{person.label}</span>
+                {person.stats.holdSummary ? (
+                  <span className="text-sm">
+                    <span className="text-lg font-bold">{formatDuration(person.stats.holdSummary.goodFormTimeMs)}</span>
+                    <span className="text-gray-600"> good form</span>
+                  </span>
+                ) : (
+                  <span className="text-sm">
+                    <span className="text-lg font-bold">{person.stats.totalReps}</span>
+                    <span className="text-green-600"> ({person.stats.goodReps} good)</span>
+                    {person.stats.partialReps > 0 && <span className="text-gray-500"> · {person.stats.partialReps} partial</span>}
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 capitalize">{person.phase}</p>
+              {person.evaluation.issues.length > 0 ? (
+                <p className="text-sm text-red-600">{getIssueMessage(person.evaluation.issues[0])}</p>
+              ) : (
+                <p className="text-sm text-green-600">Good form</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GroupPanel;
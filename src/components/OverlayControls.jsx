@@ -0,0 +1,33 @@
+import React from 'react';
+import { OVERLAY_LAYERS } from '../utils/overlayRenderer';
+
+const LAYER_LABELS = {
+  [OVERLAY_LAYERS.SKELETON]: 'Skeleton',
+  [OVERLAY_LAYERS.ISSUES]: 'Issue highlights',
+  [OVERLAY_LAYERS.ANGLES]: 'Joint angles',
+  [OVERLAY_LAYERS.TARGETS]: 'Target ranges',
+  [OVERLAY_LAYERS.TEXT]: 'Phase and messages'
+};
+
+// Switches for each layer of the camera overlay
+const OverlayControls = ({ layers, onChange }) => {
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-2">Overlay</h3>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-gray-600">
+        {Object.values(OVERLAY_LAYERS).map(layer => (
+          <label key={layer} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={layers[layer] !== false}
+              onChange={event => onChange({ ...layers, [layer]: event.target.checked })}
+            />
+            {LAYER_LABELS[layer]}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OverlayControls;
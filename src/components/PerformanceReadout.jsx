@@ -0,0 +1,30 @@
+import React from 'react';
+import { RUNNER_ENGINES } from '../utils/poseRunner';
+
+const ENGINE_LABELS = {
+  [RUNNER_ENGINES.WORKER]: 'Worker',
+  [RUNNER_ENGINES.MAIN_THREAD]: 'Main thread'
+};
+
+const formatMs = value => (value === null ? '–' : `${value} ms`);
+
+// Small badge over the video with where detection runs, the model it runs, its frame
+// rate and latency
+const PerformanceReadout = ({ engine, model, summary }) => {
+  return (
+    <div className="absolute top-4 left-4 px-3 py-1 rounded-full bg-black/60 text-white text-xs font-mono flex gap-3">
+      <span>{ENGINE_LABELS[engine]}</span>
+      {model && (
+        <span title={`${model.variant} model, ${model.delegate} delegate, ${model.source} assets`}>
+          {model.variant}/{model.delegate}
+        </span>
+      )}
+      <span>{summary.fps === null ? '–' : summary.fps} fps</span>
+      <span title="Latency from capture to result (model inference time)">
+        {formatMs(summary.latencyMs)} ({formatMs(summary.inferenceMs)})
+      </span>
+    </div>
+  );
+};
+
+export default PerformanceReadout;
@@ -1,79 +1,214 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { FilesetResolver, PoseLandmarker } from '@mediapipe/tasks-vision';
-import { evaluateSquatForm, determineSquatPhase, SQUAT_PHASES } from '../utils/squatRules';
-import { evaluatePushupForm, determinePushupPhase, PUSHUP_PHASES } from '../utils/pushupRules';
+import { getModelVariant, getPeopleCount } from '../utils/poseModel';
+import { createMainThreadRunner, loadPoseRunner } from '../utils/poseRunner';
+import { FRAME_MODES } from '../utils/frameProcessor';
+import { getExercise } from '../utils/exerciseRegistry';
+import { getInitialPhase } from '../utils/exerciseEngine';
+import { createRepCounterState, getRepSummary } from '../utils/repCounter';
+import { getHoldSummary } from '../utils/holdTimer';
+import { buildSessionRecord, saveSession } from '../utils/sessionStore';
+import { getProfileThresholds, saveCalibration } from '../utils/profileStore';
+import { createCalibrationState, getCalibrationProgress, deriveCalibration } from '../utils/calibration';
+import { getTargetTempo, setTargetTempo, parseTempo, checkRepTempo } from '../utils/tempo';
+import { appendLiveSample, createAngleSample } from '../utils/angleSeries';
+import { createPerformanceStats, recordFrameStats, getPerformanceSummary } from '../utils/performanceStats';
+import { getOverlayLayers, setOverlayLayers } from '../utils/overlayRenderer';
+import {
+  createVoiceCoachState,
+  updateVoiceCoach,
+  speakCue,
+  isSpeechBusy,
+  stopSpeaking,
+  getVoiceSettings,
+  setVoiceSettings
+} from '../utils/voiceCoach';
+import {
+  createRecording,
+  appendRecordingFrame,
+  serializeRecording,
+  getRecordingFileName,
+  getRecordingSettings,
+  decodeRecordingFrames
+} from '../utils/landmarkRecording';
 import FeedbackDisplay from './FeedbackDisplay';
+import CalibrationPanel from './CalibrationPanel';
+import CameraSetupGuide from './CameraSetupGuide';
 import ThreeJsVisualizer from './ThreeJsVisualizer';
-
-const PoseDetector = ({ exerciseType, onStopDetection }) => {
+import VoiceSettings from './VoiceSettings';
+import TempoPanel from './TempoPanel';
+import AngleChartPanel from './AngleChartPanel';
+import PerformanceReadout from './PerformanceReadout';
+import OverlayControls from './OverlayControls';
+import GroupPanel from './GroupPanel';
+
+// Minimum time between live angle chart redraws (milliseconds)
+const CHART_UPDATE_MS = 250;
+
+// Minimum time between feedback and 3D view updates (milliseconds). Phase changes and
+// completed reps are shown at once.
+const UI_UPDATE_MS = 100;
+
+// Minimum time between performance readout updates (milliseconds)
+const PERFORMANCE_UPDATE_MS = 500;
+
+// Pass `replay` (a parsed landmark recording) to feed a recording through the pipeline
+// instead of the camera and model. With `calibrate`, runs the guided calibration for
+// `profile` instead of a workout and calls `onCalibrated` with the updated profile.
+// Live workouts with more than one person in frame (see getPeopleCount) run as a group
+// session, tracking and evaluating each person separately.
+const PoseDetector = ({ exerciseType, onStopDetection, replay = null, profile = null, calibrate = false, onCalibrated }) => {
+  const exercise = getExercise(exerciseType);
+  const [peopleCount] = useState(() => (replay || calibrate ? 1 : getPeopleCount()));
+  // Replays run with the settings they were recorded with, not the current ones
+  const [replaySettings] = useState(() => (replay ? getRecordingSettings(replay) : null));
+  const isGroup = peopleCount > 1;
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  const [poseLandmarker, setPoseLandmarker] = useState(null);
-  const [camera, setCamera] = useState(null);
+  const [runner, setRunner] = useState(null);
+  const [model, setModel] = useState(null); // { variant, delegate, source } of the loaded model
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [evaluation, setEvaluation] = useState({ isCorrect: true, issues: [] });
-  const [phase, setPhase] = useState(exerciseType === 'squat' ? SQUAT_PHASES.STANDING : PUSHUP_PHASES.TOP);
+  const [phase, setPhase] = useState(() => getInitialPhase(exercise));
   const [landmarks, setLandmarks] = useState(null);
+  const [repSummary, setRepSummary] = useState(() => getRepSummary(createRepCounterState()));
+  const [holdSummary, setHoldSummary] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [isReplayFinished, setIsReplayFinished] = useState(false);
+  const [calibrationProgress, setCalibrationProgress] = useState(() => (
+    calibrate ? getCalibrationProgress(createCalibrationState(), 0) : null
+  ));
+  const [calibrationResult, setCalibrationResult] = useState(null);
+  const [calibrationError, setCalibrationError] = useState(null);
+  const [setupResult, setSetupResult] = useState(null);
+  const [isSetupComplete, setIsSetupComplete] = useState(!!replay || isGroup); // Replays and group sessions skip camera setup
+  const [voiceSettings, setVoiceSettingsState] = useState(() => getVoiceSettings());
+  const [overlayLayers, setOverlayLayersState] = useState(() => getOverlayLayers());
+  const [targetTempo, setTargetTempoState] = useState(() => (replaySettings ? replaySettings.targetTempo : getTargetTempo()));
+  const [tempoFeedback, setTempoFeedback] = useState(null);
+  const [angleSamples, setAngleSamples] = useState([]);
+  const [showCharts, setShowCharts] = useState(true);
+  const [groupPeople, setGroupPeople] = useState([]);
+  const [performanceSummary, setPerformanceSummary] = useState(() => getPerformanceSummary(createPerformanceStats()));
+
+  // Refs for tracking exercise state. Frames are processed by the runner (see poseRunner);
+  // these keep what the UI needs from its results.
+  const runnerRef = useRef(null); // Read from the detection loop
+  const streamRef = useRef(null); // Camera stream, stopped when leaving the live view
+  const repStateRef = useRef(createRepCounterState()); // Latest rep counter state, for saving
+  const holdStateRef = useRef(null); // Latest hold timer state, for saving
+  const phaseRef = useRef(getInitialPhase(exercise));
+  const isSetupCompleteRef = useRef(!!replay || isGroup);
+  const sessionStartRef = useRef({ startedAt: Date.now(), clockStart: performance.now() });
+  const hasDetectionsRef = useRef(false);
+  const recordingRef = useRef(null); // Landmark recording in progress, if any
+  const thresholdsRef = useRef(replaySettings ? replaySettings.thresholds : getProfileThresholds(profile, exerciseType)); // Calibrated thresholds, if any
+  const voiceCoachRef = useRef(createVoiceCoachState()); // Spoken cue timing and de-duplication
+  const voiceSettingsRef = useRef(voiceSettings); // Read from the detection loop
+  const overlayLayersRef = useRef(overlayLayers); // Read when the runner is created
+  const handleFrameResultRef = useRef(null); // Latest frame handler, called by the runner
+  const targetTempoRef = useRef(targetTempo ? parseTempo(targetTempo) : null); // Parsed target tempo, if any
+  const angleSamplesRef = useRef([]); // Rolling window of angle samples for the live charts
+  const lastChartUpdateRef = useRef(0);
+  const lastUiUpdateRef = useRef(0);
+  const performanceStatsRef = useRef(createPerformanceStats());
+  const lastPerformanceUpdateRef = useRef(0);
+
+  // Pipeline options for the runner
+  const getPipelineOptions = () => ({
+    ...(thresholdsRef.current ? { thresholds: thresholdsRef.current } : {}),
+    targetTempo: targetTempoRef.current
+  });
+
+  // Load the model into a runner: in the pose worker where supported, else on the main thread
+  useEffect(() => {
+    let cancelled = false;
+    let created = null;
+    const config = {
+      exerciseType,
+      calibrate,
+      people: peopleCount,
+      options: getPipelineOptions(),
+      layers: overlayLayersRef.current,
+      onResult: message => handleFrameResultRef.current(message),
+      onError: (err) => {
+        console.error('Pose detection stopped:', err);
+        setError(`Pose detection stopped: ${err.message}. Please try again.`);
+      }
+    };
 
-  // Refs for tracking exercise state
-  const prevPhaseRef = useRef(exerciseType === 'squat' ? SQUAT_PHASES.STANDING : PUSHUP_PHASES.TOP);
-  const prevValueRef = useRef(null); // For hip height (squat) or elbow angle (pushup)
+    const initializeRunner = async () => {
+      // Replays don't need the model or camera
+      if (replay) {
+        created = createMainThreadRunner({ ...config, skipSetup: true });
+        runnerRef.current = created;
+        setRunner(created);
+        setIsLoading(false);
+        return;
+      }
 
-  // Initialize MediaPipe PoseLandmarker
-  useEffect(() => {
-    const initializePoseLandmarker = async () => {
       try {
         setIsLoading(true);
 
-        const vision = await FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-        );
-
-        // Try with CPU delegate first for better compatibility
-        const landmarker = await PoseLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/1/pose_landmarker_full.task",
-            delegate: "CPU" // Changed from GPU to CPU for better compatibility
-          },
-          runningMode: "VIDEO",
-          numPoses: 1,
-          minPoseDetectionConfidence: 0.5,
-          minPosePresenceConfidence: 0.5,
-          minTrackingConfidence: 0.5,
-          outputSegmentationMasks: false
-        });
-
-
-        setPoseLandmarker(landmarker);
+        const { runner: loaded, variant, delegate, source } = await loadPoseRunner({ ...config, variant: getModelVariant() });
+        if (cancelled) {
+          loaded.close();
+          return;
+        }
+
+        created = loaded;
+        runnerRef.current = loaded;
+        setModel({ variant, delegate, source });
+        setRunner(loaded);
         setIsLoading(false);
       } catch (err) {
+        if (cancelled) return;
         console.error("Error initializing pose landmarker:", err);
         setError(`Failed to initialize pose detection: ${err.message}. Please try again or check browser compatibility.`);
         setIsLoading(false);
       }
     };
 
-    initializePoseLandmarker();
+    initializeRunner();
 
-    // Cleanup function
     return () => {
-      if (camera) {
-
-        camera.getTracks().forEach(track => track.stop());
+      cancelled = true;
+      runnerRef.current = null;
+      if (created) {
+        created.close();
       }
     };
-  }, []);
+  }, [exerciseType, calibrate, peopleCount, replay]);
 
-  // Initialize camera
+  // Start the camera and the detection loop once the runner is ready
   useEffect(() => {
-    const enableCamera = async () => {
-      if (!poseLandmarker) {
-        return;
+    if (!runner || replay) return undefined;
+
+    const video = videoRef.current;
+    let animationFrame = null;
+    let stopped = false;
+    let lastVideoTime = -1;
+
+    // Send each new video frame to the runner, skipping frames while one is in flight
+    const predictWebcam = async () => {
+      if (stopped) return;
+
+      if (video.videoWidth > 0 && video.currentTime !== lastVideoTime && !runner.isBusy()) {
+        lastVideoTime = video.currentTime;
+        try {
+          await runner.processVideo(video, performance.now());
+        } catch (detectionError) {
+          console.error('Error during pose detection:', detectionError);
+        }
       }
 
-      try {
+      if (!stopped) {
+        animationFrame = requestAnimationFrame(predictWebcam);
+      }
+    };
 
+    const enableCamera = async () => {
+      try {
         const constraints = {
           video: {
             width: { ideal: 1280 },
@@ -83,18 +218,15 @@ const PoseDetector = ({ exerciseType, onStopDetection }) => {
         };
 
         const stream = await navigator.mediaDevices.getUserMedia(constraints);
-
-
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream;
-          videoRef.current.addEventListener('loadeddata', predictWebcam);
-
-        } else {
-          console.error('Video element reference is not available');
-          setError('Video element not found. Please refresh the page.');
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
         }
 
-        setCamera(stream);
+        streamRef.current = stream;
+        runner.attachCanvas(canvasRef.current);
+        video.srcObject = stream;
+        video.addEventListener('loadeddata', predictWebcam, { once: true });
       } catch (err) {
         console.error("Error accessing camera:", err);
         setError(`Failed to access camera: ${err.message}. Please check permissions and try again.`);
@@ -104,209 +236,349 @@ const PoseDetector = ({ exerciseType, onStopDetection }) => {
     enableCamera();
 
     return () => {
-      if (videoRef.current) {
+      stopped = true;
+      cancelAnimationFrame(animationFrame);
+      video.removeEventListener('loadeddata', predictWebcam);
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
+      }
+    };
+  }, [runner, replay]);
 
-        videoRef.current.removeEventListener('loadeddata', predictWebcam);
+  // Replay a landmark recording through the pipeline, paced by its timestamps
+  useEffect(() => {
+    if (!replay || !runner) return undefined;
+
+    const frames = decodeRecordingFrames(replay);
+    const size = { width: 1280, height: 720, ...replay.metadata };
+    const replayStart = performance.now();
+    let nextFrame = 0;
+    let animationFrame;
+
+    runner.attachCanvas(canvasRef.current);
+
+    const playFrames = () => {
+      const elapsed = performance.now() - replayStart;
+
+      // Every recorded frame is processed in order, so the result doesn't depend on
+      // the display frame rate
+      while (nextFrame < frames.length && frames[nextFrame].timestamp <= elapsed) {
+        const frame = frames[nextFrame];
+        nextFrame += 1;
+        if (frame.landmarks) {
+          runner.processLandmarks(frame.landmarks, frame.timestamp, size);
+        }
+      }
+
+      if (nextFrame < frames.length) {
+        animationFrame = requestAnimationFrame(playFrames);
+      } else {
+        setIsReplayFinished(true);
       }
     };
-  }, [poseLandmarker]);
 
-  // Function to process video frames and detect poses
-  let lastVideoTime = -1;
-  const predictWebcam = async () => {
+    animationFrame = requestAnimationFrame(playFrames);
+    return () => cancelAnimationFrame(animationFrame);
+  }, [replay, runner]);
+
+  // Don't keep talking after leaving the live view
+  useEffect(() => stopSpeaking, []);
+
+  // Apply and remember changed voice settings
+  const handleVoiceSettingsChange = (settings) => {
+    voiceSettingsRef.current = settings;
+    setVoiceSettingsState(settings);
+    if (settings.muted) {
+      stopSpeaking();
+    }
     try {
-      if (!poseLandmarker || !videoRef.current) {
+      setVoiceSettings(settings);
+    } catch (err) {
+      console.error('Error saving voice settings:', err);
+    }
+  };
 
-        requestAnimationFrame(predictWebcam);
-        return;
-      }
+  // Apply and remember changed overlay layers
+  const handleOverlayLayersChange = (layers) => {
+    overlayLayersRef.current = layers;
+    setOverlayLayersState(layers);
+    if (runnerRef.current) {
+      runnerRef.current.setLayers(layers);
+    }
+    try {
+      setOverlayLayers(layers);
+    } catch (err) {
+      console.error('Error saving overlay layers:', err);
+    }
+  };
 
-      const video = videoRef.current;
+  // Apply and remember a changed target tempo (null for none)
+  const handleTargetTempoChange = (text) => {
+    targetTempoRef.current = text ? parseTempo(text) : null;
+    setTargetTempoState(text);
+    setTempoFeedback(null);
+    if (runnerRef.current) {
+      runnerRef.current.setOptions(getPipelineOptions());
+    }
+    try {
+      setTargetTempo(text);
+    } catch (err) {
+      console.error('Error saving target tempo:', err);
+    }
+  };
 
-      // Check if video dimensions are available
-      if (video.videoWidth === 0 || video.videoHeight === 0) {
+  // Pick and speak the next coaching cue for a processed frame
+  const coachFrame = ({ evaluation: result, completedRep, tempoFeedback: tempoResult, holdState }, timestamp) => {
+    const settings = voiceSettingsRef.current;
+    if (settings.muted) return;
+
+    const { state, cue } = updateVoiceCoach(voiceCoachRef.current, {
+      evaluation: result,
+      completedRep,
+      tempoFeedback: tempoResult,
+      holdTimeMs: holdState ? holdState.goodFormTime : null,
+      isSpeaking: isSpeechBusy()
+    }, timestamp, { verbosity: settings.verbosity });
+    voiceCoachRef.current = state;
+
+    if (cue) {
+      speakCue(cue, settings);
+    }
+  };
 
-        requestAnimationFrame(predictWebcam);
-        return;
-      }
+  // Derive thresholds from a finished calibration and save them to the profile
+  const finishCalibration = async (calibrationState) => {
+    try {
+      const calibration = { ...deriveCalibration(exercise, calibrationState), calibratedAt: Date.now() };
+      const updatedProfile = await saveCalibration(profile.id, exerciseType, calibration);
+      setCalibrationResult({ thresholds: calibration.thresholds, profile: updatedProfile });
+    } catch (err) {
+      console.error('Error saving calibration:', err);
+      setCalibrationError(`Failed to save calibration: ${err.message}`);
+    }
+  };
 
-      const videoWidth = video.videoWidth;
-      const videoHeight = video.videoHeight;
-
-      // Canvas setup for visualization
-      const canvas = canvasRef.current;
-      if (canvas) {
-        canvas.width = videoWidth;
-        canvas.height = videoHeight;
-        const ctx = canvas.getContext('2d');
-
-        // Draw video frame
-        ctx.save();
-        ctx.scale(-1, 1); // Mirror horizontally
-        ctx.translate(-videoWidth, 0);
-        ctx.drawImage(video, 0, 0, videoWidth, videoHeight);
-        ctx.restore();
-      } else {
-        console.warn('Canvas reference not available');
-      }
+  // Start evaluating: the session clock starts once the camera is set up
+  const startSession = (clockStart) => {
+    if (isSetupCompleteRef.current) return;
+    isSetupCompleteRef.current = true;
+    sessionStartRef.current = { startedAt: Date.now(), clockStart };
+    setIsSetupComplete(true);
+  };
 
-      // Process the frame if the video is playing
-      if (video.currentTime !== lastVideoTime) {
-        lastVideoTime = video.currentTime;
+  // Skip the rest of camera setup
+  const handleSkipSetup = () => {
+    if (runnerRef.current) {
+      runnerRef.current.skipSetup();
+    }
+    startSession(performance.now());
+  };
 
-        try {
-          const startTimeMs = performance.now();
-          const results = poseLandmarker.detectForVideo(video, startTimeMs);
-
-          if (results.landmarks && results.landmarks.length > 0) {
-
-            const detectedLandmarks = results.landmarks[0];
-            setLandmarks(detectedLandmarks);
-
-            // Evaluate exercise form based on exercise type
-            if (exerciseType === 'squat') {
-              // Determine squat phase
-              const { phase: newPhase, hipHeight } = determineSquatPhase(
-                detectedLandmarks,
-                prevPhaseRef.current,
-                prevValueRef.current
-              );
-
-              if (newPhase !== prevPhaseRef.current) {
-
-                setPhase(newPhase);
-                prevPhaseRef.current = newPhase;
-              }
-
-              prevValueRef.current = hipHeight;
-
-              // Evaluate squat form
-              const result = evaluateSquatForm(detectedLandmarks, newPhase);
-              setEvaluation(result);
-
-              // Draw landmarks on canvas
-              if (canvas) {
-                drawLandmarks(canvas, detectedLandmarks, result);
-              }
-            } else if (exerciseType === 'pushup') {
-              // Determine pushup phase
-              const { phase: newPhase, elbowAngle } = determinePushupPhase(
-                detectedLandmarks,
-                prevPhaseRef.current,
-                prevValueRef.current
-              );
-
-              if (newPhase !== prevPhaseRef.current) {
-
-                setPhase(newPhase);
-                prevPhaseRef.current = newPhase;
-              }
-
-              prevValueRef.current = elbowAngle;
-
-              // Evaluate pushup form
-              const result = evaluatePushupForm(detectedLandmarks, newPhase);
-              setEvaluation(result);
-
-              // Draw landmarks on canvas
-              if (canvas) {
-                drawLandmarks(canvas, detectedLandmarks, result);
-              }
-            }
-          }
-        } catch (detectionError) {
-          console.error('Error during pose detection:', detectionError);
-        }
-      }
+  // Show framing, distance and orientation guidance until setup passes
+  const handleSetupResult = (result) => {
+    // Only re-render when the guidance or a check result changes
+    setSetupResult(current => (
+      current &&
+      current.guidance === result.setup.guidance &&
+      current.checks.length === result.setup.checks.length &&
+      current.checks.every((check, i) => check.passed === result.setup.checks[i].passed)
+        ? current
+        : result.setup
+    ));
+
+    if (result.setupComplete) {
+      startSession(result.timestamp);
+    }
+  };
 
-      // Continue detection loop
-      requestAnimationFrame(predictWebcam);
-    } catch (error) {
-      console.error('Unexpected error in predictWebcam:', error);
-      setError(`Detection error: ${error.message}. Please refresh the page.`);
+  // Show calibration progress, and save the calibration once it finishes
+  const handleCalibrationResult = (result) => {
+    const progress = result.calibrationProgress;
+    setCalibrationProgress(current => (
+      current.step === progress.step &&
+      current.reps === progress.reps &&
+      Math.floor(current.stillProgress * 10) === Math.floor(progress.stillProgress * 10)
+        ? current
+        : progress
+    ));
+
+    if (result.calibration) {
+      finishCalibration(result.calibration);
     }
   };
 
-  // Function to draw landmarks on canvas
-  const drawLandmarks = (canvas, landmarks, evaluation) => {
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
-
-    // Define connections for visualization
-    const connections = [
-      // Torso
-      [11, 12], [12, 24], [24, 23], [23, 11],
-      // Right arm
-      [12, 14], [14, 16],
-      // Left arm
-      [11, 13], [13, 15],
-      // Right leg
-      [24, 26], [26, 28], [28, 32], [32, 30], [30, 28],
-      // Left leg
-      [23, 25], [25, 27], [27, 31], [31, 29], [29, 27]
-    ];
-
-    // Draw connections
-    ctx.lineWidth = 5;
-
-    for (const [start, end] of connections) {
-      if (start < landmarks.length && end < landmarks.length) {
-        const startPoint = landmarks[start];
-        const endPoint = landmarks[end];
-
-        if (startPoint.visibility > 0.5 && endPoint.visibility > 0.5) {
-          // Mirror x-coordinate
-          const startX = width - startPoint.x * width;
-          const startY = startPoint.y * height;
-          const endX = width - endPoint.x * width;
-          const endY = endPoint.y * height;
-
-          // Set color based on evaluation
-          ctx.strokeStyle = evaluation.isCorrect ? 'green' : 'red';
-
-          ctx.beginPath();
-          ctx.moveTo(startX, startY);
-          ctx.lineTo(endX, endY);
-          ctx.stroke();
-        }
-      }
+  // Update the feedback, coaching, charts and timers from one processed exercise frame
+  const handleExerciseResult = (result) => {
+    hasDetectionsRef.current = true;
+
+    const { timestamp, phase: newPhase, evaluation: frameEvaluation, completedRep, tempoFeedback: tempoResult, holdState } = result;
+    if (result.repState) {
+      repStateRef.current = result.repState;
+    }
+    holdStateRef.current = holdState;
+
+    const phaseChanged = newPhase !== phaseRef.current;
+    if (phaseChanged) {
+      phaseRef.current = newPhase;
+      setPhase(newPhase);
+    }
+
+    // Frames arrive faster than the panels need to redraw
+    if (phaseChanged || completedRep || timestamp - lastUiUpdateRef.current >= UI_UPDATE_MS) {
+      lastUiUpdateRef.current = timestamp;
+      setLandmarks(result.landmarks);
+      setEvaluation(frameEvaluation);
+    }
+
+    coachFrame({ evaluation: frameEvaluation, completedRep, tempoFeedback: tempoResult, holdState }, timestamp);
+
+    if (completedRep) {
+      setRepSummary(getRepSummary(repStateRef.current));
+    }
+
+    // Keep every sample, but only redraw the charts a few times a second
+    angleSamplesRef.current = appendLiveSample(angleSamplesRef.current, createAngleSample(timestamp, newPhase, frameEvaluation.angles));
+    if (timestamp - lastChartUpdateRef.current >= CHART_UPDATE_MS) {
+      lastChartUpdateRef.current = timestamp;
+      setAngleSamples(angleSamplesRef.current);
+    }
+
+    // Tempo feedback stays up until a whole rep is done on pace
+    if (tempoResult) {
+      setTempoFeedback(tempoResult);
+    } else if (completedRep && !checkRepTempo(completedRep.tempo, targetTempoRef.current)) {
+      setTempoFeedback(null);
+    }
+
+    // Only re-render the hold timer when the displayed time or pause state changes
+    if (holdState) {
+      const summary = getHoldSummary(holdState);
+      setHoldSummary(current => (
+        current &&
+        current.isTiming === summary.isTiming &&
+        current.pauseReason === summary.pauseReason &&
+        Math.floor(current.goodFormTimeMs / 1000) === Math.floor(summary.goodFormTimeMs / 1000) &&
+        Math.floor(current.totalTimeMs / 1000) === Math.floor(summary.totalTimeMs / 1000)
+          ? current
+          : summary
+      ));
+    }
+  };
+
+  // Show each person's stats in a group session. Group sessions aren't saved to the
+  // history, which keeps one person's sessions.
+  const handleGroupResult = (result) => {
+    if (result.people.some(person => person.completedRep) || result.timestamp - lastUiUpdateRef.current >= UI_UPDATE_MS) {
+      lastUiUpdateRef.current = result.timestamp;
+      setGroupPeople(result.people);
+    }
+  };
+
+  // Track frame rate and latency for the performance readout
+  const recordPerformance = ({ timestamp, inferenceMs }) => {
+    const receivedAt = performance.now();
+    performanceStatsRef.current = recordFrameStats(performanceStatsRef.current, { timestamp, receivedAt, inferenceMs });
+    if (receivedAt - lastPerformanceUpdateRef.current >= PERFORMANCE_UPDATE_MS) {
+      lastPerformanceUpdateRef.current = receivedAt;
+      setPerformanceSummary(getPerformanceSummary(performanceStatsRef.current));
+    }
+  };
+
+  // Handle one frame reported by the runner: record the raw landmarks, then update the UI
+  // for the frame's mode (the runner has already drawn the overlay)
+  const handleFrameResult = ({ timestamp, detected, result, inferenceMs }) => {
+    if (recordingRef.current) {
+      appendRecordingFrame(recordingRef.current, timestamp, detected);
+    }
+
+    if (!replay) {
+      recordPerformance({ timestamp, inferenceMs });
+    }
+
+    if (!result) return;
+
+    if (result.mode === FRAME_MODES.SETUP) {
+      handleSetupResult(result);
+    } else if (result.mode === FRAME_MODES.CALIBRATION) {
+      handleCalibrationResult(result);
+    } else if (result.mode === FRAME_MODES.GROUP) {
+      handleGroupResult(result);
+    } else {
+      handleExerciseResult(result);
     }
+  };
 
-    // Draw landmarks
-    landmarks.forEach((landmark) => {
-      if (landmark.visibility > 0.5) {
-        // Mirror x-coordinate
-        const x = width - landmark.x * width;
-        const y = landmark.y * height;
-
-        ctx.fillStyle = evaluation.isCorrect ? 'green' : 'red';
-        ctx.beginPath();
-        ctx.arc(x, y, 8, 0, 2 * Math.PI);
-        ctx.fill();
+  // The runner outlives renders, so it calls whichever handler is current
+  useEffect(() => {
+    handleFrameResultRef.current = handleFrameResult;
+  });
+
+  // Offer a finished landmark recording as a file download
+  const downloadRecording = (recording) => {
+    const blob = new Blob([serializeRecording(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getRecordingFileName(recording);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Start recording the raw landmark stream, or stop and download the recording
+  const handleToggleRecording = () => {
+    if (recordingRef.current) {
+      downloadRecording(recordingRef.current);
+      recordingRef.current = null;
+      setIsRecording(false);
+      return;
+    }
+
+    const video = videoRef.current;
+    recordingRef.current = createRecording({
+      exerciseType,
+      metadata: {
+        modelVariant: getModelVariant(),
+        width: video ? video.videoWidth : undefined,
+        height: video ? video.videoHeight : undefined,
+        userAgent: navigator.userAgent,
+        profileName: thresholdsRef.current ? profile.name : null,
+        thresholds: thresholdsRef.current,
+        targetTempo
       }
     });
+    setIsRecording(true);
+  };
 
-    // Draw phase information
-    ctx.font = '24px Arial';
-    ctx.fillStyle = 'white';
-    ctx.fillText(`Phase: ${phase}`, 20, 30);
-
-    // Draw issues if any
-    if (evaluation.issues && evaluation.issues.length > 0) {
-      ctx.font = '20px Arial';
-      ctx.fillStyle = 'red';
-      evaluation.issues.forEach((issue, i) => {
-        ctx.fillText(issue, 20, 60 + i * 30);
-      });
+  // Save the session to local history, if anything was detected (replays are not saved)
+  const saveCurrentSession = async () => {
+    if (!hasDetectionsRef.current || replay) return;
+
+    try {
+      await saveSession(buildSessionRecord({
+        exerciseType,
+        startedAt: sessionStartRef.current.startedAt,
+        endedAt: Date.now(),
+        clockStart: sessionStartRef.current.clockStart,
+        repState: repStateRef.current,
+        holdState: holdStateRef.current
+      }));
+    } catch (err) {
+      console.error('Error saving session:', err);
     }
   };
 
   // Handle stop detection
-  const handleStop = () => {
-    if (camera) {
-      camera.getTracks().forEach(track => track.stop());
+  const handleStop = async () => {
+    stopSpeaking();
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
     }
+    if (recordingRef.current) {
+      downloadRecording(recordingRef.current);
+      recordingRef.current = null;
+    }
+    await saveCurrentSession();
     onStopDetection();
   };
 
@@ -325,7 +597,7 @@ const PoseDetector = ({ exerciseType, onStopDetection }) => {
             <li>Make sure your camera is not being used by another application</li>
             <li>Try using a different browser (Chrome recommended)</li>
             <li>Check that JavaScript is enabled in your browser</li>
-            <li>Ensure you have a stable internet connection</li>
+            <li>On first use, ensure you have a stable internet connection (later starts work offline)</li>
           </ul>
         </div>
       </div>
@@ -375,7 +647,28 @@ const PoseDetector = ({ exerciseType, onStopDetection }) => {
           style={{ minHeight: '400px', backgroundColor: '#1a1a1a' }}
         />
 
-        <div className="absolute top-4 right-4">
+        {!isSetupComplete && (
+          <CameraSetupGuide result={setupResult} onSkip={handleSkipSetup} />
+        )}
+
+        {replay ? (
+          <div className="absolute top-4 left-4 px-3 py-1 rounded-full bg-purple-600 text-white text-sm">
+            {isReplayFinished ? 'Replay finished' : 'Replaying recording'}
+          </div>
+        ) : (
+          <PerformanceReadout engine={runner.engine} model={model} summary={performanceSummary} />
+        )}
+
+        <div className="absolute top-4 right-4 flex gap-2">
+          {!replay && !isGroup && (
+            <button
+              onClick={handleToggleRecording}
+              className={`px-4 py-2 rounded-full text-white transition-colors
+                ${isRecording ? 'bg-orange-600 hover:bg-orange-700' : 'bg-gray-700 hover:bg-gray-800'}`}
+            >
+              {isRecording ? 'Save Recording' : 'Record Landmarks'}
+            </button>
+          )}
           <button
             onClick={handleStop}
             className="px-4 py-2 bg-red-500 text-white rounded-full hover:bg-red-600 transition-colors"
@@ -386,11 +679,61 @@ const PoseDetector = ({ exerciseType, onStopDetection }) => {
       </div>
 
       <div className="w-full md:w-1/4 p-4 bg-gray-100 overflow-y-auto">
-        <FeedbackDisplay
-          exerciseType={exerciseType}
-          phase={phase}
-          evaluation={evaluation}
-        />
+        {isGroup ? (
+          <GroupPanel exercise={exercise} people={groupPeople} />
+        ) : calibrate ? (
+          <CalibrationPanel
+            exercise={exercise}
+            profile={profile}
+            progress={calibrationProgress}
+            result={calibrationResult}
+            error={calibrationError}
+            onFinish={() => onCalibrated(calibrationResult.profile)}
+          />
+        ) : (
+          <FeedbackDisplay
+            exerciseType={exerciseType}
+            phase={phase}
+            evaluation={evaluation}
+            repSummary={repSummary}
+            holdSummary={holdSummary}
+            profileName={thresholdsRef.current ? (replaySettings ? replaySettings.profileName : profile.name) : null}
+          />
+        )}
+
+        {!calibrate && !isGroup && exercise.mode !== 'hold' && (
+          <TempoPanel
+            targetTempo={targetTempo}
+            onTargetTempoChange={handleTargetTempoChange}
+            repSummary={repSummary}
+            feedback={tempoFeedback}
+          />
+        )}
+
+        {!calibrate && !isGroup && (
+          <div className="bg-white rounded-lg shadow-md p-4 mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-semibold text-gray-700">Joint Angles</h3>
+              <button onClick={() => setShowCharts(show => !show)} className="text-xs text-blue-600 hover:underline">
+                {showCharts ? 'Hide' : 'Show'}
+              </button>
+            </div>
+            {showCharts && (
+              <AngleChartPanel
+                exercise={exercise}
+                samples={angleSamples}
+                thresholds={thresholdsRef.current || {}}
+                formatX={t => `${Math.round((t - (angleSamples[angleSamples.length - 1]?.t ?? t)) / 1000)}s`}
+              />
+            )}
+          </div>
+        )}
+
+        <OverlayControls layers={overlayLayers} onChange={handleOverlayLayersChange} />
+
+        {!calibrate && !isGroup && (
+          <VoiceSettings settings={voiceSettings} onChange={handleVoiceSettingsChange} />
+        )}
 
         {landmarks && (
           <ThreeJsVisualizer
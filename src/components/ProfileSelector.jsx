@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { listProfiles, createProfile, getProfile, setActiveProfileId } from '../utils/profileStore';
+
+// Pick or create the profile whose calibrations are used
+const ProfileSelector = ({ profile, onProfileChange }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+
+  // Load saved profiles from IndexedDB
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        setProfiles(await listProfiles());
+      } catch (err) {
+        console.error('Error loading profiles:', err);
+        setError(`Failed to load profiles: ${err.message}`);
+      }
+    };
+
+    loadProfiles();
+  }, [profile]);
+
+  const handleSelect = (event) => {
+    const id = event.target.value ? Number(event.target.value) : null;
+    setActiveProfileId(id);
+    onProfileChange(profiles.find(p => p.id === id) || null);
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    try {
+      const id = await createProfile(name);
+      setActiveProfileId(id);
+      setNewName('');
+      onProfileChange(await getProfile(id));
+    } catch (err) {
+      console.error('Error creating profile:', err);
+      setError(`Failed to create profile: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-2 text-sm text-gray-600">
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-2">
+          Profile:
+          <select
+            value={profile ? profile.id : ''}
+            onChange={handleSelect}
+            className="border border-gray-300 rounded px-2 py-1 bg-white"
+          >
+            <option value="">No profile (default thresholds)</option>
+            {profiles.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <form onSubmit={handleCreate} className="flex items-center gap-1">
+          <input
+            type="text"
+            value={newName}
+            onChange={event => setNewName(event.target.value)}
+            placeholder="New profile"
+            className="border border-gray-300 rounded px-2 py-1 w-32"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim()}
+            className="px-2 py-1 rounded border border-gray-400 hover:bg-gray-200 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      </div>
+      {error && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ProfileSelector;
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { formatDuration, formatDateTime, getExerciseName, describeSideImbalance, describeAsymmetry, describeHoldBreak, formatIssues, formatRepTempo, formatScore, formatDeductions } from '../utils/formatUtils';
+import { getSideImbalance } from '../utils/repCounter';
+import { getAsymmetryReport, getSetAsymmetry } from '../utils/asymmetry';
+import { getExercise } from '../utils/exerciseRegistry';
+import AngleChartPanel from './AngleChartPanel';
+
+// One sample per rep holding each angle's lowest value, to chart depth across the session
+const getDepthByRep = reps => reps.map(rep => ({
+  t: rep.number,
+  phase: null,
+  angles: Object.fromEntries(Object.entries(rep.angles).map(([name, range]) => [name, range.min]))
+}));
+
+const SessionDetail = ({ session, onBack, onDelete }) => {
+  const exercise = getExercise(session.exerciseType);
+  const chartedReps = session.reps.filter(rep => rep.series && rep.series.length > 1);
+  const [chartRepNumber, setChartRepNumber] = useState(chartedReps.length > 0 ? chartedReps[0].number : null);
+  const chartRep = chartedReps.find(rep => rep.number === chartRepNumber);
+  const hasSides = session.reps.some(rep => rep.side);
+  const sideImbalance = hasSides && session.sideReps ? getSideImbalance(session) : null;
+  const imbalances = getAsymmetryReport(session.reps);
+  const setImbalances = session.sets.length > 1 ? getSetAsymmetry(session.sets, session.reps) : [];
+
+  return (
+    <div className="w-full max-w-3xl bg-white rounded-lg shadow-md p-4">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-xl font-bold">{getExerciseName(session.exerciseType)} Session</h2>
+          <p className="text-xs text-gray-500">
+            {formatDateTime(session.startedAt)} · {formatDuration(session.durationMs)}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onDelete}
+            className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+          >
+            Delete
+          </button>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+
+      {session.hold ? (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-4 text-center">
+            <div className="bg-gray-50 rounded p-2">
+              <p className="text-2xl font-bold">{formatDuration(session.hold.totalTimeMs)}</p>
+              <p className="text-xs text-gray-600">Total hold</p>
+            </div>
+            <div className="bg-gray-50 rounded p-2">
+              <p className="text-2xl font-bold text-green-600">{formatDuration(session.hold.goodFormTimeMs)}</p>
+              <p className="text-xs text-gray-600">Good form</p>
+            </div>
+            <div className="bg-gray-50 rounded p-2">
+              <p className="text-2xl font-bold">{formatDuration(session.hold.longestGoodStreakMs)}</p>
+              <p className="text-xs text-gray-600">Longest good stretch</p>
+            </div>
+          </div>
+          <p className={`text-sm mb-4 ${session.hold.firstBreak ? 'text-red-600' : 'text-green-600'}`}>
+            {describeHoldBreak(session.hold.firstBreak)}
+            {session.hold.breakCount > 1 && ` (${session.hold.breakCount} breaks in total)`}
+          </p>
+        </>
+      ) : (
+        <>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-center">
+          <div className="bg-gray-50 rounded p-2">
+            <p className="text-2xl font-bold">{session.totalReps}</p>
+            <p className="text-xs text-gray-600">Reps</p>
+          </div>
+          <div className="bg-gray-50 rounded p-2">
+            <p className="text-2xl font-bold text-green-600">{session.goodReps}</p>
+            <p className="text-xs text-gray-600">Good form</p>
+          </div>
+          <div className="bg-gray-50 rounded p-2">
+            <p className="text-2xl font-bold text-red-600">{session.badReps}</p>
+            <p className="text-xs text-gray-600">Need work</p>
+          </div>
+          <div className="bg-gray-50 rounded p-2">
+            <p className="text-2xl font-bold">{Number.isFinite(session.averageScore) ? session.averageScore : '–'}</p>
+            <p className="text-xs text-gray-600">Average score</p>
+          </div>
+        </div>
+
+        {session.sets.length > 0 && (
+          <p className="text-sm text-gray-600 mb-4">
+            Sets: {session.sets.map(set => (
+              `${set.reps} (${set.goodReps} good${Number.isFinite(set.averageScore) ? `, score ${set.averageScore}` : ''}${Number.isFinite(set.tempoConsistency) ? `, tempo ${set.tempoConsistency}/100` : ''})`
+            )).join(' · ')}
+          </p>
+        )}
+
+        {hasSides && session.sideReps && (
+          <p className="text-sm text-gray-600 mb-4">
+            Left: {session.sideReps.left.reps} reps ({session.sideReps.left.goodReps} good)
+            {' · '}
+            Right: {session.sideReps.right.reps} reps ({session.sideReps.right.goodReps} good)
+            {sideImbalance && (
+              <span className="block text-orange-600">{describeSideImbalance(sideImbalance)}</span>
+            )}
+          </p>
+        )}
+
+        {(imbalances.length > 0 || setImbalances.some(list => list.length > 0)) && (
+          <div className="text-sm text-orange-600 mb-4">
+            <h3 className="font-semibold text-gray-700 mb-1">Left/Right Balance</h3>
+            {imbalances.map(imbalance => (
+              <p key={`${imbalance.type}-${imbalance.joint}`}>{describeAsymmetry(imbalance)}</p>
+            ))}
+            {setImbalances.map((list, i) => list.map(imbalance => (
+              <p key={`${i}-${imbalance.type}-${imbalance.joint}`} className="text-xs">
+                Set {session.sets[i].number}: {describeAsymmetry(imbalance)}
+              </p>
+            )))}
+          </div>
+        )}
+
+        {exercise && chartedReps.length > 0 && (
+          <div className="mb-4">
+            <h3 className="font-semibold text-gray-700 mb-2">Joint Angles</h3>
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <div className="flex flex-wrap items-center gap-1 mb-2 text-xs">
+                  <span className="text-gray-600 mr-1">Rep:</span>
+                  {chartedReps.map(rep => (
+                    <button
+                      key={rep.number}
+                      onClick={() => setChartRepNumber(rep.number)}
+                      className={`px-2 py-0.5 rounded border ${rep.number === chartRepNumber
+                        ? 'bg-blue-500 text-white border-blue-500'
+                        : 'border-gray-300 hover:bg-gray-100'}`}
+                    >
+                      {rep.number}
+                    </button>
+                  ))}
+                </div>
+                {chartRep && <AngleChartPanel exercise={exercise} samples={chartRep.series} />}
+              </div>
+              {session.reps.length > 1 && (
+                <div>
+                  <p className="text-xs text-gray-600 mb-2">Lowest angle in each rep</p>
+                  <AngleChartPanel
+                    exercise={exercise}
+                    samples={getDepthByRep(session.reps)}
+                    showPhases={false}
+                    formatX={number => `rep ${number}`}
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <h3 className="font-semibold text-gray-700 mb-2">Rep Breakdown</h3>
+        {session.reps.length === 0 ? (
+          <p className="text-sm text-gray-600">No completed reps in this session.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1 pr-2">Rep</th>
+                  <th className="py-1 pr-2">Set</th>
+                  {hasSides && <th className="py-1 pr-2">Side</th>}
+                  <th className="py-1 pr-2">Score</th>
+                  <th className="py-1 pr-2">Time</th>
+                  <th className="py-1 pr-2" title="Seconds lowering, paused and rising">Tempo</th>
+                  <th className="py-1 pr-2">Joint Angles (min–max)</th>
+                  <th className="py-1">Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {session.reps.map(rep => (
+                  <tr key={rep.number} className="border-b border-gray-100 align-top">
+                    <td className="py-1 pr-2">
+                      <span className={`inline-block w-2 h-2 rounded-full mr-1 ${rep.isGood ? 'bg-green-500' : 'bg-red-500'}`}></span>
+                      {rep.number}
+                    </td>
+                    <td className="py-1 pr-2">{rep.set}</td>
+                    {hasSides && <td className="py-1 pr-2 capitalize">{rep.side || '–'}</td>}
+                    <td className="py-1 pr-2">{formatScore(rep.score, rep.grade)}</td>
+                    <td className="py-1 pr-2">
+                      {formatDuration(rep.startOffsetMs)} ({(rep.durationMs / 1000).toFixed(1)}s)
+                    </td>
+                    <td className="py-1 pr-2">{formatRepTempo(rep.tempo)}</td>
+                    <td className="py-1 pr-2 text-xs">
+                      {Object.entries(rep.angles).map(([name, range]) => (
+                        <div key={name}>
+                          <span className="font-medium">{name}: </span>
+                          {Math.round(range.min)}°–{Math.round(range.max)}°
+                        </div>
+                      ))}
+                    </td>
+                    <td className="py-1 text-xs text-red-600">
+                      {rep.deductions && rep.deductions.length > 0
+                        ? formatDeductions(rep.deductions)
+                        : rep.issues.length > 0 ? formatIssues(rep.issues) : <span className="text-green-600">Good form</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SessionDetail;
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { listSessions, deleteSession } from '../utils/sessionStore';
+import { formatDuration, formatDateTime, getExerciseName } from '../utils/formatUtils';
+import { getScoreChanges } from '../utils/repScore';
+import SessionDetail from './SessionDetail';
+
+const SessionHistory = ({ onBack }) => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedSession, setSelectedSession] = useState(null);
+
+  // Load saved sessions from IndexedDB
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        setSessions(await listSessions());
+      } catch (err) {
+        console.error('Error loading session history:', err);
+        setError(`Failed to load session history: ${err.message}`);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSessions();
+  }, []);
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteSession(id);
+      setSessions(current => current.filter(session => session.id !== id));
+      setSelectedSession(null);
+    } catch (err) {
+      console.error('Error deleting session:', err);
+      setError(`Failed to delete session: ${err.message}`);
+    }
+  };
+
+  const scoreChanges = getScoreChanges(sessions);
+
+  if (selectedSession) {
+    return (
+      <SessionDetail
+        session={selectedSession}
+        onBack={() => setSelectedSession(null)}
+        onDelete={() => handleDelete(selectedSession.id)}
+      />
+    );
+  }
+
+  return (
+    <div className="w-full max-w-3xl bg-white rounded-lg shadow-md p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Workout History</h2>
+        <button
+          onClick={onBack}
+          className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+        >
+          Back
+        </button>
+      </div>
+
+      {isLoading && <p className="text-sm text-gray-600">Loading sessions...</p>}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {!isLoading && !error && sessions.length === 0 && (
+        <p className="text-sm text-gray-600">
+          No sessions yet. Complete a workout and press Stop to save it here.
+        </p>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {sessions.map((session, i) => (
+          <li key={session.id}>
+            <button
+              onClick={() => setSelectedSession(session)}
+              className="w-full text-left py-3 px-2 hover:bg-gray-50 flex justify-between items-center"
+            >
+              <div>
+                <p className="font-semibold">{getExerciseName(session.exerciseType)}</p>
+                <p className="text-xs text-gray-500">
+                  {formatDateTime(session.startedAt)} · {formatDuration(session.durationMs)}
+                </p>
+              </div>
+              {session.hold ? (
+                <div className="text-right text-sm">
+                  <p className="font-semibold">{formatDuration(session.hold.goodFormTimeMs)} hold</p>
+                  <p className="text-xs text-gray-600">{formatDuration(session.hold.totalTimeMs)} total</p>
+                </div>
+              ) : (
+                <div className="text-right text-sm">
+                  <p className="font-semibold">{session.totalReps} reps</p>
+                  <p className="text-xs">
+                    <span className="text-green-600">{session.goodReps} good</span>
+                    {' · '}
+                    <span className="text-red-600">{session.badReps} need work</span>
+                  </p>
+                  {Number.isFinite(session.averageScore) && (
+                    <p className="text-xs text-gray-600">
+                      Avg score {session.averageScore}
+                      {scoreChanges[i] !== null && (
+                        <span
+                          className={scoreChanges[i] >= 0 ? 'text-green-600' : 'text-red-600'}
+                          title="Change since your previous session of this exercise"
+                        >
+                          {' '}{scoreChanges[i] >= 0 ? '▲' : '▼'} {Math.abs(scoreChanges[i])}
+                        </span>
+                      )}
+                    </p>
+                  )}
+                </div>
+              )}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SessionHistory;
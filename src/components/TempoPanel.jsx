@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { parseTempo } from '../utils/tempo';
+import { formatRepTempo } from '../utils/formatUtils';
+
+// Target tempo input, the last rep's tempo and time under tension, tempo feedback and
+// per-set consistency
+const TempoPanel = ({ targetTempo, onTargetTempoChange, repSummary, feedback }) => {
+  const [text, setText] = useState(targetTempo || '');
+  const lastTempo = repSummary && repSummary.lastRep ? repSummary.lastRep.tempo : null;
+  const scoredSets = repSummary ? repSummary.sets.filter(set => set.tempoConsistency !== null) : [];
+  const isValid = text.trim() === '' || parseTempo(text) !== null;
+
+  const handleChange = (event) => {
+    const value = event.target.value;
+    setText(value);
+    if (value.trim() === '') {
+      onTargetTempoChange(null);
+    } else if (parseTempo(value)) {
+      onTargetTempoChange(value.trim());
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-2">Tempo</h3>
+
+      <label className="flex items-center gap-2 text-gray-600">
+        Target (down-pause-up, seconds):
+        <input
+          type="text"
+          value={text}
+          onChange={handleChange}
+          placeholder="3-1-1"
+          className={`border rounded px-2 py-1 w-20 ${isValid ? 'border-gray-300' : 'border-red-500'}`}
+        />
+      </label>
+      {!isValid && <p className="text-xs text-red-600 mt-1">Use three numbers such as 3-1-1 (X for explosive)</p>}
+
+      {feedback && <p className="text-orange-600 font-semibold mt-2">{feedback.message}</p>}
+
+      {lastTempo && (
+        <p className="text-gray-600 mt-2">
+          Last rep: {formatRepTempo(lastTempo)}
+          <span className="block text-xs">{(lastTempo.timeUnderTension / 1000).toFixed(1)}s under tension</span>
+        </p>
+      )}
+
+      {scoredSets.length > 0 && (
+        <p className="text-xs text-gray-600 mt-1">
+          Consistency: {scoredSets.map(set => `set ${set.number} ${set.tempoConsistency}/100`).join(' · ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TempoPanel;
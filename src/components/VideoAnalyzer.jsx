@@ -0,0 +1,307 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getExercise, listExercises } from '../utils/exerciseRegistry';
+import { createPoseLandmarker } from '../utils/poseModel';
+import { analyzeVideo, getFrameAtTime } from '../utils/videoAnalysis';
+import { getProfileThresholds } from '../utils/profileStore';
+import { getTargetTempo, parseTempo } from '../utils/tempo';
+import { drawPoseOverlay } from '../utils/overlayRenderer';
+import { formatDuration, describeHoldBreak, formatIssues, formatRepTempo, formatScore, formatDeductions } from '../utils/formatUtils';
+import AnalysisTimeline from './AnalysisTimeline';
+
+const VideoAnalyzer = ({ profile, onBack }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const cancelledRef = useRef(false);
+  const [exerciseType, setExerciseType] = useState(() => listExercises()[0].id);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [currentTimeMs, setCurrentTimeMs] = useState(0);
+
+  const exercise = getExercise(exerciseType);
+
+  // Release the object URL when the file changes or the view closes
+  useEffect(() => {
+    return () => {
+      if (videoUrl) URL.revokeObjectURL(videoUrl);
+    };
+  }, [videoUrl]);
+
+  // Stop any running analysis when the view closes
+  useEffect(() => {
+    return () => {
+      cancelledRef.current = true;
+    };
+  }, []);
+
+  // Redraw the overlay for the current video position while a report is shown
+  useEffect(() => {
+    if (!report) return undefined;
+
+    let animationFrame;
+    let lastTime = -1;
+
+    const drawFrame = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+
+      if (video && canvas && video.currentTime !== lastTime) {
+        lastTime = video.currentTime;
+        const timeMs = video.currentTime * 1000;
+        setCurrentTimeMs(timeMs);
+
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const frame = getFrameAtTime(report.frames, timeMs);
+        if (frame && frame.landmarks) {
+          drawPoseOverlay(ctx, frame.landmarks, frame, {
+            width: canvas.width,
+            height: canvas.height,
+            phase: frame.phase,
+            angleGuides: frame.angleGuides
+          });
+        }
+      }
+
+      animationFrame = requestAnimationFrame(drawFrame);
+    };
+
+    drawFrame();
+    return () => cancelAnimationFrame(animationFrame);
+  }, [report]);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setVideoUrl(URL.createObjectURL(file));
+    setFileName(file.name);
+    setReport(null);
+    setError(null);
+    setProgress(0);
+  };
+
+  const handleAnalyze = async () => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    setIsAnalyzing(true);
+    setError(null);
+    setReport(null);
+    setProgress(0);
+    cancelledRef.current = false;
+
+    let landmarker = null;
+    try {
+      ({ landmarker } = await createPoseLandmarker({ runningMode: 'VIDEO' }));
+      video.pause();
+
+      // Judge the video the way a live session would: the profile's calibration and the
+      // target tempo currently set
+      const targetTempo = getTargetTempo();
+      const result = await analyzeVideo({
+        video,
+        landmarker,
+        definition: exercise,
+        thresholds: getProfileThresholds(profile, exerciseType),
+        targetTempo: targetTempo ? parseTempo(targetTempo) : null,
+        onProgress: setProgress,
+        isCancelled: () => cancelledRef.current
+      });
+
+      if (result) {
+        video.currentTime = 0;
+        setReport(result);
+      }
+    } catch (err) {
+      console.error('Error analyzing video:', err);
+      setError(`Failed to analyze video: ${err.message}`);
+    } finally {
+      if (landmarker) landmarker.close();
+      setIsAnalyzing(false);
+    }
+  };
+
+  const handleSeek = (timeMs) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = timeMs / 1000;
+    }
+  };
+
+  return (
+    <div className="w-full max-w-4xl bg-white rounded-lg shadow-md p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Analyze a Recording</h2>
+        <button
+          onClick={onBack}
+          className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+        >
+          Back
+        </button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3 mb-4 items-start sm:items-center">
+        <select
+          value={exerciseType}
+          onChange={(event) => {
+            setExerciseType(event.target.value);
+            setReport(null);
+          }}
+          disabled={isAnalyzing}
+          className="border border-gray-300 rounded px-2 py-2 bg-white"
+        >
+          {listExercises().map(item => (
+            <option key={item.id} value={item.id}>{item.name}</option>
+          ))}
+        </select>
+
+        <label className="px-4 py-2 rounded-lg border border-gray-400 text-gray-700 font-semibold hover:bg-gray-100 cursor-pointer">
+          {fileName || 'Choose video file'}
+          <input
+            type="file"
+            accept="video/*"
+            onChange={handleFileChange}
+            disabled={isAnalyzing}
+            className="hidden"
+          />
+        </label>
+
+        <button
+          onClick={handleAnalyze}
+          disabled={!videoUrl || isAnalyzing}
+          className={`px-4 py-2 rounded-lg text-white font-semibold transition-all
+            ${!videoUrl || isAnalyzing ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
+        >
+          {isAnalyzing ? `Analyzing... ${Math.round(progress * 100)}%` : 'Analyze'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {videoUrl && (
+        <div className="relative w-full mb-4 bg-black rounded overflow-hidden">
+          <video
+            ref={videoRef}
+            src={videoUrl}
+            controls={!isAnalyzing}
+            playsInline
+            muted
+            preload="auto"
+            className="w-full max-h-[60vh]"
+          />
+          <canvas
+            ref={canvasRef}
+            className="absolute top-0 left-0 w-full h-full pointer-events-none object-contain"
+          />
+        </div>
+      )}
+
+      {isAnalyzing && (
+        <div className="w-full h-2 bg-gray-200 rounded mb-4">
+          <div className="h-2 bg-green-500 rounded" style={{ width: `${progress * 100}%` }}></div>
+        </div>
+      )}
+
+      {report && (
+        <>
+          <AnalysisTimeline
+            report={report}
+            exercise={exercise}
+            currentTimeMs={currentTimeMs}
+            onSeek={handleSeek}
+          />
+
+          {report.hold ? (
+            <div className="mt-4">
+              <h3 className="font-semibold text-gray-700 mb-2">Hold Summary</h3>
+              <p className="text-sm">
+                {formatDuration(report.hold.goodFormTimeMs)} in good form of {formatDuration(report.hold.totalTimeMs)} total
+              </p>
+              <p className={`text-sm ${report.hold.firstBreak ? 'text-red-600' : 'text-green-600'}`}>
+                {describeHoldBreak(report.hold.firstBreak)}
+              </p>
+            </div>
+          ) : (
+            <div className="mt-4">
+              <h3 className="font-semibold text-gray-700 mb-2">
+                Rep Summary: {report.summary.totalReps} reps
+                <span className="text-sm font-normal text-green-600"> · {report.summary.goodReps} good</span>
+                <span className="text-sm font-normal text-red-600"> · {report.summary.badReps} need work</span>
+                {Number.isFinite(report.summary.averageScore) && (
+                  <span className="text-sm font-normal text-gray-600"> · avg score {report.summary.averageScore}</span>
+                )}
+                {report.summary.partialReps > 0 && (
+                  <span className="text-sm font-normal text-gray-600"> · {report.summary.partialReps} partial</span>
+                )}
+              </h3>
+              {report.reps.length === 0 ? (
+                <p className="text-sm text-gray-600">No completed reps were found in this recording.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b border-gray-200">
+                        <th className="py-1 pr-2">Rep</th>
+                        {report.reps.some(rep => rep.side) && <th className="py-1 pr-2">Side</th>}
+                        <th className="py-1 pr-2">Score</th>
+                        <th className="py-1 pr-2">Time</th>
+                        <th className="py-1 pr-2" title="Seconds lowering, paused and rising">Tempo</th>
+                        <th className="py-1 pr-2">Joint Angles (min–max)</th>
+                        <th className="py-1">Issues</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.reps.map(rep => (
+                        <tr
+                          key={rep.number}
+                          onClick={() => handleSeek(rep.startTime)}
+                          className="border-b border-gray-100 align-top cursor-pointer hover:bg-gray-50"
+                        >
+                          <td className="py-1 pr-2">
+                            <span className={`inline-block w-2 h-2 rounded-full mr-1 ${rep.isGood ? 'bg-green-500' : 'bg-red-500'}`}></span>
+                            {rep.number}
+                          </td>
+                          {report.reps.some(item => item.side) && <td className="py-1 pr-2 capitalize">{rep.side || '–'}</td>}
+                          <td className="py-1 pr-2">{formatScore(rep.score, rep.grade)}</td>
+                          <td className="py-1 pr-2">
+                            {formatDuration(rep.startTime)} ({(rep.duration / 1000).toFixed(1)}s)
+                          </td>
+                          <td className="py-1 pr-2">{formatRepTempo(rep.tempo)}</td>
+                          <td className="py-1 pr-2 text-xs">
+                            {Object.entries(rep.angles).map(([name, range]) => (
+                              <div key={name}>
+                                <span className="font-medium">{name}: </span>
+                                {Math.round(range.min)}°–{Math.round(range.max)}°
+                              </div>
+                            ))}
+                          </td>
+                          <td className="py-1 text-xs text-red-600">
+                            {rep.deductions && rep.deductions.length > 0
+                              ? formatDeductions(rep.deductions)
+                              : rep.issues.length > 0 ? formatIssues(rep.issues) : <span className="text-green-600">Good form</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VideoAnalyzer;
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import { VERBOSITY, getVoices, isSpeechSupported } from '../utils/voiceCoach';
+
+const VERBOSITY_LABELS = {
+  [VERBOSITY.MINIMAL]: 'Minimal (counts and errors)',
+  [VERBOSITY.NORMAL]: 'Normal',
+  [VERBOSITY.DETAILED]: 'Detailed (every issue)'
+};
+
+// Mute, voice and verbosity settings for the spoken coaching
+const VoiceSettings = ({ settings, onChange }) => {
+  const [voices, setVoices] = useState(() => getVoices());
+
+  // Browsers load voices asynchronously
+  useEffect(() => {
+    if (!isSpeechSupported()) return undefined;
+
+    const handleVoicesChanged = () => setVoices(getVoices());
+    window.speechSynthesis.addEventListener('voiceschanged', handleVoicesChanged);
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', handleVoicesChanged);
+  }, []);
+
+  if (!isSpeechSupported()) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-4 mb-4 text-sm text-gray-500">
+        Voice coaching isn't supported in this browser.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-700">Voice Coaching</h3>
+        <button
+          onClick={() => onChange({ ...settings, muted: !settings.muted })}
+          className={`px-3 py-1 rounded-full text-white transition-colors
+            ${settings.muted ? 'bg-gray-500 hover:bg-gray-600' : 'bg-blue-500 hover:bg-blue-600'}`}
+        >
+          {settings.muted ? 'Unmute' : 'Mute'}
+        </button>
+      </div>
+
+      <label className="flex flex-col gap-1 mb-2 text-gray-600">
+        Voice
+        <select
+          value={settings.voiceURI || ''}
+          onChange={event => onChange({ ...settings, voiceURI: event.target.value || null })}
+          disabled={settings.muted}
+          className="border border-gray-300 rounded px-2 py-1 bg-white disabled:opacity-50"
+        >
+          <option value="">Browser default</option>
+          {voices.map(voice => (
+            <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex flex-col gap-1 text-gray-600">
+        Verbosity
+        <select
+          value={settings.verbosity}
+          onChange={event => onChange({ ...settings, verbosity: event.target.value })}
+          disabled={settings.muted}
+          className="border border-gray-300 rounded px-2 py-1 bg-white disabled:opacity-50"
+        >
+          {Object.values(VERBOSITY).map(level => (
+            <option key={level} value={level}>{VERBOSITY_LABELS[level]}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default VoiceSettings;
@@ -0,0 +1,125 @@
+/**
+ * Joint-angle time series for the angle charts: a rolling window of live samples, which
+ * charts to draw for an exercise, the phase bands to shade behind them and the
+ * threshold guide lines from the exercise's checks.
+ *
+ * A sample is { t, phase, angles }, with `t` in milliseconds and `angles` keyed by the
+ * definition's angle names. Reps keep their own samples (see the rep counter's
+ * `series`), with `t` measured from the start of the rep.
+ */
+import { resolveThreshold } from './exerciseEngine.js';
+
+// Default angle series settings
+const DEFAULT_OPTIONS = {
+  // How much of the live stream to keep (milliseconds)
+  WINDOW_MS: 10000,
+
+  // Minimum time between kept samples (milliseconds)
+  SAMPLE_INTERVAL_MS: 100
+};
+
+// Line colours for the angles in a chart, in order
+const LINE_COLORS = ['#2563eb', '#dc2626', '#16a34a'];
+
+// Build one sample from an evaluation, with angles rounded to a tenth of a degree
+export const createAngleSample = (t, phase, angles) => ({
+  t,
+  phase,
+  angles: Object.fromEntries(Object.entries(angles || {})
+    .filter(([, value]) => Number.isFinite(value))
+    .map(([name, value]) => [name, Math.round(value * 10) / 10]))
+});
+
+// Add a sample to a list of samples unless it comes too soon after the last one. A
+// change of phase is always kept, so short phases still get a band.
+export const appendSample = (samples, sample, options = {}) => {
+  const interval = options.sampleIntervalMs ?? DEFAULT_OPTIONS.SAMPLE_INTERVAL_MS;
+  const last = samples[samples.length - 1];
+  if (last && sample.t - last.t < interval && sample.phase === last.phase) return samples;
+  return [...samples, sample];
+};
+
+// Add a live sample and drop the ones that have left the window
+export const appendLiveSample = (samples, sample, options = {}) => {
+  const windowMs = options.windowMs ?? DEFAULT_OPTIONS.WINDOW_MS;
+  const next = appendSample(samples, sample, options);
+  if (next === samples) return samples;
+
+  const firstKept = next.findIndex(item => sample.t - item.t <= windowMs);
+  return firstKept > 0 ? next.slice(firstKept) : next;
+};
+
+// Work out the charts for an exercise: one per left/right pair from its `asymmetry`
+// pairs (both sides in one chart), then one for each remaining angle.
+// Returns [{ id, title, lines: [{ angle, label, color }] }].
+export const getAngleCharts = (definition) => {
+  const pairs = Object.entries(definition.asymmetry?.pairs || {});
+  const paired = pairs.flatMap(([, sides]) => sides);
+  const title = name => name.charAt(0).toUpperCase() + name.slice(1);
+
+  return [
+    ...pairs.map(([joint, [left, right]]) => ({
+      id: joint,
+      title: title(joint),
+      lines: [
+        { angle: left, label: 'Left', color: LINE_COLORS[0] },
+        { angle: right, label: 'Right', color: LINE_COLORS[1] }
+      ]
+    })),
+    ...Object.keys(definition.angles)
+      .filter(name => !paired.includes(name))
+      .map(name => ({ id: name, title: title(name), lines: [{ angle: name, label: title(name), color: LINE_COLORS[0] }] }))
+  ];
+};
+
+// Get the threshold guide lines for a chart's angles from the checks that test them.
+// Returns [{ name, value, bound: 'min' | 'max', phases }], one per threshold, using any
+// calibrated `thresholds` overrides.
+export const getThresholdLines = (definition, angleNames, thresholds = {}) => {
+  const lines = new Map();
+
+  definition.checks
+    .filter(check => check.metrics.some(metric => angleNames.includes(metric)))
+    .forEach((check) => {
+      ['min', 'max'].forEach((bound) => {
+        const name = check[bound];
+        if (name === undefined) return;
+
+        const existing = lines.get(name);
+        const phases = [...new Set([...(existing ? existing.phases : []), ...check.phases])];
+        lines.set(name, { name, value: resolveThreshold(definition, name, thresholds), bound, phases });
+      });
+    });
+
+  return Array.from(lines.values());
+};
+
+// Group consecutive samples in the same phase into bands: [{ phase, start, end }]
+export const getPhaseBands = (samples) => {
+  const bands = [];
+  samples.forEach((sample, i) => {
+    const end = samples[i + 1] ? samples[i + 1].t : sample.t;
+    const last = bands[bands.length - 1];
+    if (last && last.phase === sample.phase) {
+      last.end = end;
+    } else {
+      bands.push({ phase: sample.phase, start: sample.t, end });
+    }
+  });
+  return bands;
+};
+
+// Pick a y range covering the plotted angles and guide lines, padded and rounded out to
+// tens of degrees
+export const getAngleRange = (samples, angleNames, lines = []) => {
+  const values = [
+    ...samples.flatMap(sample => angleNames.map(name => sample.angles[name]).filter(Number.isFinite)),
+    ...lines.map(line => line.value)
+  ];
+  if (values.length === 0) return { min: 0, max: 180 };
+
+  return {
+    min: Math.max(0, Math.floor((Math.min(...values) - 5) / 10) * 10),
+    max: Math.min(180, Math.ceil((Math.max(...values) + 5) / 10) * 10)
+  };
+};
@@ -0,0 +1,211 @@
+/**
+ * Left/right asymmetry for bilateral exercises: compares paired joint angles, and
+ * measures sideways hip shift and shoulder tilt, over each rep, then flags imbalances
+ * that persist across a set or session.
+ *
+ * A definition opts in with an `asymmetry` object:
+ *   asymmetry: {
+ *     pairs: { knee: ['leftKnee', 'rightKnee'] }, // angle names from `angles`
+ *     hipShift: true,     // hips drifting sideways over the feet
+ *     shoulderTilt: true  // one shoulder dropping below the other
+ *   }
+ * Hip shift and shoulder tilt need some of the front of the body, so they aren't
+ * measured in frames seen side on.
+ */
+import { calculate3DDistance, getMidpoint, getNamedLandmarks, isPointVisible, toFrameUnits } from './poseUtils.js';
+import { CAMERA_VIEWS, getBodyOrientation } from './cameraSetup.js';
+
+// Kinds of imbalance
+export const ASYMMETRY_TYPES = {
+  ANGLE: 'angle',
+  HIP_SHIFT: 'hipShift',
+  SHOULDER_TILT: 'shoulderTilt'
+};
+
+// Default asymmetry settings
+const DEFAULT_OPTIONS = {
+  // Average left/right difference in a paired angle over a rep that counts as uneven (degrees)
+  ANGLE_DIFF: 8,
+
+  // Average sideways hip shift over a rep that counts as uneven (fraction of torso length)
+  HIP_SHIFT: 0.06,
+
+  // Average shoulder tilt over a rep that counts as uneven (degrees)
+  SHOULDER_TILT: 4,
+
+  // Fraction of measured reps that must be uneven the same way for a persistent imbalance
+  PERSISTENT_FRACTION: 0.6,
+
+  // Measured reps needed before judging whether an imbalance persists
+  MIN_REPS: 3,
+
+  // Minimum visibility for a landmark to be used
+  MIN_VISIBILITY: 0.5
+};
+
+// Get the landmarks a definition's angle is measured from
+const getAnglePoints = (definition, name) => definition.angles[name].points;
+
+// Sideways shift of the hips over the ankles, along the line from the right hip to the
+// left hip (positive towards the user's left), relative to torso length. Measured in 3D
+// so the hips moving back in a squat seen at an angle don't count as a shift.
+const measureHipShift = ({ leftHip, rightHip, leftAnkle, rightAnkle, leftShoulder, rightShoulder }) => {
+  const hipWidth = calculate3DDistance(leftHip, rightHip);
+  const torso = calculate3DDistance(getMidpoint(leftShoulder, rightShoulder), getMidpoint(leftHip, rightHip));
+  if (hipWidth === 0 || torso === 0) return null;
+
+  const hips = getMidpoint(leftHip, rightHip);
+  const ankles = getMidpoint(leftAnkle, rightAnkle);
+  const towardsLeft = ['x', 'y', 'z'].reduce((sum, axis) => sum + (hips[axis] - ankles[axis]) * (leftHip[axis] - rightHip[axis]), 0) / hipWidth;
+  return towardsLeft / torso;
+};
+
+// Angle of the shoulder line from horizontal (positive when the left shoulder is lower),
+// in the frame's true proportions
+const measureShoulderTilt = (named, aspectRatio) => {
+  const left = toFrameUnits(named.leftShoulder, aspectRatio);
+  const right = toFrameUnits(named.rightShoulder, aspectRatio);
+  return Math.atan2(left.y - right.y, Math.abs(left.x - right.x)) * 180 / Math.PI;
+};
+
+// Measure one frame: the left minus right difference of each paired angle (from
+// `angles`, the evaluation's measured angles), hip shift and shoulder tilt. Values that
+// can't be measured in this frame are null. Returns null for definitions without `asymmetry`.
+// Pass `options.aspectRatio` for frames that aren't square (see getAspectRatio).
+export const measureAsymmetry = (definition, landmarks, angles, options = {}) => {
+  const spec = definition.asymmetry;
+  const named = getNamedLandmarks(landmarks);
+  if (!spec || !named || !angles) return null;
+
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const visible = names => names.every(name => isPointVisible(named[name], config.MIN_VISIBILITY));
+
+  const pairs = {};
+  Object.entries(spec.pairs || {}).forEach(([joint, [left, right]]) => {
+    const measurable = visible([...getAnglePoints(definition, left), ...getAnglePoints(definition, right)]) &&
+      Number.isFinite(angles[left]) && Number.isFinite(angles[right]);
+    pairs[joint] = measurable ? angles[left] - angles[right] : null;
+  });
+
+  const frontVisible = visible(['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip']) &&
+    getBodyOrientation(landmarks, { aspectRatio: config.aspectRatio }).view !== CAMERA_VIEWS.SIDE;
+
+  return {
+    pairs,
+    hipShift: spec.hipShift && frontVisible && visible(['leftAnkle', 'rightAnkle']) ? measureHipShift(named) : null,
+    shoulderTilt: spec.shoulderTilt && frontVisible ? measureShoulderTilt(named, config.aspectRatio) : null
+  };
+};
+
+// Create an empty per-rep accumulator
+export const createAsymmetryAccumulator = () => ({ pairs: {}, hipShift: null, shoulderTilt: null });
+
+// Add a value to a running { sum, count }
+const accumulate = (total, value) => {
+  if (value === null || !Number.isFinite(value)) return total;
+  return total ? { sum: total.sum + value, count: total.count + 1 } : { sum: value, count: 1 };
+};
+
+// Add one frame's measurements (from measureAsymmetry) to the rep's accumulator
+export const addAsymmetryFrame = (accumulator, measurement) => {
+  if (!measurement) return accumulator;
+
+  const pairs = { ...accumulator.pairs };
+  Object.entries(measurement.pairs).forEach(([joint, diff]) => {
+    pairs[joint] = accumulate(pairs[joint], diff);
+  });
+
+  return {
+    pairs,
+    hipShift: accumulate(accumulator.hipShift, measurement.hipShift),
+    shoulderTilt: accumulate(accumulator.shoulderTilt, measurement.shoulderTilt)
+  };
+};
+
+const average = (total, decimals) => {
+  if (!total) return null;
+  const factor = 10 ** decimals;
+  return Math.round(total.sum / total.count * factor) / factor;
+};
+
+// Summarise a rep's accumulator as averages: { pairs: { knee: 4.2 }, hipShift, shoulderTilt },
+// or null when nothing was measured
+export const summarizeRepAsymmetry = (accumulator) => {
+  const pairs = Object.fromEntries(Object.entries(accumulator.pairs).map(([joint, total]) => [joint, average(total, 1)]));
+  const summary = {
+    pairs,
+    hipShift: average(accumulator.hipShift, 3),
+    shoulderTilt: average(accumulator.shoulderTilt, 1)
+  };
+
+  const measured = Object.values(pairs).some(value => value !== null) ||
+    summary.hipShift !== null || summary.shoulderTilt !== null;
+  return measured ? summary : null;
+};
+
+// Find the largest imbalance in one rep's summary relative to its limit. Returns
+// { type, joint, value, ratio } with `ratio` 1 at the limit, or null when nothing was measured.
+export const getWorstAsymmetry = (summary, options = {}) => {
+  if (!summary) return null;
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const measures = [
+    ...Object.entries(summary.pairs).map(([joint, value]) => ({ type: ASYMMETRY_TYPES.ANGLE, joint, value, limit: config.ANGLE_DIFF })),
+    { type: ASYMMETRY_TYPES.HIP_SHIFT, joint: null, value: summary.hipShift, limit: config.HIP_SHIFT },
+    { type: ASYMMETRY_TYPES.SHOULDER_TILT, joint: null, value: summary.shoulderTilt, limit: config.SHOULDER_TILT }
+  ].filter(measure => Number.isFinite(measure.value));
+
+  return measures.reduce((worst, { type, joint, value, limit }) => {
+    const ratio = Math.abs(value) / limit;
+    return worst && worst.ratio >= ratio ? worst : { type, joint, value, ratio };
+  }, null);
+};
+
+// Check one measurement across reps: persistent when enough measured reps are uneven the
+// same way. Every measurement is positive towards the left (see measureAsymmetry).
+const findPersistent = (values, limit, config) => {
+  const measured = values.filter(value => value !== null && value !== undefined);
+  if (measured.length < config.MIN_REPS) return null;
+
+  const needed = Math.ceil(measured.length * config.PERSISTENT_FRACTION);
+  const positive = measured.filter(value => value > limit);
+  const negative = measured.filter(value => value < -limit);
+  const uneven = positive.length >= needed ? positive : negative.length >= needed ? negative : null;
+  if (!uneven) return null;
+
+  return {
+    side: uneven === positive ? 'left' : 'right',
+    value: Math.abs(uneven.reduce((sum, value) => sum + value, 0) / uneven.length),
+    reps: uneven.length,
+    measuredReps: measured.length
+  };
+};
+
+// Find persistent imbalances over a group of reps (each with the `asymmetry` summary from
+// the rep counter). Returns a list of { type, joint, side, value, reps, measuredReps }:
+// for angles `side` bends less, for hip shift the hips move towards it and for shoulder
+// tilt it is the lower shoulder.
+export const getAsymmetryReport = (reps, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const summaries = reps.map(rep => rep.asymmetry).filter(Boolean);
+  const joints = [...new Set(summaries.flatMap(summary => Object.keys(summary.pairs)))];
+  const report = [];
+
+  // A larger angle on the left means the left joint bends less
+  joints.forEach((joint) => {
+    const found = findPersistent(summaries.map(summary => summary.pairs[joint]), config.ANGLE_DIFF, config);
+    if (found) report.push({ type: ASYMMETRY_TYPES.ANGLE, joint, ...found });
+  });
+
+  const hipShift = findPersistent(summaries.map(summary => summary.hipShift), config.HIP_SHIFT, config);
+  if (hipShift) report.push({ type: ASYMMETRY_TYPES.HIP_SHIFT, joint: null, ...hipShift });
+
+  const shoulderTilt = findPersistent(summaries.map(summary => summary.shoulderTilt), config.SHOULDER_TILT, config);
+  if (shoulderTilt) report.push({ type: ASYMMETRY_TYPES.SHOULDER_TILT, joint: null, ...shoulderTilt });
+
+  return report;
+};
+
+// Find persistent imbalances within each set
+export const getSetAsymmetry = (sets, reps, options = {}) => {
+  return sets.map(set => getAsymmetryReport(reps.filter(rep => rep.set === set.number), options));
+};
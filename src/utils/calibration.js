@@ -0,0 +1,263 @@
+/**
+ * Guided calibration: the user holds the start position still, then does a few slow
+ * reps. From that baseline we measure their segment lengths and range of motion and
+ * derive personal thresholds and phase cut-offs, passed to the engine as
+ * `options.thresholds`.
+ *
+ * A definition opts in with a `calibration` object whose `thresholds` map threshold
+ * names to how each is derived:
+ * - { metrics, at: 'start' | 'bottom', offset }: the metrics' average in the start
+ *   position or at the bottom of the reps, plus `offset`
+ * - { metrics, fraction }: `fraction` of the way from the start value to the bottom value
+ * - { scaleBy: segment }: the default threshold scaled by the user's segment length
+ *   against the reference body (for normalised distances that depend on body size and
+ *   camera distance)
+ * Each may set `limits: [min, max]` to keep the result within a safe range, so a
+ * calibration can't make poor form acceptable. Thresholds that can't be measured keep
+ * their default.
+ */
+import { areLandmarksVisible, measureMetrics, resolveThreshold } from './exerciseEngine.js';
+import { calculateDistance, getMidpoint, getNamedLandmarks, isPointVisible } from './poseUtils.js';
+import { DEFAULT_PROPORTIONS } from './poseGenerator.js';
+
+// Calibration steps, in order
+export const CALIBRATION_STEPS = {
+  STILL: 'still',
+  REPS: 'reps',
+  DONE: 'done'
+};
+
+// Default calibration settings
+const DEFAULT_OPTIONS = {
+  // How long the start position must be held still (milliseconds)
+  STILL_DURATION_MS: 2000,
+
+  // How far (normalised) any required landmark may drift while holding still
+  STILL_TOLERANCE: 0.02,
+
+  // Reps to record
+  REPS: 2,
+
+  // How far (degrees) the phase angles must drop below the start position to count as a rep
+  MIN_REP_RANGE: 30,
+
+  // A rep ends when the phase angles are back within this many degrees of the start position
+  REP_RETURN_MARGIN: 15
+};
+
+// Standing height (normalised image units) the default thresholds assume, as in the
+// pose generator's default view
+const REFERENCE_HEIGHT = 0.8;
+
+// Body segments measured while holding still, as pairs of points (averaged over sides)
+const SEGMENTS = {
+  upperArm: [['leftShoulder', 'leftElbow'], ['rightShoulder', 'rightElbow']],
+  forearm: [['leftElbow', 'leftWrist'], ['rightElbow', 'rightWrist']],
+  torso: [['midShoulder', 'midHip']],
+  thigh: [['leftHip', 'leftKnee'], ['rightHip', 'rightKnee']],
+  shin: [['leftKnee', 'leftAnkle'], ['rightKnee', 'rightAnkle']],
+  shoulderWidth: [['leftShoulder', 'rightShoulder']],
+  hipWidth: [['leftHip', 'rightHip']]
+};
+
+const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Average each key over a list of { key: number } objects, skipping missing values
+const averageEach = (samples) => {
+  const result = {};
+  const keys = new Set(samples.flatMap(sample => Object.keys(sample)));
+  keys.forEach((key) => {
+    const values = samples.map(sample => sample[key]).filter(value => value !== undefined);
+    if (values.length > 0) result[key] = average(values);
+  });
+  return result;
+};
+
+// Measure the visible body segments in one frame (normalised image distances)
+const measureSegments = (landmarks) => {
+  const named = getNamedLandmarks(landmarks);
+  if (!named) return {};
+
+  const points = {
+    ...named,
+    midShoulder: getMidpoint(named.leftShoulder, named.rightShoulder),
+    midHip: getMidpoint(named.leftHip, named.rightHip)
+  };
+  const segments = {};
+
+  Object.entries(SEGMENTS).forEach(([name, pairs]) => {
+    const lengths = pairs
+      .filter(([a, b]) => isPointVisible(points[a]) && isPointVisible(points[b]))
+      .map(([a, b]) => calculateDistance(points[a], points[b]));
+    if (lengths.length > 0) segments[name] = average(lengths);
+  });
+
+  return segments;
+};
+
+// Check whether any required landmark has moved further than `tolerance` from `anchor`
+const hasMoved = (definition, anchor, landmarks, tolerance) => {
+  const named = getNamedLandmarks(landmarks);
+  const anchorNamed = getNamedLandmarks(anchor);
+  return definition.requiredLandmarks.some(name => (
+    calculateDistance(named[name], anchorNamed[name]) > tolerance
+  ));
+};
+
+// Average of the named metrics, or null if any is missing
+const averageMetrics = (names, metrics) => {
+  const values = names.map(name => metrics[name]);
+  return values.some(value => value === undefined) ? null : average(values);
+};
+
+// Average of the angles that drive the phase state machine
+const getPhaseAngle = (definition, metrics) => averageMetrics(definition.phaseDetection.angles, metrics);
+
+// Create the state threaded through updateCalibration
+export const createCalibrationState = () => ({
+  step: CALIBRATION_STEPS.STILL,
+  stillAnchor: null, // { timestamp, landmarks } where the current still stretch began
+  stillFrames: [], // { metrics, segments } per frame of the current still stretch
+  start: null, // averaged metrics in the start position
+  segments: null, // averaged segment lengths
+  currentRep: null, // { angle, metrics } at the lowest point of the rep in progress
+  reps: [] // metrics at the bottom of each recorded rep
+});
+
+// Hold-still step: wait for a still stretch long enough, then record the start position
+const updateStill = (definition, state, landmarks, timestamp, config) => {
+  if (!areLandmarksVisible(definition, landmarks)) {
+    return { ...state, stillAnchor: null, stillFrames: [] };
+  }
+
+  const frame = { metrics: measureMetrics(definition, landmarks), segments: measureSegments(landmarks) };
+
+  if (!state.stillAnchor || hasMoved(definition, state.stillAnchor.landmarks, landmarks, config.STILL_TOLERANCE)) {
+    return { ...state, stillAnchor: { timestamp, landmarks }, stillFrames: [frame] };
+  }
+
+  const stillFrames = [...state.stillFrames, frame];
+  if (timestamp - state.stillAnchor.timestamp < config.STILL_DURATION_MS) {
+    return { ...state, stillFrames };
+  }
+
+  return {
+    ...state,
+    step: CALIBRATION_STEPS.REPS,
+    stillAnchor: null,
+    stillFrames: [],
+    start: averageEach(stillFrames.map(f => f.metrics)),
+    segments: averageEach(stillFrames.map(f => f.segments))
+  };
+};
+
+// Reps step: follow the phase angles down and back up, recording each rep's lowest frame
+const updateReps = (definition, state, landmarks, config) => {
+  if (!areLandmarksVisible(definition, landmarks)) return state;
+
+  const metrics = measureMetrics(definition, landmarks);
+  const angle = getPhaseAngle(definition, metrics);
+  const startAngle = getPhaseAngle(definition, state.start);
+  if (angle === null || startAngle === null) return state;
+
+  const { currentRep } = state;
+
+  if (!currentRep) {
+    return angle < startAngle - config.MIN_REP_RANGE ? { ...state, currentRep: { angle, metrics } } : state;
+  }
+
+  if (angle < currentRep.angle) {
+    return { ...state, currentRep: { angle, metrics } };
+  }
+
+  if (angle > startAngle - config.REP_RETURN_MARGIN) {
+    const reps = [...state.reps, currentRep.metrics];
+    return {
+      ...state,
+      step: reps.length >= config.REPS ? CALIBRATION_STEPS.DONE : CALIBRATION_STEPS.REPS,
+      currentRep: null,
+      reps
+    };
+  }
+
+  return state;
+};
+
+// Advance the calibration by one frame of landmarks
+export const updateCalibration = (definition, state, landmarks, timestamp, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  switch (state.step) {
+    case CALIBRATION_STEPS.STILL:
+      return updateStill(definition, state, landmarks, timestamp, config);
+    case CALIBRATION_STEPS.REPS:
+      return updateReps(definition, state, landmarks, config);
+    default:
+      return state;
+  }
+};
+
+// Get how far along the calibration is, for display: the step, the fraction of the
+// still hold done and the reps recorded out of those needed
+export const getCalibrationProgress = (state, timestamp, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const stillMs = state.stillAnchor ? timestamp - state.stillAnchor.timestamp : 0;
+
+  return {
+    step: state.step,
+    stillProgress: state.step === CALIBRATION_STEPS.STILL ? Math.min(1, stillMs / config.STILL_DURATION_MS) : 1,
+    reps: state.reps.length,
+    repsNeeded: config.REPS
+  };
+};
+
+// Derive one threshold from its spec, or null if it can't be measured
+const deriveThreshold = (definition, name, spec, measured) => {
+  let value;
+
+  if (spec.scaleBy) {
+    const segment = measured.segments[spec.scaleBy];
+    if (segment === undefined) return null;
+    const reference = DEFAULT_PROPORTIONS[spec.scaleBy] * REFERENCE_HEIGHT;
+    value = resolveThreshold(definition, name) * segment / reference;
+  } else {
+    const start = averageMetrics(spec.metrics, measured.start);
+    const bottom = averageMetrics(spec.metrics, measured.bottom);
+
+    if (spec.fraction !== undefined) {
+      if (start === null || bottom === null) return null;
+      value = start + (bottom - start) * spec.fraction;
+    } else {
+      const base = spec.at === 'bottom' ? bottom : start;
+      if (base === null) return null;
+      value = base + (spec.offset ?? 0);
+    }
+  }
+
+  if (spec.limits) {
+    const [min, max] = spec.limits;
+    value = Math.min(max, Math.max(min, value));
+  }
+  return value;
+};
+
+// Derive personal thresholds from a finished calibration. Returns
+// { thresholds, segments, start, bottom }, ready to store on a profile.
+export const deriveCalibration = (definition, state) => {
+  if (!definition.calibration) {
+    throw new Error(`Exercise "${definition.id}" does not support calibration`);
+  }
+  if (state.step !== CALIBRATION_STEPS.DONE) {
+    throw new Error('Calibration is not finished');
+  }
+
+  const measured = { start: state.start, bottom: averageEach(state.reps), segments: state.segments };
+  const thresholds = {};
+
+  Object.entries(definition.calibration.thresholds).forEach(([name, spec]) => {
+    const value = deriveThreshold(definition, name, spec, measured);
+    if (value !== null) thresholds[name] = value;
+  });
+
+  return { thresholds, ...measured };
+};
@@ -0,0 +1,192 @@
+/**
+ * Camera setup assistant: before evaluation starts, checks from landmark visibility and
+ * the body's bounding box that the whole body is in frame, at a usable distance and
+ * seen from the angle the exercise needs, with guidance for fixing whatever fails.
+ *
+ * A definition's optional `setup.views` lists the acceptable body orientations
+ * (see CAMERA_VIEWS); without it any orientation is accepted.
+ *
+ * Landmarks are normalised separately by the frame's width and height, so pass
+ * `options.aspectRatio` (width / height, see getAspectRatio) for frames that aren't
+ * square; shapes and sizes are then compared in true proportions.
+ */
+import { calculateDistance, getMidpoint, getNamedLandmarks, isPointVisible, toFrameUnits } from './poseUtils.js';
+
+// Body orientations relative to the camera
+export const CAMERA_VIEWS = {
+  FRONT: 'front',
+  ANGLED: 'angled',
+  SIDE: 'side'
+};
+
+// Setup checks, in the order their guidance is given
+export const SETUP_CHECKS = {
+  FRAMING: 'framing',
+  ORIENTATION: 'orientation',
+  DISTANCE: 'distance'
+};
+
+// Default camera setup settings
+const DEFAULT_OPTIONS = {
+  // Landmarks closer than this to the edge of the frame count as cut off (normalised)
+  EDGE_MARGIN: 0.02,
+
+  // The longer side of the body's bounding box (nose to ankles) as a fraction of the
+  // frame: below the minimum is too far away, above the maximum too close
+  MIN_BODY_FILL: 0.45,
+  MAX_BODY_FILL: 0.85,
+
+  // Shoulder and hip width relative to torso length: above FRONT_RATIO the body faces
+  // the camera (turned less than about 35 degrees), below SIDE_RATIO it is side on
+  // (turned more than about 70 degrees)
+  FRONT_RATIO: 0.65,
+  SIDE_RATIO: 0.27,
+
+  // How long every check must pass before evaluation starts (milliseconds)
+  HOLD_MS: 1000,
+
+  // Minimum visibility for a landmark to count as in view
+  MIN_VISIBILITY: 0.5
+};
+
+// Landmarks that must be in frame for any exercise
+const FULL_BODY_LANDMARKS = ['nose', 'leftShoulder', 'rightShoulder', 'leftHip', 'rightHip',
+  'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'];
+
+// Typical width-to-torso ratio facing the camera (average of shoulder and hip width,
+// after Drillis and Contini), used to estimate how far the body is turned
+const FRONTAL_WIDTH_RATIO = 0.78;
+
+const LOWER_BODY = ['leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle', 'leftHeel', 'rightHeel', 'leftFootIndex', 'rightFootIndex'];
+
+// Get the landmarks an exercise needs in frame
+const getSetupLandmarks = definition => [...new Set([...FULL_BODY_LANDMARKS, ...definition.requiredLandmarks])];
+
+// Framing: every needed landmark visible and away from the edges of the frame. Guidance
+// is for a mirrored (selfie) view, so "left" is the user's left.
+const checkFraming = (named, names, config) => {
+  const margin = config.EDGE_MARGIN;
+  const missing = names.filter(name => !isPointVisible(named[name], config.MIN_VISIBILITY));
+  const inView = names.filter(name => !missing.includes(name)).map(name => named[name]);
+
+  const cutBottom = missing.some(name => LOWER_BODY.includes(name)) || inView.some(point => point.y > 1 - margin);
+  const cutTop = missing.includes('nose') || inView.some(point => point.y < margin);
+  const cutLeft = inView.some(point => point.x < margin);
+  const cutRight = inView.some(point => point.x > 1 - margin);
+
+  let message = null;
+  if (cutBottom && cutTop) message = 'Step back so your whole body is in view';
+  else if (cutBottom) message = 'Step back or tilt the camera down so your feet are in view';
+  else if (cutTop) message = 'Step back or tilt the camera up so your head is in view';
+  else if (cutLeft) message = 'Move to your left';
+  else if (cutRight) message = 'Move to your right';
+  else if (missing.length > 0) message = 'Make sure your whole body is clearly visible';
+
+  return { id: SETUP_CHECKS.FRAMING, passed: message === null, message };
+};
+
+// Distance: the body's bounding box should fill a good part of the frame along its
+// longer side, judged in true proportions
+const checkDistance = (named, names, config) => {
+  const points = names.map(name => named[name]).filter(point => isPointVisible(point, config.MIN_VISIBILITY));
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const width = Math.max(...xs) - Math.min(...xs);
+  const height = Math.max(...ys) - Math.min(...ys);
+  const fill = width * (config.aspectRatio ?? 1) > height ? width : height;
+
+  let message = null;
+  if (fill < config.MIN_BODY_FILL) message = 'Step closer to the camera';
+  else if (fill > config.MAX_BODY_FILL) message = 'Step back from the camera';
+
+  return { id: SETUP_CHECKS.DISTANCE, passed: message === null, message, fill };
+};
+
+// Estimate the body's orientation from how wide the shoulders and hips look compared
+// with the torso. Returns the view, the estimated turn from facing the camera (degrees)
+// and which way the body is turned ('left' or 'right', from the user's point of view).
+export const getBodyOrientation = (landmarks, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const named = getNamedLandmarks(landmarks);
+  if (!named) return null;
+
+  const [leftShoulder, rightShoulder, leftHip, rightHip] = [named.leftShoulder, named.rightShoulder, named.leftHip, named.rightHip]
+    .map(point => toFrameUnits(point, config.aspectRatio));
+  const torso = calculateDistance(getMidpoint(leftShoulder, rightShoulder), getMidpoint(leftHip, rightHip)) || 1;
+  const width = (calculateDistance(leftShoulder, rightShoulder) + calculateDistance(leftHip, rightHip)) / 2;
+  const ratio = width / torso;
+
+  let view = CAMERA_VIEWS.ANGLED;
+  if (ratio > config.FRONT_RATIO) view = CAMERA_VIEWS.FRONT;
+  else if (ratio < config.SIDE_RATIO) view = CAMERA_VIEWS.SIDE;
+
+  // Turning left brings the right shoulder towards the camera (smaller z)
+  const turned = rightShoulder.z + rightHip.z < leftShoulder.z + leftHip.z ? 'left' : 'right';
+  const yaw = Math.acos(Math.min(1, ratio / FRONTAL_WIDTH_RATIO)) * 180 / Math.PI;
+
+  return { view, yaw, turned, ratio };
+};
+
+// Round a turn to the nearest 15 degrees for guidance
+const roundTurn = degrees => Math.max(15, Math.round(degrees / 15) * 15);
+
+// Orientation: the body should face the camera the way the exercise needs
+const checkOrientation = (landmarks, views, config) => {
+  const orientation = getBodyOrientation(landmarks, config);
+  if (!views || views.includes(orientation.view)) {
+    return { id: SETUP_CHECKS.ORIENTATION, passed: true, message: null, view: orientation.view };
+  }
+
+  let message;
+  if (views.includes(CAMERA_VIEWS.SIDE) || views.includes(CAMERA_VIEWS.ANGLED)) {
+    // Keep turning the way the body is already turned
+    const target = views.includes(CAMERA_VIEWS.ANGLED) ? 45 : 90;
+    message = `Turn about ${roundTurn(target - orientation.yaw)}° to your ${orientation.turned}`;
+  } else {
+    message = 'Turn to face the camera';
+  }
+
+  return { id: SETUP_CHECKS.ORIENTATION, passed: false, message, view: orientation.view };
+};
+
+// Check one frame of landmarks against what the exercise needs. Returns
+// { passed, checks, guidance }, where `guidance` is the message of the first failing check.
+export const checkCameraSetup = (definition, landmarks, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const named = getNamedLandmarks(landmarks);
+  if (!named) {
+    return { passed: false, checks: [], guidance: 'Step into the camera view' };
+  }
+
+  const names = getSetupLandmarks(definition);
+  const checks = [
+    checkFraming(named, names, config),
+    checkOrientation(landmarks, definition.setup?.views, config),
+    checkDistance(named, names, config)
+  ];
+  const failing = checks.find(check => !check.passed);
+
+  return { passed: !failing, checks, guidance: failing ? failing.message : null };
+};
+
+// Create the state threaded through updateCameraSetup
+export const createCameraSetupState = () => ({
+  passedSince: null,
+  isComplete: false,
+  result: null
+});
+
+// Check a frame and track how long setup has passed; setup completes once every check
+// has passed for HOLD_MS and then stays complete
+export const updateCameraSetup = (definition, state, landmarks, timestamp, options = {}) => {
+  if (state.isComplete) return state;
+
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const result = checkCameraSetup(definition, landmarks, config);
+  if (!result.passed) {
+    return { passedSince: null, isComplete: false, result };
+  }
+
+  const passedSince = state.passedSince ?? timestamp;
+  return { passedSince, isComplete: timestamp - passedSince >= config.HOLD_MS, result };
+};
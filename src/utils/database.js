@@ -0,0 +1,68 @@
+/**
+ * The app's IndexedDB database, shared by the session history and user profiles so it
+ * works offline
+ */
+
+const DB_NAME = 'realfy-oasis';
+const DB_VERSION = 2;
+
+export const SESSION_STORE = 'sessions';
+export const PROFILE_STORE = 'profiles';
+
+// Schema changes, one per database version; each runs once when upgrading past it
+const MIGRATIONS = [
+  // 1: workout sessions
+  (db) => {
+    const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('startedAt', 'startedAt');
+    store.createIndex('exerciseType', 'exerciseType');
+  },
+  // 2: user profiles with per-exercise calibrations
+  (db) => {
+    db.createObjectStore(PROFILE_STORE, { keyPath: 'id', autoIncrement: true });
+  }
+];
+
+// Open the database, creating or upgrading the object stores as needed
+const openDatabase = () => {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      MIGRATIONS.slice(event.oldVersion).forEach(migrate => migrate(db));
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Run a single request against an object store and resolve with its result
+export const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+    // Quota errors and explicit aborts only fire abort, not error
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error || new Error(`Transaction on ${storeName} was aborted`));
+    };
+  });
+};
@@ -0,0 +1,397 @@
+/**
+ * Generic phase detection and form evaluation driven by declarative exercise definitions
+ *
+ * An exercise definition is a plain object describing:
+ * - mode (optional): 'reps' (default) for rep-based movements, or 'hold' for
+ *   isometric exercises timed while the user holds a position
+ * - phases: ordered list of { id, role, description }, where role is one of
+ *   'start', 'descending', 'bottom' or 'ascending' ('start' and 'hold' for holds)
+ * - thresholds: named numeric limits, referenced by name from phaseDetection and checks
+ * - angles: joint angles to measure and display, keyed by name
+ * - offsets: normalised distances between landmarks, keyed by name
+ * - phaseDetection: which angles drive the phase state machine and how; with
+ *   type 'position' the user is in the 'hold' phase while the averaged angles
+ *   stay between the min and max thresholds
+ * - requiredLandmarks: landmarks that must be visible to evaluate form
+ * - checks: per-phase threshold checks, each with the issue `code` and `message` to
+ *   report and an optional `severity` (see formIssues)
+ * - tips and referencePoses for the UI
+ * - referenceMotion (optional): keyframes of an ideal rep for the 3D view's reference
+ *   ghost, see referenceMotion
+ * - filtering (optional): landmark smoothing settings and phase hysteresis, see
+ *   exercisePipeline
+ * - setup (optional): `views`, the body orientations the camera may see, see cameraSetup
+ * - asymmetry (optional): left/right angle pairs to compare and whether to measure hip
+ *   shift and shoulder tilt, see asymmetry
+ * - scoring (optional): rep score weights for depth, alignment, symmetry and tempo, and
+ *   which checks are about depth, see repScore
+ * - calibration (optional): how to derive personal thresholds from a calibration run,
+ *   see calibration
+ * - detectLeadingSide (optional): for single-leg exercises, a function returning
+ *   'left' or 'right' for the leading side, or null when it can't be told; front* and
+ *   rear* landmark aliases (e.g. frontKnee, rearAnkle) then point at the leading and
+ *   trailing side. Form isn't evaluated while the leading side is unknown.
+ */
+import { calculateAngle, calculate3DAngle, calculateDistance, isPointVisible, getMidpoint, getNamedLandmarks } from './poseUtils.js';
+import { LANDMARK_PAIRS } from './landmarkSchema.js';
+import { ISSUE_SEVERITY, TRACKING_ISSUES, compareSeverity } from './formIssues.js';
+
+// Points derived from pairs of landmarks, usable anywhere a landmark name is expected
+const DERIVED_POINTS = {
+  midShoulder: ['leftShoulder', 'rightShoulder'],
+  midHip: ['leftHip', 'rightHip'],
+  midKnee: ['leftKnee', 'rightKnee'],
+  midAnkle: ['leftAnkle', 'rightAnkle'],
+  midEye: ['leftEye', 'rightEye'],
+  midEar: ['leftEar', 'rightEar']
+};
+
+// Default visibility needed for a landmark to be used
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+
+// Minimum horizontal spread (relative to segment length) for a frontal-plane measurement
+const MIN_FRONTAL_SPREAD = 0.15;
+
+// Look up a landmark or derived point by name
+const resolvePoint = (named, name) => {
+  if (named[name]) return named[name];
+
+  const pair = DERIVED_POINTS[name];
+  if (pair && named[pair[0]] && named[pair[1]]) {
+    return getMidpoint(named[pair[0]], named[pair[1]]);
+  }
+
+  return null;
+};
+
+// Resolve a point name to the landmarks it is built from: derived points to their pair,
+// and front*/rear* aliases to the leading or trailing side
+const resolveLandmarkNames = (name, side) => {
+  if (DERIVED_POINTS[name]) return DERIVED_POINTS[name];
+
+  const alias = name.match(/^(front|rear)([A-Z]\w*)$/);
+  if (alias && side) {
+    const isLeft = (alias[1] === 'front') === (side === 'left');
+    return [`${isLeft ? 'left' : 'right'}${alias[2]}`];
+  }
+
+  return [name];
+};
+
+// Add front*/rear* aliases for the leading and trailing side of a single-leg exercise.
+// While the leading side is unknown (e.g. standing with the feet together) the aliases
+// stand in with the left leg so the phase can still be followed, but `side` is null.
+const applyLeadingSide = (definition, named) => {
+  if (!definition.detectLeadingSide) return { named, side: null };
+
+  const side = definition.detectLeadingSide(named);
+  const aliasSide = side || 'left';
+  const aliased = { ...named };
+
+  LANDMARK_PAIRS.forEach(([left, right]) => {
+    if (!left.startsWith('left')) return;
+    const part = left.slice('left'.length);
+    aliased[`front${part}`] = aliasSide === 'left' ? named[left] : named[right];
+    aliased[`rear${part}`] = aliasSide === 'left' ? named[right] : named[left];
+  });
+
+  return { named: aliased, side };
+};
+
+// Get named landmarks, including any leading-side aliases the definition needs
+const getDefinitionLandmarks = (definition, landmarks) => {
+  const named = getNamedLandmarks(landmarks);
+  if (!named) return { named: null, side: null };
+  return applyLeadingSide(definition, named);
+};
+
+// Resolve a threshold given as a number or as the name of a definition threshold.
+// Runtime overrides (e.g. from calibration) take precedence over the definition.
+export const resolveThreshold = (definition, threshold, overrides = {}) => {
+  if (typeof threshold === 'number') return threshold;
+  if (threshold in overrides) return overrides[threshold];
+  if (definition.thresholds && threshold in definition.thresholds) return definition.thresholds[threshold];
+  throw new Error(`Unknown threshold "${threshold}" in exercise "${definition.id}"`);
+};
+
+// Measure a single angle or offset from its spec
+const measure = (spec, named) => {
+  const points = spec.points.map(name => resolvePoint(named, name));
+  if (points.some(point => !point)) return null;
+
+  switch (spec.type) {
+    case 'angle3d':
+      return calculate3DAngle(points[0], points[1], points[2]);
+    case 'angle2d':
+      return calculateAngle(points[0], points[1], points[2]);
+    case 'bend':
+      // How far the line through the three points bends at the middle one, in image
+      // space (0 when they are in line)
+      return 180 - calculateAngle(points[0], points[1], points[2]);
+    case 'fromVertical': {
+      // Angle of base -> tip relative to straight up in image space
+      const [base, tip] = points;
+      return calculateAngle({ x: base.x, y: 0, z: base.z }, base, tip);
+    }
+    case 'fromHorizontal': {
+      // Angle of base -> tip relative to the image horizontal, whichever way the user
+      // faces; positive when the tip is below the base, negative when above
+      const [base, tip] = points;
+      return Math.atan2(tip.y - base.y, Math.abs(tip.x - base.x)) * 180 / Math.PI;
+    }
+    case 'offset': {
+      // Difference along one axis (to - from), optionally as an absolute distance
+      const [from, to] = points;
+      const offset = to[spec.axis] - from[spec.axis];
+      return spec.absolute ? Math.abs(offset) : offset;
+    }
+    case 'inwardDeviation': {
+      // Horizontal distance of the middle joint from the line between its neighbours,
+      // positive towards the reference point (e.g. knee caving towards the other hip),
+      // normalised by the length of the line. Only measurable from the front, so
+      // skipped when the reference is too close horizontally (side view).
+      const [start, middle, end, reference] = points;
+      const length = calculateDistance(start, end) || 1;
+      if (Math.abs(reference.x - start.x) < MIN_FRONTAL_SPREAD * length) return null;
+
+      const t = (middle.y - start.y) / ((end.y - start.y) || 1);
+      const lineX = start.x + t * (end.x - start.x);
+      const inward = Math.sign(reference.x - start.x);
+      return ((middle.x - lineX) * inward) / length;
+    }
+    default:
+      throw new Error(`Unknown measurement type "${spec.type}"`);
+  }
+};
+
+// Measure every spec in a map, skipping ones whose points are missing
+const measureAll = (specs = {}, named) => {
+  const values = {};
+  Object.entries(specs).forEach(([name, spec]) => {
+    const value = measure(spec, named);
+    if (value !== null) values[name] = value;
+  });
+  return values;
+};
+
+// Measure all of a definition's angles and offsets in one frame, or null without landmarks
+export const measureMetrics = (definition, landmarks) => {
+  const { named } = getDefinitionLandmarks(definition, landmarks);
+  if (!named) return null;
+  return { ...measureAll(definition.angles, named), ...measureAll(definition.offsets, named) };
+};
+
+// Check that all listed landmarks are visible
+const allVisible = (named, names, minConfidence) => {
+  return names.every(name => isPointVisible(named[name], minConfidence));
+};
+
+// Check that the landmarks needed to evaluate form are visible
+export const areLandmarksVisible = (definition, landmarks) => {
+  const { named } = getDefinitionLandmarks(definition, landmarks);
+  if (!named) return false;
+
+  const minConfidence = definition.thresholds?.CONFIDENCE_THRESHOLD ?? DEFAULT_CONFIDENCE_THRESHOLD;
+  return allVisible(named, definition.requiredLandmarks, minConfidence);
+};
+
+// Get the phase id that plays a given role in the rep cycle
+export const getPhaseByRole = (definition, role) => {
+  const phase = definition.phases.find(p => p.role === role);
+  return phase ? phase.id : null;
+};
+
+// Get the phase an exercise starts in
+export const getInitialPhase = (definition) => {
+  return getPhaseByRole(definition, 'start') || definition.phases[0].id;
+};
+
+// Get the phases that make up one rep cycle
+export const getRepCycle = (definition) => ({
+  start: getPhaseByRole(definition, 'start'),
+  descending: getPhaseByRole(definition, 'descending'),
+  bottom: getPhaseByRole(definition, 'bottom'),
+  ascending: getPhaseByRole(definition, 'ascending')
+});
+
+// Determine the current phase from the definition's phase detection rules.
+// `value` is the tracked signal (e.g. hip height) to pass back in on the next frame, and
+// `angle` the averaged phase angle it was judged from (unset when it couldn't be measured).
+// `options.hysteresis` damps flicker: `deadband` is how far the tracked signal must move
+// before its direction counts, `angleMargin` how far past a hold range the angles must go
+// before the hold ends.
+export const determinePhase = (definition, landmarks, prevPhase = getInitialPhase(definition), prevValue = null, options = {}) => {
+  const { named } = getDefinitionLandmarks(definition, landmarks);
+  if (!named) return { phase: prevPhase, value: prevValue };
+
+  const detection = definition.phaseDetection;
+
+  // Check if we have all the necessary landmarks with sufficient confidence
+  if (!allVisible(named, detection.requiredLandmarks, DEFAULT_CONFIDENCE_THRESHOLD)) {
+    return { phase: prevPhase, value: prevValue };
+  }
+
+  // Average the angles that drive the phase
+  const angles = detection.angles.map(name => measure(definition.angles[name], named));
+  const avgAngle = angles.reduce((sum, angle) => sum + angle, 0) / angles.length;
+
+  // Isometric holds: in position while the angles stay within range
+  if (detection.type === 'position') {
+    const min = detection.min === undefined ? -Infinity : resolveThreshold(definition, detection.min, options.thresholds);
+    const max = detection.max === undefined ? Infinity : resolveThreshold(definition, detection.max, options.thresholds);
+    const margin = prevPhase === getPhaseByRole(definition, 'hold') ? (options.hysteresis?.angleMargin ?? 0) : 0;
+    const inPosition = avgAngle >= min - margin && avgAngle <= max + margin;
+    return { phase: getPhaseByRole(definition, inPosition ? 'hold' : 'start'), value: avgAngle, angle: avgAngle };
+  }
+
+  // The tracked signal is either a point's height or the averaged angle itself
+  const value = detection.track.type === 'height'
+    ? resolvePoint(named, detection.track.point).y
+    : avgAngle;
+
+  const startAbove = resolveThreshold(definition, detection.startAbove, options.thresholds);
+  const movingBelow = resolveThreshold(definition, detection.movingBelow, options.thresholds);
+  const descendingWhenIncreasing = detection.descendingWhen === 'increasing';
+
+  // Movement within the deadband is treated as noise, and the reference value is only
+  // moved on once the signal leaves it
+  const deadband = options.hysteresis?.deadband ?? 0;
+  const change = prevValue === null ? 0 : value - prevValue;
+  const hasMoved = prevValue === null || Math.abs(change) > deadband;
+
+  const isMovingDown = prevValue === null ||
+    (hasMoved && (descendingWhenIncreasing ? change > 0 : change < 0));
+  const isMovingUp = prevValue !== null &&
+    (hasMoved && (descendingWhenIncreasing ? change < 0 : change > 0));
+
+  let phase = prevPhase;
+
+  // Once past the bottom, any rise is the way back up, even where a shallow rep turns
+  // close to the moving cut-off
+  const isPastBottom = prevPhase === getPhaseByRole(definition, 'bottom');
+
+  // Dropping out of the start position is the start of the descent, so the start-phase
+  // checks don't judge the first part of every rep
+  const isLeavingStart = prevPhase === getPhaseByRole(definition, 'start') && prevValue !== null;
+
+  if (avgAngle > startAbove) {
+    phase = getPhaseByRole(definition, 'start');
+  } else if ((avgAngle < movingBelow || isLeavingStart) && isMovingDown) {
+    phase = getPhaseByRole(definition, 'descending');
+  } else if ((avgAngle < movingBelow || isPastBottom) && isMovingUp) {
+    phase = getPhaseByRole(definition, 'ascending');
+  }
+
+  // The bottom is the first frame the movement reverses after descending
+  if (phase === getPhaseByRole(definition, 'ascending') && prevPhase === getPhaseByRole(definition, 'descending')) {
+    phase = getPhaseByRole(definition, 'bottom');
+  }
+
+  return { phase, value: hasMoved ? value : prevValue, angle: avgAngle };
+};
+
+// Evaluate form for the current phase against the definition's checks. `checked` lists
+// the codes of the checks that could be measured in this frame, passed or not.
+export const evaluateForm = (definition, landmarks, phase, options = {}) => {
+  const { named, side } = getDefinitionLandmarks(definition, landmarks);
+  if (!named) return { isCorrect: false, issues: [TRACKING_ISSUES.NO_LANDMARKS] };
+
+  const minConfidence = resolveThreshold(definition, 'CONFIDENCE_THRESHOLD', options.thresholds);
+  if (!allVisible(named, definition.requiredLandmarks, minConfidence)) {
+    return { isCorrect: false, issues: [TRACKING_ISSUES.LANDMARKS_NOT_VISIBLE] };
+  }
+
+  // Front and rear can't be judged, or credited to a side, until the leading leg is known
+  if (definition.detectLeadingSide && !side) {
+    return { isCorrect: true, issues: [], angles: {}, checked: [] };
+  }
+
+  const angles = measureAll(definition.angles, named);
+  const metrics = { ...angles, ...measureAll(definition.offsets, named) };
+
+  const issues = [];
+  const checked = [];
+
+  definition.checks
+    .filter(check => check.phases.includes(phase))
+    .forEach((check) => {
+      if (check.metrics.some(name => metrics[name] !== undefined)) checked.push(check.code);
+
+      const min = check.min === undefined ? null : resolveThreshold(definition, check.min, options.thresholds);
+      const max = check.max === undefined ? null : resolveThreshold(definition, check.max, options.thresholds);
+      const deviation = value => Math.max(min === null ? 0 : min - value, max === null ? 0 : value - max);
+
+      // Report the measurement furthest out of range, and the landmarks of every one out of range
+      const failing = check.metrics.filter(name => metrics[name] !== undefined && deviation(metrics[name]) > 0);
+      if (failing.length === 0) return;
+
+      const worst = failing.reduce((a, b) => (deviation(metrics[b]) > deviation(metrics[a]) ? b : a));
+      const specs = failing.map(name => definition.angles?.[name] || definition.offsets[name]);
+      const affected = specs.flatMap(spec => spec.points.flatMap(point => resolveLandmarkNames(point, side)));
+
+      issues.push({
+        code: check.code,
+        severity: check.severity || ISSUE_SEVERITY.WARNING,
+        messageKey: `${definition.id}.${check.code}`,
+        message: check.message,
+        landmarks: [...new Set(affected)],
+        metric: worst,
+        value: metrics[worst],
+        range: { min, max },
+        unit: worst in angles ? 'degrees' : 'normalized'
+      });
+    });
+
+  // Most serious issues first
+  issues.sort(compareSeverity);
+
+  const result = {
+    isCorrect: issues.length === 0,
+    issues,
+    angles,
+    checked
+  };
+
+  if (side) {
+    result.side = side;
+  }
+
+  return result;
+};
+
+// Get the joint angles to draw on the overlay: every three-point angle that can be
+// measured, with the image positions of its points ([end, vertex, end]), its value and
+// the allowed range the current phase's checks put on it (null if unchecked).
+// Returns [{ name, points, value, range: { min, max } | null }].
+export const getAngleGuides = (definition, landmarks, phase, options = {}) => {
+  const { named } = getDefinitionLandmarks(definition, landmarks);
+  if (!named) return [];
+
+  const checks = definition.checks.filter(check => check.phases.includes(phase));
+
+  return Object.entries(definition.angles)
+    .filter(([, spec]) => spec.type === 'angle3d' || spec.type === 'angle2d')
+    .map(([name, spec]) => {
+      const points = spec.points.map(point => resolvePoint(named, point));
+      if (points.some(point => !isPointVisible(point, DEFAULT_CONFIDENCE_THRESHOLD))) return null;
+
+      // The tightest range any check puts on this angle
+      let range = null;
+      checks.filter(check => check.metrics.includes(name)).forEach((check) => {
+        const min = check.min === undefined ? null : resolveThreshold(definition, check.min, options.thresholds);
+        const max = check.max === undefined ? null : resolveThreshold(definition, check.max, options.thresholds);
+        range = {
+          min: min === null ? range?.min ?? null : Math.max(min, range?.min ?? -Infinity),
+          max: max === null ? range?.max ?? null : Math.min(max, range?.max ?? Infinity)
+        };
+      });
+
+      return {
+        name,
+        points: points.map(({ x, y }) => ({ x, y })),
+        value: measure(spec, named),
+        range
+      };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,97 @@
+/**
+ * Per-frame exercise pipeline: landmark smoothing, phase detection, form evaluation
+ * and rep counting (or hold timing for isometric exercises)
+ *
+ * Smoothing is on by default. A definition's `filtering` object tunes it:
+ * - landmarks: One-Euro filter, hold and outlier settings (see landmarkFilter)
+ * - hysteresis: phase hysteresis passed to determinePhase ({ deadband, angleMargin })
+ * Pass `options.filtering` to override these per call, or `false` to use raw landmarks.
+ *
+ * Pass `options.targetTempo` (see parseTempo) to check each part of a rep as it finishes;
+ * the result's `tempoFeedback` is set on a frame where a part was too fast. The target
+ * also counts towards each rep's score (see repScore).
+ *
+ * Pass `options.aspectRatio` (the frame's width / height) for frames that aren't square,
+ * so the body's orientation is judged in true proportions (see cameraSetup).
+ */
+import { areLandmarksVisible, determinePhase, evaluateForm, getInitialPhase, getPhaseByRole, getRepCycle } from './exerciseEngine.js';
+import { createRepCounterState, updateRepCounter } from './repCounter.js';
+import { createHoldTimerState, updateHoldTimer } from './holdTimer.js';
+import { createLandmarkFilterState, filterLandmarks } from './landmarkFilter.js';
+import { checkTempoTransition } from './tempo.js';
+import { measureAsymmetry } from './asymmetry.js';
+
+// Create the state threaded through processFrame for one exercise session
+export const createPipelineState = (definition) => ({
+  phase: getInitialPhase(definition),
+  phaseValue: null,
+  repState: createRepCounterState(),
+  holdState: definition.mode === 'hold' ? createHoldTimerState() : null,
+  filterState: createLandmarkFilterState()
+});
+
+// Resolve the smoothing settings for a definition, or null when filtering is disabled
+export const getFilteringConfig = (definition, options = {}) => {
+  if (options.filtering === false || definition.filtering === false) return null;
+
+  const base = definition.filtering || {};
+  const override = options.filtering || {};
+  return {
+    landmarks: { ...base.landmarks, ...override.landmarks },
+    hysteresis: { ...base.hysteresis, ...override.hysteresis }
+  };
+};
+
+// Run one frame of landmarks through the pipeline. The result includes the smoothed
+// landmarks that were evaluated, for drawing.
+export const processFrame = (definition, state, rawLandmarks, timestamp, options = {}) => {
+  const filtering = getFilteringConfig(definition, options);
+
+  let landmarks = rawLandmarks;
+  let filterState = state.filterState;
+  let frameOptions = options;
+
+  if (filtering) {
+    ({ state: filterState, landmarks } = filterLandmarks(state.filterState, rawLandmarks, timestamp, filtering.landmarks));
+    frameOptions = { ...options, hysteresis: filtering.hysteresis };
+  }
+
+  const { phase, value, angle } = determinePhase(definition, landmarks, state.phase, state.phaseValue, frameOptions);
+  const evaluation = evaluateForm(definition, landmarks, phase, frameOptions);
+
+  // Isometric holds time the hold instead of counting reps
+  if (definition.mode === 'hold') {
+    const holdState = updateHoldTimer(state.holdState, {
+      timestamp,
+      inPosition: phase === getPhaseByRole(definition, 'hold'),
+      visible: areLandmarksVisible(definition, landmarks),
+      evaluation
+    }, frameOptions);
+
+    return {
+      state: { ...state, phase, phaseValue: value, holdState, filterState },
+      phase,
+      evaluation,
+      completedRep: null,
+      tempoFeedback: null,
+      landmarks
+    };
+  }
+
+  const { state: repState, completedRep } = updateRepCounter(
+    state.repState,
+    { phase, angle, evaluation, asymmetry: measureAsymmetry(definition, landmarks, evaluation.angles, { aspectRatio: options.aspectRatio }), timestamp },
+    getRepCycle(definition),
+    { ...frameOptions, scoring: definition.scoring }
+  );
+  const tempoFeedback = checkTempoTransition(state.repState.currentRep, repState.currentRep, completedRep, options.targetTempo);
+
+  return {
+    state: { ...state, phase, phaseValue: value, repState, filterState },
+    phase,
+    evaluation,
+    completedRep,
+    tempoFeedback,
+    landmarks
+  };
+};
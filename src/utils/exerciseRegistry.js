@@ -0,0 +1,94 @@
+/**
+ * Registry of exercise definitions available in the app
+ */
+import { squatDefinition } from './squatRules.js';
+import { pushupDefinition } from './pushupRules.js';
+import { lungeDefinition, reverseLungeDefinition } from './lungeRules.js';
+import { plankDefinition, sidePlankDefinition, wallSitDefinition } from './holdRules.js';
+import { CAMERA_VIEWS } from './cameraSetup.js';
+import { SCORE_FACTORS } from './repScore.js';
+
+const exercises = new Map();
+
+const REQUIRED_FIELDS = ['id', 'name', 'phases', 'angles', 'phaseDetection', 'requiredLandmarks', 'checks'];
+
+// Check that a definition has everything the engine and UI rely on
+const validateDefinition = (definition) => {
+  const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Exercise definition "${definition.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  if (!definition.phases.some(phase => phase.role === 'start')) {
+    throw new Error(`Exercise definition "${definition.id}" has no phase with the 'start' role`);
+  }
+
+  if (definition.mode === 'hold' && !definition.phases.some(phase => phase.role === 'hold')) {
+    throw new Error(`Hold exercise "${definition.id}" has no phase with the 'hold' role`);
+  }
+
+  const codes = definition.checks.map(check => check.code);
+  if (codes.some(code => !code)) {
+    throw new Error(`Exercise definition "${definition.id}" has a check without an issue code`);
+  }
+  const duplicate = codes.find((code, index) => codes.indexOf(code) !== index);
+  if (duplicate) {
+    throw new Error(`Exercise definition "${definition.id}" uses issue code "${duplicate}" for more than one check`);
+  }
+
+  const unknownViews = (definition.setup?.views || []).filter(view => !Object.values(CAMERA_VIEWS).includes(view));
+  if (unknownViews.length > 0) {
+    throw new Error(`Exercise definition "${definition.id}" has unknown camera views: ${unknownViews.join(', ')}`);
+  }
+
+  const pairedAngles = Object.values(definition.asymmetry?.pairs || {}).flat();
+  const unknownAngles = pairedAngles.filter(name => !(name in definition.angles));
+  if (unknownAngles.length > 0) {
+    throw new Error(`Exercise definition "${definition.id}" compares unknown angles: ${unknownAngles.join(', ')}`);
+  }
+
+  const unknownFactors = Object.keys(definition.scoring?.weights || {}).filter(factor => !Object.values(SCORE_FACTORS).includes(factor));
+  if (unknownFactors.length > 0) {
+    throw new Error(`Exercise definition "${definition.id}" weights unknown score factors: ${unknownFactors.join(', ')}`);
+  }
+
+  const unknownDepthChecks = (definition.scoring?.depth || []).filter(code => !codes.includes(code));
+  if (unknownDepthChecks.length > 0) {
+    throw new Error(`Exercise definition "${definition.id}" scores unknown checks as depth: ${unknownDepthChecks.join(', ')}`);
+  }
+
+  const calibrated = definition.calibration ? Object.keys(definition.calibration.thresholds) : [];
+  const unknown = calibrated.filter(name => !(name in definition.thresholds));
+  if (unknown.length > 0) {
+    throw new Error(`Exercise definition "${definition.id}" calibrates unknown thresholds: ${unknown.join(', ')}`);
+  }
+
+  const motion = definition.referenceMotion?.keyframes;
+  if (motion && (definition.mode === 'hold' || motion.length < 2 || motion[0].progress !== 0 || motion[motion.length - 1].progress !== 1)) {
+    throw new Error(`Exercise definition "${definition.id}" needs rep keyframes from progress 0 to 1 for its reference motion`);
+  }
+};
+
+// Register an exercise definition, replacing any existing one with the same id
+export const registerExercise = (definition) => {
+  validateDefinition(definition);
+  exercises.set(definition.id, definition);
+};
+
+// Get an exercise definition by id
+export const getExercise = (id) => {
+  return exercises.get(id) || null;
+};
+
+// List all registered exercises in registration order
+export const listExercises = () => {
+  return Array.from(exercises.values());
+};
+
+registerExercise(squatDefinition);
+registerExercise(pushupDefinition);
+registerExercise(lungeDefinition);
+registerExercise(reverseLungeDefinition);
+registerExercise(plankDefinition);
+registerExercise(sidePlankDefinition);
+registerExercise(wallSitDefinition);
@@ -0,0 +1,89 @@
+/**
+ * Structured form issues reported by evaluateForm
+ *
+ * An issue is a plain object:
+ *   {
+ *     code: 'KNEES_NOT_BENT_ENOUGH',   // stable identifier from the exercise check
+ *     severity: 'warning',             // see ISSUE_SEVERITY
+ *     messageKey: 'squat.KNEES_NOT_BENT_ENOUGH',
+ *     message: 'Knees not bent enough', // English text, the fallback for messageKey
+ *     landmarks: ['leftHip', 'leftKnee', 'leftAnkle'], // landmarks involved
+ *     metric: 'leftKnee',              // the measurement furthest out of range
+ *     value: 112.4,                    // its measured value
+ *     range: { min: 70, max: 100 },    // allowed range (null for an open end)
+ *     unit: 'degrees'                  // 'degrees' for angles, 'normalized' for offsets
+ *   }
+ * Tracking issues (no pose, landmarks hidden) have no measurement.
+ *
+ * Sessions saved before issues were structured store plain strings; the helpers here
+ * accept either.
+ */
+import { POSE_LANDMARKS } from './landmarkSchema.js';
+
+// How serious an issue is, from least to most
+export const ISSUE_SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error'
+};
+
+const SEVERITY_ORDER = [ISSUE_SEVERITY.INFO, ISSUE_SEVERITY.WARNING, ISSUE_SEVERITY.ERROR];
+
+// Issues about tracking rather than form
+export const TRACKING_ISSUES = {
+  NO_LANDMARKS: {
+    code: 'NO_LANDMARKS',
+    severity: ISSUE_SEVERITY.INFO,
+    messageKey: 'tracking.NO_LANDMARKS',
+    message: 'No landmarks detected',
+    landmarks: []
+  },
+  LANDMARKS_NOT_VISIBLE: {
+    code: 'LANDMARKS_NOT_VISIBLE',
+    severity: ISSUE_SEVERITY.INFO,
+    messageKey: 'tracking.LANDMARKS_NOT_VISIBLE',
+    message: 'Some key landmarks not visible',
+    landmarks: []
+  }
+};
+
+const TRACKING_CODES = Object.values(TRACKING_ISSUES).map(issue => issue.code);
+
+// Get an issue's code (a legacy string issue is its own code)
+export const getIssueCode = (issue) => {
+  return typeof issue === 'string' ? issue : issue.code;
+};
+
+// Get the text to show for an issue, from `translations` (keyed by messageKey) when given
+export const getIssueMessage = (issue, translations = {}) => {
+  if (typeof issue === 'string') return issue;
+  return translations[issue.messageKey] ?? issue.message;
+};
+
+// Check whether an issue is about tracking rather than form
+export const isTrackingIssue = (issue) => {
+  return TRACKING_CODES.includes(getIssueCode(issue));
+};
+
+// Get the 33-point landmark indices an issue refers to (empty for legacy strings)
+export const getIssueLandmarkIndices = (issue) => {
+  if (typeof issue === 'string' || !issue.landmarks) return [];
+  return issue.landmarks
+    .map(name => POSE_LANDMARKS[name])
+    .filter(index => index !== undefined);
+};
+
+// How far an issue's value is outside its allowed range (0 without a measurement)
+export const getIssueDeviation = (issue) => {
+  if (typeof issue === 'string' || !Number.isFinite(issue.value) || !issue.range) return 0;
+
+  const { min, max } = issue.range;
+  if (min !== null && issue.value < min) return min - issue.value;
+  if (max !== null && issue.value > max) return issue.value - max;
+  return 0;
+};
+
+// Compare severities for sorting, most serious first
+export const compareSeverity = (a, b) => {
+  return SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity);
+};
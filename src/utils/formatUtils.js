@@ -0,0 +1,124 @@
+/**
+ * Formatting helpers for displaying workout data
+ */
+import { getExercise } from './exerciseRegistry.js';
+import { getIssueMessage } from './formIssues.js';
+
+// Format a duration in milliseconds as m:ss
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Format a rep's tempo as seconds lowering-pause-rising, e.g. "2.9-0.8-1.1s"
+export const formatRepTempo = (tempo) => {
+  if (!tempo) return '–';
+  return `${[tempo.eccentric, tempo.pause, tempo.concentric].map(ms => (ms / 1000).toFixed(1)).join('-')}s`;
+};
+
+// Format a timestamp as a readable local date and time
+export const formatDateTime = (timestamp) => {
+  return new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+};
+
+// Get the display name for an exercise type
+export const getExerciseName = (exerciseType) => {
+  const exercise = getExercise(exerciseType);
+  return exercise ? exercise.name : exerciseType;
+};
+
+// Describe a left/right imbalance from getSideImbalance
+export const describeSideImbalance = (imbalance) => {
+  if (!imbalance) return '';
+  return imbalance.type === 'reps'
+    ? `Fewer reps on your ${imbalance.weakerSide} side`
+    : `Form is weaker on your ${imbalance.weakerSide} side`;
+};
+
+// Describe a persistent left/right imbalance from getAsymmetryReport
+export const describeAsymmetry = (imbalance) => {
+  const other = imbalance.side === 'left' ? 'right' : 'left';
+  const reps = `${imbalance.reps} of ${imbalance.measuredReps} reps`;
+
+  switch (imbalance.type) {
+    case 'angle':
+      return `Your ${imbalance.side} ${imbalance.joint} bends ${Math.round(imbalance.value)}° less than your ${other} (${reps})`;
+    case 'hipShift':
+      return `Your hips shift towards your ${imbalance.side} by ${Math.round(imbalance.value * 100)}% of your torso length (${reps})`;
+    case 'shoulderTilt':
+      return `Your ${imbalance.side} shoulder drops ${Math.round(imbalance.value)}° below your ${other} (${reps})`;
+    default:
+      return '';
+  }
+};
+
+// Describe why a hold timer is paused
+export const describeHoldPause = (reason) => {
+  switch (reason) {
+    case 'visibility':
+      return 'Paused: move so your whole body is visible';
+    case 'position':
+      return 'Paused: get into position';
+    case 'form':
+      return 'Paused: fix your form';
+    default:
+      return '';
+  }
+};
+
+// Describe when and why form first broke during a hold
+export const describeHoldBreak = (firstBreak) => {
+  if (!firstBreak) return 'Form held for the whole hold';
+
+  const reason = firstBreak.issues.length > 0
+    ? formatIssues(firstBreak.issues)
+    : firstBreak.reason === 'visibility' ? 'Body left the camera view' : 'Came out of position';
+  return `Form first broke at ${formatDuration(firstBreak.atMs)}: ${reason}`;
+};
+
+// Format a rep score with its grade, e.g. "84 (B)", or '–' for reps saved without one
+export const formatScore = (score, grade) => {
+  if (!Number.isFinite(score)) return '–';
+  return grade ? `${score} (${grade})` : `${score}`;
+};
+
+// List the points a rep lost and why, e.g. "Knees not bent enough (depth) −12"
+export const formatDeductions = (deductions) => {
+  return deductions.map(({ factor, label, points }) => `${label} (${factor}) −${Math.round(points)}`).join(', ');
+};
+
+// Join issue messages for display; accepts structured issues and legacy strings
+export const formatIssues = (issues, translations) => {
+  return issues.map(issue => getIssueMessage(issue, translations)).join(', ');
+};
+
+const UNIT_SUFFIX = { degrees: '°', normalized: '' };
+
+// Format one value in an issue's unit, e.g. 105° or 0.12
+const formatIssueValue = (value, unit) => {
+  const digits = unit === 'degrees' ? 0 : 2;
+  return `${value.toFixed(digits)}${UNIT_SUFFIX[unit] ?? ''}`;
+};
+
+// Describe an issue's measurement against its allowed range, e.g. "105° (allowed 70–100°)".
+// Returns '' for issues without a measurement.
+export const formatIssueMeasurement = (issue) => {
+  if (typeof issue === 'string' || !Number.isFinite(issue.value) || !issue.range) return '';
+
+  const { min, max } = issue.range;
+  const value = formatIssueValue(issue.value, issue.unit);
+  let allowed;
+  if (min !== null && max !== null) {
+    allowed = `allowed ${formatIssueValue(min, issue.unit).replace(/°$/, '')}–${formatIssueValue(max, issue.unit)}`;
+  } else if (min !== null) {
+    allowed = `min ${formatIssueValue(min, issue.unit)}`;
+  } else {
+    allowed = `max ${formatIssueValue(max, issue.unit)}`;
+  }
+  return `${value} (${allowed})`;
+};
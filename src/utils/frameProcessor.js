@@ -0,0 +1,167 @@
+/**
+ * Per-frame processing for the live view: camera setup until it passes, then either the
+ * guided calibration or the exercise pipeline. Shared by the pose worker and the
+ * main-thread runner (see poseRunner), so results are plain data that can be posted
+ * between threads.
+ *
+ * Group sessions (more than one person in frame) skip camera setup and calibration:
+ * every pose is matched to a tracked person (see personTracker), and each person runs
+ * their own exercise pipeline, so phases, reps and feedback are kept per person.
+ */
+import { createCameraSetupState, updateCameraSetup } from './cameraSetup.js';
+import { CALIBRATION_STEPS, createCalibrationState, getCalibrationProgress, updateCalibration } from './calibration.js';
+import { createPipelineState, processFrame } from './exercisePipeline.js';
+import { getHoldSummary } from './holdTimer.js';
+import { getAngleGuides } from './exerciseEngine.js';
+import { createPersonTrackerState, updatePersonTracker } from './personTracker.js';
+
+// What a frame is used for
+export const FRAME_MODES = {
+  SETUP: 'setup',
+  CALIBRATION: 'calibration',
+  EXERCISE: 'exercise',
+  GROUP: 'group'
+};
+
+// The mode that follows camera setup
+const getMainMode = state => (state.calibrate ? FRAME_MODES.CALIBRATION : FRAME_MODES.EXERCISE);
+
+// Create the frame processor state. With `calibrate`, frames go to the calibration
+// instead of the exercise; with `skipSetup` (e.g. for replays), camera setup is skipped.
+// With `people` above 1, up to that many people are tracked and evaluated separately.
+export const createFrameProcessorState = (definition, { calibrate = false, skipSetup = false, people = 1 } = {}) => {
+  if (people > 1) {
+    return { mode: FRAME_MODES.GROUP, maxPeople: people, tracker: createPersonTrackerState(), pipelines: {} };
+  }
+
+  const state = {
+    mode: FRAME_MODES.SETUP,
+    calibrate,
+    setup: createCameraSetupState(),
+    calibration: calibrate ? createCalibrationState() : null,
+    pipeline: createPipelineState(definition)
+  };
+  return skipSetup ? { ...state, mode: getMainMode(state) } : state;
+};
+
+// Finish camera setup, when it passes or the user skips it
+export const completeSetup = (state) => {
+  if (state.mode !== FRAME_MODES.SETUP) return state;
+  return { ...state, mode: getMainMode(state), setup: { ...state.setup, isComplete: true } };
+};
+
+// Process one frame of detected landmarks. `options` are the pipeline options
+// (thresholds, targetTempo) and the frame's `aspectRatio` (see getAspectRatio). Returns the new state and a result for the UI:
+// - setup: { setup: the check results, setupComplete }
+// - calibration: { calibrationProgress, calibration: the finished state on the frame it finishes }
+// - exercise: the pipeline's phase, evaluation, completedRep and tempoFeedback, the hold
+//   timer state, the overlay's angle guides (see getAngleGuides), and the rep counter
+//   state on frames where the rep counts changed
+// Every result has its `mode`, `timestamp` and the `landmarks` to draw.
+export const processDetectedFrame = (definition, state, landmarks, timestamp, options = {}) => {
+  if (state.mode === FRAME_MODES.SETUP) {
+    const setup = updateCameraSetup(definition, state.setup, landmarks, timestamp, { aspectRatio: options.aspectRatio });
+    const next = setup.isComplete ? completeSetup({ ...state, setup }) : { ...state, setup };
+    return {
+      state: next,
+      result: { mode: FRAME_MODES.SETUP, timestamp, landmarks, setup: setup.result, setupComplete: setup.isComplete }
+    };
+  }
+
+  if (state.mode === FRAME_MODES.CALIBRATION) {
+    const calibration = updateCalibration(definition, state.calibration, landmarks, timestamp);
+    const finished = calibration.step === CALIBRATION_STEPS.DONE && state.calibration.step !== CALIBRATION_STEPS.DONE;
+    return {
+      state: { ...state, calibration },
+      result: {
+        mode: FRAME_MODES.CALIBRATION,
+        timestamp,
+        landmarks,
+        calibrationProgress: getCalibrationProgress(calibration, timestamp),
+        calibration: finished ? calibration : null
+      }
+    };
+  }
+
+  const { state: pipeline, phase, evaluation, completedRep, tempoFeedback, landmarks: smoothed } = processFrame(
+    definition, state.pipeline, landmarks, timestamp, options
+  );
+  const previous = state.pipeline.repState;
+  const repsChanged = pipeline.repState.totalReps !== previous.totalReps || pipeline.repState.partialReps !== previous.partialReps;
+
+  return {
+    state: { ...state, pipeline },
+    result: {
+      mode: FRAME_MODES.EXERCISE,
+      timestamp,
+      landmarks: smoothed,
+      phase,
+      evaluation,
+      completedRep,
+      tempoFeedback,
+      holdState: pipeline.holdState,
+      angleGuides: getAngleGuides(definition, smoothed, phase, options),
+      repState: repsChanged ? pipeline.repState : null
+    }
+  };
+};
+
+// Label for a tracked person in a group session
+const getPersonLabel = id => `Person ${id}`;
+
+// Rep counts or hold times to show for one person
+const getPersonStats = pipeline => ({
+  totalReps: pipeline.repState.totalReps,
+  goodReps: pipeline.repState.goodReps,
+  partialReps: pipeline.repState.partialReps,
+  holdSummary: pipeline.holdState ? getHoldSummary(pipeline.holdState) : null
+});
+
+// Process one frame of a group session: match the poses to the tracked people and run
+// each person's pipeline. The result has `people`, one entry per person in the frame:
+// { id, label, landmarks, phase, evaluation, completedRep, angleGuides, stats }.
+// A person's pipeline is dropped along with them once the tracker gives up on them.
+export const processGroupFrame = (definition, state, poses, timestamp, options = {}) => {
+  const { state: tracker, seen } = updatePersonTracker(state.tracker, poses, timestamp, {
+    MAX_PEOPLE: state.maxPeople,
+    aspectRatio: options.aspectRatio
+  });
+  const pipelines = Object.fromEntries(tracker.people
+    .filter(person => state.pipelines[person.id])
+    .map(person => [person.id, state.pipelines[person.id]]));
+
+  const people = seen.map(({ id, landmarks }) => {
+    const { state: pipeline, phase, evaluation, completedRep, landmarks: smoothed } = processFrame(
+      definition, pipelines[id] || createPipelineState(definition), landmarks, timestamp, options
+    );
+    pipelines[id] = pipeline;
+    return {
+      id,
+      label: getPersonLabel(id),
+      landmarks: smoothed,
+      phase,
+      evaluation,
+      completedRep,
+      angleGuides: getAngleGuides(definition, smoothed, phase, options),
+      stats: getPersonStats(pipeline)
+    };
+  });
+
+  return {
+    state: { ...state, tracker, pipelines },
+    result: { mode: FRAME_MODES.GROUP, timestamp, people }
+  };
+};
+
+// Process every pose detected in a frame: all of them in a group session, otherwise the
+// first (see processDetectedFrame). The result is null when nobody was detected outside a
+// group session.
+export const processDetectedPoses = (definition, state, poses, timestamp, options = {}) => {
+  if (state.mode === FRAME_MODES.GROUP) {
+    return processGroupFrame(definition, state, poses, timestamp, options);
+  }
+  if (poses.length === 0) {
+    return { state, result: null };
+  }
+  return processDetectedFrame(definition, state, poses[0], timestamp, options);
+};
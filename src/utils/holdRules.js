@@ -0,0 +1,243 @@
+/**
+ * Rules for evaluating isometric holds (plank, side plank, wall sit)
+ */
+import { BACK_ALIGNMENT_ANGLE, backAlignmentChecks } from './pushupRules.js';
+import { ISSUE_SEVERITY } from './formIssues.js';
+import { CAMERA_VIEWS } from './cameraSetup.js';
+
+// Define hold phases
+export const HOLD_PHASES = {
+  SETUP: 'setup',
+  HOLDING: 'holding'
+};
+
+const TORSO_LANDMARKS = ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'];
+const BODY_LANDMARKS = [...TORSO_LANDMARKS, 'leftAnkle', 'rightAnkle'];
+const LEG_LANDMARKS = ['leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'];
+
+// Stay in the hold until the angles leave the hold range by this many degrees
+const HOLD_FILTERING = {
+  hysteresis: { angleMargin: 5 }
+};
+
+// Angles shared by the plank variations
+const BODY_ANGLES = {
+  // Angle at the hips between shoulders and ankles, 180 when the body is straight
+  bodyLine: { type: 'angle3d', points: ['midShoulder', 'midHip', 'midAnkle'] },
+  // Incline of the whole body (shoulders to ankles) from horizontal
+  bodyIncline: { type: 'fromHorizontal', points: ['midShoulder', 'midAnkle'] }
+};
+
+// Declarative plank definition used by the exercise registry
+export const plankDefinition = {
+  id: 'plank',
+  name: 'Plank',
+  mode: 'hold',
+  selector: {
+    label: 'Start Plank',
+    className: 'bg-teal-600 hover:bg-teal-700'
+  },
+  phases: [
+    {
+      id: HOLD_PHASES.SETUP,
+      role: 'start',
+      description: 'Get into a plank on your hands or forearms, side-on to the camera'
+    },
+    {
+      id: HOLD_PHASES.HOLDING,
+      role: 'hold',
+      description: 'Hold a straight line from head to heels, core and glutes braced'
+    }
+  ],
+  thresholds: {
+    // Back alignment (degrees from horizontal; positive sags, negative pikes)
+    MAX_BACK_ANGLE: 15,
+    MIN_BACK_ANGLE: -15,
+
+    // Angle at the hips between shoulders and ankles (degrees)
+    MIN_BODY_LINE_ANGLE: 160,
+
+    // Body incline that counts as being in the plank position (degrees)
+    MIN_PLANK_INCLINE: -20,
+    MAX_PLANK_INCLINE: 35,
+
+    // Confidence threshold for landmarks
+    CONFIDENCE_THRESHOLD: 0.5
+  },
+  angles: {
+    back: BACK_ALIGNMENT_ANGLE,
+    ...BODY_ANGLES
+  },
+  phaseDetection: {
+    type: 'position',
+    requiredLandmarks: BODY_LANDMARKS,
+    angles: ['bodyIncline'],
+    min: 'MIN_PLANK_INCLINE',
+    max: 'MAX_PLANK_INCLINE'
+  },
+  filtering: HOLD_FILTERING,
+  requiredLandmarks: BODY_LANDMARKS,
+  setup: { views: [CAMERA_VIEWS.SIDE] },
+  checks: [
+    ...backAlignmentChecks([HOLD_PHASES.HOLDING]),
+    {
+      phases: [HOLD_PHASES.HOLDING],
+      metrics: ['bodyLine'],
+      min: 'MIN_BODY_LINE_ANGLE',
+      code: 'HIPS_OUT_OF_LINE',
+      message: 'Hips out of line with shoulders and ankles'
+    }
+  ],
+  tips: [
+    'Keep your body in a straight line from head to heels',
+    'Stack your shoulders over your elbows or wrists',
+    'Brace your core and squeeze your glutes',
+    'Don\'t let your hips sag or pike up',
+    'Look at the floor just ahead of your hands'
+  ]
+};
+
+// Declarative side plank definition used by the exercise registry
+export const sidePlankDefinition = {
+  id: 'sidePlank',
+  name: 'Side Plank',
+  mode: 'hold',
+  selector: {
+    label: 'Start Side Plank',
+    className: 'bg-cyan-600 hover:bg-cyan-700'
+  },
+  phases: [
+    {
+      id: HOLD_PHASES.SETUP,
+      role: 'start',
+      description: 'Lie on your side facing the camera, forearm under your shoulder'
+    },
+    {
+      id: HOLD_PHASES.HOLDING,
+      role: 'hold',
+      description: 'Lift your hips so your body forms a straight line'
+    }
+  ],
+  thresholds: {
+    // Angle at the hips between shoulders and ankles (degrees)
+    MIN_BODY_LINE_ANGLE: 160,
+
+    // Body incline that counts as being in the side plank position (degrees)
+    MIN_PLANK_INCLINE: 5,
+    MAX_PLANK_INCLINE: 50,
+
+    // Confidence threshold for landmarks
+    CONFIDENCE_THRESHOLD: 0.5
+  },
+  angles: BODY_ANGLES,
+  phaseDetection: {
+    type: 'position',
+    requiredLandmarks: BODY_LANDMARKS,
+    angles: ['bodyIncline'],
+    min: 'MIN_PLANK_INCLINE',
+    max: 'MAX_PLANK_INCLINE'
+  },
+  filtering: HOLD_FILTERING,
+  requiredLandmarks: BODY_LANDMARKS,
+  // Seen from the front, with the body's length across the frame
+  setup: { views: [CAMERA_VIEWS.FRONT] },
+  checks: [
+    {
+      phases: [HOLD_PHASES.HOLDING],
+      metrics: ['bodyLine'],
+      min: 'MIN_BODY_LINE_ANGLE',
+      code: 'HIPS_DROPPING',
+      severity: ISSUE_SEVERITY.ERROR,
+      message: 'Hips dropping out of line'
+    }
+  ],
+  tips: [
+    'Keep your elbow directly under your shoulder',
+    'Stack your feet or stagger them for balance',
+    'Push your hips up to keep a straight line',
+    'Keep your head in line with your spine'
+  ]
+};
+
+// Declarative wall sit definition used by the exercise registry
+export const wallSitDefinition = {
+  id: 'wallSit',
+  name: 'Wall Sit',
+  mode: 'hold',
+  selector: {
+    label: 'Start Wall Sit',
+    className: 'bg-amber-600 hover:bg-amber-700'
+  },
+  phases: [
+    {
+      id: HOLD_PHASES.SETUP,
+      role: 'start',
+      description: 'Stand with your back against a wall, side-on to the camera'
+    },
+    {
+      id: HOLD_PHASES.HOLDING,
+      role: 'hold',
+      description: 'Slide down until your thighs are parallel to the floor and hold'
+    }
+  ],
+  thresholds: {
+    // Knee angle while holding (degrees)
+    MIN_KNEE_ANGLE: 80,
+    MAX_KNEE_ANGLE: 100,
+
+    // Back angle relative to vertical (degrees)
+    MAX_BACK_LEAN: 15,
+
+    // Knee angle range that counts as being in the wall sit position (degrees)
+    MIN_HOLD_KNEE_ANGLE: 60,
+    MAX_HOLD_KNEE_ANGLE: 130,
+
+    // Confidence threshold for landmarks
+    CONFIDENCE_THRESHOLD: 0.5
+  },
+  angles: {
+    leftKnee: { type: 'angle3d', points: ['leftHip', 'leftKnee', 'leftAnkle'] },
+    rightKnee: { type: 'angle3d', points: ['rightHip', 'rightKnee', 'rightAnkle'] },
+    // Back angle (shoulders over hips) relative to vertical
+    back: { type: 'fromVertical', points: ['midHip', 'midShoulder'] }
+  },
+  phaseDetection: {
+    type: 'position',
+    requiredLandmarks: LEG_LANDMARKS,
+    angles: ['leftKnee', 'rightKnee'],
+    min: 'MIN_HOLD_KNEE_ANGLE',
+    max: 'MAX_HOLD_KNEE_ANGLE'
+  },
+  filtering: HOLD_FILTERING,
+  requiredLandmarks: ['leftShoulder', 'rightShoulder', ...LEG_LANDMARKS],
+  setup: { views: [CAMERA_VIEWS.SIDE] },
+  checks: [
+    {
+      phases: [HOLD_PHASES.HOLDING],
+      metrics: ['leftKnee', 'rightKnee'],
+      max: 'MAX_KNEE_ANGLE',
+      code: 'THIGHS_NOT_PARALLEL',
+      message: 'Thighs not parallel to the floor'
+    },
+    {
+      phases: [HOLD_PHASES.HOLDING],
+      metrics: ['leftKnee', 'rightKnee'],
+      min: 'MIN_KNEE_ANGLE',
+      code: 'SITTING_TOO_LOW',
+      message: 'Sitting too low'
+    },
+    {
+      phases: [HOLD_PHASES.HOLDING],
+      metrics: ['back'],
+      max: 'MAX_BACK_LEAN',
+      code: 'BACK_OFF_WALL',
+      message: 'Back not flat against the wall'
+    }
+  ],
+  tips: [
+    'Keep your back flat against the wall',
+    'Lower until your thighs are parallel to the floor',
+    'Keep your knees over your ankles',
+    'Push through your heels and breathe steadily'
+  ]
+};
@@ -0,0 +1,102 @@
+/**
+ * Hold timer for isometric exercises (planks, wall sits): tracks time under correct form
+ */
+
+// Default hold timer settings
+const DEFAULT_OPTIONS = {
+  // Longest gap between frames that still counts as continuous time (milliseconds)
+  MAX_FRAME_GAP_MS: 500
+};
+
+// Reasons the timer can be paused
+export const HOLD_PAUSE_REASONS = {
+  POSITION: 'position',
+  VISIBILITY: 'visibility',
+  FORM: 'form'
+};
+
+// Create an empty hold timer state
+export const createHoldTimerState = () => ({
+  startTime: null,
+  lastTimestamp: null,
+  totalTime: 0,
+  goodFormTime: 0,
+  longestGoodStreak: 0,
+  currentStreak: 0,
+  isTiming: false,
+  pauseReason: HOLD_PAUSE_REASONS.POSITION,
+  firstBreak: null,
+  breakCount: 0
+});
+
+// Work out why the timer should be paused this frame, or null if form is good
+const getPauseReason = (inPosition, visible, evaluation) => {
+  if (!visible) return HOLD_PAUSE_REASONS.VISIBILITY;
+  if (!inPosition) return HOLD_PAUSE_REASONS.POSITION;
+  if (!evaluation || !evaluation.isCorrect) return HOLD_PAUSE_REASONS.FORM;
+  return null;
+};
+
+// Update the hold timer with the latest frame.
+// `inPosition` is whether the user is in the hold position, `visible` whether the
+// required landmarks passed the confidence check.
+export const updateHoldTimer = (state, { timestamp, inPosition, visible, evaluation }, options = {}) => {
+  const maxFrameGap = options.maxFrameGapMs ?? DEFAULT_OPTIONS.MAX_FRAME_GAP_MS;
+  const elapsed = state.lastTimestamp === null
+    ? 0
+    : Math.min(Math.max(timestamp - state.lastTimestamp, 0), maxFrameGap);
+
+  const pauseReason = getPauseReason(inPosition, visible, evaluation);
+  const hasStarted = state.startTime !== null;
+  const next = { ...state, lastTimestamp: timestamp, pauseReason, isTiming: pauseReason === null };
+
+  // The hold starts the first time the user is in position with good form
+  if (!hasStarted) {
+    if (pauseReason === null) {
+      return { ...next, startTime: timestamp };
+    }
+    return next;
+  }
+
+  // Total hold time covers everything after the hold started while in position
+  // (when landmarks drop out we assume the user is still holding)
+  if (pauseReason !== HOLD_PAUSE_REASONS.POSITION) {
+    next.totalTime = state.totalTime + elapsed;
+  }
+
+  if (pauseReason === null) {
+    next.goodFormTime = state.goodFormTime + elapsed;
+    next.currentStreak = state.currentStreak + elapsed;
+    next.longestGoodStreak = Math.max(state.longestGoodStreak, next.currentStreak);
+    return next;
+  }
+
+  next.currentStreak = 0;
+
+  // Record the moment good form first broke, and count each break
+  if (state.isTiming) {
+    next.breakCount = state.breakCount + 1;
+
+    if (!state.firstBreak) {
+      next.firstBreak = {
+        atMs: timestamp - state.startTime,
+        reason: pauseReason,
+        issues: pauseReason === HOLD_PAUSE_REASONS.FORM && evaluation ? evaluation.issues : []
+      };
+    }
+  }
+
+  return next;
+};
+
+// Summarise the hold timer state for display and storage
+export const getHoldSummary = (state) => ({
+  hasStarted: state.startTime !== null,
+  isTiming: state.isTiming,
+  pauseReason: state.pauseReason,
+  totalTimeMs: Math.round(state.totalTime),
+  goodFormTimeMs: Math.round(state.goodFormTime),
+  longestGoodStreakMs: Math.round(state.longestGoodStreak),
+  breakCount: state.breakCount,
+  firstBreak: state.firstBreak
+});
@@ -0,0 +1,133 @@
+/**
+ * Temporal smoothing for landmark streams: a One-Euro filter per landmark coordinate,
+ * with visibility-weighted updates, short holds for dropped points and outlier rejection
+ */
+
+// Default filter settings; exercise definitions can override them via `filtering.landmarks`
+export const DEFAULT_FILTER_OPTIONS = {
+  // One-Euro filter: cutoff frequency at rest (Hz), speed coefficient and derivative cutoff (Hz)
+  minCutoff: 1.5,
+  beta: 10,
+  derivativeCutoff: 1.0,
+
+  // Points below this visibility are treated as dropped
+  minVisibility: 0.5,
+
+  // How long a dropped point keeps its last filtered position (milliseconds)
+  maxHoldMs: 300,
+
+  // A jump larger than this in one frame (normalised image units) is treated as an outlier
+  outlierDistance: 0.15,
+
+  // Consecutive outlier frames after which the jump is accepted as real movement
+  maxOutlierFrames: 3
+};
+
+// Frame interval assumed when timestamps don't advance (seconds)
+const FALLBACK_ELAPSED_SEC = 1 / 30;
+
+const AXES = ['x', 'y', 'z'];
+
+// Create an empty filter state
+export const createLandmarkFilterState = () => ({
+  lastTimestamp: null,
+  points: []
+});
+
+// Exponential smoothing factor for a given cutoff frequency
+const smoothingFactor = (elapsedSec, cutoff) => {
+  const r = 2 * Math.PI * cutoff * elapsedSec;
+  return r / (r + 1);
+};
+
+// One-Euro filter step for a single coordinate. `weight` (0-1) scales how far the
+// filtered value moves towards the new measurement.
+const filterValue = (prev, value, elapsedSec, weight, options) => {
+  if (!prev) return { value, derivative: 0 };
+
+  const rawDerivative = (value - prev.value) / elapsedSec;
+  const derivativeAlpha = smoothingFactor(elapsedSec, options.derivativeCutoff);
+  const derivative = prev.derivative + derivativeAlpha * (rawDerivative - prev.derivative);
+
+  const cutoff = options.minCutoff + options.beta * Math.abs(derivative);
+  const alpha = smoothingFactor(elapsedSec, cutoff) * weight;
+
+  return { value: prev.value + alpha * (value - prev.value), derivative };
+};
+
+// Start tracking a point from a raw measurement
+const startPoint = (landmark, timestamp) => ({
+  x: { value: landmark.x, derivative: 0 },
+  y: { value: landmark.y, derivative: 0 },
+  z: { value: landmark.z ?? 0, derivative: 0 },
+  visibility: landmark.visibility ?? 1,
+  lastSeen: timestamp,
+  outlierFrames: 0
+});
+
+// Convert a tracked point back into a landmark
+const toLandmark = (point) => ({
+  x: point.x.value,
+  y: point.y.value,
+  z: point.z.value,
+  visibility: point.visibility
+});
+
+// Filter one landmark; returns the new tracked point (or null) and the landmark to output
+const filterPoint = (prev, landmark, timestamp, elapsedSec, options) => {
+  const visibility = landmark.visibility ?? 1;
+  const isDropped = visibility < options.minVisibility;
+  const isHeld = prev && timestamp - prev.lastSeen <= options.maxHoldMs;
+
+  // Dropped point: keep the last filtered position for a short while
+  if (isDropped) {
+    if (isHeld) return { point: prev, landmark: toLandmark(prev) };
+    return { point: null, landmark };
+  }
+
+  if (!prev) {
+    const point = startPoint(landmark, timestamp);
+    return { point, landmark: toLandmark(point) };
+  }
+
+  // Outlier: a sudden jump is held like a dropped point until it persists
+  const jump = Math.hypot(landmark.x - prev.x.value, landmark.y - prev.y.value);
+  if (jump > options.outlierDistance) {
+    if (prev.outlierFrames < options.maxOutlierFrames && isHeld) {
+      const point = { ...prev, outlierFrames: prev.outlierFrames + 1 };
+      return { point, landmark: toLandmark(point) };
+    }
+    const point = startPoint(landmark, timestamp);
+    return { point, landmark: toLandmark(point) };
+  }
+
+  // Less confident measurements pull the filtered point less
+  const weight = Math.min(1, visibility);
+  const point = { visibility, lastSeen: timestamp, outlierFrames: 0 };
+  AXES.forEach((axis) => {
+    point[axis] = filterValue(prev[axis], landmark[axis] ?? 0, elapsedSec, weight, options);
+  });
+
+  return { point, landmark: toLandmark(point) };
+};
+
+// Filter a frame of landmarks; returns the new state and the filtered landmarks
+export const filterLandmarks = (state, landmarks, timestamp, options = {}) => {
+  if (!landmarks) return { state, landmarks };
+
+  const settings = { ...DEFAULT_FILTER_OPTIONS, ...options };
+  const elapsedMs = state.lastTimestamp === null ? 0 : timestamp - state.lastTimestamp;
+  const elapsedSec = elapsedMs > 0 ? elapsedMs / 1000 : FALLBACK_ELAPSED_SEC;
+
+  const points = [];
+  const filtered = landmarks.map((landmark, index) => {
+    const result = filterPoint(state.points[index] || null, landmark, timestamp, elapsedSec, settings);
+    points[index] = result.point;
+    return result.landmark;
+  });
+
+  return {
+    state: { lastTimestamp: timestamp, points },
+    landmarks: filtered
+  };
+};
@@ -0,0 +1,154 @@
+/**
+ * Compact, versioned recording format for landmark streams, so what the landmarker saw
+ * can be attached to bug reports and replayed through the pipeline (see replay.js)
+ *
+ * A recording is JSON:
+ *   {
+ *     format: 'realfy-landmarks', version: 1,
+ *     exerciseType, recordedAt, landmarkCount: 33, scale: 10000, metadata, durationMs,
+ *     frames: [[timeMs, x0, y0, z0, v0, x1, ...], [timeMs], ...]
+ *   }
+ * Each frame stores its time in milliseconds from the first frame followed by every
+ * landmark's x, y, z and visibility as integers (value × scale). A frame holding only a
+ * time means no pose was detected.
+ *
+ * `metadata` is free-form, but the app records the video size (width, height) and the
+ * settings the pipeline ran with: the calibrated thresholds and whose they were
+ * (thresholds, profileName) and the target tempo text (targetTempo). Replays apply them,
+ * so they report what the live view did.
+ */
+import { LANDMARK_COUNT } from './landmarkSchema.js';
+
+export const RECORDING_FORMAT = 'realfy-landmarks';
+export const RECORDING_VERSION = 1;
+
+// Fixed-point scale for coordinates and visibility (4 decimal places)
+const DEFAULT_SCALE = 10000;
+
+const VALUES_PER_LANDMARK = 4;
+
+// File extension used for downloaded recordings
+export const RECORDING_FILE_EXTENSION = '.landmarks.json';
+
+// Create an empty recording
+export const createRecording = ({ exerciseType, recordedAt = Date.now(), metadata = {} }) => ({
+  format: RECORDING_FORMAT,
+  version: RECORDING_VERSION,
+  exerciseType,
+  recordedAt,
+  landmarkCount: LANDMARK_COUNT,
+  scale: DEFAULT_SCALE,
+  metadata,
+  startTime: null,
+  frames: []
+});
+
+// Append a frame of raw landmarks (or null when no pose was detected). Frames are
+// appended in place, since a recording grows by one frame for every video frame.
+export const appendRecordingFrame = (recording, timestamp, landmarks) => {
+  if (recording.startTime === null) {
+    recording.startTime = timestamp;
+  }
+
+  const frame = [Math.round(timestamp - recording.startTime)];
+
+  if (landmarks) {
+    for (let index = 0; index < recording.landmarkCount; index++) {
+      const landmark = landmarks[index] || { x: 0, y: 0, z: 0, visibility: 0 };
+      frame.push(
+        Math.round(landmark.x * recording.scale),
+        Math.round(landmark.y * recording.scale),
+        Math.round((landmark.z ?? 0) * recording.scale),
+        Math.round((landmark.visibility ?? 1) * recording.scale)
+      );
+    }
+  }
+
+  recording.frames.push(frame);
+  return recording;
+};
+
+// Serialize a recording to its JSON file contents
+export const serializeRecording = (recording) => {
+  const lastFrame = recording.frames[recording.frames.length - 1];
+
+  return JSON.stringify({
+    format: recording.format,
+    version: recording.version,
+    exerciseType: recording.exerciseType,
+    recordedAt: recording.recordedAt,
+    landmarkCount: recording.landmarkCount,
+    scale: recording.scale,
+    metadata: recording.metadata,
+    durationMs: lastFrame ? lastFrame[0] : 0,
+    frames: recording.frames
+  });
+};
+
+// Parse and validate recording file contents
+export const parseRecording = (text) => {
+  let recording;
+  try {
+    recording = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new Error(`Recording is not valid JSON: ${err.message}`);
+  }
+
+  if (!recording || recording.format !== RECORDING_FORMAT) {
+    throw new Error('Not a landmark recording');
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version} (expected ${RECORDING_VERSION})`);
+  }
+  if (!Array.isArray(recording.frames)) {
+    throw new Error('Recording has no frames');
+  }
+
+  const expectedLength = 1 + recording.landmarkCount * VALUES_PER_LANDMARK;
+  recording.frames.forEach((frame, index) => {
+    if (!Array.isArray(frame) || (frame.length !== 1 && frame.length !== expectedLength)) {
+      throw new Error(`Recording frame ${index} is malformed`);
+    }
+  });
+
+  return recording;
+};
+
+// Decode recording frames into { timestamp, landmarks } objects (landmarks is null
+// for frames with no detected pose)
+export const decodeRecordingFrames = (recording) => {
+  const { scale, landmarkCount } = recording;
+
+  return recording.frames.map((frame) => {
+    if (frame.length === 1) {
+      return { timestamp: frame[0], landmarks: null };
+    }
+
+    const landmarks = [];
+    for (let index = 0; index < landmarkCount; index++) {
+      const offset = 1 + index * VALUES_PER_LANDMARK;
+      landmarks.push({
+        x: frame[offset] / scale,
+        y: frame[offset + 1] / scale,
+        z: frame[offset + 2] / scale,
+        visibility: frame[offset + 3] / scale
+      });
+    }
+
+    return { timestamp: frame[0], landmarks };
+  });
+};
+
+// The pipeline settings a recording was made with, as { profileName, thresholds,
+// targetTempo }; each is null if none was in use or the recording predates them
+export const getRecordingSettings = ({ metadata = {} }) => ({
+  profileName: metadata.profileName ?? null,
+  thresholds: metadata.thresholds ?? null,
+  targetTempo: metadata.targetTempo ?? null
+});
+
+// Suggested file name for a recording
+export const getRecordingFileName = (recording) => {
+  const date = new Date(recording.recordedAt).toISOString().replace(/[:.]/g, '-');
+  return `${recording.exerciseType}-${date}${RECORDING_FILE_EXTENSION}`;
+};
@@ -0,0 +1,217 @@
+/**
+ * Landmark schema for MediaPipe Pose Landmarker output, plus adapters that
+ * convert other keypoint formats into the same 33-point layout
+ */
+
+// Map MediaPipe pose landmark names to their index in the 33-point output
+export const POSE_LANDMARKS = Object.freeze({
+  nose: 0,
+  leftEyeInner: 1,
+  leftEye: 2,
+  leftEyeOuter: 3,
+  rightEyeInner: 4,
+  rightEye: 5,
+  rightEyeOuter: 6,
+  leftEar: 7,
+  rightEar: 8,
+  mouthLeft: 9,
+  mouthRight: 10,
+  leftShoulder: 11,
+  rightShoulder: 12,
+  leftElbow: 13,
+  rightElbow: 14,
+  leftWrist: 15,
+  rightWrist: 16,
+  leftPinky: 17,
+  rightPinky: 18,
+  leftIndex: 19,
+  rightIndex: 20,
+  leftThumb: 21,
+  rightThumb: 22,
+  leftHip: 23,
+  rightHip: 24,
+  leftKnee: 25,
+  rightKnee: 26,
+  leftAnkle: 27,
+  rightAnkle: 28,
+  leftHeel: 29,
+  rightHeel: 30,
+  leftFootIndex: 31,
+  rightFootIndex: 32
+});
+
+export const LANDMARK_COUNT = 33;
+
+// Landmark names in output order (index -> name)
+export const LANDMARK_NAMES = Object.freeze(
+  Object.entries(POSE_LANDMARKS)
+    .sort(([, a], [, b]) => a - b)
+    .map(([name]) => name)
+);
+
+// Left/right landmark pairs, used for mirroring and symmetry checks
+export const LANDMARK_PAIRS = Object.freeze([
+  ['leftEyeInner', 'rightEyeInner'],
+  ['leftEye', 'rightEye'],
+  ['leftEyeOuter', 'rightEyeOuter'],
+  ['leftEar', 'rightEar'],
+  ['mouthLeft', 'mouthRight'],
+  ['leftShoulder', 'rightShoulder'],
+  ['leftElbow', 'rightElbow'],
+  ['leftWrist', 'rightWrist'],
+  ['leftPinky', 'rightPinky'],
+  ['leftIndex', 'rightIndex'],
+  ['leftThumb', 'rightThumb'],
+  ['leftHip', 'rightHip'],
+  ['leftKnee', 'rightKnee'],
+  ['leftAnkle', 'rightAnkle'],
+  ['leftHeel', 'rightHeel'],
+  ['leftFootIndex', 'rightFootIndex']
+]);
+
+// Get the side of the body a landmark belongs to ('left', 'right' or 'center')
+export const getLandmarkSide = (name) => {
+  if (LANDMARK_PAIRS.some(([left]) => left === name)) return 'left';
+  if (LANDMARK_PAIRS.some(([, right]) => right === name)) return 'right';
+  return 'center';
+};
+
+// Get the name of the landmark on the opposite side of the body
+export const getMirroredLandmark = (name) => {
+  const pair = LANDMARK_PAIRS.find(([left, right]) => left === name || right === name);
+  if (!pair) return name;
+  return pair[0] === name ? pair[1] : pair[0];
+};
+
+// Skeleton connections grouped by body region, expressed with landmark names
+export const SKELETON_GROUPS = Object.freeze({
+  face: [
+    ['leftEyeInner', 'leftEye'], ['leftEye', 'leftEyeOuter'], ['leftEyeOuter', 'leftEar'],
+    ['rightEyeInner', 'rightEye'], ['rightEye', 'rightEyeOuter'], ['rightEyeOuter', 'rightEar'],
+    ['nose', 'leftEyeInner'], ['nose', 'rightEyeInner'],
+    ['mouthLeft', 'mouthRight']
+  ],
+  torso: [
+    ['leftShoulder', 'rightShoulder'], ['rightShoulder', 'rightHip'],
+    ['rightHip', 'leftHip'], ['leftHip', 'leftShoulder']
+  ],
+  leftArm: [['leftShoulder', 'leftElbow'], ['leftElbow', 'leftWrist']],
+  rightArm: [['rightShoulder', 'rightElbow'], ['rightElbow', 'rightWrist']],
+  leftHand: [
+    ['leftWrist', 'leftPinky'], ['leftWrist', 'leftIndex'],
+    ['leftPinky', 'leftIndex'], ['leftWrist', 'leftThumb']
+  ],
+  rightHand: [
+    ['rightWrist', 'rightPinky'], ['rightWrist', 'rightIndex'],
+    ['rightPinky', 'rightIndex'], ['rightWrist', 'rightThumb']
+  ],
+  leftLeg: [['leftHip', 'leftKnee'], ['leftKnee', 'leftAnkle']],
+  rightLeg: [['rightHip', 'rightKnee'], ['rightKnee', 'rightAnkle']],
+  leftFoot: [['leftAnkle', 'leftHeel'], ['leftHeel', 'leftFootIndex'], ['leftFootIndex', 'leftAnkle']],
+  rightFoot: [['rightAnkle', 'rightHeel'], ['rightHeel', 'rightFootIndex'], ['rightFootIndex', 'rightAnkle']]
+});
+
+// Get index pairs for the given skeleton groups
+export const getConnections = (groups = Object.keys(SKELETON_GROUPS)) => {
+  return groups.flatMap(group =>
+    (SKELETON_GROUPS[group] || []).map(([start, end]) => [POSE_LANDMARKS[start], POSE_LANDMARKS[end]])
+  );
+};
+
+// Body skeleton used for drawing (no face or hand detail)
+export const BODY_CONNECTIONS = Object.freeze(getConnections([
+  'torso', 'leftArm', 'rightArm', 'leftLeg', 'rightLeg', 'leftFoot', 'rightFoot'
+]));
+
+// Every connection in the 33-point skeleton
+export const POSE_CONNECTIONS = Object.freeze(getConnections());
+
+// Placeholder for landmarks a source format does not provide
+const missingLandmark = () => ({ x: 0, y: 0, z: 0, visibility: 0 });
+
+// Build a full 33-landmark array from a map of named points
+export const landmarksFromNamed = (named) => {
+  return LANDMARK_NAMES.map((name) => {
+    const point = named[name];
+    if (!point) return missingLandmark();
+    return { z: 0, visibility: 1, ...point };
+  });
+};
+
+// Supported keypoint formats
+export const KEYPOINT_FORMATS = {
+  MEDIAPIPE: 'mediapipe',
+  BLAZEPOSE: 'blazepose',
+  COCO_17: 'coco17'
+};
+
+// COCO-17 keypoint order
+export const COCO_17_KEYPOINTS = Object.freeze([
+  'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
+  'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow',
+  'leftWrist', 'rightWrist', 'leftHip', 'rightHip',
+  'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+]);
+
+// Convert a camelCase landmark name to the snake_case used by BlazePose (TF.js)
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+// Normalise a single keypoint into a MediaPipe-style landmark
+const normalizeKeypoint = (keypoint, { width = 1, height = 1 } = {}) => {
+  if (!keypoint) return missingLandmark();
+
+  // COCO annotations are often flat [x, y, visibility] triples
+  const [x, y, z, score] = Array.isArray(keypoint)
+    ? [keypoint[0], keypoint[1], 0, keypoint[2]]
+    : [keypoint.x, keypoint.y, keypoint.z || 0, keypoint.visibility ?? keypoint.score];
+
+  return {
+    x: x / width,
+    y: y / height,
+    z: z / width,
+    visibility: score ?? 1
+  };
+};
+
+// Convert COCO-17 keypoints (array of points or flat [x, y, v, ...] list) to 33 landmarks
+export const fromCoco17 = (keypoints, imageSize) => {
+  const points = typeof keypoints[0] === 'number'
+    ? COCO_17_KEYPOINTS.map((_, i) => keypoints.slice(i * 3, i * 3 + 3))
+    : keypoints;
+
+  const named = {};
+  COCO_17_KEYPOINTS.forEach((name, i) => {
+    if (points[i]) named[name] = normalizeKeypoint(points[i], imageSize);
+  });
+
+  return LANDMARK_NAMES.map(name => named[name] || missingLandmark());
+};
+
+// Convert BlazePose keypoints (TF.js pose-detection output, pixel coordinates) to 33 landmarks
+export const fromBlazePose = (keypoints, imageSize) => {
+  const byName = {};
+  keypoints.forEach((keypoint) => {
+    if (keypoint.name) byName[keypoint.name] = keypoint;
+  });
+
+  return LANDMARK_NAMES.map((name, index) => {
+    const keypoint = byName[toSnakeCase(name)] || (!keypoints[index]?.name && keypoints[index]);
+    return normalizeKeypoint(keypoint, imageSize);
+  });
+};
+
+// Convert keypoints from any supported format to MediaPipe's 33-point layout
+export const toMediaPipeLandmarks = (keypoints, format = KEYPOINT_FORMATS.MEDIAPIPE, imageSize) => {
+  if (!keypoints || keypoints.length === 0) return [];
+
+  switch (format) {
+    case KEYPOINT_FORMATS.COCO_17:
+      return fromCoco17(keypoints, imageSize);
+    case KEYPOINT_FORMATS.BLAZEPOSE:
+      return fromBlazePose(keypoints, imageSize);
+    case KEYPOINT_FORMATS.MEDIAPIPE:
+      return keypoints;
+    default:
+      throw new Error(`Unsupported keypoint format: ${format}`);
+  }
+};
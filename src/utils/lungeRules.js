@@ -0,0 +1,251 @@
+/**
+ * Rules for evaluating forward and reverse lunge form
+ */
+import { determinePhase, evaluateForm } from './exerciseEngine.js';
+import { getMidpoint } from './poseUtils.js';
+import { ISSUE_SEVERITY } from './formIssues.js';
+import { CAMERA_VIEWS } from './cameraSetup.js';
+
+// Define lunge phases
+export const LUNGE_PHASES = {
+  STANDING: 'standing',
+  DESCENDING: 'descending',
+  BOTTOM: 'bottom',
+  ASCENDING: 'ascending'
+};
+
+// Threshold values for lunge evaluation
+const THRESHOLDS = {
+  // Front knee angle at bottom position (degrees)
+  MIN_FRONT_KNEE_ANGLE: 75,
+  MAX_FRONT_KNEE_ANGLE: 105,
+
+  // Rear knee angle at bottom position (degrees); larger means not low enough
+  MAX_REAR_KNEE_ANGLE: 115,
+
+  // Torso angle relative to vertical (degrees)
+  MAX_TORSO_LEAN: 20,
+
+  // Front knee caving towards the midline (normalised by leg length)
+  MAX_FRONT_KNEE_VALGUS: 0.08,
+
+  // Phase cut-offs (front knee angle, degrees)
+  STANDING_KNEE_ANGLE: 160,
+  MOVING_KNEE_ANGLE: 130,
+
+  // Minimum horizontal foot separation to judge the leading leg from a side view
+  MIN_STANCE_WIDTH: 0.08,
+
+  // Minimum knee height difference to judge the leading leg from a front view
+  MIN_KNEE_HEIGHT_GAP: 0.03,
+
+  // Confidence threshold for landmarks
+  CONFIDENCE_THRESHOLD: 0.5
+};
+
+// Work out which leg is leading. From the side the front foot is further along the
+// direction the user is facing; from the front the rear knee drops lower than the front knee.
+export const detectLeadingLeg = (named) => {
+  const { nose, leftShoulder, rightShoulder, leftKnee, rightKnee, leftAnkle, rightAnkle } = named;
+  if (!nose || !leftShoulder || !rightShoulder || !leftKnee || !rightKnee || !leftAnkle || !rightAnkle) {
+    return null;
+  }
+
+  const midShoulder = getMidpoint(leftShoulder, rightShoulder);
+  const facing = Math.sign(nose.x - midShoulder.x);
+  const footGap = leftAnkle.x - rightAnkle.x;
+
+  if (facing !== 0 && Math.abs(footGap) > THRESHOLDS.MIN_STANCE_WIDTH) {
+    return footGap * facing > 0 ? 'left' : 'right';
+  }
+
+  const kneeGap = rightKnee.y - leftKnee.y;
+  if (Math.abs(kneeGap) > THRESHOLDS.MIN_KNEE_HEIGHT_GAP) {
+    return kneeGap > 0 ? 'left' : 'right';
+  }
+
+  return null;
+};
+
+const LEG_LANDMARKS = ['leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'];
+
+const MOVING_PHASES = [LUNGE_PHASES.DESCENDING, LUNGE_PHASES.BOTTOM, LUNGE_PHASES.ASCENDING];
+
+// Shared lunge definition; forward and reverse lunges differ only in their cues
+const baseLungeDefinition = {
+  thresholds: THRESHOLDS,
+  detectLeadingSide: detectLeadingLeg,
+  angles: {
+    frontKnee: { type: 'angle3d', points: ['frontHip', 'frontKnee', 'frontAnkle'] },
+    rearKnee: { type: 'angle3d', points: ['rearHip', 'rearKnee', 'rearAnkle'] },
+    frontHip: { type: 'angle3d', points: ['frontShoulder', 'frontHip', 'frontKnee'] },
+    // Torso angle (shoulders over hips) relative to vertical
+    torso: { type: 'fromVertical', points: ['midHip', 'midShoulder'] }
+  },
+  offsets: {
+    // Front knee caving in towards the rear hip
+    frontKneeValgus: { type: 'inwardDeviation', points: ['frontHip', 'frontKnee', 'frontAnkle', 'rearHip'] }
+  },
+  phaseDetection: {
+    requiredLandmarks: LEG_LANDMARKS,
+    angles: ['frontKnee'],
+    startAbove: 'STANDING_KNEE_ANGLE',
+    movingBelow: 'MOVING_KNEE_ANGLE',
+    // Hip height increases (moves down the image) as we go down
+    track: { type: 'height', point: 'midHip' },
+    descendingWhen: 'increasing'
+  },
+  // Ignore hip height changes smaller than this when judging direction. Kept small: the
+  // hips barely move around the turn of a shallow rep, and a wider band hides it.
+  filtering: {
+    hysteresis: { deadband: 0.001 }
+  },
+  requiredLandmarks: ['leftShoulder', 'rightShoulder', ...LEG_LANDMARKS],
+  setup: { views: [CAMERA_VIEWS.SIDE, CAMERA_VIEWS.ANGLED] },
+  // Rep score weights; each rep is on one leg, so there is no left/right symmetry to
+  // score within it (see repScore)
+  scoring: {
+    weights: { depth: 40, alignment: 50, symmetry: 0, tempo: 10 },
+    depth: ['FRONT_KNEE_NOT_BENT_ENOUGH', 'FRONT_KNEE_BENT_TOO_MUCH', 'REAR_KNEE_NOT_LOW_ENOUGH']
+  },
+  checks: [
+    // Bottom position
+    {
+      phases: [LUNGE_PHASES.BOTTOM],
+      metrics: ['frontKnee'],
+      max: 'MAX_FRONT_KNEE_ANGLE',
+      code: 'FRONT_KNEE_NOT_BENT_ENOUGH',
+      message: 'Front knee not bent enough'
+    },
+    {
+      phases: [LUNGE_PHASES.BOTTOM],
+      metrics: ['frontKnee'],
+      min: 'MIN_FRONT_KNEE_ANGLE',
+      code: 'FRONT_KNEE_BENT_TOO_MUCH',
+      message: 'Front knee bent too much'
+    },
+    {
+      phases: [LUNGE_PHASES.BOTTOM],
+      metrics: ['rearKnee'],
+      max: 'MAX_REAR_KNEE_ANGLE',
+      code: 'REAR_KNEE_NOT_LOW_ENOUGH',
+      message: 'Back knee not low enough'
+    },
+    // Throughout the movement
+    {
+      phases: MOVING_PHASES,
+      metrics: ['torso'],
+      max: 'MAX_TORSO_LEAN',
+      code: 'TORSO_LEANING_FORWARD',
+      message: 'Torso leaning forward'
+    },
+    {
+      phases: MOVING_PHASES,
+      metrics: ['frontKneeValgus'],
+      max: 'MAX_FRONT_KNEE_VALGUS',
+      code: 'FRONT_KNEE_CAVING',
+      severity: ISSUE_SEVERITY.ERROR,
+      message: 'Front knee caving inward'
+    },
+    // Standing between reps
+    {
+      phases: [LUNGE_PHASES.STANDING],
+      metrics: ['frontKnee', 'rearKnee'],
+      min: 'STANDING_KNEE_ANGLE',
+      code: 'NOT_STANDING_BETWEEN_REPS',
+      severity: ISSUE_SEVERITY.INFO,
+      message: 'Not fully standing between reps'
+    }
+  ]
+};
+
+// Declarative forward lunge definition used by the exercise registry
+export const lungeDefinition = {
+  ...baseLungeDefinition,
+  id: 'lunge',
+  name: 'Forward Lunge',
+  selector: {
+    label: 'Start Lunges',
+    className: 'bg-purple-600 hover:bg-purple-700'
+  },
+  phases: [
+    {
+      id: LUNGE_PHASES.STANDING,
+      role: 'start',
+      description: 'Stand tall with feet hip-width apart'
+    },
+    {
+      id: LUNGE_PHASES.DESCENDING,
+      role: 'descending',
+      description: 'Step forward and lower your hips, keeping your torso upright'
+    },
+    {
+      id: LUNGE_PHASES.BOTTOM,
+      role: 'bottom',
+      description: 'Both knees at about 90 degrees, back knee just above the floor'
+    },
+    {
+      id: LUNGE_PHASES.ASCENDING,
+      role: 'ascending',
+      description: 'Push through the front heel to step back to standing'
+    }
+  ],
+  tips: [
+    'Keep your torso upright and core braced',
+    'Keep your front knee in line with your toes',
+    'Lower your back knee towards the floor',
+    'Push through your front heel to return',
+    'Alternate legs to keep both sides balanced'
+  ]
+};
+
+// Declarative reverse lunge definition used by the exercise registry
+export const reverseLungeDefinition = {
+  ...baseLungeDefinition,
+  id: 'reverseLunge',
+  name: 'Reverse Lunge',
+  selector: {
+    label: 'Start Reverse Lunges',
+    className: 'bg-indigo-600 hover:bg-indigo-700'
+  },
+  phases: [
+    {
+      id: LUNGE_PHASES.STANDING,
+      role: 'start',
+      description: 'Stand tall with feet hip-width apart'
+    },
+    {
+      id: LUNGE_PHASES.DESCENDING,
+      role: 'descending',
+      description: 'Step back and lower your hips, keeping your weight on the front foot'
+    },
+    {
+      id: LUNGE_PHASES.BOTTOM,
+      role: 'bottom',
+      description: 'Both knees at about 90 degrees, back knee just above the floor'
+    },
+    {
+      id: LUNGE_PHASES.ASCENDING,
+      role: 'ascending',
+      description: 'Drive through the front foot and bring the back leg forward'
+    }
+  ],
+  tips: [
+    'Keep your torso upright and core braced',
+    'Step back far enough for both knees to reach 90 degrees',
+    'Keep your front knee in line with your toes',
+    'Keep most of your weight on the front foot',
+    'Alternate legs to keep both sides balanced'
+  ]
+};
+
+// Determine the current phase of the lunge
+export const determineLungePhase = (landmarks, prevPhase = LUNGE_PHASES.STANDING, prevHipHeight = null) => {
+  const { phase, value } = determinePhase(lungeDefinition, landmarks, prevPhase, prevHipHeight);
+  return { phase, hipHeight: value };
+};
+
+// Evaluate lunge form based on the current phase; the result includes the leading side
+export const evaluateLungeForm = (landmarks, phase) => {
+  return evaluateForm(lungeDefinition, landmarks, phase);
+};
@@ -0,0 +1,318 @@
+/**
+ * 2D canvas overlay: skeleton, phase and form issues drawn over a video frame. Works
+ * with a canvas element's context or an OffscreenCanvas context in the pose worker.
+ */
+import { BODY_CONNECTIONS } from './landmarkSchema.js';
+import { ISSUE_SEVERITY, getIssueLandmarkIndices, getIssueMessage } from './formIssues.js';
+import { FRAME_MODES } from './frameProcessor.js';
+
+// Landmarks below this visibility are not drawn
+const MIN_VISIBILITY = 0.5;
+
+// Parts of the overlay that can be switched on and off
+export const OVERLAY_LAYERS = {
+  SKELETON: 'skeleton',
+  ISSUES: 'issues',
+  ANGLES: 'angles',
+  TARGETS: 'targets',
+  TEXT: 'text'
+};
+
+// Every layer is shown until the user hides it
+const DEFAULT_OVERLAY_LAYERS = Object.fromEntries(Object.values(OVERLAY_LAYERS).map(layer => [layer, true]));
+
+const OVERLAY_LAYERS_STORAGE_KEY = 'overlayLayers';
+
+// Skeleton colour where nothing is wrong, and the colour of segments and joints involved
+// in an issue, by severity
+const OK_COLOR = '#22c55e';
+const SEVERITY_COLORS = {
+  [ISSUE_SEVERITY.INFO]: '#facc15',
+  [ISSUE_SEVERITY.WARNING]: '#f97316',
+  [ISSUE_SEVERITY.ERROR]: '#ef4444'
+};
+
+// Angle arc and target wedge sizes (pixels)
+const ARC_RADIUS = 36;
+const WEDGE_RADIUS = 56;
+
+// Get the remembered overlay layers, as { [layer]: visible }
+export const getOverlayLayers = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(OVERLAY_LAYERS_STORAGE_KEY));
+    return { ...DEFAULT_OVERLAY_LAYERS, ...stored };
+  } catch {
+    return DEFAULT_OVERLAY_LAYERS;
+  }
+};
+
+// Remember the overlay layers
+export const setOverlayLayers = (layers) => {
+  localStorage.setItem(OVERLAY_LAYERS_STORAGE_KEY, JSON.stringify(layers));
+};
+
+// Colour each landmark by the most serious issue it is involved in. Issues come sorted
+// most serious first, so the first one to claim a landmark wins.
+const getLandmarkColors = (issues) => {
+  const colors = new Map();
+  issues.forEach((issue) => {
+    getIssueLandmarkIndices(issue).forEach((index) => {
+      if (!colors.has(index)) {
+        colors.set(index, SEVERITY_COLORS[issue.severity] || SEVERITY_COLORS[ISSUE_SEVERITY.WARNING]);
+      }
+    });
+  });
+  return colors;
+};
+
+// Direction of `to` from `from` on the canvas (radians)
+const getDirection = (from, to) => Math.atan2(to.y - from.y, to.x - from.x);
+
+// Signed sweep from angle `a` to angle `b`, the short way round
+const getSweep = (a, b) => {
+  const sweep = (b - a) % (2 * Math.PI);
+  if (sweep > Math.PI) return sweep - 2 * Math.PI;
+  if (sweep < -Math.PI) return sweep + 2 * Math.PI;
+  return sweep;
+};
+
+// Draw a sector around `center` from `start` sweeping `sweep` radians
+const drawSector = (ctx, center, radius, start, sweep) => {
+  ctx.beginPath();
+  ctx.moveTo(center.x, center.y);
+  ctx.arc(center.x, center.y, radius, start, start + sweep, sweep < 0);
+  ctx.closePath();
+};
+
+// Draw the allowed range of a joint angle as a wedge opening from the first limb
+// towards the second
+const drawTargetWedge = (ctx, [end, vertex, other], range) => {
+  const start = getDirection(vertex, end);
+  const side = Math.sign(getSweep(start, getDirection(vertex, other))) || 1;
+  const min = Math.max(0, range.min ?? 0) * Math.PI / 180;
+  const max = Math.min(180, range.max ?? 180) * Math.PI / 180;
+  if (max <= min) return;
+
+  ctx.fillStyle = 'rgba(59, 130, 246, 0.25)';
+  ctx.strokeStyle = 'rgba(59, 130, 246, 0.8)';
+  ctx.lineWidth = 1;
+  drawSector(ctx, vertex, WEDGE_RADIUS, start + side * min, side * (max - min));
+  ctx.fill();
+  ctx.stroke();
+};
+
+// Draw a joint angle as an arc between its limbs with its value in degrees
+const drawAngleArc = (ctx, [end, vertex, other], value, color) => {
+  const start = getDirection(vertex, end);
+  const sweep = getSweep(start, getDirection(vertex, other));
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(vertex.x, vertex.y, ARC_RADIUS, start, start + sweep, sweep < 0);
+  ctx.stroke();
+
+  // Label outside the arc, halfway between the limbs
+  const middle = start + sweep / 2;
+  const label = `${Math.round(value)}°`;
+  const x = vertex.x + Math.cos(middle) * (ARC_RADIUS + 22);
+  const y = vertex.y + Math.sin(middle) * (ARC_RADIUS + 22);
+  ctx.font = 'bold 16px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.strokeText(label, x, y);
+  ctx.fillStyle = 'white';
+  ctx.fillText(label, x, y);
+  ctx.textAlign = 'start';
+  ctx.textBaseline = 'alphabetic';
+};
+
+// Draw the pose skeleton, current phase and issues. Set `mirror` for selfie-view
+// camera frames so the overlay lines up with the mirrored video.
+// - segments and joints involved in an issue are coloured by its severity
+// - `angleGuides` (see getAngleGuides) adds an arc and value at each measured joint, and
+//   a wedge showing the allowed range where the current phase checks it
+// - `layers` switches parts of the overlay off (see OVERLAY_LAYERS); all are on by default
+export const drawPoseOverlay = (ctx, landmarks, evaluation, { width, height, mirror = false, phase = null, angleGuides = [], layers = DEFAULT_OVERLAY_LAYERS } = {}) => {
+  const toX = (point) => (mirror ? width - point.x * width : point.x * width);
+  const toY = (point) => point.y * height;
+  const toCanvas = point => ({ x: toX(point), y: toY(point) });
+  const show = layer => layers[layer] !== false;
+  const issues = evaluation.issues || [];
+  const colors = show(OVERLAY_LAYERS.ISSUES) ? getLandmarkColors(issues) : new Map();
+  const isShown = index => index < landmarks.length && landmarks[index].visibility > MIN_VISIBILITY;
+
+  // Target wedges go underneath everything else
+  if (show(OVERLAY_LAYERS.TARGETS)) {
+    angleGuides.filter(guide => guide.range).forEach((guide) => {
+      drawTargetWedge(ctx, guide.points.map(toCanvas), guide.range);
+    });
+  }
+
+  if (show(OVERLAY_LAYERS.SKELETON)) {
+    // A segment takes the colour of an issue involving both of its ends
+    ctx.lineWidth = 5;
+    for (const [start, end] of BODY_CONNECTIONS) {
+      if (isShown(start) && isShown(end)) {
+        ctx.strokeStyle = colors.has(start) && colors.has(end) ? colors.get(start) : OK_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(toX(landmarks[start]), toY(landmarks[start]));
+        ctx.lineTo(toX(landmarks[end]), toY(landmarks[end]));
+        ctx.stroke();
+      }
+    }
+
+    landmarks.forEach((landmark, index) => {
+      if (isShown(index)) {
+        ctx.fillStyle = colors.get(index) || OK_COLOR;
+        ctx.beginPath();
+        ctx.arc(toX(landmark), toY(landmark), 8, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    });
+  }
+
+  // Ring the landmarks each issue refers to
+  if (show(OVERLAY_LAYERS.ISSUES)) {
+    ctx.lineWidth = 3;
+    colors.forEach((color, index) => {
+      if (isShown(index)) {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.arc(toX(landmarks[index]), toY(landmarks[index]), 14, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+    });
+  }
+
+  if (show(OVERLAY_LAYERS.ANGLES)) {
+    angleGuides.filter(guide => Number.isFinite(guide.value)).forEach((guide) => {
+      const inRange = !guide.range ||
+        ((guide.range.min === null || guide.value >= guide.range.min) && (guide.range.max === null || guide.value <= guide.range.max));
+      drawAngleArc(ctx, guide.points.map(toCanvas), guide.value, inRange ? 'white' : SEVERITY_COLORS[ISSUE_SEVERITY.ERROR]);
+    });
+  }
+
+  if (show(OVERLAY_LAYERS.TEXT)) {
+    if (phase) {
+      ctx.font = '24px Arial';
+      ctx.fillStyle = 'white';
+      ctx.fillText(`Phase: ${phase}`, 20, 30);
+    }
+
+    ctx.font = '20px Arial';
+    issues.forEach((issue, i) => {
+      ctx.fillStyle = SEVERITY_COLORS[issue.severity] || SEVERITY_COLORS[ISSUE_SEVERITY.WARNING];
+      ctx.fillText(getIssueMessage(issue), 20, 60 + i * 30);
+    });
+  }
+};
+
+// Draw a camera frame (video element, VideoFrame or ImageBitmap) filling the canvas,
+// mirrored for the selfie view
+export const drawMirroredFrame = (ctx, frame, width, height) => {
+  ctx.save();
+  ctx.scale(-1, 1);
+  ctx.translate(-width, 0);
+  ctx.drawImage(frame, 0, 0, width, height);
+  ctx.restore();
+};
+
+// Label colours for the people in a group session, by id
+const PERSON_COLORS = ['#3b82f6', '#a855f7', '#ec4899', '#14b8a6'];
+
+// Text lines for a person's label: who they are, their count or hold time, phase and most
+// serious issue
+const getPersonLabelLines = (person) => {
+  const { stats } = person;
+  const count = stats.holdSummary
+    ? `${Math.floor(stats.holdSummary.goodFormTimeMs / 1000)}s good form`
+    : `${stats.totalReps} reps (${stats.goodReps} good)`;
+  const issue = person.evaluation.issues[0];
+  return [`${person.label} · ${count}`, person.phase, ...(issue ? [getIssueMessage(issue)] : [])];
+};
+
+// Draw a person's label above their head (or highest visible landmark)
+const drawPersonLabel = (ctx, person, { width, height }) => {
+  const visible = person.landmarks.filter(landmark => landmark.visibility > MIN_VISIBILITY);
+  if (visible.length === 0) return;
+
+  const top = visible.reduce((highest, landmark) => (landmark.y < highest.y ? landmark : highest));
+  const lines = getPersonLabelLines(person);
+  const lineHeight = 20;
+  ctx.font = 'bold 16px Arial';
+  const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+  const boxHeight = lines.length * lineHeight + 8;
+  const x = Math.min(Math.max(width - top.x * width - boxWidth / 2, 0), width - boxWidth);
+  const y = Math.max(top.y * height - boxHeight - 16, 0);
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, boxWidth, boxHeight);
+  ctx.fillStyle = PERSON_COLORS[(person.id - 1) % PERSON_COLORS.length];
+  ctx.fillRect(x, y, 4, boxHeight);
+
+  lines.forEach((line, i) => {
+    ctx.fillStyle = i === 2 ? SEVERITY_COLORS[person.evaluation.issues[0].severity] || 'white' : 'white';
+    ctx.fillText(line, x + 10, y + 4 + (i + 1) * lineHeight - 5);
+  });
+};
+
+// Draw the overlay for a frame processor result: the plain skeleton during camera setup
+// and calibration, the form feedback, angles and phase while exercising, and each person
+// with a label of their stats in group sessions
+export const drawFrameResult = (ctx, result, { width, height, layers }) => {
+  if (result.mode === FRAME_MODES.GROUP) {
+    // Per-person labels take the place of the single-person text in the corner
+    const showText = !layers || layers[OVERLAY_LAYERS.TEXT] !== false;
+    result.people.forEach((person) => {
+      drawPoseOverlay(ctx, person.landmarks, person.evaluation, {
+        width,
+        height,
+        mirror: true,
+        angleGuides: person.angleGuides,
+        layers: { ...layers, [OVERLAY_LAYERS.TEXT]: false }
+      });
+      if (showText) {
+        drawPersonLabel(ctx, person, { width, height });
+      }
+    });
+    return;
+  }
+
+  if (result.mode !== FRAME_MODES.EXERCISE) {
+    drawPoseOverlay(ctx, result.landmarks, { isCorrect: true, issues: [] }, { width, height, mirror: true, layers });
+    return;
+  }
+  drawPoseOverlay(ctx, result.landmarks, result.evaluation, {
+    width,
+    height,
+    mirror: true,
+    phase: result.phase,
+    angleGuides: result.angleGuides,
+    layers
+  });
+};
+
+// Size of a camera frame: a video element, VideoFrame or ImageBitmap
+const getFrameSize = frame => ({
+  width: frame.videoWidth ?? frame.displayWidth ?? frame.width,
+  height: frame.videoHeight ?? frame.displayHeight ?? frame.height
+});
+
+// Size the canvas to a camera frame, then draw the mirrored frame and the overlay for its
+// frame processor result (null when no pose was detected) with the given overlay layers
+export const renderCameraFrame = (canvas, frame, result, layers) => {
+  const { width, height } = getFrameSize(frame);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  const ctx = canvas.getContext('2d');
+  drawMirroredFrame(ctx, frame, width, height);
+  if (result) {
+    drawFrameResult(ctx, result, { width, height, layers });
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Live detection performance: processed frames per second, end-to-end latency (from
+ * capturing a frame to its result reaching the UI) and model inference time, over a
+ * rolling window of recent frames.
+ */
+
+// Default performance stats settings
+const DEFAULT_OPTIONS = {
+  // How much recent history to average over (milliseconds)
+  WINDOW_MS: 2000
+};
+
+// Create empty performance stats
+export const createPerformanceStats = () => ({ frames: [] });
+
+// Record one processed frame: `receivedAt` is when its result reached the UI and
+// `timestamp` when it was captured, on the same clock
+export const recordFrameStats = (stats, { timestamp, receivedAt, inferenceMs }, options = {}) => {
+  const windowMs = options.windowMs ?? DEFAULT_OPTIONS.WINDOW_MS;
+  const frames = [...stats.frames, { receivedAt, latencyMs: receivedAt - timestamp, inferenceMs }]
+    .filter(frame => receivedAt - frame.receivedAt <= windowMs);
+  return { frames };
+};
+
+const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Summarize the window: { fps, latencyMs, inferenceMs }, rounded, or nulls before any
+// frames were recorded
+export const getPerformanceSummary = (stats) => {
+  const { frames } = stats;
+  if (frames.length === 0) return { fps: null, latencyMs: null, inferenceMs: null };
+
+  const span = frames[frames.length - 1].receivedAt - frames[0].receivedAt;
+  return {
+    fps: span > 0 ? Math.round((frames.length - 1) / span * 1000) : null,
+    latencyMs: Math.round(average(frames.map(frame => frame.latencyMs))),
+    inferenceMs: Math.round(average(frames.map(frame => frame.inferenceMs)))
+  };
+};
@@ -0,0 +1,181 @@
+/**
+ * Identity tracking for group sessions: keeps each detected person on the same id from
+ * frame to frame, so their phase, reps and feedback stay theirs when people move around
+ * or cross in front of each other.
+ *
+ * The landmarker returns poses in no particular order. Each tracked person remembers
+ * where their torso was, how fast it was moving and how big it looked; every frame the
+ * poses are matched to where each person is expected to be by now, picking the pairing
+ * with the lowest total cost. Predicting from the motion keeps two people who cross on
+ * their own paths, and the size term tells apart people at different distances. Poses
+ * that match nobody start a new person; people who go unseen for a while are dropped.
+ * A new person takes the lowest id no one else holds, so ids (and the labels shown for
+ * them) never grow past twice MAX_PEOPLE however many people come and go.
+ *
+ * Pass `options.aspectRatio` (see getAspectRatio) so positions and sizes are measured in
+ * the frame's true proportions; distances are otherwise stretched on frames that aren't
+ * square.
+ */
+import { calculateDistance, getMidpoint, isPointVisible, toFrameUnits } from './poseUtils.js';
+import { POSE_LANDMARKS } from './landmarkSchema.js';
+
+// Default tracker settings
+const DEFAULT_OPTIONS = {
+  // Most people tracked at once (the landmarker's numPoses)
+  MAX_PEOPLE: 4,
+
+  // Furthest a pose can be from where a person was expected, in their torso lengths
+  MAX_MATCH_DISTANCE: 1.5,
+
+  // Weight of the change in apparent size (log of the size ratio) in the match cost
+  SIZE_WEIGHT: 1,
+
+  // How much each frame's movement updates a person's velocity (0-1)
+  VELOCITY_SMOOTHING: 0.5,
+
+  // Longest a person's last movement is carried forward while they are unseen (milliseconds)
+  MAX_PREDICTION_MS: 500,
+
+  // How long an unseen person is kept before they are dropped (milliseconds)
+  MAX_MISSING_MS: 3000
+};
+
+// Create an empty tracker
+export const createPersonTrackerState = () => ({ people: [] });
+
+// Torso centre and size (shoulder to hip distance) of a pose in frame units (see
+// toFrameUnits), or null when the torso can't be seen
+export const getPoseAnchor = (landmarks, aspectRatio = 1) => {
+  const torso = [
+    POSE_LANDMARKS.leftShoulder,
+    POSE_LANDMARKS.rightShoulder,
+    POSE_LANDMARKS.leftHip,
+    POSE_LANDMARKS.rightHip
+  ].map(index => landmarks[index]);
+  if (!torso.every(point => isPointVisible(point))) return null;
+
+  const [leftShoulder, rightShoulder, leftHip, rightHip] = torso.map(point => toFrameUnits(point, aspectRatio));
+
+  const shoulders = getMidpoint(leftShoulder, rightShoulder);
+  const hips = getMidpoint(leftHip, rightHip);
+  return { center: getMidpoint(shoulders, hips), size: calculateDistance(shoulders, hips) };
+};
+
+// Where a person's torso is expected to be at `timestamp`
+const predictCenter = (person, timestamp, config) => {
+  const elapsed = Math.min(timestamp - person.lastSeen, config.MAX_PREDICTION_MS);
+  return {
+    x: person.center.x + person.velocity.x * elapsed,
+    y: person.center.y + person.velocity.y * elapsed
+  };
+};
+
+// Cost of matching a person to a pose anchor, or Infinity when it's too far to be them
+const getMatchCost = (person, anchor, timestamp, config) => {
+  const distance = calculateDistance(predictCenter(person, timestamp, config), anchor.center) / person.size;
+  if (distance > config.MAX_MATCH_DISTANCE) return Infinity;
+  return distance + config.SIZE_WEIGHT * Math.abs(Math.log(anchor.size / person.size));
+};
+
+// Find the cheapest pairing of people to poses, as the pose index for each person (-1
+// for unmatched). Leaving either unmatched costs as much as the furthest allowed match.
+// Group sizes are small, so every pairing is tried.
+const findBestAssignment = (costs, poseCount, unmatchedCost) => {
+  let best = { cost: Infinity, assignment: [] };
+
+  const search = (personIndex, used, cost, assignment) => {
+    if (cost >= best.cost) return;
+    if (personIndex === costs.length) {
+      const unmatchedPoses = poseCount - used.size;
+      const total = cost + unmatchedPoses * unmatchedCost;
+      if (total < best.cost) {
+        best = { cost: total, assignment: [...assignment] };
+      }
+      return;
+    }
+
+    for (let pose = 0; pose < poseCount; pose++) {
+      if (!used.has(pose) && costs[personIndex][pose] !== Infinity) {
+        used.add(pose);
+        assignment.push(pose);
+        search(personIndex + 1, used, cost + costs[personIndex][pose], assignment);
+        assignment.pop();
+        used.delete(pose);
+      }
+    }
+
+    assignment.push(-1);
+    search(personIndex + 1, used, cost + unmatchedCost, assignment);
+    assignment.pop();
+  };
+
+  search(0, new Set(), 0, []);
+  return best.assignment;
+};
+
+// Move a matched person to their pose's anchor, updating their velocity
+const movePerson = (person, anchor, timestamp, config) => {
+  const elapsed = timestamp - person.lastSeen;
+  const velocity = elapsed > 0
+    ? {
+      x: person.velocity.x + ((anchor.center.x - person.center.x) / elapsed - person.velocity.x) * config.VELOCITY_SMOOTHING,
+      y: person.velocity.y + ((anchor.center.y - person.center.y) / elapsed - person.velocity.y) * config.VELOCITY_SMOOTHING
+    }
+    : person.velocity;
+  return { ...person, center: anchor.center, size: anchor.size, velocity, lastSeen: timestamp };
+};
+
+// Lowest id not in `taken`
+const getFreeId = (taken) => {
+  let id = 1;
+  while (taken.has(id)) {
+    id += 1;
+  }
+  return id;
+};
+
+// Match one frame's detected poses to the tracked people. Returns the new state and
+// `seen`, the people in this frame as [{ id, landmarks }] ordered by id. Poses without a
+// visible torso can't be tracked and are left out.
+export const updatePersonTracker = (state, poses, timestamp, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const detected = poses
+    .map(landmarks => ({ landmarks, anchor: getPoseAnchor(landmarks, config.aspectRatio) }))
+    .filter(pose => pose.anchor)
+    .slice(0, config.MAX_PEOPLE);
+
+  const costs = state.people.map(person => detected.map(pose => getMatchCost(person, pose.anchor, timestamp, config)));
+  const assignment = findBestAssignment(costs, detected.length, config.MAX_MATCH_DISTANCE);
+
+  const matched = new Set();
+  const seen = [];
+  const people = [];
+
+  state.people.forEach((person, i) => {
+    const poseIndex = assignment[i];
+    if (poseIndex >= 0) {
+      matched.add(poseIndex);
+      people.push(movePerson(person, detected[poseIndex].anchor, timestamp, config));
+      seen.push({ id: person.id, landmarks: detected[poseIndex].landmarks });
+    } else if (timestamp - person.lastSeen <= config.MAX_MISSING_MS) {
+      people.push(person);
+    }
+  });
+
+  // Everyone left over is new, while there's room. Ids of people dropped this frame are
+  // only given out again from the next one, so nothing keyed by id (like a person's
+  // pipeline) carries over to someone else.
+  const taken = new Set(state.people.map(person => person.id));
+  detected.forEach((pose, i) => {
+    if (matched.has(i) || people.length >= config.MAX_PEOPLE) return;
+    const id = getFreeId(taken);
+    taken.add(id);
+    people.push({ id, center: pose.anchor.center, size: pose.anchor.size, velocity: { x: 0, y: 0 }, lastSeen: timestamp });
+    seen.push({ id, landmarks: pose.landmarks });
+  });
+
+  return {
+    state: { people },
+    seen: seen.sort((a, b) => a.id - b.id)
+  };
+};
@@ -0,0 +1,89 @@
+/**
+ * Stability metrics for phase sequences, used to compare raw and filtered landmark streams
+ */
+import { createPipelineState, processFrame } from './exercisePipeline.js';
+import { getPhaseByRole } from './exerciseEngine.js';
+import { getIssueCode } from './formIssues.js';
+
+// Runs shorter than this many frames count as flicker
+const DEFAULT_FLICKER_FRAMES = 3;
+
+// Collapse a per-frame phase list into runs of { phase, frames }
+export const getPhaseRuns = (phases) => {
+  const runs = [];
+  phases.forEach((phase) => {
+    const last = runs[runs.length - 1];
+    if (last && last.phase === phase) {
+      last.frames += 1;
+    } else {
+      runs.push({ phase, frames: 1 });
+    }
+  });
+  return runs;
+};
+
+// Summarise a per-frame phase list. Phases in `ignorePhases` (e.g. the one-frame
+// bottom phase) are never counted as flicker.
+export const summarizePhaseSequence = (phases, options = {}) => {
+  const flickerFrames = options.flickerFrames ?? DEFAULT_FLICKER_FRAMES;
+  const ignorePhases = options.ignorePhases || [];
+  const runs = getPhaseRuns(phases);
+
+  // The first and last runs may be cut short by the recording, so skip them
+  const flickers = runs.filter((run, index) => (
+    index > 0 &&
+    index < runs.length - 1 &&
+    run.frames < flickerFrames &&
+    !ignorePhases.includes(run.phase)
+  )).length;
+
+  return {
+    frames: phases.length,
+    transitions: Math.max(0, runs.length - 1),
+    flickers,
+    runs
+  };
+};
+
+// Run recorded frames ({ landmarks, timestamp }) through the pipeline and collect
+// the phase per frame, the number of completed reps and how often the issues changed
+export const runPhaseSequence = (definition, frames, options = {}) => {
+  let state = createPipelineState(definition);
+  let previousIssues = '';
+  let issueChanges = 0;
+  let reps = 0;
+  const phases = [];
+
+  frames.forEach(({ landmarks, timestamp }) => {
+    const result = processFrame(definition, state, landmarks, timestamp, options);
+    state = result.state;
+    phases.push(result.phase);
+
+    if (result.completedRep) reps += 1;
+
+    const issues = result.evaluation.issues.map(getIssueCode).join('|');
+    if (issues !== previousIssues) issueChanges += 1;
+    previousIssues = issues;
+  });
+
+  return { phases, reps, issueChanges };
+};
+
+// Compare the phase sequences produced by raw and filtered landmarks for the same frames
+export const comparePhaseSequences = (definition, frames, options = {}) => {
+  const summaryOptions = {
+    ...options,
+    ignorePhases: [getPhaseByRole(definition, 'bottom')].filter(Boolean)
+  };
+
+  const summarize = (run) => ({
+    ...summarizePhaseSequence(run.phases, summaryOptions),
+    reps: run.reps,
+    issueChanges: run.issueChanges
+  });
+
+  return {
+    raw: summarize(runPhaseSequence(definition, frames, { ...options, filtering: false })),
+    filtered: summarize(runPhaseSequence(definition, frames, options))
+  };
+};
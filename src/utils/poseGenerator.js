@@ -0,0 +1,236 @@
+/**
+ * Synthetic pose generator: builds 33-point MediaPipe-format landmarks from joint angles
+ * and body proportions on a simple kinematic skeleton, and interpolates between keyframes
+ * to produce full rep sequences. Used for rule development, tests and reference poses.
+ *
+ * A pose is a set of joint angles in degrees (all optional, 0 is standing upright with
+ * the arms by the sides). Limb angles take a number for both sides or { left, right }.
+ * - trunkLean: torso forward lean from vertical (90 is horizontal, face down)
+ * - neckFlexion: neck bend forward relative to the torso
+ * - headFlexion: head tilt forward relative to the neck
+ * - hipFlexion: thigh forward of the torso line (negative for extension, e.g. sagging hips)
+ * - kneeFlexion: knee bend (the knee angle is 180 - kneeFlexion)
+ * - kneeValgus: knees collapsing towards the midline
+ * - footAngle: foot angle below horizontal (0 flat on the floor, 90 pointing down)
+ * - shoulderFlexion: upper arm forward of the torso line
+ * - shoulderAbduction: upper arm out to the side
+ * - elbowFlexion: elbow bend (the elbow angle is 180 - elbowFlexion)
+ */
+import { landmarksFromNamed } from './landmarkSchema.js';
+
+// Segment lengths as fractions of standing height (after Drillis and Contini)
+export const DEFAULT_PROPORTIONS = {
+  shoulderWidth: 0.259,
+  hipWidth: 0.191,
+  torso: 0.288,
+  neck: 0.1,
+  upperArm: 0.186,
+  forearm: 0.146,
+  hand: 0.108,
+  thigh: 0.245,
+  shin: 0.246,
+  ankleHeight: 0.039,
+  foot: 0.152
+};
+
+// Default view: standing height and placement in normalised image units, and the camera
+// angle (0 faces the camera, 90 faces the right of the image)
+const DEFAULT_VIEW = {
+  height: 0.8,
+  centerX: 0.5,
+  floorY: 0.95,
+  yaw: 0,
+  visibility: 0.99
+};
+
+const SIDES = ['left', 'right'];
+
+const rad = degrees => degrees * Math.PI / 180;
+
+// Body-space vectors: x towards the person's left, y up, z the way they face
+const vector = (x, y, z) => ({ x, y, z });
+const add = (...vectors) => vectors.reduce((sum, v) => vector(sum.x + v.x, sum.y + v.y, sum.z + v.z));
+const scale = (v, length) => vector(v.x * length, v.y * length, v.z * length);
+
+// Unit vector in the sagittal plane, `degrees` forward of straight down
+const sagittal = degrees => vector(0, -Math.cos(rad(degrees)), Math.sin(rad(degrees)));
+
+// Tilt a sagittal direction out to one side by `degrees`
+const abduct = (direction, degrees, outward) => add(
+  scale(direction, Math.cos(rad(degrees))),
+  vector(outward * Math.sin(rad(degrees)), 0, 0)
+);
+
+// Read a joint angle for one side
+const sideAngle = (value, side) => {
+  if (value === undefined || value === null) return 0;
+  return typeof value === 'object' ? (value[side] ?? 0) : value;
+};
+
+// Build the skeleton in body space, with the pelvis at the origin
+const buildSkeleton = (pose, lengths) => {
+  const points = {};
+  const lean = pose.trunkLean ?? 0;
+  const torsoDirection = sagittal(180 - lean);
+  const midShoulder = scale(torsoDirection, lengths.torso);
+
+  SIDES.forEach((side) => {
+    const outward = side === 'left' ? 1 : -1;
+    const hip = vector(outward * lengths.hipWidth / 2, 0, 0);
+    const shoulder = add(midShoulder, vector(outward * lengths.shoulderWidth / 2, 0, 0));
+
+    // Leg: segment directions are measured forward of straight down
+    const thighAngle = sideAngle(pose.hipFlexion, side) - lean;
+    const shinAngle = thighAngle - sideAngle(pose.kneeFlexion, side);
+    const valgus = lengths.thigh * Math.sin(rad(sideAngle(pose.kneeValgus, side)));
+    const knee = add(hip, scale(sagittal(thighAngle), lengths.thigh), vector(-outward * valgus, 0, 0));
+    const ankle = add(vector(hip.x, knee.y, knee.z), scale(sagittal(shinAngle), lengths.shin));
+    const footDirection = sagittal(90 - sideAngle(pose.footAngle, side));
+    const heel = add(ankle, scale(sagittal(shinAngle), lengths.ankleHeight), scale(footDirection, -lengths.foot * 0.25));
+
+    points[`${side}Hip`] = hip;
+    points[`${side}Knee`] = knee;
+    points[`${side}Ankle`] = ankle;
+    points[`${side}Heel`] = heel;
+    points[`${side}FootIndex`] = add(heel, scale(footDirection, lengths.foot));
+
+    // Arm
+    const abduction = sideAngle(pose.shoulderAbduction, side);
+    const upperArmAngle = sideAngle(pose.shoulderFlexion, side) - lean;
+    const forearmAngle = upperArmAngle + sideAngle(pose.elbowFlexion, side);
+    const elbow = add(shoulder, scale(abduct(sagittal(upperArmAngle), abduction, outward), lengths.upperArm));
+    const forearmDirection = abduct(sagittal(forearmAngle), abduction, outward);
+    const wrist = add(elbow, scale(forearmDirection, lengths.forearm));
+    const handEnd = add(wrist, scale(forearmDirection, lengths.hand * 0.7));
+
+    points[`${side}Shoulder`] = shoulder;
+    points[`${side}Elbow`] = elbow;
+    points[`${side}Wrist`] = wrist;
+    points[`${side}Index`] = add(handEnd, vector(-outward * lengths.hand * 0.15, 0, 0));
+    points[`${side}Pinky`] = add(handEnd, vector(outward * lengths.hand * 0.15, 0, 0));
+    points[`${side}Thumb`] = add(wrist, scale(forearmDirection, lengths.hand * 0.3), vector(-outward * lengths.hand * 0.25, 0, 0));
+  });
+
+  // Head: up the neck from between the shoulders, facing forward
+  const neckAngle = lean + (pose.neckFlexion ?? 0);
+  const headAngle = neckAngle + (pose.headFlexion ?? 0);
+  const headUp = sagittal(180 - headAngle);
+  const face = sagittal(90 - headAngle);
+  const head = add(midShoulder, scale(sagittal(180 - neckAngle), lengths.neck));
+  const unit = lengths.neck;
+
+  SIDES.forEach((side) => {
+    const outward = side === 'left' ? 1 : -1;
+    const lateral = vector(outward * unit * 0.3, 0, 0);
+    const eye = add(head, scale(headUp, unit * 0.1), scale(face, unit * 0.2), lateral);
+
+    points[`${side}Eye`] = eye;
+    points[`${side}EyeInner`] = add(eye, scale(lateral, -0.4));
+    points[`${side}EyeOuter`] = add(eye, scale(lateral, 0.4));
+    points[`${side}Ear`] = add(head, scale(lateral, 2.2));
+    points[`mouth${side === 'left' ? 'Left' : 'Right'}`] = add(head, scale(face, unit * 0.6), scale(headUp, -unit * 0.4), scale(lateral, 0.5));
+  });
+  points.nose = add(head, scale(face, unit * 0.7));
+
+  return points;
+};
+
+// Generate one frame of 33 landmarks from joint angles. `options` sets the body
+// proportions (fractions of height) and the view (see DEFAULT_VIEW); the lowest point of
+// the body rests on the floor and the pelvis is centred horizontally.
+export const generatePose = (pose = {}, options = {}) => {
+  const view = { ...DEFAULT_VIEW, ...options };
+  const proportions = { ...DEFAULT_PROPORTIONS, ...options.proportions };
+  const lengths = {};
+  Object.entries(proportions).forEach(([name, fraction]) => {
+    lengths[name] = fraction * view.height;
+  });
+
+  const points = buildSkeleton(pose, lengths);
+  const floor = Math.min(...Object.values(points).map(point => point.y));
+
+  // Project into image space: y points down, and z is depth, smaller towards the camera
+  const cos = Math.cos(rad(view.yaw));
+  const sin = Math.sin(rad(view.yaw));
+  const named = {};
+
+  Object.entries(points).forEach(([name, point]) => {
+    named[name] = {
+      x: view.centerX + point.x * cos + point.z * sin,
+      y: view.floorY - (point.y - floor),
+      z: point.x * sin - point.z * cos,
+      visibility: view.visibility
+    };
+  });
+
+  return landmarksFromNamed(named);
+};
+
+// Blend two poses; angles missing from one side are treated as 0
+export const interpolatePose = (from, to, amount) => {
+  const pose = {};
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  keys.forEach((key) => {
+    const a = from[key];
+    const b = to[key];
+    if (typeof a === 'object' || typeof b === 'object') {
+      pose[key] = {};
+      SIDES.forEach((side) => {
+        pose[key][side] = sideAngle(a, side) + (sideAngle(b, side) - sideAngle(a, side)) * amount;
+      });
+    } else {
+      pose[key] = (a ?? 0) + ((b ?? 0) - (a ?? 0)) * amount;
+    }
+  });
+
+  return pose;
+};
+
+// Pose at a time along a list of { time, pose } keyframes (sorted by time), eased in
+// and out between keyframes
+export const sampleKeyframes = (keyframes, time) => {
+  if (time <= keyframes[0].time) return keyframes[0].pose;
+
+  const nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+  if (nextIndex === -1) return keyframes[keyframes.length - 1].pose;
+
+  const from = keyframes[nextIndex - 1];
+  const to = keyframes[nextIndex];
+  const progress = (time - from.time) / (to.time - from.time);
+  return interpolatePose(from.pose, to.pose, (1 - Math.cos(Math.PI * progress)) / 2);
+};
+
+// Keyframes for a run of reps: from `start` to `bottom` and back over `repMs`, resting at
+// the start for `restMs` before, between and after the reps
+export const buildRepKeyframes = ({ start, bottom, reps = 1, repMs = 2000, restMs = 500 }) => {
+  const keyframes = [{ time: 0, pose: start }];
+  let time = 0;
+
+  for (let rep = 0; rep < reps; rep++) {
+    time += restMs;
+    keyframes.push({ time, pose: start });
+    keyframes.push({ time: time + repMs / 2, pose: bottom });
+    time += repMs;
+    keyframes.push({ time, pose: start });
+  }
+  keyframes.push({ time: time + restMs, pose: start });
+
+  return keyframes;
+};
+
+// Sample keyframes at a fixed frame rate into { timestamp, landmarks } frames, ready for
+// the rule functions or the pipeline. `render` turns a pose into landmarks (generatePose
+// by default, with the remaining options).
+export const generateSequence = (keyframes, { frameRate = 30, render = generatePose, ...options } = {}) => {
+  const frameMs = 1000 / frameRate;
+  const start = keyframes[0].time;
+  const end = keyframes[keyframes.length - 1].time;
+  const frames = [];
+
+  for (let time = start; time <= end; time += frameMs) {
+    frames.push({ timestamp: Math.round(time), landmarks: render(sampleKeyframes(keyframes, time), options) });
+  }
+
+  return frames;
+};
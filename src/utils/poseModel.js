@@ -0,0 +1,141 @@
+/**
+ * Pose landmarker loading: self-hosted WASM and model files with remote and CPU fallbacks
+ *
+ * `npm run setup:assets` copies the MediaPipe WASM fileset into public/mediapipe/wasm and
+ * downloads the .task models into public/models, so they are served from the app's own
+ * build output (and cached by the service worker for offline starts).
+ */
+import { FilesetResolver, PoseLandmarker } from '@mediapipe/tasks-vision';
+
+const BASE_URL = import.meta.env.BASE_URL;
+
+// Installed @mediapipe/tasks-vision version, used for the remote WASM fallback
+const MEDIAPIPE_VERSION = import.meta.env.VITE_MEDIAPIPE_VERSION;
+
+const REMOTE_MODEL_BASE = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker';
+
+// Available pose landmarker models, from fastest to most accurate
+export const MODEL_VARIANTS = {
+  lite: {
+    label: 'Lite (fastest)',
+    file: 'pose_landmarker_lite.task'
+  },
+  full: {
+    label: 'Full (balanced)',
+    file: 'pose_landmarker_full.task'
+  },
+  heavy: {
+    label: 'Heavy (most accurate)',
+    file: 'pose_landmarker_heavy.task'
+  }
+};
+
+// Model variant used when none has been chosen; set VITE_POSE_MODEL_VARIANT to change it
+export const DEFAULT_MODEL_VARIANT = MODEL_VARIANTS[import.meta.env.VITE_POSE_MODEL_VARIANT]
+  ? import.meta.env.VITE_POSE_MODEL_VARIANT
+  : 'full';
+
+const VARIANT_STORAGE_KEY = 'poseModelVariant';
+
+// Most people the landmarker is asked to find in a group session
+export const MAX_PEOPLE = 4;
+
+const PEOPLE_STORAGE_KEY = 'peopleInFrame';
+
+// Delegates to try, in order
+const DELEGATES = ['GPU', 'CPU'];
+
+// Self-hosted WASM fileset path
+export const getLocalWasmPath = () => `${BASE_URL}mediapipe/wasm`;
+
+// Self-hosted model path for a variant
+export const getLocalModelPath = (variant) => `${BASE_URL}models/${MODEL_VARIANTS[variant].file}`;
+
+// Remote asset locations, used only when the self-hosted files can't be loaded
+const getRemoteWasmPath = () => `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`;
+const getRemoteModelPath = (variant) => {
+  const name = MODEL_VARIANTS[variant].file.replace('.task', '');
+  return `${REMOTE_MODEL_BASE}/${name}/float16/1/${name}.task`;
+};
+
+// Get the model variant the user picked, or the default
+export const getModelVariant = () => {
+  try {
+    const stored = localStorage.getItem(VARIANT_STORAGE_KEY);
+    return MODEL_VARIANTS[stored] ? stored : DEFAULT_MODEL_VARIANT;
+  } catch {
+    return DEFAULT_MODEL_VARIANT;
+  }
+};
+
+// Remember the user's model variant choice
+export const setModelVariant = (variant) => {
+  if (!MODEL_VARIANTS[variant]) {
+    throw new Error(`Unknown pose model variant "${variant}"`);
+  }
+  localStorage.setItem(VARIANT_STORAGE_KEY, variant);
+};
+
+// Get how many people the user expects in frame (1 unless they picked a group session)
+export const getPeopleCount = () => {
+  try {
+    const stored = Number(localStorage.getItem(PEOPLE_STORAGE_KEY));
+    return Number.isInteger(stored) && stored >= 1 && stored <= MAX_PEOPLE ? stored : 1;
+  } catch {
+    return 1;
+  }
+};
+
+// Remember how many people the user expects in frame
+export const setPeopleCount = (count) => {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_PEOPLE) {
+    throw new Error(`People in frame must be between 1 and ${MAX_PEOPLE}`);
+  }
+  localStorage.setItem(PEOPLE_STORAGE_KEY, String(count));
+};
+
+// Create a pose landmarker, trying the self-hosted assets before the remote ones and the
+// GPU delegate before the CPU. Resolves with the landmarker and where it was loaded from.
+export const createPoseLandmarker = async ({ variant = getModelVariant(), runningMode = 'VIDEO', numPoses = 1 } = {}) => {
+  const sources = [
+    { name: 'local', wasmPath: getLocalWasmPath(), modelPath: getLocalModelPath(variant) },
+    { name: 'remote', wasmPath: getRemoteWasmPath(), modelPath: getRemoteModelPath(variant) }
+  ];
+
+  let lastError = null;
+
+  for (const source of sources) {
+    let vision;
+    try {
+      vision = await FilesetResolver.forVisionTasks(source.wasmPath);
+    } catch (err) {
+      console.warn(`Could not load the ${source.name} MediaPipe WASM fileset:`, err);
+      lastError = err;
+      continue;
+    }
+
+    for (const delegate of DELEGATES) {
+      try {
+        const landmarker = await PoseLandmarker.createFromOptions(vision, {
+          baseOptions: {
+            modelAssetPath: source.modelPath,
+            delegate
+          },
+          runningMode,
+          numPoses,
+          minPoseDetectionConfidence: 0.5,
+          minPosePresenceConfidence: 0.5,
+          minTrackingConfidence: 0.5,
+          outputSegmentationMasks: false
+        });
+
+        return { landmarker, variant, delegate, source: source.name };
+      } catch (err) {
+        console.warn(`Could not create the pose landmarker (${source.name} assets, ${delegate} delegate):`, err);
+        lastError = err;
+      }
+    }
+  }
+
+  throw lastError || new Error('Could not load the pose landmarker');
+};
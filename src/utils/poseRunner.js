@@ -0,0 +1,218 @@
+/**
+ * Pose runners: detect landmarks in camera frames, run them through the frame processor
+ * and draw the camera view, either in the pose worker or on the main thread.
+ *
+ * Where Web Workers and OffscreenCanvas are available, the overlay canvas is transferred
+ * to the pose worker and camera frames are sent to it as VideoFrames (or ImageBitmaps),
+ * so inference and drawing stay off the main thread and only small results come back.
+ * Elsewhere, or if the worker fails to start, the main-thread runner does the same work
+ * in place; it also feeds recorded landmarks through for replays. The dev server can only
+ * serve module workers, which MediaPipe can't load its WASM in, so development builds
+ * always detect on the main thread.
+ *
+ * Runners share one interface:
+ * - attachCanvas(canvas): the canvas to draw the camera view on
+ * - processVideo(video, timestamp): detect and process the video's current frame
+ * - isBusy(): whether a frame is still being processed (skip frames until it isn't)
+ * - setOptions(options): new pipeline options (thresholds, targetTempo)
+ * - setLayers(layers): overlay layers to draw (see OVERLAY_LAYERS)
+ * - skipSetup(): end camera setup early
+ * - close(): stop the worker or free the model
+ * and report each frame to `onResult` with
+ *   { timestamp, detected, result, inferenceMs, processingMs }
+ * where `detected` are the raw landmarks of the first pose (or null) and `result` the
+ * frame processor result (null when no pose was detected). If the pose worker dies after
+ * it was ready, the worker runner stops and reports the error to `onError`. Timestamps are the main
+ * thread's clock. With `people` above 1, the model detects up to that many poses and
+ * each is tracked and evaluated separately (see processGroupFrame).
+ */
+import { createPoseLandmarker, getLocalModelPath } from './poseModel.js';
+import { precacheAssets } from './serviceWorker.js';
+import { getExercise } from './exerciseRegistry.js';
+import { completeSetup, createFrameProcessorState, processDetectedPoses } from './frameProcessor.js';
+import { drawFrameResult, renderCameraFrame } from './overlayRenderer.js';
+import { getAspectRatio } from './poseUtils.js';
+
+// Where frames are processed
+export const RUNNER_ENGINES = {
+  WORKER: 'worker',
+  MAIN_THREAD: 'main'
+};
+
+// Check whether frames can be processed and drawn in a worker
+export const isWorkerSupported = () => (
+  !import.meta.env.DEV &&
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'transferControlToOffscreen' in HTMLCanvasElement.prototype
+);
+
+// Capture a video element's current frame for transfer to the worker
+const captureFrame = (video) => {
+  if (typeof VideoFrame !== 'undefined') {
+    return Promise.resolve(new VideoFrame(video));
+  }
+  return createImageBitmap(video);
+};
+
+// Take the detected poses from a landmarker result
+const getDetectedPoses = detection => detection.landmarks || [];
+
+// Start the pose worker and load the model in it. Resolves with
+// { runner, variant, delegate, source } once the model is ready.
+export const createWorkerRunner = ({ exerciseType, variant, calibrate = false, skipSetup = false, people = 1, options = {}, layers, onResult, onError }) => {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/poseWorker.js', import.meta.url));
+    let ready = false;
+    let failure = null; // Set once the worker has died
+    let busy = false;
+    let hasCanvas = false;
+
+    const runner = {
+      engine: RUNNER_ENGINES.WORKER,
+      isBusy: () => busy,
+      attachCanvas: (canvas) => {
+        // A canvas can only be transferred once
+        if (hasCanvas) return;
+        hasCanvas = true;
+        const offscreen = canvas.transferControlToOffscreen();
+        worker.postMessage({ type: 'canvas', canvas: offscreen }, [offscreen]);
+      },
+      processVideo: async (video, timestamp) => {
+        if (failure) throw failure;
+        busy = true;
+        try {
+          const frame = await captureFrame(video);
+          worker.postMessage({ type: 'frame', frame, timestamp }, [frame]);
+        } catch (err) {
+          busy = false;
+          throw err;
+        }
+      },
+      setOptions: next => worker.postMessage({ type: 'options', options: next }),
+      setLayers: next => worker.postMessage({ type: 'layers', layers: next }),
+      skipSetup: () => worker.postMessage({ type: 'skipSetup' }),
+      close: () => worker.terminate()
+    };
+
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case 'ready':
+          ready = true;
+          resolve({ runner, variant: data.variant, delegate: data.delegate, source: data.source });
+          break;
+        case 'initError':
+          worker.terminate();
+          reject(new Error(data.message));
+          break;
+        case 'result':
+          busy = false;
+          onResult(data);
+          break;
+        case 'frameError':
+          busy = false;
+          console.error('Error during pose detection:', data.message);
+          break;
+        default:
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      busy = false;
+      if (!ready) {
+        reject(new Error(event.message || 'Pose worker failed to start'));
+        return;
+      }
+      failure = new Error(event.message || 'Pose worker stopped');
+      if (onError) {
+        onError(failure);
+      }
+    };
+
+    worker.postMessage({ type: 'init', exerciseType, variant, calibrate, skipSetup, people, options, layers });
+  });
+};
+
+// Create a runner that works on the main thread. Pass the loaded `landmarker` to process
+// camera frames; without one it can only replay recorded landmarks (processLandmarks).
+export const createMainThreadRunner = ({ landmarker = null, exerciseType, calibrate = false, skipSetup = false, people = 1, options = {}, layers, onResult }) => {
+  const definition = getExercise(exerciseType);
+  let state = createFrameProcessorState(definition, { calibrate, skipSetup, people });
+  let currentOptions = options;
+  let currentLayers = layers;
+  let canvas = null;
+
+  const process = (poses, timestamp, size) => {
+    const processed = processDetectedPoses(definition, state, poses, timestamp, { ...currentOptions, aspectRatio: getAspectRatio(size) });
+    state = processed.state;
+    return processed.result;
+  };
+
+  return {
+    engine: RUNNER_ENGINES.MAIN_THREAD,
+    isBusy: () => false,
+    attachCanvas: (element) => { canvas = element; },
+    processVideo: async (video, timestamp) => {
+      const started = performance.now();
+      const poses = getDetectedPoses(landmarker.detectForVideo(video, timestamp));
+      const inferenceMs = performance.now() - started;
+      const result = process(poses, timestamp, { width: video.videoWidth, height: video.videoHeight });
+
+      if (canvas) {
+        renderCameraFrame(canvas, video, result, currentLayers);
+      }
+      onResult({ timestamp, detected: poses[0] || null, result, inferenceMs, processingMs: performance.now() - started });
+    },
+    // Process one frame of recorded landmarks, drawn on a blank canvas of the recording's size
+    processLandmarks: (detected, timestamp, { width, height }) => {
+      const started = performance.now();
+      const result = process(detected ? [detected] : [], timestamp, { width, height });
+
+      if (canvas && result) {
+        canvas.width = width;
+        canvas.height = height;
+        drawFrameResult(canvas.getContext('2d'), result, { width, height, layers: currentLayers });
+      }
+      onResult({ timestamp, detected, result, inferenceMs: 0, processingMs: performance.now() - started });
+    },
+    setOptions: (next) => { currentOptions = next; },
+    setLayers: (next) => { currentLayers = next; },
+    skipSetup: () => { state = completeSetup(state); },
+    close: () => {
+      if (landmarker) {
+        landmarker.close();
+      }
+    }
+  };
+};
+
+// Load the model and create a runner for the live view: in the pose worker where
+// supported, falling back to the main thread. `variant` is the model variant to load.
+// Resolves with { runner, variant, delegate, source }.
+export const loadPoseRunner = async ({ variant, ...config }) => {
+  let loaded = null;
+
+  if (isWorkerSupported()) {
+    try {
+      loaded = await createWorkerRunner({ variant, ...config });
+    } catch (err) {
+      console.warn('Pose worker unavailable, detecting on the main thread:', err);
+    }
+  }
+
+  if (!loaded) {
+    // Self-hosted assets first, then remote; GPU delegate first, then CPU
+    const { landmarker, ...model } = await createPoseLandmarker({ variant, numPoses: config.people });
+    loaded = { runner: createMainThreadRunner({ landmarker, ...config }), ...model };
+  }
+
+  // Keep the chosen model available for offline starts
+  if (loaded.source === 'local') {
+    precacheAssets([getLocalModelPath(loaded.variant)]);
+  }
+
+  return loaded;
+};
@@ -1,6 +1,7 @@
 /**
  * Utility functions for pose detection and analysis
  */
+import { POSE_LANDMARKS } from './landmarkSchema.js';
 
 // Calculate the angle between three points (in radians)
 export const calculateAngle = (a, b, c) => {
@@ -38,8 +39,9 @@ export const calculate3DAngle = (a, b, c) => {
   const magnitudeBA = Math.sqrt(vectorBA.x * vectorBA.x + vectorBA.y * vectorBA.y + vectorBA.z * vectorBA.z);
   const magnitudeBC = Math.sqrt(vectorBC.x * vectorBC.x + vectorBC.y * vectorBC.y + vectorBC.z * vectorBC.z);
   
-  // Angle in radians
-  const angle = Math.acos(dotProduct / (magnitudeBA * magnitudeBC));
+  // Angle in radians (cosine clamped so rounding on straight lines can't give NaN)
+  const cosine = Math.min(1, Math.max(-1, dotProduct / (magnitudeBA * magnitudeBC)));
+  const angle = Math.acos(cosine);
   
   // Convert to degrees
   return angle * 180.0 / Math.PI;
@@ -50,6 +52,17 @@ export const calculateDistance = (a, b) => {
   return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
 };
 
+// Width over height of a frame, 1 when the size isn't known
+export const getAspectRatio = ({ width, height } = {}) => {
+  return width > 0 && height > 0 ? width / height : 1;
+};
+
+// Scale a normalised point's x by the frame's aspect ratio, so x and y are both in
+// frame heights and distances aren't stretched on frames that aren't square
+export const toFrameUnits = (point, aspectRatio = 1) => {
+  return { ...point, x: point.x * aspectRatio };
+};
+
 // Calculate the distance between two 3D points
 export const calculate3DDistance = (a, b) => {
   return Math.sqrt(
@@ -74,26 +87,8 @@ export const getMidpoint = (a, b) => {
   };
 };
 
-// Map MediaPipe pose landmarks to more readable names
-export const landmarkIndices = {
-  nose: 0,
-  leftEye: 1,
-  rightEye: 2,
-  leftEar: 3,
-  rightEar: 4,
-  leftShoulder: 5,
-  rightShoulder: 6,
-  leftElbow: 7,
-  rightElbow: 8,
-  leftWrist: 9,
-  rightWrist: 10,
-  leftHip: 11,
-  rightHip: 12,
-  leftKnee: 13,
-  rightKnee: 14,
-  leftAnkle: 15,
-  rightAnkle: 16
-};
+// Map MediaPipe pose landmarks to more readable names (all 33 points, see landmarkSchema)
+export const landmarkIndices = POSE_LANDMARKS;
 
 // Get named landmarks from the pose landmarks array
 export const getNamedLandmarks = (landmarks) => {
@@ -0,0 +1,72 @@
+/**
+ * User profiles and their per-exercise calibrations, stored in IndexedDB. The active
+ * profile is remembered in localStorage.
+ *
+ * A profile is { id, name, createdAt, calibrations }, where `calibrations` maps an
+ * exercise id to the result of deriveCalibration (see calibration.js).
+ */
+import { PROFILE_STORE, runRequest } from './database.js';
+
+const ACTIVE_PROFILE_STORAGE_KEY = 'activeProfileId';
+
+// List all profiles, oldest first
+export const listProfiles = async () => {
+  const profiles = await runRequest(PROFILE_STORE, 'readonly', store => store.getAll());
+  return profiles.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Get a single profile by id
+export const getProfile = (id) => {
+  return runRequest(PROFILE_STORE, 'readonly', store => store.get(id));
+};
+
+// Create a profile; resolves with the new profile id
+export const createProfile = (name) => {
+  return runRequest(PROFILE_STORE, 'readwrite', store => store.add({
+    name,
+    createdAt: Date.now(),
+    calibrations: {}
+  }));
+};
+
+// Delete a profile by id
+export const deleteProfile = (id) => {
+  return runRequest(PROFILE_STORE, 'readwrite', store => store.delete(id));
+};
+
+// Store a calibration for one exercise on a profile, replacing any earlier one
+export const saveCalibration = async (profileId, exerciseType, calibration) => {
+  const profile = await getProfile(profileId);
+  if (!profile) {
+    throw new Error(`Profile ${profileId} does not exist`);
+  }
+
+  const updated = { ...profile, calibrations: { ...profile.calibrations, [exerciseType]: calibration } };
+  await runRequest(PROFILE_STORE, 'readwrite', store => store.put(updated));
+  return updated;
+};
+
+// Get a profile's calibrated thresholds for an exercise, or null if it isn't calibrated
+export const getProfileThresholds = (profile, exerciseType) => {
+  const calibration = profile && profile.calibrations[exerciseType];
+  return calibration ? calibration.thresholds : null;
+};
+
+// Get the id of the profile in use, or null
+export const getActiveProfileId = () => {
+  try {
+    const stored = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+    return stored ? Number(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Remember the profile in use (null for none)
+export const setActiveProfileId = (id) => {
+  if (id === null) {
+    localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+  } else {
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, String(id));
+  }
+};
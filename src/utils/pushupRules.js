@@ -1,7 +1,10 @@
 /**
  * Rules for evaluating push-up form
  */
-import { calculateAngle, calculate3DAngle, isPointVisible, getNamedLandmarks } from './poseUtils';
+import { determinePhase, evaluateForm } from './exerciseEngine.js';
+import { PUSHUP_REFERENCE_POSES, PUSHUP_REFERENCE_MOTION } from './referencePoses.js';
+import { ISSUE_SEVERITY } from './formIssues.js';
+import { CAMERA_VIEWS } from './cameraSetup.js';
 
 // Define push-up phases
 export const PUSHUP_PHASES = {
@@ -16,188 +19,185 @@ const THRESHOLDS = {
   // Elbow angle at bottom position (degrees)
   MIN_ELBOW_ANGLE: 70,
   MAX_ELBOW_ANGLE: 100,
-  
+
   // Elbow angle at top position (degrees)
   MIN_TOP_ELBOW_ANGLE: 150,
-  
-  // Back alignment (degrees from horizontal)
-  MAX_BACK_SAG: 15,
-  MAX_BACK_PIKE: 15,
-  
+
+  // Back alignment (degrees from horizontal; positive sags, negative pikes)
+  MAX_BACK_ANGLE: 15,
+  MIN_BACK_ANGLE: -15,
+
   // Neck alignment (degrees)
   MAX_NECK_ANGLE: 30,
-  
+
   // Depth threshold (ratio of shoulder height in top vs. bottom position)
   MIN_DEPTH_RATIO: 0.8,
-  
+
+  // Phase cut-offs (average elbow angle, degrees)
+  TOP_ELBOW_ANGLE: 150,
+  MOVING_ELBOW_ANGLE: 120,
+
   // Confidence threshold for landmarks
   CONFIDENCE_THRESHOLD: 0.5
 };
 
-// Determine the current phase of the push-up
-export const determinePushupPhase = (landmarks, prevPhase = PUSHUP_PHASES.TOP, prevElbowAngle = null) => {
-  const namedLandmarks = getNamedLandmarks(landmarks);
-  if (!namedLandmarks) return { phase: prevPhase, elbowAngle: prevElbowAngle };
-  
-  const { leftShoulder, rightShoulder, leftElbow, rightElbow, leftWrist, rightWrist } = namedLandmarks;
-  
-  // Check if we have all the necessary landmarks with sufficient confidence
-  if (!isPointVisible(leftShoulder) || !isPointVisible(rightShoulder) || 
-      !isPointVisible(leftElbow) || !isPointVisible(rightElbow) || 
-      !isPointVisible(leftWrist) || !isPointVisible(rightWrist)) {
-    return { phase: prevPhase, elbowAngle: prevElbowAngle };
-  }
-  
-  // Calculate average elbow angle
-  const leftElbowAngle = calculate3DAngle(leftShoulder, leftElbow, leftWrist);
-  const rightElbowAngle = calculate3DAngle(rightShoulder, rightElbow, rightWrist);
-  const avgElbowAngle = (leftElbowAngle + rightElbowAngle) / 2;
-  
-  // Determine phase based on elbow angle and its change
-  let phase = prevPhase;
-  
-  if (avgElbowAngle > 150) {
-    // Top position (arms extended)
-    phase = PUSHUP_PHASES.TOP;
-  } else if (avgElbowAngle < 120 && (prevElbowAngle === null || avgElbowAngle < prevElbowAngle)) {
-    // Descending phase (elbow angle decreasing)
-    phase = PUSHUP_PHASES.DESCENDING;
-  } else if (avgElbowAngle < 120 && avgElbowAngle > prevElbowAngle) {
-    // Ascending phase (elbow angle increasing)
-    phase = PUSHUP_PHASES.ASCENDING;
-  }
-  
-  // Bottom position is the lowest point of the push-up
-  if (phase === PUSHUP_PHASES.DESCENDING && prevPhase === PUSHUP_PHASES.DESCENDING && 
-      avgElbowAngle > prevElbowAngle) {
-    phase = PUSHUP_PHASES.BOTTOM;
+const ARM_LANDMARKS = ['leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist'];
+const ELBOW_ANGLES = ['leftElbow', 'rightElbow'];
+
+// Back alignment (shoulders to hips), should be close to horizontal.
+// Shared with plank-style holds.
+export const BACK_ALIGNMENT_ANGLE = { type: 'fromHorizontal', points: ['midShoulder', 'midHip'] };
+
+// Back alignment checks for the given phases; the definition needs MAX_BACK_ANGLE
+// and MIN_BACK_ANGLE thresholds and a `back` angle
+export const backAlignmentChecks = (phases) => [
+  {
+    phases,
+    metrics: ['back'],
+    max: 'MAX_BACK_ANGLE',
+    code: 'BACK_SAGGING',
+    severity: ISSUE_SEVERITY.ERROR,
+    message: 'Back sagging too much'
+  },
+  {
+    phases,
+    metrics: ['back'],
+    min: 'MIN_BACK_ANGLE',
+    code: 'HIPS_PIKING',
+    message: 'Hips too high (piking)'
   }
-  
-  return { phase, elbowAngle: avgElbowAngle };
+];
+
+// Declarative push-up definition used by the exercise registry
+export const pushupDefinition = {
+  id: 'pushup',
+  name: 'Push-Up',
+  selector: {
+    label: 'Start Push-Ups',
+    className: 'bg-green-600 hover:bg-green-700'
+  },
+  phases: [
+    {
+      id: PUSHUP_PHASES.TOP,
+      role: 'start',
+      description: 'Start in plank position with arms extended, body in straight line'
+    },
+    {
+      id: PUSHUP_PHASES.DESCENDING,
+      role: 'descending',
+      description: 'Lower body by bending elbows, keeping them close to body'
+    },
+    {
+      id: PUSHUP_PHASES.BOTTOM,
+      role: 'bottom',
+      description: 'Lower until chest is near ground, elbows at about 90 degrees'
+    },
+    {
+      id: PUSHUP_PHASES.ASCENDING,
+      role: 'ascending',
+      description: 'Push back up to starting position, maintaining body alignment'
+    }
+  ],
+  thresholds: THRESHOLDS,
+  angles: {
+    leftElbow: { type: 'angle3d', points: ['leftShoulder', 'leftElbow', 'leftWrist'] },
+    rightElbow: { type: 'angle3d', points: ['rightShoulder', 'rightElbow', 'rightWrist'] },
+    back: BACK_ALIGNMENT_ANGLE,
+    // Neck bend off the line of the body, 0 with the head in line; dropping the head or
+    // craning it up to look ahead both raise it
+    neck: { type: 'bend', points: ['midHip', 'midShoulder', 'midEar'] }
+  },
+  phaseDetection: {
+    requiredLandmarks: ARM_LANDMARKS,
+    angles: ['leftElbow', 'rightElbow'],
+    startAbove: 'TOP_ELBOW_ANGLE',
+    movingBelow: 'MOVING_ELBOW_ANGLE',
+    // Elbow angle decreases as we go down
+    track: { type: 'angle' },
+    descendingWhen: 'decreasing'
+  },
+  // Ignore elbow angle changes smaller than this (degrees) when judging direction
+  filtering: {
+    hysteresis: { deadband: 2 }
+  },
+  requiredLandmarks: [...ARM_LANDMARKS, 'leftHip', 'rightHip'],
+  setup: { views: [CAMERA_VIEWS.SIDE] },
+  // Hip shift and shoulder tilt can't be seen side on, so only the arms are compared
+  asymmetry: {
+    pairs: { elbow: ['leftElbow', 'rightElbow'] }
+  },
+  // Rep score weights; the elbow bend at the bottom makes up depth (see repScore)
+  scoring: {
+    weights: { depth: 35, alignment: 45, symmetry: 10, tempo: 10 },
+    depth: ['NOT_DEEP_ENOUGH', 'ELBOWS_BENT_TOO_MUCH']
+  },
+  checks: [
+    // Bottom position
+    {
+      phases: [PUSHUP_PHASES.BOTTOM],
+      metrics: ['leftElbow', 'rightElbow'],
+      max: 'MAX_ELBOW_ANGLE',
+      code: 'NOT_DEEP_ENOUGH',
+      message: 'Not going deep enough'
+    },
+    {
+      phases: [PUSHUP_PHASES.BOTTOM],
+      metrics: ['leftElbow', 'rightElbow'],
+      min: 'MIN_ELBOW_ANGLE',
+      code: 'ELBOWS_BENT_TOO_MUCH',
+      message: 'Elbows bent too much'
+    },
+    // Top position
+    {
+      phases: [PUSHUP_PHASES.TOP],
+      metrics: ['leftElbow', 'rightElbow'],
+      min: 'MIN_TOP_ELBOW_ANGLE',
+      code: 'ARMS_NOT_EXTENDED',
+      severity: ISSUE_SEVERITY.INFO,
+      message: 'Arms not fully extended at top'
+    },
+    ...backAlignmentChecks(Object.values(PUSHUP_PHASES)),
+    {
+      phases: [PUSHUP_PHASES.BOTTOM, PUSHUP_PHASES.DESCENDING, PUSHUP_PHASES.ASCENDING],
+      metrics: ['neck'],
+      max: 'MAX_NECK_ANGLE',
+      code: 'NECK_NOT_NEUTRAL',
+      message: 'Neck not in neutral position'
+    }
+  ],
+  // Personal thresholds from a plank baseline and two slow reps (see calibration). The
+  // back limits follow the body's incline at the top, which depends on arm length.
+  calibration: {
+    thresholds: {
+      TOP_ELBOW_ANGLE: { metrics: ELBOW_ANGLES, at: 'start', offset: -15, limits: [135, 165] },
+      MOVING_ELBOW_ANGLE: { metrics: ELBOW_ANGLES, fraction: 0.4, limits: [110, 135] },
+      MIN_TOP_ELBOW_ANGLE: { metrics: ELBOW_ANGLES, at: 'start', offset: -15, limits: [135, 165] },
+      MIN_ELBOW_ANGLE: { metrics: ELBOW_ANGLES, at: 'bottom', offset: -15, limits: [55, 80] },
+      MAX_ELBOW_ANGLE: { metrics: ELBOW_ANGLES, at: 'bottom', offset: 10, limits: [90, 110] },
+      MAX_BACK_ANGLE: { metrics: ['back'], at: 'start', offset: 10, limits: [10, 30] },
+      MIN_BACK_ANGLE: { metrics: ['back'], at: 'start', offset: -30, limits: [-25, 0] },
+      MAX_NECK_ANGLE: { metrics: ['neck'], at: 'start', offset: 20, limits: [25, 45] }
+    }
+  },
+  tips: [
+    'Keep your body in a straight line from head to heels',
+    'Position hands slightly wider than shoulder-width',
+    'Keep elbows at about 45° angle to your body',
+    'Lower until chest is about an inch from the ground',
+    'Maintain a neutral neck position (don\'t look up or down)'
+  ],
+  referencePoses: PUSHUP_REFERENCE_POSES,
+  referenceMotion: PUSHUP_REFERENCE_MOTION
+};
+
+// Determine the current phase of the push-up. Pass `options.thresholds` to use
+// calibrated thresholds.
+export const determinePushupPhase = (landmarks, prevPhase = PUSHUP_PHASES.TOP, prevElbowAngle = null, options = {}) => {
+  const { phase, value } = determinePhase(pushupDefinition, landmarks, prevPhase, prevElbowAngle, options);
+  return { phase, elbowAngle: value };
 };
 
 // Evaluate push-up form based on the current phase
-export const evaluatePushupForm = (landmarks, phase) => {
-  const namedLandmarks = getNamedLandmarks(landmarks);
-  if (!namedLandmarks) return { isCorrect: false, issues: ['No landmarks detected'] };
-  
-  const { 
-    nose, leftEye, rightEye,
-    leftShoulder, rightShoulder, 
-    leftElbow, rightElbow, 
-    leftWrist, rightWrist,
-    leftHip, rightHip,
-    leftAnkle, rightAnkle
-  } = namedLandmarks;
-  
-  // Check if we have all the necessary landmarks with sufficient confidence
-  const requiredLandmarks = [
-    leftShoulder, rightShoulder, 
-    leftElbow, rightElbow, 
-    leftWrist, rightWrist,
-    leftHip, rightHip
-  ];
-  
-  if (requiredLandmarks.some(landmark => !isPointVisible(landmark, THRESHOLDS.CONFIDENCE_THRESHOLD))) {
-    return { isCorrect: false, issues: ['Some key landmarks not visible'] };
-  }
-  
-  const issues = [];
-  
-  // Calculate angles
-  const leftElbowAngle = calculate3DAngle(leftShoulder, leftElbow, leftWrist);
-  const rightElbowAngle = calculate3DAngle(rightShoulder, rightElbow, rightWrist);
-  
-  // Calculate back alignment (angle between shoulders, hips, and ankles)
-  const midShoulder = { 
-    x: (leftShoulder.x + rightShoulder.x) / 2, 
-    y: (leftShoulder.y + rightShoulder.y) / 2,
-    z: (leftShoulder.z + rightShoulder.z) / 2
-  };
-  
-  const midHip = { 
-    x: (leftHip.x + rightHip.x) / 2, 
-    y: (leftHip.y + rightHip.y) / 2,
-    z: (leftHip.z + rightHip.z) / 2
-  };
-  
-  // Calculate back angle (should be close to horizontal in a proper push-up)
-  // We use a horizontal reference point
-  const horizontalRef = { x: midShoulder.x + 1, y: midShoulder.y, z: midShoulder.z };
-  const backAngle = calculateAngle(horizontalRef, midShoulder, midHip);
-  
-  // Calculate neck angle (should be neutral, not looking up or down too much)
-  const midEye = {
-    x: (leftEye.x + rightEye.x) / 2,
-    y: (leftEye.y + rightEye.y) / 2,
-    z: (leftEye.z + rightEye.z) / 2
-  };
-  
-  const neckAngle = calculateAngle(midShoulder, nose, midEye);
-  
-  // Phase-specific evaluations
-  switch (phase) {
-    case PUSHUP_PHASES.BOTTOM:
-      // Check elbow angle at bottom position
-      if (leftElbowAngle > THRESHOLDS.MAX_ELBOW_ANGLE || rightElbowAngle > THRESHOLDS.MAX_ELBOW_ANGLE) {
-        issues.push('Not going deep enough');
-      }
-      
-      if (leftElbowAngle < THRESHOLDS.MIN_ELBOW_ANGLE || rightElbowAngle < THRESHOLDS.MIN_ELBOW_ANGLE) {
-        issues.push('Elbows bent too much');
-      }
-      
-      // Check back alignment
-      if (backAngle > THRESHOLDS.MAX_BACK_SAG) {
-        issues.push('Back sagging too much');
-      } else if (backAngle < -THRESHOLDS.MAX_BACK_PIKE) {
-        issues.push('Hips too high (piking)');
-      }
-      
-      // Check neck position
-      if (Math.abs(neckAngle) > THRESHOLDS.MAX_NECK_ANGLE) {
-        issues.push('Neck not in neutral position');
-      }
-      break;
-      
-    case PUSHUP_PHASES.TOP:
-      // Check if arms are fully extended at top
-      if (leftElbowAngle < THRESHOLDS.MIN_TOP_ELBOW_ANGLE || rightElbowAngle < THRESHOLDS.MIN_TOP_ELBOW_ANGLE) {
-        issues.push('Arms not fully extended at top');
-      }
-      
-      // Check back alignment
-      if (backAngle > THRESHOLDS.MAX_BACK_SAG) {
-        issues.push('Back sagging too much');
-      } else if (backAngle < -THRESHOLDS.MAX_BACK_PIKE) {
-        issues.push('Hips too high (piking)');
-      }
-      break;
-      
-    case PUSHUP_PHASES.DESCENDING:
-    case PUSHUP_PHASES.ASCENDING:
-      // Check back alignment during movement
-      if (backAngle > THRESHOLDS.MAX_BACK_SAG) {
-        issues.push('Back sagging too much');
-      } else if (backAngle < -THRESHOLDS.MAX_BACK_PIKE) {
-        issues.push('Hips too high (piking)');
-      }
-      
-      // Check neck position during movement
-      if (Math.abs(neckAngle) > THRESHOLDS.MAX_NECK_ANGLE) {
-        issues.push('Neck not in neutral position');
-      }
-      break;
-  }
-  
-  return {
-    isCorrect: issues.length === 0,
-    issues,
-    angles: {
-      leftElbow: leftElbowAngle,
-      rightElbow: rightElbowAngle,
-      back: backAngle,
-      neck: neckAngle
-    }
-  };
+export const evaluatePushupForm = (landmarks, phase, options = {}) => {
+  return evaluateForm(pushupDefinition, landmarks, phase, options);
 };
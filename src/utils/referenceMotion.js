@@ -0,0 +1,147 @@
+/**
+ * Reference ghost for the 3D view: an ideal rep played back as a keyframed clip,
+ * time-warped to the user's own rep so the ghost is always at the matching point of the
+ * movement, and laid over the user's skeleton.
+ *
+ * A definition opts in with an optional `referenceMotion` object:
+ *   referenceMotion: {
+ *     keyframes: [{ progress: 0, pose: {} }, { progress: 1, pose: { kneeFlexion: 90 } }],
+ *     repMs: 2000 // length of the clip, down and back up (optional)
+ *   }
+ * Keyframe poses are joint angles for the pose generator, from the start of the rep
+ * (progress 0) to the bottom (progress 1); the clip plays them down and back up.
+ *
+ * The warp follows the angles that drive the exercise's phase detection (e.g. the knees
+ * for squats): the clip is sampled once, and each frame the ghost jumps to the clip time
+ * where those angles match the user's, on the way down or up depending on the phase.
+ */
+import { generatePose, sampleKeyframes } from './poseGenerator.js';
+import { getPhaseByRole, measureMetrics } from './exerciseEngine.js';
+import { getBodyOrientation } from './cameraSetup.js';
+import { calculateDistance, getMidpoint, getNamedLandmarks } from './poseUtils.js';
+
+// Default reference motion settings
+const DEFAULT_OPTIONS = {
+  // Length of the clip when the definition doesn't set `repMs` (milliseconds)
+  REP_MS: 2000,
+
+  // Samples of the lowering half used to look up clip times by angle
+  SAMPLES: 40,
+
+  // Side-on view used to measure the clip's angles, so none are foreshortened
+  MEASURE_VIEW: { yaw: 90 }
+};
+
+// Average of the phase-driving angles in one frame, or null if any can't be measured
+const getDrivingAngle = (definition, landmarks) => {
+  const metrics = measureMetrics(definition, landmarks);
+  const angles = metrics ? definition.phaseDetection.angles.map(name => metrics[name]) : [];
+  if (angles.length === 0 || angles.some(angle => angle === undefined)) return null;
+  return angles.reduce((sum, angle) => sum + angle, 0) / angles.length;
+};
+
+// Build the reference clip for a definition, or null without a `referenceMotion`. The
+// clip keeps its { time, pose } keyframes and samples of the lowering half with the
+// driving angle at each.
+export const createReferenceClip = (definition, options = {}) => {
+  const motion = definition.referenceMotion;
+  if (!motion) return null;
+
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const repMs = motion.repMs ?? config.REP_MS;
+  const half = repMs / 2;
+  const down = motion.keyframes.map(({ progress, pose }) => ({ time: progress * half, pose }));
+  const up = down.slice(0, -1).reverse().map(({ time, pose }) => ({ time: repMs - time, pose }));
+  const keyframes = [...down, ...up];
+
+  const samples = Array.from({ length: config.SAMPLES + 1 }, (_, i) => {
+    const time = i / config.SAMPLES * half;
+    const angle = getDrivingAngle(definition, generatePose(sampleKeyframes(keyframes, time), config.MEASURE_VIEW));
+    return { time, angle };
+  }).filter(sample => sample.angle !== null);
+
+  return { keyframes, repMs, samples };
+};
+
+// Find the time in the lowering half of the clip where the driving angle matches `angle`,
+// clamped to the start and bottom of the clip
+const getLoweringTime = (clip, angle) => {
+  const { samples } = clip;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const decreasing = last.angle < first.angle;
+  const before = value => (decreasing ? value >= angle : value <= angle);
+
+  if (before(first.angle) === false) return first.time;
+  const next = samples.findIndex(sample => !before(sample.angle));
+  if (next === -1) return last.time;
+
+  const a = samples[next - 1];
+  const b = samples[next];
+  const amount = b.angle === a.angle ? 0 : (angle - a.angle) / (b.angle - a.angle);
+  return a.time + (b.time - a.time) * amount;
+};
+
+// Get the clip time matching the user's frame: the matching point of the lowering half,
+// mirrored into the rising half while ascending. Null when the driving angles can't be
+// measured.
+export const getClipTime = (definition, clip, landmarks, phase) => {
+  const angle = getDrivingAngle(definition, landmarks);
+  if (angle === null || clip.samples.length < 2) return null;
+
+  const time = getLoweringTime(clip, angle);
+  return phase === getPhaseByRole(definition, 'ascending') ? clip.repMs - time : time;
+};
+
+// Size and position of a pose for alignment: the hip midpoint and the torso plus thigh
+// length in the image
+const getPoseFrame = (landmarks) => {
+  const named = getNamedLandmarks(landmarks);
+  const hip = getMidpoint(named.leftHip, named.rightHip);
+  const shoulder = getMidpoint(named.leftShoulder, named.rightShoulder);
+  const knee = getMidpoint(named.leftKnee, named.rightKnee);
+  return { hip, size: calculateDistance(hip, shoulder) + calculateDistance(hip, knee) };
+};
+
+// Move and scale a pose so its hips and size match `target`'s
+const alignPose = (landmarks, target) => {
+  const from = getPoseFrame(landmarks);
+  const scale = from.size > 0 ? target.size / from.size : 1;
+  return landmarks.map(landmark => ({
+    ...landmark,
+    x: target.hip.x + (landmark.x - from.hip.x) * scale,
+    y: target.hip.y + (landmark.y - from.hip.y) * scale,
+    z: target.hip.z + (landmark.z - from.hip.z) * scale
+  }));
+};
+
+// Average image distance between the visible landmarks of two poses
+const getPoseDistance = (a, b) => {
+  const pairs = a
+    .map((landmark, i) => [landmark, b[i]])
+    .filter(([from, to]) => from.visibility > 0.5 && to && to.visibility > 0.5)
+    .map(([from, to]) => calculateDistance(from, to));
+  return pairs.length > 0 ? pairs.reduce((sum, distance) => sum + distance, 0) / pairs.length : Infinity;
+};
+
+// Get the ghost's landmarks for the user's current frame: the clip at the matching time,
+// turned the way the user faces the camera and laid over their hips at their size.
+// Returns null when the user's pose can't be matched.
+export const getReferenceGhost = (definition, clip, landmarks, phase) => {
+  if (!clip || !landmarks) return null;
+
+  const time = getClipTime(definition, clip, landmarks, phase);
+  const orientation = getBodyOrientation(landmarks);
+  if (time === null || !orientation) return null;
+
+  const target = getPoseFrame(landmarks);
+  const pose = sampleKeyframes(clip.keyframes, time);
+
+  // The estimated turn doesn't say which side of the image the user faces, so try both
+  // and keep the closer fit
+  const candidates = [orientation.yaw, -orientation.yaw]
+    .map(yaw => alignPose(generatePose(pose, { yaw }), target));
+  return candidates.reduce((best, candidate) => (
+    getPoseDistance(candidate, landmarks) < getPoseDistance(best, landmarks) ? candidate : best
+  ));
+};
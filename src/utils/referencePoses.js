@@ -0,0 +1,84 @@
+/**
+ * Reference poses showing ideal form for each exercise phase, as 33-point landmark
+ * arrays built with the pose generator, and the ideal reps the 3D view's reference ghost
+ * plays back (see referenceMotion)
+ */
+import { generatePose } from './poseGenerator.js';
+
+// Squats are shown from the front
+const SQUAT_STANDING_ANGLES = {};
+
+const SQUAT_MOVING_ANGLES = {
+  trunkLean: 15,
+  hipFlexion: 60,
+  kneeFlexion: 55,
+  shoulderFlexion: 60
+};
+
+// Thighs parallel to the ground, chest up, arms out in front for balance
+const SQUAT_BOTTOM_ANGLES = {
+  trunkLean: 30,
+  hipFlexion: 90,
+  kneeFlexion: 90,
+  shoulderFlexion: 90
+};
+
+// Push-ups are shown from the side: hands under the shoulders, body in a straight line
+// from head to heels
+const PUSHUP_VIEW = { yaw: 90 };
+
+const PUSHUP_TOP_ANGLES = {
+  trunkLean: 66,
+  shoulderFlexion: 65,
+  elbowFlexion: 2,
+  footAngle: 66
+};
+
+const PUSHUP_MOVING_ANGLES = {
+  trunkLean: 69,
+  shoulderFlexion: 45,
+  elbowFlexion: 55,
+  footAngle: 69
+};
+
+// Elbows at about 90 degrees
+const PUSHUP_BOTTOM_ANGLES = {
+  trunkLean: 73,
+  shoulderFlexion: 35,
+  elbowFlexion: 90,
+  footAngle: 73
+};
+
+const SQUAT_MOVING = generatePose(SQUAT_MOVING_ANGLES);
+const PUSHUP_MOVING = generatePose(PUSHUP_MOVING_ANGLES, PUSHUP_VIEW);
+
+export const SQUAT_REFERENCE_POSES = {
+  standing: generatePose(SQUAT_STANDING_ANGLES),
+  descending: SQUAT_MOVING,
+  bottom: generatePose(SQUAT_BOTTOM_ANGLES),
+  ascending: SQUAT_MOVING
+};
+
+export const PUSHUP_REFERENCE_POSES = {
+  top: generatePose(PUSHUP_TOP_ANGLES, PUSHUP_VIEW),
+  descending: PUSHUP_MOVING,
+  bottom: generatePose(PUSHUP_BOTTOM_ANGLES, PUSHUP_VIEW),
+  ascending: PUSHUP_MOVING
+};
+
+// Ideal reps, passing through the same halfway poses as the phase references
+export const SQUAT_REFERENCE_MOTION = {
+  keyframes: [
+    { progress: 0, pose: SQUAT_STANDING_ANGLES },
+    { progress: 0.5, pose: SQUAT_MOVING_ANGLES },
+    { progress: 1, pose: SQUAT_BOTTOM_ANGLES }
+  ]
+};
+
+export const PUSHUP_REFERENCE_MOTION = {
+  keyframes: [
+    { progress: 0, pose: PUSHUP_TOP_ANGLES },
+    { progress: 0.5, pose: PUSHUP_MOVING_ANGLES },
+    { progress: 1, pose: PUSHUP_BOTTOM_ANGLES }
+  ]
+};
@@ -0,0 +1,352 @@
+/**
+ * Rep counting and set tracking built on the exercise phase state machines
+ */
+import { getIssueCode, getIssueDeviation, isTrackingIssue } from './formIssues.js';
+import { getTempoConsistency, measureRepTempo } from './tempo.js';
+import { appendSample, createAngleSample } from './angleSeries.js';
+import { addAsymmetryFrame, createAsymmetryAccumulator, getAsymmetryReport, getSetAsymmetry, summarizeRepAsymmetry } from './asymmetry.js';
+import { addScoreFrame, createScoreAccumulator, getAverageScore, getSetScores, scoreRep } from './repScore.js';
+
+// Default rep counter settings
+const DEFAULT_OPTIONS = {
+  // A gap longer than this between reps starts a new set (milliseconds)
+  REST_THRESHOLD_MS: 15000,
+
+  // Difference in rep count between sides that counts as an imbalance
+  IMBALANCE_REP_GAP: 2,
+
+  // Difference in good-rep rate between sides that counts as an imbalance
+  IMBALANCE_FORM_GAP: 0.34,
+
+  // Reps needed on each side before comparing form between sides
+  MIN_REPS_PER_SIDE: 3,
+
+  // Phase angle speed below which the start position counts as still, for timing when
+  // a rep really begins and ends (degrees per second)
+  STILL_SPEED: 10
+};
+
+// Order in which the cycle phases must be visited after leaving the start phase
+const CYCLE_ORDER = ['descending', 'bottom', 'ascending'];
+
+// Create an empty rep counter state
+export const createRepCounterState = () => ({
+  totalReps: 0,
+  goodReps: 0,
+  badReps: 0,
+  partialReps: 0,
+  sideReps: {
+    left: { reps: 0, goodReps: 0 },
+    right: { reps: 0, goodReps: 0 }
+  },
+  reps: [],
+  sets: [],
+  currentRep: null,
+  lastPhase: null,
+  lastMotion: null, // Phase angle of the previous frame, as { t, angle }
+  restTime: null, // Last frame in the start phase where the angle wasn't falling
+  lastRepEndTime: null
+});
+
+// Start tracking a new rep when the user leaves the start phase. `restTime` is when the
+// angle last held still or rose before that, where the lowering really began.
+const startRep = (timestamp, restTime) => ({
+  startTime: timestamp,
+  restTime: restTime ?? timestamp,
+  stage: -1,
+  motion: [], // The phase angle on every frame, for tempo
+  issues: [],
+  checks: createScoreAccumulator(), // How often each check was measured and failed, for the score
+  angles: {},
+  asymmetry: createAsymmetryAccumulator(),
+  series: [], // Angle samples over the rep, for the charts
+  sideFrames: { left: 0, right: 0 }
+});
+
+// Count frames per leading side for single-leg exercises
+const collectSide = (rep, evaluation) => {
+  if (!evaluation || !evaluation.side) return rep;
+  return {
+    ...rep,
+    sideFrames: { ...rep.sideFrames, [evaluation.side]: rep.sideFrames[evaluation.side] + 1 }
+  };
+};
+
+// The side a rep was performed on is the one leading for most of its frames
+const getRepSide = (rep) => {
+  const { left, right } = rep.sideFrames;
+  if (left === 0 && right === 0) return null;
+  return left >= right ? 'left' : 'right';
+};
+
+// Record a completed rep against its side
+const addRepToSide = (sideReps, rep) => {
+  if (!rep.side) return sideReps;
+  const current = sideReps[rep.side];
+  return {
+    ...sideReps,
+    [rep.side]: {
+      reps: current.reps + 1,
+      goodReps: current.goodReps + (rep.isGood ? 1 : 0)
+    }
+  };
+};
+
+// Track the min/max of each joint angle over the rep
+const collectAngles = (rep, evaluation) => {
+  if (!evaluation || !evaluation.angles) return rep;
+
+  const angles = { ...rep.angles };
+  Object.entries(evaluation.angles).forEach(([name, value]) => {
+    if (!Number.isFinite(value)) return;
+    const range = angles[name];
+    angles[name] = range
+      ? { min: Math.min(range.min, value), max: Math.max(range.max, value) }
+      : { min: value, max: value };
+  });
+
+  return { ...rep, angles };
+};
+
+// Record the frame's form issues against the rep in progress, one per issue code, keeping
+// the frame where each was furthest out of range. Tracking issues don't make a rep bad.
+const collectIssues = (rep, evaluation) => {
+  if (!evaluation || !evaluation.issues) return rep;
+
+  let issues = rep.issues;
+  evaluation.issues.forEach((issue) => {
+    if (isTrackingIssue(issue)) return;
+
+    const index = issues.findIndex(existing => getIssueCode(existing) === getIssueCode(issue));
+    if (index === -1) {
+      issues = [...issues, issue];
+    } else if (getIssueDeviation(issue) > getIssueDeviation(issues[index])) {
+      issues = issues.map((existing, i) => (i === index ? issue : existing));
+    }
+  });
+
+  return issues === rep.issues ? rep : { ...rep, issues };
+};
+
+// Record the phase angle of every frame it was measured in
+const collectMotion = (rep, angle, timestamp) => {
+  if (!Number.isFinite(angle)) return rep;
+  return { ...rep, motion: [...rep.motion, { t: timestamp, angle }] };
+};
+
+// Add left/right measurements from measureAsymmetry to the rep in progress
+const collectAsymmetry = (rep, asymmetry) => {
+  if (!asymmetry) return rep;
+  return { ...rep, asymmetry: addAsymmetryFrame(rep.asymmetry, asymmetry) };
+};
+
+// Count the checks measured in the frame and the ones that failed
+const collectChecks = (rep, evaluation) => {
+  const checks = addScoreFrame(rep.checks, evaluation);
+  return checks === rep.checks ? rep : { ...rep, checks };
+};
+
+// Sample the joint angles over the rep, timed from its start
+const collectSeries = (rep, evaluation, phase, timestamp) => {
+  if (!evaluation || !evaluation.angles) return rep;
+  const series = appendSample(rep.series, createAngleSample(timestamp - rep.startTime, phase, evaluation.angles));
+  return series === rep.series ? rep : { ...rep, series };
+};
+
+// Record everything measured in a frame against the rep in progress
+const collectFrame = (rep, { phase, angle, evaluation, asymmetry, timestamp }) => {
+  const collected = collectAsymmetry(collectSide(collectAngles(collectChecks(collectIssues(rep, evaluation), evaluation), evaluation), evaluation), asymmetry);
+  return collectMotion(collectSeries(collected, evaluation, phase, timestamp), angle, timestamp);
+};
+
+// Advance the rep through the cycle when it reaches the next expected phase
+const advanceStage = (rep, phase, cycle) => {
+  const nextRole = CYCLE_ORDER[rep.stage + 1];
+  if (nextRole && phase === cycle[nextRole]) {
+    return { ...rep, stage: rep.stage + 1 };
+  }
+  return rep;
+};
+
+// Add a completed rep to the current set, or open a new set after a rest period
+const addRepToSets = (sets, rep, lastRepEndTime, restThresholdMs) => {
+  const isNewSet = sets.length === 0 ||
+    lastRepEndTime === null ||
+    rep.startTime - lastRepEndTime > restThresholdMs;
+
+  if (isNewSet) {
+    return [...sets, {
+      number: sets.length + 1,
+      startTime: rep.startTime,
+      endTime: rep.endTime,
+      reps: 1,
+      goodReps: rep.isGood ? 1 : 0,
+      badReps: rep.isGood ? 0 : 1
+    }];
+  }
+
+  const current = sets[sets.length - 1];
+  return [...sets.slice(0, -1), {
+    ...current,
+    endTime: rep.endTime,
+    reps: current.reps + 1,
+    goodReps: current.goodReps + (rep.isGood ? 1 : 0),
+    badReps: current.badReps + (rep.isGood ? 0 : 1)
+  }];
+};
+
+// Speed of the phase angle since the previous frame in degrees per second, 0 when either
+// frame wasn't measured
+const getAngleSpeed = (lastMotion, angle, timestamp) => {
+  if (!lastMotion || !Number.isFinite(angle) || timestamp <= lastMotion.t) return 0;
+  return (angle - lastMotion.angle) / (timestamp - lastMotion.t) * 1000;
+};
+
+// Score a rep whose cycle is done and add it to the counts and sets. The rep ends at
+// `timestamp`, once the angle has stopped rising back to the start.
+const completeRep = (state, currentRep, timestamp, options) => {
+  const restThresholdMs = options.restThresholdMs ?? DEFAULT_OPTIONS.REST_THRESHOLD_MS;
+  const tempo = measureRepTempo(currentRep.motion, currentRep.restTime, timestamp);
+  const asymmetry = summarizeRepAsymmetry(currentRep.asymmetry);
+  const { score, grade, isGood, deductions } = scoreRep({ ...currentRep, tempo, asymmetry }, options.scoring, options);
+
+  const completedRep = {
+    number: state.totalReps + 1,
+    startTime: currentRep.startTime,
+    endTime: timestamp,
+    duration: timestamp - currentRep.startTime,
+    issues: currentRep.issues,
+    angles: currentRep.angles,
+    side: getRepSide(currentRep),
+    tempo,
+    asymmetry,
+    series: currentRep.series,
+    score,
+    grade,
+    deductions,
+    isGood
+  };
+
+  const sets = addRepToSets(state.sets, completedRep, state.lastRepEndTime, restThresholdMs);
+  completedRep.set = sets.length;
+
+  return {
+    state: {
+      ...state,
+      totalReps: state.totalReps + 1,
+      goodReps: state.goodReps + (completedRep.isGood ? 1 : 0),
+      badReps: state.badReps + (completedRep.isGood ? 0 : 1),
+      sideReps: addRepToSide(state.sideReps, completedRep),
+      reps: [...state.reps, completedRep],
+      sets,
+      currentRep: null,
+      lastRepEndTime: timestamp
+    },
+    completedRep
+  };
+};
+
+// Update the rep counter with the latest phase, phase `angle` and form evaluation (and,
+// for bilateral exercises, the frame's left/right `asymmetry` measurements).
+// `cycle` maps the start/descending/bottom/ascending roles to phase ids (see getRepCycle).
+// Completed reps are scored with `options.scoring`, the definition's scoring, and
+// `options.targetTempo` (see repScore), which also says whether the rep was good.
+// Returns the new state and the rep that was completed on this frame, if any.
+export const updateRepCounter = (state, frame, cycle, options = {}) => {
+  const { phase, angle, timestamp } = frame;
+  const stillSpeed = options.stillSpeed ?? DEFAULT_OPTIONS.STILL_SPEED;
+  const measured = Number.isFinite(angle);
+  const speed = getAngleSpeed(state.lastMotion, angle, timestamp);
+  const isRising = speed > stillSpeed;
+  const isFalling = speed < -stillSpeed;
+  let { currentRep } = state;
+  let completedRep = null;
+  let next = { ...state, lastPhase: phase, lastMotion: measured ? { t: timestamp, angle } : null };
+
+  // A finished rep completes once it is back at the start and the rise has stopped, so
+  // its tempo covers the whole way up, or as soon as the next rep begins
+  const isFinished = currentRep && currentRep.stage === CYCLE_ORDER.length - 1;
+  if (isFinished && (phase === cycle.start || state.lastPhase === cycle.start)) {
+    if (phase === cycle.start && isRising) {
+      return { state: next, completedRep };
+    }
+    ({ state: next, completedRep } = completeRep(next, currentRep, timestamp, options));
+    currentRep = null;
+  }
+
+  if (!currentRep) {
+    // A rep only starts when leaving the start phase, so the full cycle is observed
+    if (state.lastPhase === cycle.start && phase !== cycle.start) {
+      currentRep = collectFrame(advanceStage(startRep(timestamp, next.restTime), phase, cycle), frame);
+      next = { ...next, restTime: null };
+    } else if (phase === cycle.start && measured && !isFalling) {
+      next = { ...next, restTime: timestamp };
+    }
+    return { state: { ...next, currentRep }, completedRep };
+  }
+
+  if (phase === cycle.start) {
+    // Returned to the start without finishing the cycle (e.g. a half rep)
+    return { state: { ...next, currentRep: null, partialReps: state.partialReps + 1 }, completedRep };
+  }
+
+  currentRep = collectFrame(advanceStage(currentRep, phase, cycle), frame);
+
+  return { state: { ...next, currentRep }, completedRep };
+};
+
+// Compare reps between the left and right side for single-leg exercises.
+// Returns null when the sides are balanced (or nothing was tracked per side).
+export const getSideImbalance = (state, options = {}) => {
+  const repGap = options.imbalanceRepGap ?? DEFAULT_OPTIONS.IMBALANCE_REP_GAP;
+  const formGap = options.imbalanceFormGap ?? DEFAULT_OPTIONS.IMBALANCE_FORM_GAP;
+  const minReps = options.minRepsPerSide ?? DEFAULT_OPTIONS.MIN_REPS_PER_SIDE;
+  const { left, right } = state.sideReps;
+
+  if (Math.abs(left.reps - right.reps) >= repGap) {
+    return { type: 'reps', weakerSide: left.reps < right.reps ? 'left' : 'right' };
+  }
+
+  if (left.reps >= minReps && right.reps >= minReps) {
+    const leftRate = left.goodReps / left.reps;
+    const rightRate = right.goodReps / right.reps;
+    if (Math.abs(leftRate - rightRate) >= formGap) {
+      return { type: 'form', weakerSide: leftRate < rightRate ? 'left' : 'right' };
+    }
+  }
+
+  return null;
+};
+
+// Score the tempo consistency of each set (null until a set has enough timed reps)
+export const getSetTempoConsistency = (sets, reps) => {
+  return sets.map(set => getTempoConsistency(reps.filter(rep => rep.set === set.number)));
+};
+
+// Summarise the rep counter state for display
+export const getRepSummary = (state) => {
+  const currentSet = state.sets[state.sets.length - 1] || null;
+  const tempoConsistency = getSetTempoConsistency(state.sets, state.reps);
+  const setAsymmetry = getSetAsymmetry(state.sets, state.reps);
+  const setScores = getSetScores(state.sets, state.reps);
+
+  return {
+    totalReps: state.totalReps,
+    goodReps: state.goodReps,
+    badReps: state.badReps,
+    partialReps: state.partialReps,
+    setCount: state.sets.length,
+    currentSetReps: currentSet ? currentSet.reps : 0,
+    sideReps: state.sideReps,
+    sideImbalance: getSideImbalance(state),
+    asymmetry: getAsymmetryReport(state.reps),
+    averageScore: getAverageScore(state.reps),
+    sets: state.sets.map((set, i) => ({
+      ...set,
+      tempoConsistency: tempoConsistency[i],
+      asymmetry: setAsymmetry[i],
+      averageScore: setScores[i]
+    })),
+    lastRep: state.reps[state.reps.length - 1] || null
+  };
+};
@@ -0,0 +1,228 @@
+/**
+ * Rep quality scores: every frame of a rep is combined into a 0–100 score and a letter
+ * grade, so a form issue seen in one noisy frame costs a few points instead of failing
+ * the whole rep. Each deduction names the factor and issue it came from.
+ *
+ * Points are split between four factors, weighted per exercise by an optional
+ * `scoring` object on the definition:
+ *   scoring: {
+ *     weights: { depth: 35, alignment: 45, symmetry: 10, tempo: 10 },
+ *     depth: ['KNEES_NOT_BENT_ENOUGH'] // codes of the range-of-motion checks
+ *   }
+ * - depth and alignment: issues from the checks, with every check not listed under
+ *   `depth` counting as alignment. An issue costs more the more serious it is, the larger
+ *   the share of the frames it was checked in that it failed, and the further out of
+ *   range it went.
+ * - symmetry: the rep's average left/right differences (see asymmetry)
+ * - tempo: parts of the rep well under the target tempo, when one is set
+ * A factor that can't be measured for a rep is left out, and the others are scaled up
+ * to fill the 100 points.
+ *
+ * A rep that misses its depth range in most of the frames that check it never counts as
+ * good, whatever its score: it wasn't a full rep.
+ */
+import { ISSUE_SEVERITY, getIssueCode, getIssueDeviation, getIssueMessage, isTrackingIssue } from './formIssues.js';
+import { ASYMMETRY_TYPES, getWorstAsymmetry } from './asymmetry.js';
+import { TEMPO_PHASES } from './tempo.js';
+
+// What a rep is scored on
+export const SCORE_FACTORS = {
+  DEPTH: 'depth',
+  ALIGNMENT: 'alignment',
+  SYMMETRY: 'symmetry',
+  TEMPO: 'tempo'
+};
+
+// Factor weights for definitions without `scoring.weights`
+const DEFAULT_WEIGHTS = {
+  [SCORE_FACTORS.DEPTH]: 35,
+  [SCORE_FACTORS.ALIGNMENT]: 45,
+  [SCORE_FACTORS.SYMMETRY]: 10,
+  [SCORE_FACTORS.TEMPO]: 10
+};
+
+// Default scoring settings
+const DEFAULT_OPTIONS = {
+  // Lowest score that counts as a good rep
+  GOOD_SCORE: 80,
+
+  // Share of its checked frames a depth issue must fail in to keep a rep from being good
+  DEPTH_FAIL_SHARE: 0.5,
+
+  // Share of its factor an issue can cost, by severity
+  SEVERITY_WEIGHTS: {
+    [ISSUE_SEVERITY.INFO]: 0.3,
+    [ISSUE_SEVERITY.WARNING]: 0.7,
+    [ISSUE_SEVERITY.ERROR]: 1
+  },
+
+  // How far out of range an issue goes before it costs its full share, by unit. Closer
+  // to the range it costs from half of that.
+  FULL_DEVIATION: { degrees: 15, normalized: 0.05 },
+
+  // Imbalance, relative to its asymmetry limit, below which symmetry costs nothing and
+  // from which it costs the whole factor
+  SYMMETRY_FREE_RATIO: 0.5,
+  SYMMETRY_FULL_RATIO: 2,
+
+  // Fraction of its target a part of the rep can take at no cost (as for tempo feedback),
+  // and the fraction at which it costs its whole share of tempo
+  TEMPO_FREE_FRACTION: 0.75,
+  TEMPO_FULL_FRACTION: 0.5
+};
+
+// Letter grades by lowest score
+const GRADES = [
+  { min: 90, grade: 'A' },
+  { min: 80, grade: 'B' },
+  { min: 65, grade: 'C' },
+  { min: 50, grade: 'D' },
+  { min: 0, grade: 'F' }
+];
+
+// What to call an imbalance or a too-fast part of a rep in a deduction
+const SYMMETRY_LABELS = {
+  [ASYMMETRY_TYPES.HIP_SHIFT]: 'Hips shifted to one side',
+  [ASYMMETRY_TYPES.SHOULDER_TILT]: 'Shoulders tilted'
+};
+const TEMPO_LABELS = {
+  [TEMPO_PHASES.ECCENTRIC]: 'Lowered too fast',
+  [TEMPO_PHASES.PAUSE]: 'Pause too short',
+  [TEMPO_PHASES.CONCENTRIC]: 'Came up too fast'
+};
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+// Create an empty per-rep count of how often each check was measured and failed
+export const createScoreAccumulator = () => ({});
+
+// Count one frame's checks (from the evaluation's `checked` codes) and the ones that failed
+export const addScoreFrame = (accumulator, evaluation) => {
+  if (!evaluation || !evaluation.checked || evaluation.checked.length === 0) return accumulator;
+
+  const failed = (evaluation.issues || []).map(getIssueCode);
+  const next = { ...accumulator };
+  evaluation.checked.forEach((code) => {
+    const counts = next[code] || { checked: 0, failed: 0 };
+    next[code] = { checked: counts.checked + 1, failed: counts.failed + (failed.includes(code) ? 1 : 0) };
+  });
+  return next;
+};
+
+// Share of the frames an issue's check was measured in that it failed
+const getFailedShare = (issue, checks) => {
+  const counts = checks[getIssueCode(issue)];
+  return counts && counts.checked > 0 ? counts.failed / counts.checked : 1;
+};
+
+// Share of its factor one issue costs: severity × share of checked frames that failed ×
+// how far out of range it went (the worst frame, as kept by the rep counter)
+const getIssueCost = (issue, checks, config) => {
+  const failedShare = getFailedShare(issue, checks);
+  const fullDeviation = config.FULL_DEVIATION[issue.unit];
+  const magnitude = fullDeviation ? clamp01(getIssueDeviation(issue) / fullDeviation) : 1;
+  const severity = config.SEVERITY_WEIGHTS[issue.severity] ?? config.SEVERITY_WEIGHTS[ISSUE_SEVERITY.WARNING];
+  return severity * failedShare * (0.5 + 0.5 * magnitude);
+};
+
+// Share of the symmetry factor the rep's worst imbalance costs, or null when unmeasured
+const getSymmetryCost = (asymmetry, config) => {
+  const worst = getWorstAsymmetry(asymmetry);
+  if (!worst) return null;
+
+  const cost = clamp01((worst.ratio - config.SYMMETRY_FREE_RATIO) / (config.SYMMETRY_FULL_RATIO - config.SYMMETRY_FREE_RATIO));
+  const label = SYMMETRY_LABELS[worst.type] || `Uneven ${worst.joint}s`;
+  return { costs: cost > 0 ? [{ label, cost }] : [] };
+};
+
+// Share of the tempo factor each too-fast part costs, or null without a target
+const getTempoCost = (tempo, target, config) => {
+  const timed = target && tempo ? Object.keys(TEMPO_LABELS).filter(part => target[part]) : [];
+  if (timed.length === 0) return null;
+
+  const costs = timed
+    .map(part => ({
+      label: TEMPO_LABELS[part],
+      cost: clamp01((config.TEMPO_FREE_FRACTION - tempo[part] / target[part]) / (config.TEMPO_FREE_FRACTION - config.TEMPO_FULL_FRACTION)) / timed.length
+    }))
+    .filter(({ cost }) => cost > 0);
+  return { costs };
+};
+
+// Get the letter grade for a score
+export const getGrade = (score) => {
+  return GRADES.find(({ min }) => score >= min).grade;
+};
+
+// Check whether a score counts as a good rep
+export const isGoodScore = (score, options = {}) => {
+  return score >= (options.GOOD_SCORE ?? DEFAULT_OPTIONS.GOOD_SCORE);
+};
+
+// Score a completed rep from its worst `issues`, per-check frame counts (`checks`, see
+// addScoreFrame), `asymmetry` summary and `tempo`. `scoring` is the definition's
+// scoring object; pass `options.targetTempo` (see parseTempo) to score tempo.
+// Returns { score, grade, isGood, deductions: [{ factor, label, points }] }, deductions
+// largest first.
+export const scoreRep = (rep, scoring = {}, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const weights = { ...DEFAULT_WEIGHTS, ...scoring.weights };
+  const depthCodes = scoring.depth || [];
+
+  const issueCosts = { [SCORE_FACTORS.DEPTH]: [], [SCORE_FACTORS.ALIGNMENT]: [] };
+  const formIssues = rep.issues.filter(issue => typeof issue !== 'string' && !isTrackingIssue(issue));
+  formIssues.forEach((issue) => {
+    const factor = depthCodes.includes(getIssueCode(issue)) ? SCORE_FACTORS.DEPTH : SCORE_FACTORS.ALIGNMENT;
+    issueCosts[factor].push({ label: getIssueMessage(issue), cost: getIssueCost(issue, rep.checks || {}, config) });
+  });
+
+  const factors = {
+    [SCORE_FACTORS.DEPTH]: { costs: issueCosts[SCORE_FACTORS.DEPTH] },
+    [SCORE_FACTORS.ALIGNMENT]: { costs: issueCosts[SCORE_FACTORS.ALIGNMENT] },
+    [SCORE_FACTORS.SYMMETRY]: getSymmetryCost(rep.asymmetry, config),
+    [SCORE_FACTORS.TEMPO]: getTempoCost(rep.tempo, options.targetTempo, config)
+  };
+
+  const measured = Object.keys(factors).filter(factor => factors[factor] && weights[factor] > 0);
+  const totalWeight = measured.reduce((sum, factor) => sum + weights[factor], 0);
+
+  // A factor can't lose more than its weight, so scale its costs down when they add up
+  // to more than the whole factor
+  const deductions = measured.flatMap((factor) => {
+    const { costs } = factors[factor];
+    const points = weights[factor] / totalWeight * 100;
+    const scale = Math.min(1, 1 / costs.reduce((sum, { cost }) => sum + cost, 0));
+    return costs.map(({ label, cost }) => ({ factor, label, points: Math.round(points * cost * scale * 10) / 10 }));
+  }).filter(({ points }) => points > 0).sort((a, b) => b.points - a.points);
+
+  const score = Math.max(0, Math.round(100 - deductions.reduce((sum, { points }) => sum + points, 0)));
+  const missedDepth = formIssues.some(issue => (
+    depthCodes.includes(getIssueCode(issue)) && getFailedShare(issue, rep.checks || {}) >= config.DEPTH_FAIL_SHARE
+  ));
+  return { score, grade: getGrade(score), isGood: isGoodScore(score, config) && !missedDepth, deductions };
+};
+
+// Average score of a group of reps, or null when none were scored (e.g. older sessions)
+export const getAverageScore = (reps) => {
+  const scores = reps.map(rep => rep.score).filter(Number.isFinite);
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+};
+
+// Average score of each set
+export const getSetScores = (sets, reps) => {
+  return sets.map(set => getAverageScore(reps.filter(rep => rep.set === set.number)));
+};
+
+// Change in average score from the previous session of the same exercise, for each of
+// `sessions` (newest first, as listSessions returns them). Null where there is nothing
+// to compare with.
+export const getScoreChanges = (sessions) => {
+  return sessions.map((session, i) => {
+    if (!Number.isFinite(session.averageScore)) return null;
+    const previous = sessions.slice(i + 1).find(other => (
+      other.exerciseType === session.exerciseType && Number.isFinite(other.averageScore)
+    ));
+    return previous ? session.averageScore - previous.averageScore : null;
+  });
+};
@@ -0,0 +1,80 @@
+/**
+ * Deterministic replay of landmark recordings through the exercise pipeline, without a
+ * camera or model. Runs in the browser and headlessly in Node (scripts/replay-recording.js).
+ */
+import { createPipelineState, processFrame } from './exercisePipeline.js';
+import { getExercise } from './exerciseRegistry.js';
+import { decodeRecordingFrames, getRecordingSettings } from './landmarkRecording.js';
+import { getRepSummary } from './repCounter.js';
+import { getHoldSummary } from './holdTimer.js';
+import { parseTempo } from './tempo.js';
+import { getAspectRatio } from './poseUtils.js';
+
+// Run decoded frames through the pipeline the same way PoseDetector does. Frames with no
+// detected pose are skipped, as they are live.
+export const replayFrames = (definition, frames, options = {}) => {
+  let state = createPipelineState(definition);
+  const results = [];
+
+  frames.forEach(({ timestamp, landmarks }) => {
+    if (!landmarks) return;
+
+    const result = processFrame(definition, state, landmarks, timestamp, options);
+    state = result.state;
+    results.push({
+      timestamp,
+      phase: result.phase,
+      evaluation: result.evaluation,
+      completedRep: result.completedRep
+    });
+  });
+
+  return {
+    state,
+    frames: results,
+    summary: getRepSummary(state.repState),
+    hold: state.holdState ? getHoldSummary(state.holdState) : null
+  };
+};
+
+// Get the exercise definition a recording should be replayed with
+export const getRecordingExercise = (recording, exerciseType = recording.exerciseType) => {
+  const definition = getExercise(exerciseType);
+  if (!definition) {
+    throw new Error(`Unknown exercise "${exerciseType}" for this recording`);
+  }
+  return definition;
+};
+
+// Pipeline options for replaying a recording: the thresholds, target tempo and video
+// proportions it was recorded with
+const getRecordingOptions = (recording) => {
+  const { thresholds, targetTempo } = getRecordingSettings(recording);
+  return {
+    ...(thresholds ? { thresholds } : {}),
+    targetTempo: targetTempo ? parseTempo(targetTempo) : null,
+    aspectRatio: getAspectRatio(recording.metadata)
+  };
+};
+
+// Replay a parsed recording with its own exercise and settings. `options.exerciseType`
+// and any other pipeline options given override the recording's.
+export const replayRecording = (recording, { exerciseType, ...options } = {}) => {
+  const definition = getRecordingExercise(recording, exerciseType);
+  return replayFrames(definition, decodeRecordingFrames(recording), { ...getRecordingOptions(recording), ...options });
+};
+
+// List the phase changes in a replay as { timestamp, from, to }
+export const getPhaseChanges = (replay) => {
+  const changes = [];
+  let previous = null;
+
+  replay.frames.forEach(({ timestamp, phase }) => {
+    if (previous !== null && phase !== previous) {
+      changes.push({ timestamp, from: previous, to: phase });
+    }
+    previous = phase;
+  });
+
+  return changes;
+};
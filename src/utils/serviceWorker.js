@@ -0,0 +1,25 @@
+/**
+ * Service worker registration, for offline starts (see public/sw.js)
+ */
+
+// Register the service worker in production builds
+export const registerServiceWorker = async () => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return null;
+
+  try {
+    return await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  } catch (err) {
+    console.error('Error registering service worker:', err);
+    return null;
+  }
+};
+
+// Ask the service worker to cache assets ahead of time (e.g. the chosen pose model)
+export const precacheAssets = async (urls) => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  if (registration.active) {
+    registration.active.postMessage({ type: 'precache', urls });
+  }
+};
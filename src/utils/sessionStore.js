@@ -0,0 +1,82 @@
+/**
+ * Local workout session history, stored in IndexedDB so it works offline
+ */
+import { getHoldSummary } from './holdTimer.js';
+import { SESSION_STORE, runRequest } from './database.js';
+import { getSetTempoConsistency } from './repCounter.js';
+import { getAverageScore, getSetScores } from './repScore.js';
+
+// Round a rep's tempo to whole milliseconds for storage
+const roundTempo = (tempo) => {
+  if (!tempo) return null;
+  return Object.fromEntries(Object.entries(tempo).map(([part, ms]) => [part, Math.round(ms)]));
+};
+
+// Build a storable session record from the rep counter state.
+// Rep times are converted to milliseconds from the start of the session.
+// Isometric holds also pass their hold timer state.
+export const buildSessionRecord = ({ exerciseType, startedAt, endedAt, clockStart, repState, holdState = null }) => {
+  const reps = repState.reps.map(rep => ({
+    number: rep.number,
+    set: rep.set,
+    startOffsetMs: Math.round(rep.startTime - clockStart),
+    durationMs: Math.round(rep.duration),
+    isGood: rep.isGood,
+    score: rep.score,
+    grade: rep.grade,
+    deductions: rep.deductions,
+    side: rep.side,
+    tempo: roundTempo(rep.tempo),
+    asymmetry: rep.asymmetry,
+    series: rep.series,
+    issues: rep.issues,
+    angles: rep.angles
+  }));
+
+  const tempoConsistency = getSetTempoConsistency(repState.sets, repState.reps);
+  const setScores = getSetScores(repState.sets, repState.reps);
+
+  return {
+    exerciseType,
+    startedAt,
+    endedAt,
+    durationMs: endedAt - startedAt,
+    totalReps: repState.totalReps,
+    goodReps: repState.goodReps,
+    badReps: repState.badReps,
+    partialReps: repState.partialReps,
+    averageScore: getAverageScore(repState.reps),
+    sideReps: repState.sideReps,
+    sets: repState.sets.map((set, i) => ({
+      number: set.number,
+      reps: set.reps,
+      goodReps: set.goodReps,
+      badReps: set.badReps,
+      tempoConsistency: tempoConsistency[i],
+      averageScore: setScores[i]
+    })),
+    reps,
+    hold: holdState ? getHoldSummary(holdState) : null
+  };
+};
+
+// Save a session record; resolves with the new session id
+export const saveSession = (session) => {
+  return runRequest(SESSION_STORE, 'readwrite', store => store.add(session));
+};
+
+// List all sessions, newest first
+export const listSessions = async () => {
+  const sessions = await runRequest(SESSION_STORE, 'readonly', store => store.getAll());
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// Get a single session by id
+export const getSession = (id) => {
+  return runRequest(SESSION_STORE, 'readonly', store => store.get(id));
+};
+
+// Delete a session by id
+export const deleteSession = (id) => {
+  return runRequest(SESSION_STORE, 'readwrite', store => store.delete(id));
+};
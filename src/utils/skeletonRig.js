@@ -0,0 +1,233 @@
+/**
+ * Persistent Three.js objects for the 3D view. A skeleton rig draws all joints as one
+ * instanced mesh and all bones as another, and moves them in place on each landmark
+ * update; annotation labels come from a pool of sprites whose textures are only redrawn
+ * when their text changes. Nothing is created per frame, and everything is released with
+ * disposeObject when the view unmounts.
+ */
+import * as THREE from 'three';
+import { BODY_CONNECTIONS, LANDMARK_COUNT } from './landmarkSchema.js';
+
+// Landmarks below this visibility are hidden
+const MIN_VISIBILITY = 0.5;
+
+// Default rig settings
+const DEFAULT_OPTIONS = {
+  // Joint sphere and bone cylinder radii (scene units)
+  JOINT_RADIUS: 0.05,
+  BONE_RADIUS: 0.02,
+
+  // Bone cylinder segments; joints use twice as many
+  SEGMENTS: 8
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// Scratch objects reused by every update
+const start = new THREE.Vector3();
+const end = new THREE.Vector3();
+const direction = new THREE.Vector3();
+const rotation = new THREE.Quaternion();
+const scale = new THREE.Vector3();
+const matrix = new THREE.Matrix4();
+
+// Map a normalized landmark into scene space, shifted sideways by `offsetX`
+export const toScenePosition = (landmark, offsetX = 0, target = new THREE.Vector3()) => {
+  return target.set((landmark.x - 0.5) * 2 + offsetX, -(landmark.y - 0.5) * 2, landmark.z * 2);
+};
+
+const isVisible = landmark => !!landmark && landmark.visibility > MIN_VISIBILITY;
+
+// Create an instanced mesh whose instance matrices change every update
+const createInstancedMesh = (geometry, material, count) => {
+  const mesh = new THREE.InstancedMesh(geometry, material, count);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // Instances move every frame, so the mesh's bounding sphere is never up to date
+  mesh.frustumCulled = false;
+  for (let i = 0; i < count; i++) {
+    mesh.setMatrixAt(i, HIDDEN);
+  }
+  return mesh;
+};
+
+// Create a skeleton rig: one joint per landmark and one bone per body connection, all
+// hidden until the first update. Add `rig.group` to the scene.
+export const createSkeletonRig = ({ color = 0x00ff00, opacity = 1, offsetX = 0 } = {}, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const material = new THREE.MeshBasicMaterial({ color, transparent: opacity < 1, opacity });
+  const joints = createInstancedMesh(
+    new THREE.SphereGeometry(config.JOINT_RADIUS, config.SEGMENTS * 2, config.SEGMENTS * 2),
+    material,
+    LANDMARK_COUNT
+  );
+  // A unit-length cylinder, stretched to each bone's length
+  const bones = createInstancedMesh(
+    new THREE.CylinderGeometry(config.BONE_RADIUS, config.BONE_RADIUS, 1, config.SEGMENTS),
+    material,
+    BODY_CONNECTIONS.length
+  );
+
+  const group = new THREE.Group();
+  group.add(joints, bones);
+
+  return { group, joints, bones, material, offsetX };
+};
+
+// Move a rig's joints and bones to `landmarks`, hiding any that aren't visible
+export const updateSkeletonRig = (rig, landmarks) => {
+  for (let i = 0; i < LANDMARK_COUNT; i++) {
+    const landmark = landmarks[i];
+    if (isVisible(landmark)) {
+      matrix.makeTranslation(toScenePosition(landmark, rig.offsetX, start));
+      rig.joints.setMatrixAt(i, matrix);
+    } else {
+      rig.joints.setMatrixAt(i, HIDDEN);
+    }
+  }
+
+  BODY_CONNECTIONS.forEach(([startIdx, endIdx], i) => {
+    if (!isVisible(landmarks[startIdx]) || !isVisible(landmarks[endIdx])) {
+      rig.bones.setMatrixAt(i, HIDDEN);
+      return;
+    }
+
+    toScenePosition(landmarks[startIdx], rig.offsetX, start);
+    toScenePosition(landmarks[endIdx], rig.offsetX, end);
+    direction.subVectors(end, start);
+    const length = direction.length();
+    rotation.setFromUnitVectors(UP, length > 0 ? direction.divideScalar(length) : UP);
+    matrix.compose(start.add(end).multiplyScalar(0.5), rotation, scale.set(1, length, 1));
+    rig.bones.setMatrixAt(i, matrix);
+  });
+
+  rig.joints.instanceMatrix.needsUpdate = true;
+  rig.bones.instanceMatrix.needsUpdate = true;
+  rig.group.visible = true;
+};
+
+// Set the colour of a whole rig
+export const setSkeletonRigColor = (rig, color) => {
+  rig.material.color.set(color);
+};
+
+// Draw text onto a label canvas, wrapped to its width
+const drawLabel = (canvas, text, { color, font, lineHeight }) => {
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#000000';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = color;
+  context.font = font;
+
+  const lines = [];
+  let line = '';
+  text.split(' ').forEach((word, i) => {
+    const testLine = line + word + ' ';
+    if (context.measureText(testLine).width > canvas.width - 20 && i > 0) {
+      lines.push(line);
+      line = word + ' ';
+    } else {
+      line = testLine;
+    }
+  });
+  lines.push(line);
+
+  lines.forEach((text, i) => {
+    context.fillText(text, 10, lineHeight + i * lineHeight);
+  });
+};
+
+// Create a text sprite with its own canvas texture. Redraw it with setLabelText.
+export const createLabelSprite = ({ width = 512, height = 256, color = '#ff0000', font = 'bold 32px Arial', lineHeight = 26 } = {}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const texture = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture }));
+  sprite.userData.label = { canvas, texture, text: null, style: { color, font, lineHeight } };
+  return sprite;
+};
+
+// Change a label sprite's text, redrawing its texture only when the text changed
+export const setLabelText = (sprite, text) => {
+  const label = sprite.userData.label;
+  if (label.text === text) return;
+
+  label.text = text;
+  drawLabel(label.canvas, text, label.style);
+  label.texture.needsUpdate = true;
+};
+
+// Create a pool of issue annotations: a label, a marker sphere on the joint and a line
+// between them. Slots are created as needed and hidden when unused.
+export const createAnnotationPool = () => {
+  const group = new THREE.Group();
+  const markerGeometry = new THREE.SphereGeometry(0.07, 16, 16);
+  const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+  const arrowMaterial = new THREE.LineBasicMaterial({ color: 0xff0000 });
+  return { group, slots: [], markerGeometry, markerMaterial, arrowMaterial };
+};
+
+const createAnnotationSlot = (pool) => {
+  const sprite = createLabelSprite();
+  sprite.scale.set(0.8, 0.4, 1);
+
+  const marker = new THREE.Mesh(pool.markerGeometry, pool.markerMaterial);
+  const arrowGeometry = new THREE.BufferGeometry();
+  arrowGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+  const arrow = new THREE.Line(arrowGeometry, pool.arrowMaterial);
+  // The arrow's vertices move, so its bounding sphere is never up to date
+  arrow.frustumCulled = false;
+
+  const slot = new THREE.Group();
+  slot.add(sprite, marker, arrow);
+  pool.group.add(slot);
+  return { slot, sprite, marker, arrow };
+};
+
+// Show one annotation per entry of `annotations` ([{ text, position }], `position` in
+// scene space) and hide the rest
+export const updateAnnotationPool = (pool, annotations) => {
+  while (pool.slots.length < annotations.length) {
+    pool.slots.push(createAnnotationSlot(pool));
+  }
+
+  pool.slots.forEach((slot, i) => {
+    const annotation = annotations[i];
+    slot.slot.visible = !!annotation;
+    if (!annotation) return;
+
+    const { x, y, z } = annotation.position;
+    setLabelText(slot.sprite, annotation.text);
+    // Labels sit below and in front of the joint, with a line pointing back to it
+    slot.sprite.position.set(x, y - 0.5, z + 0.5);
+    slot.marker.position.set(x, y, z);
+
+    const positions = slot.arrow.geometry.attributes.position;
+    positions.setXYZ(0, x, y - 0.3, z + 0.3);
+    positions.setXYZ(1, x, y, z);
+    positions.needsUpdate = true;
+  });
+};
+
+// Free the GPU resources of an object and everything under it: geometries, materials
+// and their textures. Shared ones are only disposed once.
+export const disposeObject = (root) => {
+  const disposed = new Set();
+  const dispose = (resource) => {
+    if (resource && !disposed.has(resource)) {
+      disposed.add(resource);
+      resource.dispose();
+    }
+  };
+
+  root.traverse((object) => {
+    dispose(object.geometry);
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.filter(Boolean).forEach((material) => {
+      dispose(material.map);
+      dispose(material);
+    });
+  });
+};
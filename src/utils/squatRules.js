@@ -1,7 +1,10 @@
 /**
  * Rules for evaluating squat form
  */
-import { calculateAngle, calculate3DAngle, isPointVisible, getNamedLandmarks } from './poseUtils';
+import { determinePhase, evaluateForm } from './exerciseEngine.js';
+import { SQUAT_REFERENCE_POSES, SQUAT_REFERENCE_MOTION } from './referencePoses.js';
+import { ISSUE_SEVERITY } from './formIssues.js';
+import { CAMERA_VIEWS } from './cameraSetup.js';
 
 // Define squat phases
 export const SQUAT_PHASES = {
@@ -16,199 +19,216 @@ const THRESHOLDS = {
   // Knee angle at bottom position (degrees)
   MIN_KNEE_ANGLE: 70,
   MAX_KNEE_ANGLE: 100,
-  
+
   // Hip angle at bottom position (degrees)
   MIN_HIP_ANGLE: 70,
   MAX_HIP_ANGLE: 110,
-  
+
   // Back angle relative to vertical (degrees)
   MAX_BACK_LEAN: 45,
-  
+  MAX_STANDING_BACK_LEAN: 20,
+
   // Knee forward of toes
   MAX_KNEE_FORWARD: 0.1, // Normalized distance
-  
+
   // Knee alignment (knees should track over toes)
   MAX_KNEE_INWARD: 0.1, // Normalized distance
-  
+
   // Depth threshold (ratio of hip height in standing vs. bottom position)
   MIN_DEPTH_RATIO: 0.7,
-  
+
+  // Phase cut-offs (average knee angle, degrees)
+  STANDING_KNEE_ANGLE: 160,
+  MOVING_KNEE_ANGLE: 110,
+
   // Confidence threshold for landmarks
   CONFIDENCE_THRESHOLD: 0.5
 };
 
-// Determine the current phase of the squat
-export const determineSquatPhase = (landmarks, prevPhase = SQUAT_PHASES.STANDING, prevHipHeight = null) => {
-  const namedLandmarks = getNamedLandmarks(landmarks);
-  if (!namedLandmarks) return { phase: prevPhase, hipHeight: prevHipHeight };
-  
-  const { leftHip, rightHip, leftKnee, rightKnee, leftAnkle, rightAnkle } = namedLandmarks;
-  
-  // Check if we have all the necessary landmarks with sufficient confidence
-  if (!isPointVisible(leftHip) || !isPointVisible(rightHip) || 
-      !isPointVisible(leftKnee) || !isPointVisible(rightKnee) || 
-      !isPointVisible(leftAnkle) || !isPointVisible(rightAnkle)) {
-    return { phase: prevPhase, hipHeight: prevHipHeight };
-  }
-  
-  // Calculate average hip height
-  const hipHeight = (leftHip.y + rightHip.y) / 2;
-  
-  // Calculate average knee angle
-  const leftKneeAngle = calculate3DAngle(leftHip, leftKnee, leftAnkle);
-  const rightKneeAngle = calculate3DAngle(rightHip, rightKnee, rightAnkle);
-  const avgKneeAngle = (leftKneeAngle + rightKneeAngle) / 2;
-  
-  // Determine phase based on knee angle and hip height
-  let phase = prevPhase;
-  
-  if (avgKneeAngle > 160) {
-    // Standing position
-    phase = SQUAT_PHASES.STANDING;
-  } else if (avgKneeAngle < 110 && hipHeight > (prevHipHeight || 0)) {
-    // Descending phase (hip height increasing as we go down)
-    phase = SQUAT_PHASES.DESCENDING;
-  } else if (avgKneeAngle < 110 && hipHeight < (prevHipHeight || 1)) {
-    // Ascending phase (hip height decreasing as we go up)
-    phase = SQUAT_PHASES.ASCENDING;
-  }
-  
-  // Bottom position is the lowest point of the squat
-  if (phase === SQUAT_PHASES.DESCENDING && prevPhase === SQUAT_PHASES.DESCENDING && 
-      hipHeight < (prevHipHeight || 1)) {
-    phase = SQUAT_PHASES.BOTTOM;
-  }
-  
-  return { phase, hipHeight };
+const LEG_LANDMARKS = ['leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'];
+const KNEE_ANGLES = ['leftKnee', 'rightKnee'];
+const HIP_ANGLES = ['leftHip', 'rightHip'];
+
+// Declarative squat definition used by the exercise registry
+export const squatDefinition = {
+  id: 'squat',
+  name: 'Squat',
+  selector: {
+    label: 'Start Squats',
+    className: 'bg-blue-600 hover:bg-blue-700'
+  },
+  phases: [
+    {
+      id: SQUAT_PHASES.STANDING,
+      role: 'start',
+      description: 'Stand with feet shoulder-width apart, toes slightly turned out'
+    },
+    {
+      id: SQUAT_PHASES.DESCENDING,
+      role: 'descending',
+      description: 'Bend knees and push hips back, keeping chest up'
+    },
+    {
+      id: SQUAT_PHASES.BOTTOM,
+      role: 'bottom',
+      description: 'Lower until thighs are parallel to ground, knees tracking over toes'
+    },
+    {
+      id: SQUAT_PHASES.ASCENDING,
+      role: 'ascending',
+      description: 'Push through heels to return to standing position'
+    }
+  ],
+  thresholds: THRESHOLDS,
+  angles: {
+    leftKnee: { type: 'angle3d', points: ['leftHip', 'leftKnee', 'leftAnkle'] },
+    rightKnee: { type: 'angle3d', points: ['rightHip', 'rightKnee', 'rightAnkle'] },
+    leftHip: { type: 'angle3d', points: ['leftShoulder', 'leftHip', 'leftKnee'] },
+    rightHip: { type: 'angle3d', points: ['rightShoulder', 'rightHip', 'rightKnee'] },
+    // Back angle (shoulders over hips) relative to vertical
+    back: { type: 'fromVertical', points: ['midHip', 'midShoulder'] }
+  },
+  offsets: {
+    // How far each knee is in front of its ankle (depth axis)
+    leftKneeForward: { type: 'offset', axis: 'z', points: ['leftKnee', 'leftAnkle'] },
+    rightKneeForward: { type: 'offset', axis: 'z', points: ['rightKnee', 'rightAnkle'] },
+    // Sideways drift of each knee away from its ankle
+    leftKneeDrift: { type: 'offset', axis: 'x', points: ['leftAnkle', 'leftKnee'], absolute: true },
+    rightKneeDrift: { type: 'offset', axis: 'x', points: ['rightAnkle', 'rightKnee'], absolute: true }
+  },
+  phaseDetection: {
+    requiredLandmarks: LEG_LANDMARKS,
+    angles: ['leftKnee', 'rightKnee'],
+    startAbove: 'STANDING_KNEE_ANGLE',
+    movingBelow: 'MOVING_KNEE_ANGLE',
+    // Hip height increases (moves down the image) as we go down
+    track: { type: 'height', point: 'midHip' },
+    descendingWhen: 'increasing'
+  },
+  // Ignore hip height changes smaller than this when judging direction. Kept small: the
+  // hips barely move around the turn of a shallow rep, and a wider band hides it.
+  filtering: {
+    hysteresis: { deadband: 0.001 }
+  },
+  requiredLandmarks: ['leftShoulder', 'rightShoulder', ...LEG_LANDMARKS],
+  // Depth and back lean read best from the side; knee tracking needs some of the front
+  setup: { views: [CAMERA_VIEWS.SIDE, CAMERA_VIEWS.ANGLED] },
+  // Compare the legs, and watch for the hips drifting or shoulders dropping to one side
+  asymmetry: {
+    pairs: { knee: ['leftKnee', 'rightKnee'], hip: ['leftHip', 'rightHip'] },
+    hipShift: true,
+    shoulderTilt: true
+  },
+  // Rep score weights; the knee and hip bend at the bottom make up depth (see repScore)
+  scoring: {
+    weights: { depth: 35, alignment: 40, symmetry: 15, tempo: 10 },
+    depth: ['KNEES_NOT_BENT_ENOUGH', 'KNEES_BENT_TOO_MUCH', 'HIPS_NOT_BENT_ENOUGH', 'HIPS_BENT_TOO_MUCH']
+  },
+  checks: [
+    // Bottom position
+    {
+      phases: [SQUAT_PHASES.BOTTOM],
+      metrics: ['leftKnee', 'rightKnee'],
+      max: 'MAX_KNEE_ANGLE',
+      code: 'KNEES_NOT_BENT_ENOUGH',
+      message: 'Knees not bent enough'
+    },
+    {
+      phases: [SQUAT_PHASES.BOTTOM],
+      metrics: ['leftKnee', 'rightKnee'],
+      min: 'MIN_KNEE_ANGLE',
+      code: 'KNEES_BENT_TOO_MUCH',
+      message: 'Knees bent too much'
+    },
+    {
+      phases: [SQUAT_PHASES.BOTTOM],
+      metrics: ['leftHip', 'rightHip'],
+      max: 'MAX_HIP_ANGLE',
+      code: 'HIPS_NOT_BENT_ENOUGH',
+      message: 'Hips not bent enough'
+    },
+    {
+      phases: [SQUAT_PHASES.BOTTOM],
+      metrics: ['leftHip', 'rightHip'],
+      min: 'MIN_HIP_ANGLE',
+      code: 'HIPS_BENT_TOO_MUCH',
+      message: 'Hips bent too much'
+    },
+    {
+      phases: [SQUAT_PHASES.BOTTOM, SQUAT_PHASES.DESCENDING, SQUAT_PHASES.ASCENDING],
+      metrics: ['back'],
+      max: 'MAX_BACK_LEAN',
+      code: 'BACK_LEANING_FORWARD',
+      severity: ISSUE_SEVERITY.ERROR,
+      message: 'Back leaning too far forward'
+    },
+    {
+      phases: [SQUAT_PHASES.BOTTOM],
+      metrics: ['leftKneeForward', 'rightKneeForward'],
+      max: 'MAX_KNEE_FORWARD',
+      code: 'KNEES_FORWARD_OF_TOES',
+      message: 'Knees too far forward of toes'
+    },
+    {
+      phases: [SQUAT_PHASES.BOTTOM, SQUAT_PHASES.DESCENDING, SQUAT_PHASES.ASCENDING],
+      metrics: ['leftKneeDrift', 'rightKneeDrift'],
+      max: 'MAX_KNEE_INWARD',
+      code: 'KNEES_NOT_ALIGNED',
+      severity: ISSUE_SEVERITY.ERROR,
+      message: 'Knees not aligned with toes'
+    },
+    // Standing between reps
+    {
+      phases: [SQUAT_PHASES.STANDING],
+      metrics: ['leftKnee', 'rightKnee'],
+      min: 'STANDING_KNEE_ANGLE',
+      code: 'NOT_STANDING_BETWEEN_REPS',
+      severity: ISSUE_SEVERITY.INFO,
+      message: 'Not fully standing between reps'
+    },
+    {
+      phases: [SQUAT_PHASES.STANDING],
+      metrics: ['back'],
+      max: 'MAX_STANDING_BACK_LEAN',
+      code: 'NOT_UPRIGHT_BETWEEN_REPS',
+      severity: ISSUE_SEVERITY.INFO,
+      message: 'Not standing upright between reps'
+    }
+  ],
+  // Personal thresholds from a standing baseline and two slow reps (see calibration)
+  calibration: {
+    thresholds: {
+      STANDING_KNEE_ANGLE: { metrics: KNEE_ANGLES, at: 'start', offset: -15, limits: [145, 170] },
+      MOVING_KNEE_ANGLE: { metrics: KNEE_ANGLES, fraction: 0.6, limits: [105, 140] },
+      MIN_KNEE_ANGLE: { metrics: KNEE_ANGLES, at: 'bottom', offset: -15, limits: [55, 80] },
+      MAX_KNEE_ANGLE: { metrics: KNEE_ANGLES, at: 'bottom', offset: 10, limits: [90, 110] },
+      MIN_HIP_ANGLE: { metrics: HIP_ANGLES, at: 'bottom', offset: -15, limits: [55, 80] },
+      MAX_HIP_ANGLE: { metrics: HIP_ANGLES, at: 'bottom', offset: 10, limits: [100, 125] },
+      MAX_STANDING_BACK_LEAN: { metrics: ['back'], at: 'start', offset: 10, limits: [10, 30] },
+      MAX_BACK_LEAN: { metrics: ['back'], at: 'bottom', offset: 10, limits: [35, 55] },
+      MAX_KNEE_FORWARD: { scaleBy: 'shin' },
+      MAX_KNEE_INWARD: { scaleBy: 'shin' }
+    }
+  },
+  tips: [
+    'Keep your chest up and back straight',
+    'Push your knees out in line with your toes',
+    'Distribute weight through your heels',
+    'Maintain a neutral spine position',
+    'Descend to proper depth (thighs parallel to ground)'
+  ],
+  referencePoses: SQUAT_REFERENCE_POSES,
+  referenceMotion: SQUAT_REFERENCE_MOTION
+};
+
+// Determine the current phase of the squat. Pass `options.thresholds` to use
+// calibrated thresholds.
+export const determineSquatPhase = (landmarks, prevPhase = SQUAT_PHASES.STANDING, prevHipHeight = null, options = {}) => {
+  const { phase, value } = determinePhase(squatDefinition, landmarks, prevPhase, prevHipHeight, options);
+  return { phase, hipHeight: value };
 };
 
 // Evaluate squat form based on the current phase
-export const evaluateSquatForm = (landmarks, phase) => {
-  const namedLandmarks = getNamedLandmarks(landmarks);
-  if (!namedLandmarks) return { isCorrect: false, issues: ['No landmarks detected'] };
-  
-  const { 
-    leftShoulder, rightShoulder, 
-    leftHip, rightHip, 
-    leftKnee, rightKnee, 
-    leftAnkle, rightAnkle 
-  } = namedLandmarks;
-  
-  // Check if we have all the necessary landmarks with sufficient confidence
-  const requiredLandmarks = [
-    leftShoulder, rightShoulder, 
-    leftHip, rightHip, 
-    leftKnee, rightKnee, 
-    leftAnkle, rightAnkle
-  ];
-  
-  if (requiredLandmarks.some(landmark => !isPointVisible(landmark, THRESHOLDS.CONFIDENCE_THRESHOLD))) {
-    return { isCorrect: false, issues: ['Some key landmarks not visible'] };
-  }
-  
-  const issues = [];
-  
-  // Calculate angles
-  const leftKneeAngle = calculate3DAngle(leftHip, leftKnee, leftAnkle);
-  const rightKneeAngle = calculate3DAngle(rightHip, rightKnee, rightAnkle);
-  
-  const leftHipAngle = calculate3DAngle(leftShoulder, leftHip, leftKnee);
-  const rightHipAngle = calculate3DAngle(rightShoulder, rightHip, rightKnee);
-  
-  // Calculate back angle (angle between shoulders and hips relative to vertical)
-  const midShoulder = { 
-    x: (leftShoulder.x + rightShoulder.x) / 2, 
-    y: (leftShoulder.y + rightShoulder.y) / 2,
-    z: (leftShoulder.z + rightShoulder.z) / 2
-  };
-  
-  const midHip = { 
-    x: (leftHip.x + rightHip.x) / 2, 
-    y: (leftHip.y + rightHip.y) / 2,
-    z: (leftHip.z + rightHip.z) / 2
-  };
-  
-  // Vertical reference point (same x as midHip, but y is 0)
-  const verticalRef = { x: midHip.x, y: 0, z: midHip.z };
-  
-  // Calculate back angle relative to vertical
-  const backAngle = calculateAngle(verticalRef, midHip, midShoulder);
-  
-  // Phase-specific evaluations
-  switch (phase) {
-    case SQUAT_PHASES.BOTTOM:
-      // Check knee angle at bottom position
-      if (leftKneeAngle > THRESHOLDS.MAX_KNEE_ANGLE || rightKneeAngle > THRESHOLDS.MAX_KNEE_ANGLE) {
-        issues.push('Knees not bent enough');
-      }
-      
-      if (leftKneeAngle < THRESHOLDS.MIN_KNEE_ANGLE || rightKneeAngle < THRESHOLDS.MIN_KNEE_ANGLE) {
-        issues.push('Knees bent too much');
-      }
-      
-      // Check hip angle at bottom position
-      if (leftHipAngle > THRESHOLDS.MAX_HIP_ANGLE || rightHipAngle > THRESHOLDS.MAX_HIP_ANGLE) {
-        issues.push('Hips not bent enough');
-      }
-      
-      if (leftHipAngle < THRESHOLDS.MIN_HIP_ANGLE || rightHipAngle < THRESHOLDS.MIN_HIP_ANGLE) {
-        issues.push('Hips bent too much');
-      }
-      
-      // Check back angle
-      if (backAngle > THRESHOLDS.MAX_BACK_LEAN) {
-        issues.push('Back leaning too far forward');
-      }
-      
-      // Check knee position relative to toes
-      if (leftKnee.z < leftAnkle.z - THRESHOLDS.MAX_KNEE_FORWARD || 
-          rightKnee.z < rightAnkle.z - THRESHOLDS.MAX_KNEE_FORWARD) {
-        issues.push('Knees too far forward of toes');
-      }
-      
-      // Check knee alignment (knees should track over toes)
-      if (Math.abs(leftKnee.x - leftAnkle.x) > THRESHOLDS.MAX_KNEE_INWARD || 
-          Math.abs(rightKnee.x - rightAnkle.x) > THRESHOLDS.MAX_KNEE_INWARD) {
-        issues.push('Knees not aligned with toes');
-      }
-      break;
-      
-    case SQUAT_PHASES.DESCENDING:
-    case SQUAT_PHASES.ASCENDING:
-      // Check back angle during movement
-      if (backAngle > THRESHOLDS.MAX_BACK_LEAN) {
-        issues.push('Back leaning too far forward');
-      }
-      
-      // Check knee alignment during movement
-      if (Math.abs(leftKnee.x - leftAnkle.x) > THRESHOLDS.MAX_KNEE_INWARD || 
-          Math.abs(rightKnee.x - rightAnkle.x) > THRESHOLDS.MAX_KNEE_INWARD) {
-        issues.push('Knees not aligned with toes');
-      }
-      break;
-      
-    case SQUAT_PHASES.STANDING:
-      // Check if fully extended at top
-      if (leftKneeAngle < 160 || rightKneeAngle < 160) {
-        issues.push('Not fully standing between reps');
-      }
-      
-      // Check if back is upright
-      if (backAngle > 20) {
-        issues.push('Not standing upright between reps');
-      }
-      break;
-  }
-  
-  return {
-    isCorrect: issues.length === 0,
-    issues,
-    angles: {
-      leftKnee: leftKneeAngle,
-      rightKnee: rightKneeAngle,
-      leftHip: leftHipAngle,
-      rightHip: rightHipAngle,
-      back: backAngle
-    }
-  };
+export const evaluateSquatForm = (landmarks, phase, options = {}) => {
+  return evaluateForm(squatDefinition, landmarks, phase, options);
 };
@@ -0,0 +1,183 @@
+/**
+ * Rep tempo: how long each rep spends lowering (eccentric), paused at the bottom and
+ * rising (concentric), checked against a target tempo such as "3-1-1", and how
+ * consistent the tempo stays across a set.
+ *
+ * The rep counter records the phase angle on every frame of a rep (`motion`), when the
+ * angle last held still at the start before the rep (`restTime`) and ends the rep once
+ * the angle stops rising back to the start. The lowering runs from the rest to the start
+ * of the pause, and the rising from the end of the pause to the end of the rep, so the
+ * whole movement is timed rather than just the part between the phase cut-offs. The
+ * pause is the time spent close to the lowest angle of the rep, however long the phase
+ * machine takes to see the turn.
+ */
+
+// The timed parts of a rep, in order
+export const TEMPO_PHASES = {
+  ECCENTRIC: 'eccentric',
+  PAUSE: 'pause',
+  CONCENTRIC: 'concentric'
+};
+
+const PHASE_ORDER = [TEMPO_PHASES.ECCENTRIC, TEMPO_PHASES.PAUSE, TEMPO_PHASES.CONCENTRIC];
+
+// Default tempo settings
+const DEFAULT_OPTIONS = {
+  // A part of the rep shorter than this fraction of its target is too fast
+  MIN_TARGET_FRACTION: 0.75,
+
+  // Variation that scores 0 for consistency: the summed standard deviations of the
+  // three parts as a fraction of the average time under tension
+  MAX_VARIATION: 0.5,
+
+  // Reps needed in a set before scoring its consistency
+  MIN_CONSISTENCY_REPS: 2,
+
+  // How close to a rep's lowest angle still counts as paused at the bottom (degrees)
+  PAUSE_BAND: 2
+};
+
+// What to say when a part of the rep is too fast
+const TOO_FAST_MESSAGES = {
+  [TEMPO_PHASES.ECCENTRIC]: 'Lower more slowly',
+  [TEMPO_PHASES.PAUSE]: 'Pause longer at the bottom',
+  [TEMPO_PHASES.CONCENTRIC]: 'Come up more slowly'
+};
+
+const TARGET_TEMPO_STORAGE_KEY = 'targetTempo';
+
+// Parse a target tempo in seconds per part, e.g. "3-1-1" or "3-0-X" (X: as fast as
+// possible). Returns { eccentric, pause, concentric } in milliseconds, with null for
+// X, or null when the text isn't a tempo.
+export const parseTempo = (text) => {
+  const parts = String(text).trim().split(/\s*[-:/]\s*/);
+  if (parts.length !== PHASE_ORDER.length) return null;
+
+  const target = {};
+  for (let i = 0; i < parts.length; i++) {
+    if (/^x$/i.test(parts[i])) {
+      target[PHASE_ORDER[i]] = null;
+    } else if (/^\d+(\.\d+)?$/.test(parts[i])) {
+      target[PHASE_ORDER[i]] = Number(parts[i]) * 1000;
+    } else {
+      return null;
+    }
+  }
+  return target;
+};
+
+// Find the pause at the bottom of a rep's motion samples ([{ t, angle }]): the first and
+// last sample within PAUSE_BAND of the lowest angle so far, and whether the angle has
+// risen out of the band since. Null without samples.
+const findBottomPause = (motion, config) => {
+  if (!motion || motion.length === 0) return null;
+
+  const lowest = Math.min(...motion.map(sample => sample.angle));
+  const paused = motion.filter(sample => sample.angle <= lowest + config.PAUSE_BAND);
+  return {
+    start: paused[0].t,
+    end: paused[paused.length - 1].t,
+    hasEnded: motion[motion.length - 1].angle > lowest + config.PAUSE_BAND
+  };
+};
+
+// Measure a completed rep's tempo from its motion samples, the time it left the rest at
+// the start and the time it got back.
+// Returns { eccentric, pause, concentric, timeUnderTension } in milliseconds, or null
+// without samples.
+export const measureRepTempo = (motion, restTime, endTime, options = {}) => {
+  const pause = findBottomPause(motion, { ...DEFAULT_OPTIONS, ...options });
+  if (!pause) return null;
+
+  return {
+    eccentric: pause.start - restTime,
+    pause: pause.end - pause.start,
+    concentric: endTime - pause.end,
+    timeUnderTension: endTime - restTime
+  };
+};
+
+// Check one finished part of a rep against the target. Returns
+// { phase, durationMs, targetMs, message } when it was too fast, otherwise null.
+export const checkTempoPhase = (phase, durationMs, target, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const targetMs = target ? target[phase] : null;
+  if (!targetMs || durationMs >= targetMs * config.MIN_TARGET_FRACTION) return null;
+
+  return { phase, durationMs, targetMs, message: TOO_FAST_MESSAGES[phase] };
+};
+
+// Check every part of a completed rep's tempo; returns the first that was too fast, or null
+export const checkRepTempo = (tempo, target, options = {}) => {
+  if (!tempo || !target) return null;
+  for (const phase of PHASE_ORDER) {
+    const feedback = checkTempoPhase(phase, tempo[phase], target, options);
+    if (feedback) return feedback;
+  }
+  return null;
+};
+
+// Work out which parts of a rep finished on this frame from the rep in progress before
+// and after the rep counter update, and check them against the target. The lowering and
+// the pause finish together when the angle rises out of the bottom, after the rep has
+// reached the bottom phase; a completed rep finishes the concentric part.
+export const checkTempoTransition = (previousRep, currentRep, completedRep, target, options = {}) => {
+  if (!target) return null;
+
+  if (completedRep) {
+    return completedRep.tempo
+      ? checkTempoPhase(TEMPO_PHASES.CONCENTRIC, completedRep.tempo.concentric, target, options)
+      : null;
+  }
+
+  if (!previousRep || !currentRep || currentRep.stage < 1) return null;
+
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const pause = findBottomPause(currentRep.motion, config);
+  const hadEnded = previousRep.stage >= 1 && findBottomPause(previousRep.motion, config)?.hasEnded;
+  if (!pause || !pause.hasEnded || hadEnded) return null;
+
+  return checkTempoPhase(TEMPO_PHASES.ECCENTRIC, pause.start - currentRep.restTime, target, options) ||
+    checkTempoPhase(TEMPO_PHASES.PAUSE, pause.end - pause.start, target, options);
+};
+
+const getMean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const getStandardDeviation = (values) => {
+  const mean = getMean(values);
+  return Math.sqrt(getMean(values.map(value => (value - mean) ** 2)));
+};
+
+// Score how evenly paced a group of reps was, 0–100: 100 when every part of every rep
+// took the same time. Deviations are measured against the whole rep, so a short pause
+// that varies by a few frames doesn't dominate. Returns null with too few timed reps.
+export const getTempoConsistency = (reps, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const tempos = reps.map(rep => rep.tempo).filter(Boolean);
+  if (tempos.length < config.MIN_CONSISTENCY_REPS) return null;
+
+  const meanTimeUnderTension = getMean(tempos.map(tempo => tempo.timeUnderTension));
+  if (meanTimeUnderTension <= 0) return null;
+
+  const deviation = PHASE_ORDER.reduce((sum, phase) => sum + getStandardDeviation(tempos.map(tempo => tempo[phase])), 0);
+  return Math.round(100 * Math.max(0, 1 - deviation / meanTimeUnderTension / config.MAX_VARIATION));
+};
+
+// Get the saved target tempo text, or null
+export const getTargetTempo = () => {
+  try {
+    const stored = localStorage.getItem(TARGET_TEMPO_STORAGE_KEY);
+    return stored && parseTempo(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+// Remember the target tempo text (null to clear it)
+export const setTargetTempo = (text) => {
+  if (text === null) {
+    localStorage.removeItem(TARGET_TEMPO_STORAGE_KEY);
+  } else {
+    localStorage.setItem(TARGET_TEMPO_STORAGE_KEY, text);
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * Recorded-video analysis: runs the exercise pipeline over a video file frame by frame
+ * and builds a timeline report (phase bands, rep markers, issue flags)
+ */
+import { createPipelineState, processFrame } from './exercisePipeline.js';
+import { getAspectRatio } from './poseUtils.js';
+import { getRepSummary } from './repCounter.js';
+import { getHoldSummary } from './holdTimer.js';
+import { getIssueCode } from './formIssues.js';
+import { getAngleGuides } from './exerciseEngine.js';
+
+// Frames analysed per second of video
+export const DEFAULT_ANALYSIS_FRAME_RATE = 15;
+
+// Seek a video element and wait until the new frame is ready
+const seekTo = (video, time) => {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      video.removeEventListener('seeked', onSeeked);
+      video.removeEventListener('error', onError);
+    };
+    const onSeeked = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error('Could not read the video at this position'));
+    };
+
+    video.addEventListener('seeked', onSeeked);
+    video.addEventListener('error', onError);
+    video.currentTime = time;
+  });
+};
+
+// Merge consecutive frames with the same key into { key, start, end, frame } segments,
+// where `frame` is the segment's first frame. Frames with a null key are left out.
+const buildSegments = (frames, durationMs, getKey) => {
+  const segments = [];
+
+  frames.forEach((frame, index) => {
+    const key = getKey(frame);
+    const end = index + 1 < frames.length ? frames[index + 1].time : durationMs;
+    const last = segments[segments.length - 1];
+
+    if (key === null) return;
+
+    if (last && last.key === key && last.end === frame.time) {
+      last.end = end;
+    } else {
+      segments.push({ key, start: frame.time, end, frame });
+    }
+  });
+
+  return segments;
+};
+
+// Build the timeline report from the analysed frames and final pipeline state
+export const buildAnalysisReport = (frames, state, durationMs) => {
+  const phaseSegments = buildSegments(frames, durationMs, frame => frame.phase)
+    .map(({ key, start, end }) => ({ phase: key, start, end }));
+
+  const issueSegments = buildSegments(frames, durationMs, frame => (
+    frame.issues.length > 0 ? frame.issues.map(getIssueCode).join('|') : null
+  )).map(({ start, end, frame }) => ({ issues: frame.issues, start, end }));
+
+  const repMarkers = state.repState.reps.map(rep => ({
+    number: rep.number,
+    start: rep.startTime,
+    end: rep.endTime,
+    isGood: rep.isGood,
+    score: rep.score,
+    issues: rep.issues
+  }));
+
+  return {
+    durationMs,
+    frames,
+    phaseSegments,
+    issueSegments,
+    repMarkers,
+    reps: state.repState.reps,
+    summary: getRepSummary(state.repState),
+    hold: state.holdState ? getHoldSummary(state.holdState) : null
+  };
+};
+
+// Find the analysed frame closest to (at or before) a time in milliseconds
+export const getFrameAtTime = (frames, timeMs) => {
+  let low = 0;
+  let high = frames.length - 1;
+  let match = null;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (frames[mid].time <= timeMs) {
+      match = frames[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return match;
+};
+
+// Analyse a loaded video element with a VIDEO-mode pose landmarker, judging form with the
+// profile's calibrated `thresholds` and the parsed `targetTempo` (see parseTempo), if any.
+// Times in the report are milliseconds from the start of the video. Returns null if cancelled.
+export const analyzeVideo = async ({
+  video,
+  landmarker,
+  definition,
+  thresholds = null,
+  targetTempo = null,
+  frameRate = DEFAULT_ANALYSIS_FRAME_RATE,
+  onProgress = () => {},
+  isCancelled = () => false
+}) => {
+  const duration = video.duration;
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error('The video has no playable duration');
+  }
+
+  const durationMs = Math.round(duration * 1000);
+  const frameCount = Math.floor(duration * frameRate);
+  const options = {
+    ...(thresholds ? { thresholds } : {}),
+    targetTempo,
+    aspectRatio: getAspectRatio({ width: video.videoWidth, height: video.videoHeight })
+  };
+  let state = createPipelineState(definition);
+  const frames = [];
+
+  for (let index = 0; index < frameCount; index++) {
+    if (isCancelled()) return null;
+
+    const time = index / frameRate;
+    await seekTo(video, time);
+
+    const timestamp = Math.round(time * 1000);
+    const results = landmarker.detectForVideo(video, timestamp);
+
+    if (results.landmarks && results.landmarks.length > 0) {
+      const result = processFrame(definition, state, results.landmarks[0], timestamp, options);
+      state = result.state;
+      frames.push({
+        time: timestamp,
+        phase: result.phase,
+        isCorrect: result.evaluation.isCorrect,
+        issues: result.evaluation.issues,
+        landmarks: result.landmarks,
+        angleGuides: getAngleGuides(definition, result.landmarks, result.phase)
+      });
+    } else {
+      // Nobody detected: keep the previous phase, with no landmarks to draw
+      frames.push({ time: timestamp, phase: state.phase, isCorrect: null, issues: [], landmarks: null });
+    }
+
+    onProgress((index + 1) / frameCount);
+  }
+
+  return buildAnalysisReport(frames, state, durationMs);
+};
@@ -0,0 +1,242 @@
+/**
+ * Spoken coaching: picks what to say from each frame's form evaluation, completed reps
+ * and hold time, and speaks it with the Web Speech API.
+ *
+ * Choosing cues is pure (createVoiceCoachState / updateVoiceCoach), so it runs the same
+ * in tests and replays; only speakCue and the helpers below it touch speechSynthesis.
+ * Voice settings are remembered in localStorage.
+ */
+import { ISSUE_SEVERITY, getIssueCode, getIssueMessage, isTrackingIssue } from './formIssues.js';
+
+// How much the coach says
+export const VERBOSITY = {
+  MINIMAL: 'minimal',   // rep counts, hold time, tempo and errors
+  NORMAL: 'normal',     // adds warnings and praise for clean reps
+  DETAILED: 'detailed'  // adds minor (info) issues
+};
+
+// Kinds of cue
+export const CUE_TYPES = {
+  ISSUE: 'issue',
+  REP: 'rep',
+  TEMPO: 'tempo',
+  HOLD: 'hold'
+};
+
+// When several cues are due together the highest priority is spoken: errors interrupt
+// the count, other issues wait for it
+const CUE_PRIORITY = {
+  [ISSUE_SEVERITY.ERROR]: 4,
+  [CUE_TYPES.REP]: 3,
+  [CUE_TYPES.TEMPO]: 2,
+  [CUE_TYPES.HOLD]: 2,
+  [ISSUE_SEVERITY.WARNING]: 2,
+  [ISSUE_SEVERITY.INFO]: 1
+};
+
+// Issue severities spoken at each verbosity
+const SPOKEN_SEVERITIES = {
+  [VERBOSITY.MINIMAL]: [ISSUE_SEVERITY.ERROR],
+  [VERBOSITY.NORMAL]: [ISSUE_SEVERITY.ERROR, ISSUE_SEVERITY.WARNING],
+  [VERBOSITY.DETAILED]: [ISSUE_SEVERITY.ERROR, ISSUE_SEVERITY.WARNING, ISSUE_SEVERITY.INFO]
+};
+
+// Added to the count of a rep with no form issues, in turn
+const PRAISE = ['Good rep', 'Nice form', 'Great job', 'Well done'];
+
+// Default voice coach settings
+const DEFAULT_OPTIONS = {
+  // Minimum time between the start of two cues (milliseconds)
+  MIN_GAP_MS: 2500,
+
+  // The same issue isn't spoken again within this time (milliseconds)
+  REPEAT_MS: 8000,
+
+  // An issue must be reported continuously this long before it is spoken (milliseconds)
+  ISSUE_PERSIST_MS: 400,
+
+  // A rep count that couldn't be spoken within this time is dropped (milliseconds)
+  MAX_REP_DELAY_MS: 3000,
+
+  // Good-form hold time is announced at multiples of this (milliseconds)
+  HOLD_ANNOUNCE_MS: 10000,
+
+  verbosity: VERBOSITY.NORMAL
+};
+
+export const DEFAULT_VOICE_SETTINGS = {
+  muted: false,
+  voiceURI: null, // null for the browser's default voice
+  verbosity: VERBOSITY.NORMAL
+};
+
+const VOICE_SETTINGS_STORAGE_KEY = 'voiceSettings';
+
+// Create the state threaded through updateVoiceCoach
+export const createVoiceCoachState = () => ({
+  lastCueTime: null,
+  issueSince: {},  // issue code -> when it was first reported in its current run
+  lastSpoken: {},  // issue code -> when it was last spoken
+  pendingRep: null,
+  nextHoldAnnouncementMs: null,
+  praiseCount: 0
+});
+
+// Track how long each issue has been reported without a break
+const updateIssueRuns = (issueSince, issues, timestamp) => {
+  const next = {};
+  issues.forEach((issue) => {
+    const code = getIssueCode(issue);
+    next[code] = issueSince[code] ?? timestamp;
+  });
+  return next;
+};
+
+// The most serious issue that has persisted, is spoken at this verbosity and wasn't
+// spoken recently
+const pickIssueCue = (issues, state, timestamp, config) => {
+  const severities = SPOKEN_SEVERITIES[config.verbosity] || SPOKEN_SEVERITIES[VERBOSITY.NORMAL];
+  const issue = issues.find((candidate) => {
+    const code = getIssueCode(candidate);
+    const lastSpoken = state.lastSpoken[code];
+    return severities.includes(candidate.severity) &&
+      timestamp - state.issueSince[code] >= config.ISSUE_PERSIST_MS &&
+      (lastSpoken === undefined || timestamp - lastSpoken >= config.REPEAT_MS);
+  });
+  if (!issue) return null;
+
+  return {
+    type: CUE_TYPES.ISSUE,
+    code: getIssueCode(issue),
+    text: getIssueMessage(issue, config.translations),
+    priority: CUE_PRIORITY[issue.severity]
+  };
+};
+
+// The count for a completed rep, with praise for a clean one
+const createRepCue = (rep, praiseCount, config) => {
+  const praise = rep.isGood && config.verbosity !== VERBOSITY.MINIMAL
+    ? PRAISE[praiseCount % PRAISE.length]
+    : null;
+
+  return {
+    type: CUE_TYPES.REP,
+    text: praise ? `${rep.number}. ${praise}` : String(rep.number),
+    priority: CUE_PRIORITY[CUE_TYPES.REP],
+    isPraise: !!praise
+  };
+};
+
+// The hold time, once it reaches the next announcement
+const pickHoldCue = (holdTimeMs, nextAnnouncementMs, config) => {
+  if (!Number.isFinite(holdTimeMs) || holdTimeMs < (nextAnnouncementMs ?? config.HOLD_ANNOUNCE_MS)) {
+    return null;
+  }
+
+  const seconds = Math.floor(holdTimeMs / config.HOLD_ANNOUNCE_MS) * config.HOLD_ANNOUNCE_MS / 1000;
+  return {
+    type: CUE_TYPES.HOLD,
+    text: `${seconds} seconds`,
+    priority: CUE_PRIORITY[CUE_TYPES.HOLD]
+  };
+};
+
+// Update the coach with the latest frame and decide whether to speak.
+// `frame` is { evaluation, completedRep, tempoFeedback, holdTimeMs, isSpeaking };
+// `isSpeaking` holds back new cues while the previous one is still being spoken, and
+// tempo feedback that can't be spoken straight away is dropped. Returns the new state and
+// the cue to speak now ({ type, text, priority }), or null.
+export const updateVoiceCoach = (state, frame, timestamp, options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const { evaluation, completedRep, tempoFeedback, holdTimeMs, isSpeaking = false } = frame;
+  const issues = (evaluation?.issues || []).filter(issue => typeof issue !== 'string' && !isTrackingIssue(issue));
+
+  let next = { ...state, issueSince: updateIssueRuns(state.issueSince, issues, timestamp) };
+
+  // A new rep replaces a count still waiting to be spoken
+  if (completedRep) {
+    next.pendingRep = { cue: createRepCue(completedRep, state.praiseCount, config), since: timestamp };
+  } else if (next.pendingRep && timestamp - next.pendingRep.since > config.MAX_REP_DELAY_MS) {
+    next.pendingRep = null;
+  }
+
+  const canSpeak = !isSpeaking && (next.lastCueTime === null || timestamp - next.lastCueTime >= config.MIN_GAP_MS);
+  if (!canSpeak) {
+    return { state: next, cue: null };
+  }
+
+  const candidates = [
+    pickIssueCue(issues, next, timestamp, config),
+    next.pendingRep && next.pendingRep.cue,
+    tempoFeedback && { type: CUE_TYPES.TEMPO, text: tempoFeedback.message, priority: CUE_PRIORITY[CUE_TYPES.TEMPO] },
+    pickHoldCue(holdTimeMs, next.nextHoldAnnouncementMs, config)
+  ].filter(Boolean);
+  if (candidates.length === 0) {
+    return { state: next, cue: null };
+  }
+
+  // Earlier candidates win ties
+  const cue = candidates.reduce((best, candidate) => (candidate.priority > best.priority ? candidate : best));
+  next = { ...next, lastCueTime: timestamp };
+
+  if (cue.type === CUE_TYPES.ISSUE) {
+    next.lastSpoken = { ...next.lastSpoken, [cue.code]: timestamp };
+  } else if (cue.type === CUE_TYPES.REP) {
+    next.pendingRep = null;
+    if (cue.isPraise) next.praiseCount += 1;
+  } else if (cue.type === CUE_TYPES.HOLD) {
+    next.nextHoldAnnouncementMs = (Math.floor(holdTimeMs / config.HOLD_ANNOUNCE_MS) + 1) * config.HOLD_ANNOUNCE_MS;
+  }
+
+  return { state: next, cue };
+};
+
+// Check whether the browser can speak
+export const isSpeechSupported = () => {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+};
+
+// List the available voices (may be empty until the browser fires 'voiceschanged')
+export const getVoices = () => {
+  return isSpeechSupported() ? window.speechSynthesis.getVoices() : [];
+};
+
+// Check whether a cue is still being spoken
+export const isSpeechBusy = () => {
+  return isSpeechSupported() && window.speechSynthesis.speaking;
+};
+
+// Speak a cue with the chosen voice, unless muted
+export const speakCue = (cue, settings = DEFAULT_VOICE_SETTINGS) => {
+  if (!cue || settings.muted || !isSpeechSupported()) return;
+
+  const utterance = new SpeechSynthesisUtterance(cue.text);
+  const voice = getVoices().find(v => v.voiceURI === settings.voiceURI);
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  }
+  window.speechSynthesis.speak(utterance);
+};
+
+// Stop speaking and drop any queued cues
+export const stopSpeaking = () => {
+  if (isSpeechSupported()) {
+    window.speechSynthesis.cancel();
+  }
+};
+
+// Get the saved voice settings, or the defaults
+export const getVoiceSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(VOICE_SETTINGS_STORAGE_KEY));
+    return { ...DEFAULT_VOICE_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_VOICE_SETTINGS;
+  }
+};
+
+// Remember the voice settings
+export const setVoiceSettings = (settings) => {
+  localStorage.setItem(VOICE_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,97 @@
+/**
+ * Pose worker: runs the pose landmarker, the frame processor and the overlay drawing off
+ * the main thread, so detection doesn't hold up the UI. Driven by the worker runner in
+ * src/utils/poseRunner.js.
+ *
+ * Started as a classic worker, which the build bundles into a single script: MediaPipe
+ * loads its WASM glue code with importScripts, and that only works in classic workers.
+ *
+ * Messages in:
+ * - { type: 'init', exerciseType, variant, calibrate, skipSetup, people, options, layers }
+ * - { type: 'canvas', canvas }: the OffscreenCanvas to draw the camera view on
+ * - { type: 'frame', frame, timestamp }: a VideoFrame or ImageBitmap, closed once drawn
+ * - { type: 'options', options }: new pipeline options (thresholds, targetTempo)
+ * - { type: 'layers', layers }: overlay layers to draw (see OVERLAY_LAYERS)
+ * - { type: 'skipSetup' }
+ * Messages out:
+ * - { type: 'ready', variant, delegate, source } or { type: 'initError', message }
+ * - { type: 'result', timestamp, detected, result, inferenceMs, processingMs } per frame,
+ *   or { type: 'frameError', timestamp, message }
+ */
+import { createPoseLandmarker } from '../utils/poseModel.js';
+import { getExercise } from '../utils/exerciseRegistry.js';
+import { completeSetup, createFrameProcessorState, processDetectedPoses } from '../utils/frameProcessor.js';
+import { renderCameraFrame } from '../utils/overlayRenderer.js';
+import { getAspectRatio } from '../utils/poseUtils.js';
+
+let landmarker = null;
+let definition = null;
+let processorState = null;
+let options = {};
+let layers;
+let canvas = null;
+
+// Load the model and set up the frame processor for the exercise
+const initialize = async (message) => {
+  try {
+    definition = getExercise(message.exerciseType);
+    processorState = createFrameProcessorState(definition, {
+      calibrate: message.calibrate,
+      skipSetup: message.skipSetup,
+      people: message.people
+    });
+    options = message.options || {};
+    layers = message.layers;
+
+    const { landmarker: created, variant, delegate, source } = await createPoseLandmarker({
+      variant: message.variant,
+      numPoses: message.people
+    });
+    landmarker = created;
+    self.postMessage({ type: 'ready', variant, delegate, source });
+  } catch (err) {
+    self.postMessage({ type: 'initError', message: err.message });
+  }
+};
+
+// Detect, process and draw one camera frame, then report the result
+const processCameraFrame = ({ frame, timestamp }) => {
+  try {
+    const started = performance.now();
+    const detection = landmarker.detectForVideo(frame, timestamp);
+    const poses = detection.landmarks || [];
+    const inferenceMs = performance.now() - started;
+
+    // VideoFrames have a display size, ImageBitmaps just a size
+    const aspectRatio = getAspectRatio({ width: frame.displayWidth ?? frame.width, height: frame.displayHeight ?? frame.height });
+    const processed = processDetectedPoses(definition, processorState, poses, timestamp, { ...options, aspectRatio });
+    processorState = processed.state;
+    const { result } = processed;
+
+    if (canvas) {
+      renderCameraFrame(canvas, frame, result, layers);
+    }
+
+    self.postMessage({ type: 'result', timestamp, detected: poses[0] || null, result, inferenceMs, processingMs: performance.now() - started });
+  } catch (err) {
+    self.postMessage({ type: 'frameError', timestamp, message: err.message });
+  } finally {
+    frame.close();
+  }
+};
+
+const handlers = {
+  init: initialize,
+  canvas: (message) => { canvas = message.canvas; },
+  frame: processCameraFrame,
+  options: (message) => { options = message.options; },
+  layers: (message) => { layers = message.layers; },
+  skipSetup: () => { processorState = completeSetup(processorState); }
+};
+
+self.onmessage = ({ data }) => {
+  const handler = handlers[data.type];
+  if (handler) {
+    handler(data);
+  }
+};
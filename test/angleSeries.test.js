@@ -0,0 +1,103 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAngleSample,
+  appendSample,
+  appendLiveSample,
+  getAngleCharts,
+  getThresholdLines,
+  getPhaseBands,
+  getAngleRange
+} from '../src/utils/angleSeries.js';
+import { createPipelineState, processFrame } from '../src/utils/exercisePipeline.js';
+import { squatDefinition, SQUAT_PHASES } from '../src/utils/squatRules.js';
+import { pushupDefinition } from '../src/utils/pushupRules.js';
+import { squatPose, buildRepFrames } from './helpers/syntheticPoses.js';
+
+const sample = (t, phase, knee) => createAngleSample(t, phase, { leftKnee: knee, rightKnee: knee });
+
+describe('angle samples', () => {
+  test('rounds angles and drops missing ones', () => {
+    assert.deepEqual(createAngleSample(0, 'standing', { leftKnee: 92.345, back: NaN }).angles, { leftKnee: 92.3 });
+  });
+
+  test('keeps samples at most every 100ms, and every change of phase', () => {
+    let samples = [];
+    for (let t = 0; t <= 300; t += 33) {
+      samples = appendSample(samples, sample(t, 'standing', 170));
+    }
+    samples = appendSample(samples, sample(310, 'descending', 165));
+
+    assert.deepEqual(samples.map(item => item.t), [0, 132, 264, 310]);
+  });
+
+  test('keeps a rolling live window', () => {
+    let samples = [];
+    for (let t = 0; t <= 15000; t += 500) {
+      samples = appendLiveSample(samples, sample(t, 'standing', 170));
+    }
+
+    assert.equal(samples[0].t, 5000);
+    assert.equal(samples[samples.length - 1].t, 15000);
+  });
+});
+
+describe('angle charts', () => {
+  test('charts left/right pairs together and the remaining angles alone', () => {
+    assert.deepEqual(
+      getAngleCharts(squatDefinition).map(chart => [chart.id, chart.lines.map(line => line.angle)]),
+      [['knee', ['leftKnee', 'rightKnee']], ['hip', ['leftHip', 'rightHip']], ['back', ['back']]]
+    );
+    assert.deepEqual(getAngleCharts(pushupDefinition).map(chart => chart.id), ['elbow', 'back', 'neck']);
+  });
+
+  test('draws guide lines from the checks, with calibrated values', () => {
+    const lines = getThresholdLines(squatDefinition, ['leftKnee', 'rightKnee']);
+    const maxKnee = lines.find(line => line.name === 'MAX_KNEE_ANGLE');
+
+    assert.deepEqual(maxKnee, { name: 'MAX_KNEE_ANGLE', value: 100, bound: 'max', phases: [SQUAT_PHASES.BOTTOM] });
+    assert.ok(lines.some(line => line.name === 'MIN_KNEE_ANGLE' && line.bound === 'min'));
+    assert.equal(getThresholdLines(squatDefinition, ['leftKnee'], { MAX_KNEE_ANGLE: 108 })
+      .find(line => line.name === 'MAX_KNEE_ANGLE').value, 108);
+  });
+
+  test('groups samples into phase bands', () => {
+    const samples = [sample(0, 'standing', 170), sample(100, 'descending', 150), sample(200, 'descending', 120), sample(300, 'bottom', 90)];
+
+    assert.deepEqual(getPhaseBands(samples), [
+      { phase: 'standing', start: 0, end: 100 },
+      { phase: 'descending', start: 100, end: 300 },
+      { phase: 'bottom', start: 300, end: 300 }
+    ]);
+  });
+
+  test('fits the y range to the data and guide lines', () => {
+    const samples = [sample(0, 'standing', 172), sample(100, 'bottom', 88)];
+
+    assert.deepEqual(getAngleRange(samples, ['leftKnee']), { min: 80, max: 180 });
+    assert.deepEqual(getAngleRange(samples, ['leftKnee'], [{ value: 70 }]), { min: 60, max: 180 });
+    assert.deepEqual(getAngleRange([], ['leftKnee']), { min: 0, max: 180 });
+  });
+});
+
+describe('rep angle series', () => {
+  test('each completed rep keeps its angle curve through every phase', () => {
+    const frames = buildRepFrames(squatPose, { top: { knee: 175, lean: 5 }, bottom: { knee: 80, lean: 30 }, reps: 2 });
+    let state = createPipelineState(squatDefinition);
+    const reps = [];
+    frames.forEach(({ timestamp, landmarks }) => {
+      const result = processFrame(squatDefinition, state, landmarks, timestamp);
+      state = result.state;
+      if (result.completedRep) reps.push(result.completedRep);
+    });
+
+    assert.equal(reps.length, 2);
+    const { series } = reps[0];
+    assert.equal(series[0].t, 0);
+    assert.deepEqual(
+      [...new Set(series.map(item => item.phase))],
+      [SQUAT_PHASES.DESCENDING, SQUAT_PHASES.BOTTOM, SQUAT_PHASES.ASCENDING]
+    );
+    assert.ok(Math.min(...series.map(item => item.angles.leftKnee)) < 90);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ASYMMETRY_TYPES, measureAsymmetry, getAsymmetryReport } from '../src/utils/asymmetry.js';
+import { createPipelineState, processFrame } from '../src/utils/exercisePipeline.js';
+import { measureMetrics } from '../src/utils/exerciseEngine.js';
+import { squatDefinition } from '../src/utils/squatRules.js';
+import { pushupDefinition } from '../src/utils/pushupRules.js';
+import { generatePose, buildRepKeyframes, generateSequence } from '../src/utils/poseGenerator.js';
+import { POSE_LANDMARKS } from '../src/utils/landmarkSchema.js';
+
+// Squat pose with a separate knee bend per side, seen from `yaw`
+const unevenSquat = ({ left, right, lean = 20 }, { yaw = 30 } = {}) => generatePose({
+  trunkLean: lean,
+  hipFlexion: { left: left * 0.65 + lean, right: right * 0.65 + lean },
+  kneeFlexion: { left, right },
+  shoulderFlexion: 90
+}, { yaw });
+
+// Move everything above the knees sideways in the image, shifting the hips over the feet
+const shiftUpperBody = (landmarks, dx) => landmarks.map((landmark, index) => (
+  index <= POSE_LANDMARKS.rightHip ? { ...landmark, x: landmark.x + dx } : landmark
+));
+
+const measure = (definition, landmarks) => measureAsymmetry(definition, landmarks, measureMetrics(definition, landmarks));
+
+// Run squat reps through the pipeline and collect the completed reps
+const runSquats = (render) => {
+  const frames = generateSequence(
+    buildRepKeyframes({ start: { left: 5, right: 5 }, bottom: { left: 100, right: 100 }, reps: 4, repMs: 2000, restMs: 600 }),
+    { frameRate: 15, render }
+  );
+  let state = createPipelineState(squatDefinition);
+  const reps = [];
+  frames.forEach(({ timestamp, landmarks }) => {
+    const result = processFrame(squatDefinition, state, landmarks, timestamp);
+    state = result.state;
+    if (result.completedRep) reps.push(result.completedRep);
+  });
+  return reps;
+};
+
+describe('measureAsymmetry', () => {
+  test('compares paired angles left minus right', () => {
+    const even = measure(squatDefinition, unevenSquat({ left: 80, right: 80 }));
+    const uneven = measure(squatDefinition, unevenSquat({ left: 60, right: 80 }));
+
+    assert.ok(Math.abs(even.pairs.knee) < 1);
+    assert.ok(uneven.pairs.knee > 15, `knee difference ${uneven.pairs.knee}`);
+  });
+
+  test('measures hip shift towards the user\'s side, whichever way they face', () => {
+    const facing = generatePose({}, { yaw: 0 });
+    const turned = generatePose({}, { yaw: 40 });
+
+    assert.ok(Math.abs(measure(squatDefinition, facing).hipShift) < 0.01);
+    // Facing the camera, the user's left is on the right of the image
+    assert.ok(measure(squatDefinition, shiftUpperBody(facing, 0.03)).hipShift > 0.08);
+    assert.ok(measure(squatDefinition, shiftUpperBody(turned, -0.03)).hipShift < -0.08);
+  });
+
+  test('measures shoulder tilt', () => {
+    const pose = generatePose({}, { yaw: 0 });
+    const tilted = pose.map((landmark, index) => (
+      index === POSE_LANDMARKS.leftShoulder ? { ...landmark, y: landmark.y + 0.015 } : landmark
+    ));
+
+    assert.ok(Math.abs(measure(squatDefinition, pose).shoulderTilt) < 0.5);
+    assert.ok(measure(squatDefinition, tilted).shoulderTilt > 4);
+  });
+
+  test('measures shoulder tilt in the frame\'s true proportions', () => {
+    // The same pose on 16:9 video, squeezed horizontally, with the left shoulder dropped 3°
+    const aspectRatio = 16 / 9;
+    const pose = generatePose({}, { yaw: 0 });
+    const shoulderWidth = Math.abs(pose[POSE_LANDMARKS.leftShoulder].x - pose[POSE_LANDMARKS.rightShoulder].x);
+    const drop = shoulderWidth * Math.tan(3 * Math.PI / 180);
+    const wide = pose.map((landmark, index) => ({
+      ...landmark,
+      x: 0.5 + (landmark.x - 0.5) / aspectRatio,
+      y: index === POSE_LANDMARKS.leftShoulder ? landmark.y + drop : landmark.y
+    }));
+    const { shoulderTilt } = measureAsymmetry(squatDefinition, wide, measureMetrics(squatDefinition, wide), { aspectRatio });
+
+    assert.ok(Math.abs(shoulderTilt - 3) < 0.1, `shoulder tilt ${shoulderTilt}`);
+  });
+
+  test('skips hip shift and shoulder tilt side on, and definitions without asymmetry', () => {
+    const side = measure(squatDefinition, generatePose({}, { yaw: 90 }));
+
+    assert.equal(side.hipShift, null);
+    assert.equal(side.shoulderTilt, null);
+    assert.equal(measure(pushupDefinition, generatePose({}, { yaw: 90 })).hipShift, null);
+    assert.equal(measureAsymmetry({ angles: {} }, generatePose({}), {}), null);
+  });
+});
+
+describe('getAsymmetryReport', () => {
+  const rep = knee => ({ asymmetry: { pairs: { knee }, hipShift: null, shoulderTilt: null } });
+
+  test('flags an imbalance that persists the same way', () => {
+    const report = getAsymmetryReport([rep(12), rep(10), rep(3), rep(11)]);
+
+    assert.equal(report.length, 1);
+    assert.equal(report[0].type, ASYMMETRY_TYPES.ANGLE);
+    assert.equal(report[0].joint, 'knee');
+    assert.equal(report[0].side, 'left');
+    assert.equal(report[0].reps, 3);
+    assert.equal(report[0].measuredReps, 4);
+  });
+
+  test('ignores one-off and alternating differences', () => {
+    assert.deepEqual(getAsymmetryReport([rep(12), rep(-12), rep(10), rep(-10)]), []);
+    assert.deepEqual(getAsymmetryReport([rep(12), rep(2), rep(1), rep(0)]), []);
+    assert.deepEqual(getAsymmetryReport([rep(12), rep(12)]), []);
+  });
+});
+
+describe('asymmetry in the pipeline', () => {
+  test('summarises each rep and reports a knee that bends less', () => {
+    const reps = runSquats(pose => unevenSquat({ left: pose.left * 0.75, right: pose.right }));
+    const report = getAsymmetryReport(reps);
+
+    assert.ok(reps.length >= 3, `${reps.length} reps`);
+    assert.ok(reps.every(item => item.asymmetry.pairs.knee > 8));
+    assert.equal(report.find(item => item.joint === 'knee').side, 'left');
+  });
+
+  test('reports nothing for even reps', () => {
+    const reps = runSquats(pose => unevenSquat(pose));
+
+    assert.ok(reps.length >= 3, `${reps.length} reps`);
+    assert.deepEqual(getAsymmetryReport(reps), []);
+  });
+});
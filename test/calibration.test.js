@@ -0,0 +1,86 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CALIBRATION_STEPS, createCalibrationState, updateCalibration, getCalibrationProgress, deriveCalibration } from '../src/utils/calibration.js';
+import { SQUAT_PHASES, squatDefinition, evaluateSquatForm } from '../src/utils/squatRules.js';
+import { pushupDefinition } from '../src/utils/pushupRules.js';
+import { squatPose, pushupPose, buildRepFrames } from './helpers/syntheticPoses.js';
+
+const assertClose = (actual, expected, tolerance = 0.5) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// Run frames through the calibration, returning the final state
+const calibrate = (definition, frames) => {
+  let state = createCalibrationState();
+  frames.forEach(({ timestamp, landmarks }) => {
+    state = updateCalibration(definition, state, landmarks, timestamp);
+  });
+  return state;
+};
+
+// A still start position followed by two slow reps
+const squatCalibration = bottom => buildRepFrames(squatPose, { top: { knee: 175, lean: 5 }, bottom, reps: 2, restMs: 2500 });
+
+describe('calibration', () => {
+  test('waits for a still start position before recording reps', () => {
+    const frames = squatCalibration({ knee: 100, lean: 30 });
+    const stillFrames = frames.filter(frame => frame.timestamp < 1500);
+    const state = calibrate(squatDefinition, stillFrames);
+
+    assert.equal(state.step, CALIBRATION_STEPS.STILL);
+    assert.ok(getCalibrationProgress(state, 1400).stillProgress > 0.6);
+  });
+
+  test('restarts the still hold when the user moves', () => {
+    let state = calibrate(squatDefinition, [{ timestamp: 0, landmarks: squatPose() }]);
+    state = updateCalibration(squatDefinition, state, squatPose({ knee: 150 }), 1000);
+
+    assert.equal(state.stillAnchor.timestamp, 1000);
+    assert.equal(state.stillFrames.length, 1);
+  });
+
+  test('records the start position, segments and reps', () => {
+    const state = calibrate(squatDefinition, squatCalibration({ knee: 100, lean: 30 }));
+
+    assert.equal(state.step, CALIBRATION_STEPS.DONE);
+    assert.equal(state.reps.length, 2);
+    assertClose(state.start.leftKnee, 175);
+    assertClose(state.reps[0].leftKnee, 100);
+    // Thigh and shin of the default 0.8-high body
+    assertClose(state.segments.thigh, 0.196, 0.005);
+    assertClose(state.segments.shin, 0.197, 0.005);
+  });
+
+  test('derives personal thresholds within their limits', () => {
+    const { thresholds } = deriveCalibration(squatDefinition, calibrate(squatDefinition, squatCalibration({ knee: 100, lean: 30 })));
+
+    assertClose(thresholds.STANDING_KNEE_ANGLE, 160);
+    assertClose(thresholds.MOVING_KNEE_ANGLE, 130);
+    // The bottom was at 100 degrees: 110 allowed, capped by the limit
+    assert.equal(thresholds.MAX_KNEE_ANGLE, 110);
+    assert.equal(thresholds.MIN_KNEE_ANGLE, 80);
+    // Same body size as the reference, so the distance limits are unchanged
+    assertClose(thresholds.MAX_KNEE_FORWARD, 0.1, 0.002);
+  });
+
+  test('calibrated thresholds change what the rules report', () => {
+    const { thresholds } = deriveCalibration(squatDefinition, calibrate(squatDefinition, squatCalibration({ knee: 100, lean: 30 })));
+    const pose = squatPose({ knee: 105, lean: 25 });
+    const codes = options => evaluateSquatForm(pose, SQUAT_PHASES.BOTTOM, options).issues.map(issue => issue.code);
+
+    assert.deepEqual(codes(), ['KNEES_NOT_BENT_ENOUGH']);
+    assert.deepEqual(codes({ thresholds }), []);
+  });
+
+  test('fits the push-up back limits to the body incline', () => {
+    const frames = buildRepFrames(pushupPose, { top: { elbow: 170 }, bottom: { elbow: 85 }, reps: 2, restMs: 2500 });
+    const calibration = deriveCalibration(pushupDefinition, calibrate(pushupDefinition, frames));
+
+    assertClose(calibration.thresholds.MAX_BACK_ANGLE, calibration.start.back + 10);
+    assertClose(calibration.thresholds.MAX_ELBOW_ANGLE, 95);
+  });
+
+  test('refuses to derive thresholds before the reps are done', () => {
+    assert.throws(() => deriveCalibration(squatDefinition, createCalibrationState()), /not finished/);
+  });
+});
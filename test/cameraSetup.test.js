@@ -0,0 +1,124 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CAMERA_VIEWS, SETUP_CHECKS, checkCameraSetup, getBodyOrientation, createCameraSetupState, updateCameraSetup } from '../src/utils/cameraSetup.js';
+import { generatePose } from '../src/utils/poseGenerator.js';
+import { squatDefinition } from '../src/utils/squatRules.js';
+import { pushupDefinition } from '../src/utils/pushupRules.js';
+import { sidePlankDefinition } from '../src/utils/holdRules.js';
+import { squatPose, pushupPose } from './helpers/syntheticPoses.js';
+
+const failingCheck = result => result.checks.find(check => !check.passed)?.id;
+
+// Show a pose on a frame `aspectRatio` times as wide as it is tall: landmark x is
+// normalised by the frame's width, so horizontal distances shrink on wide frames and
+// grow on tall ones
+const onWideFrame = (landmarks, aspectRatio) => landmarks.map(landmark => ({ ...landmark, x: 0.5 + (landmark.x - 0.5) / aspectRatio }));
+const WIDESCREEN = 16 / 9;
+
+describe('getBodyOrientation', () => {
+  test('tells front, angled and side views apart', () => {
+    assert.equal(getBodyOrientation(generatePose({}, { yaw: 0 })).view, CAMERA_VIEWS.FRONT);
+    assert.equal(getBodyOrientation(generatePose({}, { yaw: 45 })).view, CAMERA_VIEWS.ANGLED);
+    assert.equal(getBodyOrientation(generatePose({}, { yaw: 90 })).view, CAMERA_VIEWS.SIDE);
+  });
+
+  test('estimates how far the body is turned', () => {
+    const orientation = getBodyOrientation(generatePose({}, { yaw: 60 }));
+
+    assert.ok(Math.abs(orientation.yaw - 60) < 5);
+  });
+
+  test('corrects for frames that are not square', () => {
+    const facing = onWideFrame(generatePose({}, { yaw: 0 }), WIDESCREEN);
+    const turned = getBodyOrientation(onWideFrame(generatePose({}, { yaw: 60 }), WIDESCREEN), { aspectRatio: WIDESCREEN });
+
+    assert.equal(getBodyOrientation(facing).view, CAMERA_VIEWS.ANGLED);
+    assert.equal(getBodyOrientation(facing, { aspectRatio: WIDESCREEN }).view, CAMERA_VIEWS.FRONT);
+    assert.ok(Math.abs(turned.yaw - 60) < 5, `yaw ${turned.yaw}`);
+  });
+});
+
+describe('checkCameraSetup', () => {
+  test('passes a well-framed squat from the side', () => {
+    const result = checkCameraSetup(squatDefinition, squatPose({ yaw: 80 }));
+
+    assert.equal(result.passed, true);
+    assert.equal(result.guidance, null);
+  });
+
+  test('asks a user facing the camera to turn for squats', () => {
+    const result = checkCameraSetup(squatDefinition, squatPose({ yaw: 0 }));
+
+    assert.equal(failingCheck(result), SETUP_CHECKS.ORIENTATION);
+    assert.match(result.guidance, /^Turn about \d+° to your (left|right)$/);
+  });
+
+  test('asks for a front view for side planks', () => {
+    const sidePlank = generatePose({ trunkLean: 90 }, { yaw: 90 });
+    const result = checkCameraSetup(sidePlankDefinition, sidePlank);
+
+    assert.equal(result.guidance, 'Turn to face the camera');
+  });
+
+  test('flags feet cut off at the bottom of the frame', () => {
+    const result = checkCameraSetup(squatDefinition, generatePose({}, { yaw: 90, floorY: 1.1 }));
+
+    assert.equal(failingCheck(result), SETUP_CHECKS.FRAMING);
+    assert.match(result.guidance, /feet are in view/);
+  });
+
+  test('flags a hidden ankle as cut off', () => {
+    const landmarks = squatPose({ yaw: 80 }).map((landmark, index) => (
+      index === 27 ? { ...landmark, visibility: 0.1 } : landmark
+    ));
+
+    assert.match(checkCameraSetup(squatDefinition, landmarks).guidance, /feet are in view/);
+  });
+
+  test('checks the distance from the body size in frame', () => {
+    assert.equal(checkCameraSetup(squatDefinition, generatePose({}, { yaw: 90, height: 0.3 })).guidance, 'Step closer to the camera');
+    assert.equal(checkCameraSetup(squatDefinition, generatePose({}, { yaw: 90, height: 1, floorY: 0.985 })).guidance, 'Step back from the camera');
+  });
+
+  test('measures the body along its longer side on frames that are not square', () => {
+    // A deep squat is taller than it is wide, but on a portrait frame its width is the
+    // larger fraction of the frame
+    const pose = squatPose({ knee: 60, lean: 50, yaw: 60 });
+    const portrait = onWideFrame(pose, 9 / 16);
+    const fill = result => result.checks.find(check => check.id === SETUP_CHECKS.DISTANCE).fill;
+    const square = fill(checkCameraSetup(squatDefinition, pose));
+
+    assert.equal(fill(checkCameraSetup(squatDefinition, portrait, { aspectRatio: 9 / 16 })), square);
+    assert.ok(fill(checkCameraSetup(squatDefinition, portrait)) > square);
+  });
+
+  test('accepts a push-up seen from the side', () => {
+    assert.equal(checkCameraSetup(pushupDefinition, pushupPose()).passed, true);
+    assert.equal(failingCheck(checkCameraSetup(pushupDefinition, pushupPose({ yaw: 0 }))), SETUP_CHECKS.ORIENTATION);
+  });
+});
+
+describe('updateCameraSetup', () => {
+  test('completes once setup has passed for long enough', () => {
+    const good = squatPose({ yaw: 80 });
+    let state = createCameraSetupState();
+
+    state = updateCameraSetup(squatDefinition, state, good, 0);
+    state = updateCameraSetup(squatDefinition, state, good, 500);
+    assert.equal(state.isComplete, false);
+
+    state = updateCameraSetup(squatDefinition, state, good, 1000);
+    assert.equal(state.isComplete, true);
+  });
+
+  test('starts the wait again when a check fails', () => {
+    let state = createCameraSetupState();
+
+    state = updateCameraSetup(squatDefinition, state, squatPose({ yaw: 80 }), 0);
+    state = updateCameraSetup(squatDefinition, state, squatPose({ yaw: 0 }), 500);
+    state = updateCameraSetup(squatDefinition, state, squatPose({ yaw: 80 }), 1000);
+
+    assert.equal(state.isComplete, false);
+    assert.equal(state.passedSince, 1000);
+  });
+});
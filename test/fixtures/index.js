@@ -0,0 +1,137 @@
+/**
+ * Labelled golden recordings for the rule tests. Each fixture names a landmark recording
+ * in ./recordings and the phases, reps and issues the rules should report for it.
+ *
+ * Synthetic fixtures also describe how to generate their recording
+ * (npm run test:fixtures). Recordings captured in the app with "Record Landmarks" can be
+ * added here with just a name, exercise, label and the expected results.
+ *
+ * Expected results:
+ * - phases: the phase sequence from determine*Phase, with repeated frames collapsed
+ * - issues: the code of every issue evaluate*Form reports on any frame, sorted
+ * - smoothedPhases (optional): the phase sequence through the smoothed pipeline, when it
+ *   differs from `phases`
+ * - reps and repIssues: rep counts and the codes of the issues recorded against reps by
+ *   the pipeline
+ */
+import { squatPose, pushupPose, buildRepFrames } from '../helpers/syntheticPoses.js';
+
+const STANDING = { knee: 175, lean: 5 };
+const PUSHUP_TOP = { elbow: 170 };
+
+const squatCycle = reps => Array.from({ length: reps }, () => ['descending', 'bottom', 'ascending', 'standing']).flat();
+const pushupCycle = reps => Array.from({ length: reps }, () => ['descending', 'bottom', 'ascending', 'top']).flat();
+
+export const FIXTURES = [
+  {
+    name: 'squat-good',
+    exercise: 'squat',
+    label: 'Two squats to parallel with the chest up',
+    generate: () => buildRepFrames(squatPose, { top: STANDING, bottom: { knee: 90, lean: 30 } }),
+    expected: {
+      phases: ['standing', ...squatCycle(2)],
+      issues: [],
+      reps: { total: 2, good: 2, bad: 0, partial: 0 },
+      repIssues: []
+    }
+  },
+  {
+    name: 'squat-shallow',
+    exercise: 'squat',
+    label: 'Two squats stopping well above parallel',
+    generate: () => buildRepFrames(squatPose, { top: STANDING, bottom: { knee: 105, lean: 25 } }),
+    expected: {
+      phases: ['standing', ...squatCycle(2)],
+      issues: ['KNEES_NOT_BENT_ENOUGH'],
+      reps: { total: 2, good: 0, bad: 2, partial: 0 },
+      repIssues: ['KNEES_NOT_BENT_ENOUGH']
+    }
+  },
+  {
+    name: 'squat-quarter',
+    exercise: 'squat',
+    label: 'Two quarter squats that never reach the moving range',
+    generate: () => buildRepFrames(squatPose, { top: STANDING, bottom: { knee: 130, lean: 15 } }),
+    expected: {
+      phases: ['standing', 'descending', 'standing', 'descending', 'standing'],
+      issues: [],
+      reps: { total: 0, good: 0, bad: 0, partial: 2 },
+      repIssues: []
+    }
+  },
+  {
+    name: 'squat-forward-lean',
+    exercise: 'squat',
+    label: 'Two deep squats folding the chest towards the knees',
+    generate: () => buildRepFrames(squatPose, { top: STANDING, bottom: { knee: 90, lean: 65 } }),
+    expected: {
+      phases: ['standing', ...squatCycle(2)],
+      issues: ['BACK_LEANING_FORWARD', 'HIPS_BENT_TOO_MUCH'],
+      reps: { total: 2, good: 0, bad: 2, partial: 0 },
+      repIssues: ['BACK_LEANING_FORWARD', 'HIPS_BENT_TOO_MUCH']
+    }
+  },
+  {
+    name: 'squat-knees-caving',
+    exercise: 'squat',
+    label: 'Two deep squats with the knees collapsing inwards',
+    generate: () => buildRepFrames(squatPose, { top: STANDING, bottom: { knee: 90, lean: 30, kneeValgus: 15 } }),
+    expected: {
+      phases: ['standing', ...squatCycle(2)],
+      issues: ['KNEES_FORWARD_OF_TOES', 'KNEES_NOT_ALIGNED'],
+      reps: { total: 2, good: 0, bad: 2, partial: 0 },
+      repIssues: ['KNEES_FORWARD_OF_TOES', 'KNEES_NOT_ALIGNED']
+    }
+  },
+  {
+    name: 'pushup-good',
+    exercise: 'pushup',
+    label: 'Two full push-ups with a straight body',
+    generate: () => buildRepFrames(pushupPose, { top: PUSHUP_TOP, bottom: { elbow: 85 } }),
+    expected: {
+      phases: ['top', ...pushupCycle(2)],
+      issues: [],
+      reps: { total: 2, good: 2, bad: 0, partial: 0 },
+      repIssues: []
+    }
+  },
+  {
+    name: 'pushup-shallow',
+    exercise: 'pushup',
+    label: 'Two push-ups stopping with the elbows at 110 degrees',
+    generate: () => buildRepFrames(pushupPose, { top: PUSHUP_TOP, bottom: { elbow: 110 } }),
+    expected: {
+      phases: ['top', ...pushupCycle(2)],
+      issues: ['NOT_DEEP_ENOUGH'],
+      reps: { total: 2, good: 0, bad: 2, partial: 0 },
+      repIssues: ['NOT_DEEP_ENOUGH']
+    }
+  },
+  {
+    name: 'pushup-sagging',
+    exercise: 'pushup',
+    label: 'Two full push-ups with the hips sagging 20 degrees',
+    generate: () => buildRepFrames(pushupPose, { top: { ...PUSHUP_TOP, hips: 20 }, bottom: { elbow: 85, hips: 20 } }),
+    expected: {
+      phases: ['top', ...pushupCycle(2)],
+      issues: ['BACK_SAGGING'],
+      reps: { total: 2, good: 0, bad: 2, partial: 0 },
+      repIssues: ['BACK_SAGGING']
+    }
+  },
+  {
+    name: 'pushup-piked',
+    exercise: 'pushup',
+    label: 'Two full push-ups with the hips piked 40 degrees',
+    generate: () => buildRepFrames(pushupPose, { top: { ...PUSHUP_TOP, hips: -40 }, bottom: { elbow: 85, hips: -40 } }),
+    expected: {
+      phases: ['top', ...pushupCycle(2)],
+      issues: ['HIPS_PIKING'],
+      reps: { total: 2, good: 0, bad: 2, partial: 0 },
+      repIssues: ['HIPS_PIKING']
+    }
+  }
+];
+
+// Get a fixture by name
+export const getFixture = name => FIXTURES.find(fixture => fixture.name === name);
@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRACKING_ISSUES, getIssueCode, getIssueMessage, getIssueLandmarkIndices, isTrackingIssue, getIssueDeviation } from '../src/utils/formIssues.js';
+import { formatIssues, formatIssueMeasurement } from '../src/utils/formatUtils.js';
+import { POSE_LANDMARKS } from '../src/utils/landmarkSchema.js';
+
+const KNEES_ISSUE = {
+  code: 'KNEES_NOT_BENT_ENOUGH',
+  severity: 'warning',
+  messageKey: 'squat.KNEES_NOT_BENT_ENOUGH',
+  message: 'Knees not bent enough',
+  landmarks: ['leftHip', 'leftKnee', 'leftAnkle'],
+  metric: 'leftKnee',
+  value: 105.2,
+  range: { min: null, max: 100 },
+  unit: 'degrees'
+};
+
+describe('formIssues', () => {
+  test('reads structured issues', () => {
+    assert.equal(getIssueCode(KNEES_ISSUE), 'KNEES_NOT_BENT_ENOUGH');
+    assert.equal(getIssueMessage(KNEES_ISSUE), 'Knees not bent enough');
+    assert.equal(getIssueMessage(KNEES_ISSUE, { 'squat.KNEES_NOT_BENT_ENOUGH': 'Beugez les genoux' }), 'Beugez les genoux');
+    assert.deepEqual(getIssueLandmarkIndices(KNEES_ISSUE), [POSE_LANDMARKS.leftHip, POSE_LANDMARKS.leftKnee, POSE_LANDMARKS.leftAnkle]);
+    assert.ok(Math.abs(getIssueDeviation(KNEES_ISSUE) - 5.2) < 1e-9);
+  });
+
+  test('accepts legacy string issues from older sessions', () => {
+    assert.equal(getIssueCode('Knees not bent enough'), 'Knees not bent enough');
+    assert.equal(getIssueMessage('Knees not bent enough'), 'Knees not bent enough');
+    assert.deepEqual(getIssueLandmarkIndices('Knees not bent enough'), []);
+    assert.equal(getIssueDeviation('Knees not bent enough'), 0);
+    assert.equal(formatIssues(['Knees not bent enough', KNEES_ISSUE]), 'Knees not bent enough, Knees not bent enough');
+  });
+
+  test('tells tracking issues from form issues', () => {
+    assert.equal(isTrackingIssue(TRACKING_ISSUES.NO_LANDMARKS), true);
+    assert.equal(isTrackingIssue('LANDMARKS_NOT_VISIBLE'), true);
+    assert.equal(isTrackingIssue(KNEES_ISSUE), false);
+  });
+
+  test('formats the measurement against the allowed range', () => {
+    assert.equal(formatIssueMeasurement(KNEES_ISSUE), '105° (max 100°)');
+    assert.equal(formatIssueMeasurement({ ...KNEES_ISSUE, range: { min: 70, max: 100 } }), '105° (allowed 70–100°)');
+    assert.equal(formatIssueMeasurement({ ...KNEES_ISSUE, value: 0.123, range: { min: null, max: 0.1 }, unit: 'normalized' }), '0.12 (max 0.10)');
+    assert.equal(formatIssueMeasurement(TRACKING_ISSUES.NO_LANDMARKS), '');
+  });
+});
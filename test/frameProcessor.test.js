@@ -0,0 +1,154 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FRAME_MODES, completeSetup, createFrameProcessorState, processDetectedFrame, processDetectedPoses } from '../src/utils/frameProcessor.js';
+import { CALIBRATION_STEPS } from '../src/utils/calibration.js';
+import { SQUAT_PHASES, squatDefinition } from '../src/utils/squatRules.js';
+import { getAngleGuides } from '../src/utils/exerciseEngine.js';
+import { POSE_LANDMARKS } from '../src/utils/landmarkSchema.js';
+import { squatPose, buildRepFrames } from './helpers/syntheticPoses.js';
+
+// Run frames through the frame processor, collecting the results
+const run = (frames, state = createFrameProcessorState(squatDefinition)) => {
+  const results = [];
+  let current = state;
+  frames.forEach(({ timestamp, landmarks }) => {
+    const processed = processDetectedFrame(squatDefinition, current, landmarks, timestamp);
+    current = processed.state;
+    results.push(processed.result);
+  });
+  return { state: current, results };
+};
+
+// A still, well-framed side view for `durationMs`
+const stillFrames = (durationMs, start = 0) => Array.from({ length: durationMs / 100 }, (_, i) => ({
+  timestamp: start + i * 100,
+  landmarks: squatPose({ yaw: 80 })
+}));
+
+const squatReps = start => buildRepFrames(pose => squatPose({ ...pose, yaw: 80 }), {
+  top: { knee: 175, lean: 5 },
+  bottom: { knee: 90, lean: 30 }
+}).map(frame => ({ ...frame, timestamp: frame.timestamp + start }));
+
+describe('processDetectedFrame', () => {
+  test('checks the camera setup before evaluating', () => {
+    const { state, results } = run(stillFrames(1500));
+    const completed = results.findIndex(result => result.setupComplete);
+
+    assert.ok(completed > 0);
+    assert.ok(results.slice(0, completed + 1).every(result => result.mode === FRAME_MODES.SETUP && result.setup));
+    assert.equal(results[completed + 1].mode, FRAME_MODES.EXERCISE);
+    assert.equal(state.mode, FRAME_MODES.EXERCISE);
+  });
+
+  test('goes straight to the exercise when setup is skipped', () => {
+    const skipped = completeSetup(createFrameProcessorState(squatDefinition));
+    const replayed = createFrameProcessorState(squatDefinition, { skipSetup: true });
+
+    assert.equal(skipped.mode, FRAME_MODES.EXERCISE);
+    assert.equal(replayed.mode, FRAME_MODES.EXERCISE);
+  });
+
+  test('only sends the rep counter state when the counts change', () => {
+    const { results } = run(squatReps(0), createFrameProcessorState(squatDefinition, { skipSetup: true }));
+    const withRepState = results.filter(result => result.repState);
+
+    assert.equal(results.filter(result => result.completedRep).length, 2);
+    assert.deepEqual(withRepState.map(result => result.repState.totalReps), [1, 2]);
+    assert.ok(results.every(result => result.phase && result.evaluation && result.landmarks));
+  });
+
+  test('runs the calibration instead of the exercise and returns it once finished', () => {
+    const frames = buildRepFrames(pose => squatPose({ ...pose, yaw: 80 }), {
+      top: { knee: 175, lean: 5 },
+      bottom: { knee: 100, lean: 30 },
+      restMs: 2500
+    });
+    const { results } = run(frames, createFrameProcessorState(squatDefinition, { calibrate: true, skipSetup: true }));
+    const finished = results.filter(result => result.calibration);
+
+    assert.ok(results.every(result => result.mode === FRAME_MODES.CALIBRATION && result.calibrationProgress));
+    assert.equal(finished.length, 1);
+    assert.equal(finished[0].calibration.step, CALIBRATION_STEPS.DONE);
+  });
+});
+
+describe('processDetectedPoses', () => {
+  // Move a pose sideways in the image
+  const shift = (landmarks, dx) => landmarks.map(landmark => ({ ...landmark, x: landmark.x + dx }));
+
+  // Run frames with several poses each through a group session
+  const runGroup = (frames, people = 2) => {
+    let state = createFrameProcessorState(squatDefinition, { people });
+    return frames.map(({ timestamp, poses }) => {
+      const processed = processDetectedPoses(squatDefinition, state, poses, timestamp);
+      state = processed.state;
+      return processed.result;
+    });
+  };
+
+  test('uses the first pose outside group sessions', () => {
+    const state = createFrameProcessorState(squatDefinition, { skipSetup: true });
+    const pose = squatPose({ yaw: 80 });
+
+    assert.equal(processDetectedPoses(squatDefinition, state, [], 0).result, null);
+    assert.equal(processDetectedPoses(squatDefinition, state, [pose, shift(pose, 0.3)], 0).result.landmarks[0].x, pose[0].x);
+  });
+
+  test('counts reps separately for each person, whatever order they are detected in', () => {
+    // The person on the left squats while the one on the right stands still
+    const frames = squatReps(0).map(({ timestamp, landmarks }, i) => {
+      const poses = [shift(landmarks, -0.25), shift(squatPose({ yaw: 80 }), 0.25)];
+      return { timestamp, poses: i % 2 ? poses.reverse() : poses };
+    });
+    const results = runGroup(frames);
+    const last = results[results.length - 1];
+
+    assert.ok(results.every(result => result.mode === FRAME_MODES.GROUP && result.people.length === 2));
+    assert.deepEqual(last.people.map(person => person.label), ['Person 1', 'Person 2']);
+    assert.equal(last.people[0].stats.totalReps, 2);
+    assert.equal(last.people[1].stats.totalReps, 0);
+    assert.ok(last.people.every(person => person.evaluation && person.angleGuides.length > 0));
+  });
+});
+
+describe('getAngleGuides', () => {
+  const guideFor = (guides, name) => guides.find(guide => guide.name === name);
+
+  test('places each joint angle at its landmarks with the value measured', () => {
+    const pose = squatPose({ knee: 90 });
+    const knee = guideFor(getAngleGuides(squatDefinition, pose, SQUAT_PHASES.BOTTOM), 'leftKnee');
+
+    assert.deepEqual(knee.points[1], { x: pose[POSE_LANDMARKS.leftKnee].x, y: pose[POSE_LANDMARKS.leftKnee].y });
+    assert.ok(Math.abs(knee.value - 90) < 2);
+  });
+
+  test('gives the tightest range the phase checks, using calibrated thresholds', () => {
+    const pose = squatPose({ knee: 90 });
+    const bottom = guideFor(getAngleGuides(squatDefinition, pose, SQUAT_PHASES.BOTTOM), 'leftKnee');
+    const calibrated = guideFor(getAngleGuides(squatDefinition, pose, SQUAT_PHASES.BOTTOM, { thresholds: { MAX_KNEE_ANGLE: 95 } }), 'leftKnee');
+    const standing = guideFor(getAngleGuides(squatDefinition, pose, SQUAT_PHASES.STANDING), 'leftKnee');
+    const descending = guideFor(getAngleGuides(squatDefinition, pose, SQUAT_PHASES.DESCENDING), 'leftKnee');
+
+    assert.deepEqual(bottom.range, { min: 70, max: 100 });
+    assert.deepEqual(calibrated.range, { min: 70, max: 95 });
+    assert.deepEqual(standing.range, { min: 160, max: null });
+    assert.equal(descending.range, null);
+  });
+
+  test('leaves out angles whose landmarks are hidden', () => {
+    const pose = squatPose({ knee: 90 }).map((landmark, index) => (
+      index === POSE_LANDMARKS.leftAnkle ? { ...landmark, visibility: 0.1 } : landmark
+    ));
+    const names = getAngleGuides(squatDefinition, pose, SQUAT_PHASES.BOTTOM).map(guide => guide.name);
+
+    assert.ok(!names.includes('leftKnee'));
+    assert.ok(names.includes('rightKnee'));
+  });
+
+  test('is sent with each exercise frame', () => {
+    const { results } = run(squatReps(0), createFrameProcessorState(squatDefinition, { skipSetup: true }));
+
+    assert.ok(results.every(result => Array.isArray(result.angleGuides) && result.angleGuides.length > 0));
+  });
+});
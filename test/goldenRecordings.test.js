@@ -0,0 +1,32 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './fixtures/index.js';
+import { loadRecording, runRules, collapsePhases } from './helpers/goldens.js';
+import { replayRecording } from '../src/utils/replay.js';
+
+describe('golden recordings', () => {
+  FIXTURES.forEach((fixture) => {
+    describe(`${fixture.name}: ${fixture.label}`, () => {
+      const { expected } = fixture;
+
+      test('rules report the expected phases and issues', async () => {
+        const recording = await loadRecording(fixture.name);
+        const { phases, issues } = runRules(fixture.exercise, recording);
+
+        assert.deepEqual(collapsePhases(phases), expected.phases);
+        assert.deepEqual(issues, expected.issues);
+      });
+
+      test('pipeline replay counts the expected reps', async () => {
+        const recording = await loadRecording(fixture.name);
+        const replay = replayRecording(recording);
+        const { totalReps, goodReps, badReps, partialReps } = replay.summary;
+        const repIssues = [...new Set(replay.state.repState.reps.flatMap(rep => rep.issues.map(issue => issue.code)))].sort();
+
+        assert.deepEqual(collapsePhases(replay.frames.map(frame => frame.phase)), expected.smoothedPhases || expected.phases);
+        assert.deepEqual({ total: totalReps, good: goodReps, bad: badReps, partial: partialReps }, expected.reps);
+        assert.deepEqual(repIssues, expected.repIssues);
+      });
+    });
+  });
+});
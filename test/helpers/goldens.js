@@ -0,0 +1,49 @@
+/**
+ * Load golden recordings and run them through the rule functions
+ */
+import { readFile } from 'node:fs/promises';
+import { parseRecording, decodeRecordingFrames, RECORDING_FILE_EXTENSION } from '../../src/utils/landmarkRecording.js';
+import { getPhaseRuns } from '../../src/utils/phaseMetrics.js';
+import { determineSquatPhase, evaluateSquatForm } from '../../src/utils/squatRules.js';
+import { determinePushupPhase, evaluatePushupForm } from '../../src/utils/pushupRules.js';
+
+// Phase detection and form evaluation entry points per exercise, with the name of the
+// tracked value each phase function hands back for the next frame
+const RULES = {
+  squat: { determinePhase: determineSquatPhase, evaluateForm: evaluateSquatForm, trackedValue: 'hipHeight' },
+  pushup: { determinePhase: determinePushupPhase, evaluateForm: evaluatePushupForm, trackedValue: 'elbowAngle' }
+};
+
+// Load a fixture's recording from test/fixtures/recordings
+export const loadRecording = async (name) => {
+  const url = new URL(`../fixtures/recordings/${name}${RECORDING_FILE_EXTENSION}`, import.meta.url);
+  return parseRecording(await readFile(url, 'utf-8'));
+};
+
+// Collapse a per-frame phase list into the sequence of phases visited
+export const collapsePhases = phases => getPhaseRuns(phases).map(run => run.phase);
+
+// Run a recording frame by frame through an exercise's determine*Phase and
+// evaluate*Form functions, threading the tracked value between frames as the app does
+export const runRules = (exercise, recording) => {
+  const rules = RULES[exercise];
+  if (!rules) throw new Error(`No rule functions for exercise "${exercise}"`);
+
+  const phases = [];
+  const issues = new Set();
+  let phase;
+  let value = null;
+
+  decodeRecordingFrames(recording).forEach(({ landmarks }) => {
+    if (!landmarks) return;
+
+    const result = rules.determinePhase(landmarks, phase, value);
+    phase = result.phase;
+    value = result[rules.trackedValue];
+    phases.push(phase);
+
+    rules.evaluateForm(landmarks, phase).issues.forEach(issue => issues.add(issue.code));
+  });
+
+  return { phases, issues: [...issues].sort() };
+};
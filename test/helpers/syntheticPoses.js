@@ -0,0 +1,125 @@
+/**
+ * Synthetic squat, push-up, lunge and side plank poses for the rule tests, described by the
+ * few angles the rules care about and built with the pose generator
+ */
+import { DEFAULT_PROPORTIONS, generatePose, buildRepKeyframes, generateSequence } from '../../src/utils/poseGenerator.js';
+import { LANDMARK_NAMES, POSE_LANDMARKS } from '../../src/utils/landmarkSchema.js';
+
+const deg = radians => radians * 180 / Math.PI;
+const rad = degrees => degrees * Math.PI / 180;
+
+// Squat pose. `knee` is the knee angle (180 standing), `lean` the torso's forward lean
+// from vertical, `kneeValgus` how far the knees collapse inwards (degrees) and `yaw` the
+// camera angle. The thigh takes 65% of the knee bend and the shin the rest.
+export const squatPose = ({ knee = 175, lean = 5, kneeValgus = 0, yaw = 40 } = {}) => {
+  const bend = 180 - knee;
+  return generatePose({
+    trunkLean: lean,
+    hipFlexion: bend * 0.65 + lean,
+    kneeFlexion: bend,
+    kneeValgus,
+    // Arms held out in front for balance
+    shoulderFlexion: 90
+  }, { yaw });
+};
+
+// Lunge pose as generator angles, for keyframes. `front` is the leading leg, `frontKnee`
+// and `rearKnee` the knee angles (180 straight); the rear thigh swings back a quarter of
+// its knee bend. Both knees straight is standing with the feet together.
+export const lungePose = ({ front = 'left', frontKnee = 90, rearKnee = 90, lean = 5 } = {}) => {
+  const rear = front === 'left' ? 'right' : 'left';
+  const frontBend = 180 - frontKnee;
+  const rearBend = 180 - rearKnee;
+  return {
+    trunkLean: lean,
+    hipFlexion: { [front]: frontBend + lean, [rear]: lean - rearBend * 0.25 },
+    kneeFlexion: { [front]: frontBend, [rear]: rearBend }
+  };
+};
+
+// Push-ups use short arms: with typical proportions a straight body at the top of a
+// push-up inclines about 25 degrees, beyond the rules' 15 degree back limit
+const PUSHUP_PROPORTIONS = { ...DEFAULT_PROPORTIONS, upperArm: 0.1, forearm: 0.1 };
+
+// Push-up pose seen from the side, hands under the shoulders and toes on the floor.
+// `elbow` is the elbow angle (180 with locked arms) and `hips` how far the hips drop
+// below (positive, sagging) or rise above (negative, piking) the straight line from
+// shoulders to ankles, in degrees. `neck` bends the head down towards the floor
+// (positive) or up to look ahead (negative) from in line with the body.
+export const pushupPose = ({ elbow = 175, hips = 0, neck = 0, yaw = 90 } = {}) => {
+  const { upperArm, forearm, torso, thigh, shin } = PUSHUP_PROPORTIONS;
+  const legs = thigh + shin;
+
+  // Shoulder height above the hands follows from the elbow angle
+  const shoulderHeight = Math.sqrt(upperArm ** 2 + forearm ** 2 - 2 * upperArm * forearm * Math.cos(rad(elbow)));
+  const armTilt = deg(Math.acos((upperArm ** 2 + shoulderHeight ** 2 - forearm ** 2) / (2 * upperArm * shoulderHeight)));
+
+  // Torso and leg angles below horizontal, with the hips moved off the straight line
+  const incline = deg(Math.asin(shoulderHeight / (torso + legs)));
+  const torsoAngle = incline + hips;
+  const hipHeight = Math.max(0, shoulderHeight - torso * Math.sin(rad(torsoAngle)));
+  const legAngle = deg(Math.asin(Math.min(1, hipHeight / legs)));
+  const lean = 90 - torsoAngle;
+
+  return generatePose({
+    trunkLean: lean,
+    hipFlexion: legAngle - torsoAngle,
+    footAngle: 90 - legAngle,
+    shoulderFlexion: lean - armTilt,
+    elbowFlexion: 180 - elbow,
+    neckFlexion: neck
+  }, { yaw, proportions: PUSHUP_PROPORTIONS });
+};
+
+const LEG_LANDMARKS = /Hip|Knee|Ankle|Heel|FootIndex/;
+
+// Side plank seen from the front: a front-on body rolled onto its side, head to the left,
+// so it rises `incline` degrees from the feet to the shoulders. `sag` drops the hips that
+// many degrees below the straight line from shoulders to ankles.
+export const sidePlankPose = ({ incline = 25, sag = 0 } = {}) => {
+  const standing = generatePose({}, { yaw: 0 });
+  const leftHip = standing[POSE_LANDMARKS.leftHip];
+  const rightHip = standing[POSE_LANDMARKS.rightHip];
+  const pivot = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
+
+  // Turn upright into `degrees` above horizontal, pointing left
+  const roll = (landmark, degrees) => {
+    const angle = rad(degrees - 90);
+    const dx = landmark.x - pivot.x;
+    const dy = landmark.y - pivot.y;
+    return { ...landmark, x: dx * Math.cos(angle) - dy * Math.sin(angle), y: dx * Math.sin(angle) + dy * Math.cos(angle) };
+  };
+
+  const rolled = standing.map((landmark, index) => roll(
+    landmark,
+    LEG_LANDMARKS.test(LANDMARK_NAMES[index]) ? incline - sag / 2 : incline + sag / 2
+  ));
+
+  // Centre the hips and rest the lowest point on the floor
+  const floor = Math.max(...rolled.map(landmark => landmark.y));
+  return rolled.map(landmark => ({ ...landmark, x: landmark.x + 0.5, y: landmark.y - floor + 0.9 }));
+};
+
+// Build { timestamp, landmarks } frames for a run of reps. Each rep eases from `top` to
+// `bottom` and back over `repMs`, with `restMs` at the top before, between and after reps.
+export const buildRepFrames = (pose, { top, bottom, reps = 2, repMs = 2000, restMs = 600, frameRate = 15 }) => {
+  return generateSequence(
+    buildRepKeyframes({ start: top, bottom, reps, repMs, restMs }),
+    { frameRate, render: pose }
+  );
+};
+
+// Build frames for one rep taking `downMs` to lower from `top` to `bottom`, holding the
+// bottom still for `holdMs` and `upMs` to rise, with `restMs` at the top either side
+export const buildHeldRepFrames = (pose, { top, bottom, downMs, holdMs, upMs, restMs = 600, frameRate = 30 }) => {
+  const bottomAt = restMs + downMs;
+  const topAt = bottomAt + holdMs + upMs;
+  return generateSequence([
+    { time: 0, pose: top },
+    { time: restMs, pose: top },
+    { time: bottomAt, pose: bottom },
+    { time: bottomAt + holdMs, pose: bottom },
+    { time: topAt, pose: top },
+    { time: topAt + restMs, pose: top }
+  ], { frameRate, render: pose });
+};
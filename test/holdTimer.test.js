@@ -0,0 +1,165 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HOLD_PAUSE_REASONS, getHoldSummary } from '../src/utils/holdTimer.js';
+import { plankDefinition, sidePlankDefinition, wallSitDefinition } from '../src/utils/holdRules.js';
+import { createPipelineState, processFrame } from '../src/utils/exercisePipeline.js';
+import { generateSequence } from '../src/utils/poseGenerator.js';
+import { pushupPose, sidePlankPose, squatPose } from './helpers/syntheticPoses.js';
+
+const plank = pose => pushupPose(pose);
+const wallSit = pose => squatPose({ ...pose, lean: 0, yaw: 90 });
+
+const hidden = landmarks => landmarks.map(landmark => ({ ...landmark, visibility: 0.1 }));
+
+// Run { time, pose } keyframes through the pipeline at 15 fps, hiding the body between
+// `hide.from` and `hide.to`. Returns the hold summary after each frame.
+const runHold = (definition, render, keyframes, { hide } = {}) => {
+  let state = createPipelineState(definition);
+  return generateSequence(keyframes, { frameRate: 15, render }).map(({ timestamp, landmarks }) => {
+    const isHidden = hide && timestamp >= hide.from && timestamp < hide.to;
+    state = processFrame(definition, state, isHidden ? hidden(landmarks) : landmarks, timestamp).state;
+    return { timestamp, ...getHoldSummary(state.holdState) };
+  });
+};
+
+const at = (summaries, time) => summaries.find(summary => summary.timestamp >= time);
+const last = summaries => summaries[summaries.length - 1];
+const near = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} not within ${tolerance} of ${expected}`);
+const issueCodes = firstBreak => firstBreak.issues.map(issue => issue.code);
+
+describe('plank hold', () => {
+  const GOOD = { elbow: 175 };
+  const SAGGING = { elbow: 175, hips: 25 };
+
+  test('times a steady plank from the first frame in position', () => {
+    const summary = last(runHold(plankDefinition, plank, [{ time: 0, pose: GOOD }, { time: 10000, pose: GOOD }]));
+
+    assert.equal(summary.isTiming, true);
+    assert.equal(summary.pauseReason, null);
+    near(summary.goodFormTimeMs, 10000, 200);
+    assert.equal(summary.totalTimeMs, summary.goodFormTimeMs);
+    assert.equal(summary.longestGoodStreakMs, summary.goodFormTimeMs);
+    assert.equal(summary.breakCount, 0);
+    assert.equal(summary.firstBreak, null);
+  });
+
+  test('pauses when the hips sag and records the first break in form', () => {
+    const summaries = runHold(plankDefinition, plank, [
+      { time: 0, pose: GOOD },
+      { time: 4000, pose: GOOD },
+      { time: 5000, pose: SAGGING },
+      { time: 7000, pose: SAGGING },
+      { time: 8000, pose: GOOD },
+      { time: 12000, pose: GOOD }
+    ]);
+    const summary = last(summaries);
+
+    assert.equal(at(summaries, 6000).pauseReason, HOLD_PAUSE_REASONS.FORM);
+    assert.equal(summary.isTiming, true);
+    assert.equal(summary.breakCount, 1);
+    assert.equal(summary.firstBreak.reason, HOLD_PAUSE_REASONS.FORM);
+    assert.ok(summary.firstBreak.atMs > 4000 && summary.firstBreak.atMs < 5000, `broke at ${summary.firstBreak.atMs}`);
+    assert.ok(issueCodes(summary.firstBreak).includes('BACK_SAGGING'), issueCodes(summary.firstBreak).join());
+    near(summary.totalTimeMs, 12000, 200);
+    assert.ok(summary.goodFormTimeMs < summary.totalTimeMs - 2000);
+    near(summary.longestGoodStreakMs, summary.firstBreak.atMs, 100);
+  });
+
+  test('pauses while the body is hidden, still counting towards the total', () => {
+    const summaries = runHold(plankDefinition, plank, [{ time: 0, pose: GOOD }, { time: 8000, pose: GOOD }], {
+      hide: { from: 3000, to: 5000 }
+    });
+    const summary = last(summaries);
+
+    assert.equal(at(summaries, 4000).pauseReason, HOLD_PAUSE_REASONS.VISIBILITY);
+    assert.equal(summary.firstBreak.reason, HOLD_PAUSE_REASONS.VISIBILITY);
+    assert.deepEqual(summary.firstBreak.issues, []);
+    near(summary.totalTimeMs, 8000, 200);
+    near(summary.goodFormTimeMs, 6000, 500);
+  });
+});
+
+describe('side plank hold', () => {
+  // Lying on the floor, a little past the position's hysteresis margin
+  const LYING = { incline: -5 };
+  const LIFTED = { incline: 25 };
+
+  test('starts timing once the hips lift and stops when they come down', () => {
+    const summaries = runHold(sidePlankDefinition, sidePlankPose, [
+      { time: 0, pose: LYING },
+      { time: 1000, pose: LYING },
+      { time: 2000, pose: LIFTED },
+      { time: 7000, pose: LIFTED },
+      { time: 8000, pose: LYING },
+      { time: 10000, pose: LYING }
+    ]);
+    const summary = last(summaries);
+
+    assert.equal(at(summaries, 500).hasStarted, false);
+    assert.equal(at(summaries, 500).pauseReason, HOLD_PAUSE_REASONS.POSITION);
+    assert.equal(at(summaries, 4000).isTiming, true);
+    assert.equal(summary.pauseReason, HOLD_PAUSE_REASONS.POSITION);
+    assert.equal(summary.firstBreak.reason, HOLD_PAUSE_REASONS.POSITION);
+    // Time out of position counts towards neither total
+    assert.equal(summary.totalTimeMs, summary.goodFormTimeMs);
+    assert.ok(summary.goodFormTimeMs > 5000 && summary.goodFormTimeMs < 7000, `held ${summary.goodFormTimeMs}`);
+  });
+
+  test('records the hips dropping as the first break in form', () => {
+    const summary = last(runHold(sidePlankDefinition, sidePlankPose, [
+      { time: 0, pose: LIFTED },
+      { time: 3000, pose: LIFTED },
+      { time: 4000, pose: { incline: 25, sag: 30 } },
+      { time: 6000, pose: { incline: 25, sag: 30 } }
+    ]));
+
+    assert.equal(summary.pauseReason, HOLD_PAUSE_REASONS.FORM);
+    assert.equal(summary.firstBreak.reason, HOLD_PAUSE_REASONS.FORM);
+    assert.deepEqual(issueCodes(summary.firstBreak), ['HIPS_DROPPING']);
+    assert.ok(summary.firstBreak.atMs > 3000 && summary.firstBreak.atMs < 4000, `broke at ${summary.firstBreak.atMs}`);
+  });
+});
+
+describe('wall sit hold', () => {
+  const STANDING = { knee: 175 };
+  const SITTING = { knee: 90 };
+
+  test('times the sit between sliding down and standing up', () => {
+    const summaries = runHold(wallSitDefinition, wallSit, [
+      { time: 0, pose: STANDING },
+      { time: 1000, pose: STANDING },
+      { time: 2500, pose: SITTING },
+      { time: 9000, pose: SITTING },
+      { time: 10500, pose: STANDING },
+      { time: 12000, pose: STANDING }
+    ]);
+    const summary = last(summaries);
+
+    assert.equal(at(summaries, 500).hasStarted, false);
+    assert.equal(at(summaries, 500).pauseReason, HOLD_PAUSE_REASONS.POSITION);
+    assert.equal(at(summaries, 5000).isTiming, true);
+    assert.equal(summary.pauseReason, HOLD_PAUSE_REASONS.POSITION);
+    assert.equal(summary.breakCount, 1);
+    // Rising through the top of the position counts towards the total, not good form
+    assert.ok(summary.totalTimeMs - summary.goodFormTimeMs < 1000);
+    assert.ok(summary.goodFormTimeMs > 6500 && summary.goodFormTimeMs < 9000, `held ${summary.goodFormTimeMs}`);
+  });
+
+  test('records the thighs rising as the first break in form', () => {
+    const summaries = runHold(wallSitDefinition, wallSit, [
+      { time: 0, pose: SITTING },
+      { time: 3000, pose: SITTING },
+      { time: 4000, pose: { knee: 115 } },
+      { time: 6000, pose: { knee: 115 } }
+    ]);
+    const summary = last(summaries);
+
+    assert.equal(summary.pauseReason, HOLD_PAUSE_REASONS.FORM);
+    assert.equal(summary.firstBreak.reason, HOLD_PAUSE_REASONS.FORM);
+    assert.deepEqual(issueCodes(summary.firstBreak), ['THIGHS_NOT_PARALLEL']);
+    assert.ok(summary.firstBreak.atMs > 3000 && summary.firstBreak.atMs < 4000, `broke at ${summary.firstBreak.atMs}`);
+    // Still in position, so the total keeps counting
+    near(summary.totalTimeMs, 6000, 200);
+    near(summary.goodFormTimeMs, summary.firstBreak.atMs, 100);
+  });
+});
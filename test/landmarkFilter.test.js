@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLandmarkFilterState, filterLandmarks } from '../src/utils/landmarkFilter.js';
+import { comparePhaseSequences } from '../src/utils/phaseMetrics.js';
+import { squatDefinition } from '../src/utils/squatRules.js';
+import { squatPose, buildRepFrames } from './helpers/syntheticPoses.js';
+
+// Repeatable noise in [-0.5, 0.5)
+const createNoise = (seed = 1) => {
+  let value = seed;
+  return () => {
+    value = (value * 16807) % 2147483647;
+    return value / 2147483647 - 0.5;
+  };
+};
+
+// Filter one landmark's positions, 30 frames a second. `points` are { x, y, visibility }.
+const filterPoints = (points, options) => {
+  let state = createLandmarkFilterState();
+  return points.map((point, i) => {
+    const result = filterLandmarks(state, [{ z: 0, visibility: 1, ...point }], i * 33, options);
+    state = result.state;
+    return result.landmarks[0];
+  });
+};
+
+const spread = values => Math.max(...values) - Math.min(...values);
+
+describe('filterLandmarks', () => {
+  test('passes the first frame through unchanged', () => {
+    const [first] = filterPoints([{ x: 0.3, y: 0.6, visibility: 0.9 }]);
+
+    assert.deepEqual(first, { x: 0.3, y: 0.6, z: 0, visibility: 0.9 });
+  });
+
+  test('smooths jitter around a still point', () => {
+    const noise = createNoise();
+    const raw = Array.from({ length: 60 }, () => ({ x: 0.5 + noise() * 0.02, y: 0.5 + noise() * 0.02 }));
+    const filtered = filterPoints(raw).slice(10);
+
+    assert.ok(spread(filtered.map(point => point.x)) < spread(raw.slice(10).map(point => point.x)) / 2);
+  });
+
+  test('keeps up with steady movement', () => {
+    const raw = Array.from({ length: 30 }, (_, i) => ({ x: 0.2 + i * 0.01, y: 0.5 }));
+    const filtered = filterPoints(raw);
+
+    assert.ok(Math.abs(filtered[29].x - raw[29].x) < 0.02);
+  });
+
+  test('holds a dropped point briefly, then lets it go', () => {
+    const filtered = filterPoints([
+      { x: 0.5, y: 0.5 },
+      { x: 0.9, y: 0.9, visibility: 0.1 },
+      ...Array.from({ length: 10 }, () => ({ x: 0.9, y: 0.9, visibility: 0.1 }))
+    ]);
+
+    assert.equal(filtered[1].x, 0.5);
+    assert.equal(filtered[filtered.length - 1].x, 0.9);
+  });
+
+  test('ignores a one-frame jump but follows one that persists', () => {
+    const spike = filterPoints([{ x: 0.5, y: 0.5 }, { x: 0.8, y: 0.5 }, { x: 0.5, y: 0.5 }]);
+    const moved = filterPoints([{ x: 0.5, y: 0.5 }, ...Array.from({ length: 5 }, () => ({ x: 0.8, y: 0.5 }))]);
+
+    assert.equal(spike[1].x, 0.5);
+    assert.equal(moved[moved.length - 1].x, 0.8);
+  });
+});
+
+describe('comparePhaseSequences', () => {
+  test('filtering removes phase flicker from noisy landmarks without losing reps', () => {
+    const noise = createNoise();
+    const frames = buildRepFrames(pose => squatPose({ ...pose, yaw: 80 }), {
+      top: { knee: 175, lean: 5 },
+      bottom: { knee: 90, lean: 30 },
+      reps: 3,
+      frameRate: 30
+    }).map(frame => ({
+      ...frame,
+      landmarks: frame.landmarks.map(landmark => ({ ...landmark, x: landmark.x + noise() * 0.006, y: landmark.y + noise() * 0.006 }))
+    }));
+    const { raw, filtered } = comparePhaseSequences(squatDefinition, frames);
+
+    assert.ok(raw.flickers > 0);
+    assert.equal(filtered.flickers, 0);
+    assert.ok(filtered.issueChanges < raw.issueChanges);
+    assert.equal(filtered.reps, 3);
+  });
+});
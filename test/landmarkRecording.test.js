@@ -0,0 +1,66 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRecording,
+  appendRecordingFrame,
+  serializeRecording,
+  parseRecording,
+  decodeRecordingFrames,
+  getRecordingSettings
+} from '../src/utils/landmarkRecording.js';
+import { replayRecording } from '../src/utils/replay.js';
+import { squatPose, buildRepFrames } from './helpers/syntheticPoses.js';
+
+// Record frames the way the live view does and return the downloaded file's contents
+const recordFrames = (frames, metadata) => {
+  const recording = createRecording({ exerciseType: 'squat', recordedAt: 0, metadata });
+  frames.forEach(({ timestamp, landmarks }) => appendRecordingFrame(recording, timestamp, landmarks));
+  return serializeRecording(recording);
+};
+
+// Two squats stopping at 105° of knee bend: shallow for the default thresholds
+const shallowSquats = () => buildRepFrames(squatPose, {
+  top: { knee: 175, lean: 5 },
+  bottom: { knee: 105, lean: 25 },
+  reps: 2
+});
+
+const CALIBRATED = {
+  profileName: 'Sam',
+  thresholds: { MAX_KNEE_ANGLE: 110 },
+  targetTempo: '4-0-4'
+};
+
+describe('landmark recordings', () => {
+  test('keep their frames and settings through serializing and parsing', () => {
+    const frames = shallowSquats();
+    const recording = parseRecording(recordFrames(frames, { width: 1280, height: 720, ...CALIBRATED }));
+    const decoded = decodeRecordingFrames(recording);
+
+    assert.equal(decoded.length, frames.length);
+    assert.equal(decoded[10].timestamp, Math.round(frames[10].timestamp - frames[0].timestamp));
+    decoded[10].landmarks.forEach((landmark, index) => {
+      assert.ok(Math.abs(landmark.x - frames[10].landmarks[index].x) <= 0.0001);
+      assert.ok(Math.abs(landmark.y - frames[10].landmarks[index].y) <= 0.0001);
+    });
+    assert.deepEqual(getRecordingSettings(recording), CALIBRATED);
+    assert.equal(recording.metadata.width, 1280);
+  });
+
+  test('recordings without settings replay with the defaults', () => {
+    const recording = parseRecording(recordFrames(shallowSquats(), {}));
+
+    assert.deepEqual(getRecordingSettings(recording), { profileName: null, thresholds: null, targetTempo: null });
+    assert.deepEqual(replayRecording(recording).summary.badReps, 2);
+  });
+
+  test('replays apply the thresholds and target tempo they were recorded with', () => {
+    const recording = parseRecording(recordFrames(shallowSquats(), CALIBRATED));
+    const replay = replayRecording(recording);
+    const { reps } = replay.state.repState;
+
+    assert.equal(replay.summary.totalReps, 2);
+    assert.ok(reps.every(rep => !rep.issues.some(issue => issue.code === 'KNEES_NOT_BENT_ENOUGH')));
+    assert.ok(reps.every(rep => rep.deductions.some(deduction => deduction.factor === 'tempo')));
+  });
+});
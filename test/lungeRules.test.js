@@ -0,0 +1,118 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LUNGE_PHASES, detectLeadingLeg, evaluateLungeForm, lungeDefinition } from '../src/utils/lungeRules.js';
+import { createPipelineState, processFrame } from '../src/utils/exercisePipeline.js';
+import { getRepSummary } from '../src/utils/repCounter.js';
+import { getNamedLandmarks } from '../src/utils/poseUtils.js';
+import { generatePose, generateSequence } from '../src/utils/poseGenerator.js';
+import { lungePose } from './helpers/syntheticPoses.js';
+
+const STANDING = lungePose({ frontKnee: 180, rearKnee: 180 });
+
+// A squat: both knees bent with the feet side by side, so neither leg leads
+const SQUAT = { trunkLean: 20, hipFlexion: 80, kneeFlexion: 80 };
+
+const issueCodes = result => result.issues.map(issue => issue.code);
+
+const leadingLeg = (pose, yaw) => detectLeadingLeg(getNamedLandmarks(generatePose(pose, { yaw })));
+
+// Run one lunge per entry of `bottoms` (lunge poses) through the pipeline, seen side on.
+// Returns the completed reps and the rep summary.
+const runLunges = (bottoms, { yaw = 90 } = {}) => {
+  const keyframes = [{ time: 0, pose: STANDING }];
+  let time = 0;
+  bottoms.forEach((bottom) => {
+    time += 600;
+    keyframes.push({ time, pose: STANDING }, { time: time + 1000, pose: bottom });
+    time += 2000;
+    keyframes.push({ time, pose: STANDING });
+  });
+  keyframes.push({ time: time + 600, pose: STANDING });
+
+  let state = createPipelineState(lungeDefinition);
+  const reps = [];
+  generateSequence(keyframes, { frameRate: 15, yaw }).forEach(({ timestamp, landmarks }) => {
+    const result = processFrame(lungeDefinition, state, landmarks, timestamp);
+    state = result.state;
+    if (result.completedRep) reps.push(result.completedRep);
+  });
+  return { reps, summary: getRepSummary(state.repState) };
+};
+
+describe('detectLeadingLeg', () => {
+  test('finds the front foot from the side, whichever way the user faces', () => {
+    [90, -90].forEach((yaw) => {
+      assert.equal(leadingLeg(lungePose({ front: 'left' }), yaw), 'left');
+      assert.equal(leadingLeg(lungePose({ front: 'right' }), yaw), 'right');
+    });
+  });
+
+  test('finds the front leg from the front by the lower rear knee', () => {
+    assert.equal(leadingLeg(lungePose({ front: 'left' }), 0), 'left');
+    assert.equal(leadingLeg(lungePose({ front: 'right' }), 0), 'right');
+  });
+
+  test('is unknown with the feet together', () => {
+    assert.equal(leadingLeg(STANDING, 90), null);
+    assert.equal(leadingLeg(STANDING, 0), null);
+    assert.equal(leadingLeg(SQUAT, 90), null);
+  });
+});
+
+describe('evaluateLungeForm', () => {
+  test('measures the front and rear knee on the leading and trailing leg', () => {
+    ['left', 'right'].forEach((front) => {
+      const result = evaluateLungeForm(generatePose(lungePose({ front, frontKnee: 95, rearKnee: 110 }), { yaw: 90 }), LUNGE_PHASES.BOTTOM);
+
+      assert.equal(result.side, front);
+      assert.ok(Math.abs(result.angles.frontKnee - 95) < 1, `front knee ${result.angles.frontKnee}`);
+      assert.ok(Math.abs(result.angles.rearKnee - 110) < 1, `rear knee ${result.angles.rearKnee}`);
+    });
+  });
+
+  test('points an issue at the leading leg\'s landmarks', () => {
+    const result = evaluateLungeForm(generatePose(lungePose({ front: 'right', frontKnee: 120 }), { yaw: 90 }), LUNGE_PHASES.BOTTOM);
+
+    assert.deepEqual(issueCodes(result), ['FRONT_KNEE_NOT_BENT_ENOUGH']);
+    assert.deepEqual(result.issues[0].landmarks.sort(), ['rightAnkle', 'rightHip', 'rightKnee']);
+  });
+
+  test('skips frames where the leading leg is unknown', () => {
+    const result = evaluateLungeForm(generatePose(SQUAT, { yaw: 90 }), LUNGE_PHASES.BOTTOM);
+
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.side, undefined);
+  });
+});
+
+describe('lunge reps per side', () => {
+  test('credits each rep to its leading leg', () => {
+    const { reps, summary } = runLunges(['left', 'right', 'left', 'right', 'left'].map(front => lungePose({ front })));
+
+    assert.deepEqual(reps.map(rep => rep.side), ['left', 'right', 'left', 'right', 'left']);
+    assert.deepEqual(summary.sideReps, { left: { reps: 3, goodReps: 3 }, right: { reps: 2, goodReps: 2 } });
+    assert.equal(summary.sideImbalance, null);
+  });
+
+  test('credits no side for reps where the leading leg is never clear', () => {
+    const { summary } = runLunges([SQUAT, SQUAT]);
+
+    assert.equal(summary.totalReps, 2);
+    assert.deepEqual(summary.sideReps, { left: { reps: 0, goodReps: 0 }, right: { reps: 0, goodReps: 0 } });
+  });
+
+  test('reports the side with fewer reps', () => {
+    const { summary } = runLunges([lungePose({ front: 'left' }), lungePose({ front: 'left' }), lungePose({ front: 'right' }), lungePose({ front: 'left' })]);
+
+    assert.deepEqual(summary.sideImbalance, { type: 'reps', weakerSide: 'right' });
+  });
+
+  test('reports the side with worse form', () => {
+    const good = lungePose({ front: 'left' });
+    const shallow = lungePose({ front: 'right', frontKnee: 125, rearKnee: 130 });
+    const { summary } = runLunges([good, shallow, good, shallow, good, shallow]);
+
+    assert.deepEqual(summary.sideReps, { left: { reps: 3, goodReps: 3 }, right: { reps: 3, goodReps: 0 } });
+    assert.deepEqual(summary.sideImbalance, { type: 'form', weakerSide: 'right' });
+  });
+});
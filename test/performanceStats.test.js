@@ -0,0 +1,31 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPerformanceStats, recordFrameStats, getPerformanceSummary } from '../src/utils/performanceStats.js';
+
+// Record frames every `intervalMs`, each reaching the UI `latencyMs` after capture
+const recordFrames = (count, { intervalMs, latencyMs, inferenceMs }) => {
+  let stats = createPerformanceStats();
+  for (let i = 0; i < count; i++) {
+    const receivedAt = 1000 + i * intervalMs;
+    stats = recordFrameStats(stats, { timestamp: receivedAt - latencyMs, receivedAt, inferenceMs });
+  }
+  return stats;
+};
+
+describe('performance stats', () => {
+  test('reports frame rate, latency and inference time', () => {
+    const summary = getPerformanceSummary(recordFrames(20, { intervalMs: 40, latencyMs: 55, inferenceMs: 30 }));
+
+    assert.deepEqual(summary, { fps: 25, latencyMs: 55, inferenceMs: 30 });
+  });
+
+  test('only keeps the recent window', () => {
+    const stats = recordFrames(100, { intervalMs: 50, latencyMs: 20, inferenceMs: 10 });
+
+    assert.equal(stats.frames.length, 41);
+  });
+
+  test('has nothing to report before any frames', () => {
+    assert.deepEqual(getPerformanceSummary(createPerformanceStats()), { fps: null, latencyMs: null, inferenceMs: null });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPersonTrackerState, getPoseAnchor, updatePersonTracker } from '../src/utils/personTracker.js';
+import { squatPose } from './helpers/syntheticPoses.js';
+
+// A standing pose moved so its torso centre is at `x` (image width), scaled about that
+// centre by `scale` (people nearer the camera look bigger)
+const personAt = (x, { scale = 1, knee = 175 } = {}) => {
+  const pose = squatPose({ knee, yaw: 0 });
+  const { center } = getPoseAnchor(pose);
+  return pose.map(landmark => ({
+    ...landmark,
+    x: x + (landmark.x - center.x) * scale,
+    y: center.y + (landmark.y - center.y) * scale
+  }));
+};
+
+// Run frames of poses through a tracker, 15 frames a second. Returns the ids seen in
+// each frame, by the x of each person's torso.
+const track = (frames, options = {}) => {
+  let current = createPersonTrackerState();
+  const ids = frames.map((poses, i) => {
+    const { state: next, seen } = updatePersonTracker(current, poses, i * 66, options);
+    current = next;
+    return seen.map(person => ({ id: person.id, x: getPoseAnchor(person.landmarks).center.x }));
+  });
+  return { state: current, ids };
+};
+
+describe('updatePersonTracker', () => {
+  test('gives each new person an id and keeps it however the poses are ordered', () => {
+    const left = personAt(0.25);
+    const right = personAt(0.75);
+    const { ids } = track([[left, right], [right, left], [left, right]]);
+
+    ids.forEach((frame) => {
+      assert.deepEqual(frame.map(person => person.id), [1, 2]);
+      assert.ok(frame[0].x < 0.5 && frame[1].x > 0.5);
+    });
+  });
+
+  test('keeps identities when two people cross', () => {
+    // One person walks left to right while a nearer one walks right to left
+    const frames = Array.from({ length: 20 }, (_, i) => {
+      const step = i / 19;
+      return [personAt(0.2 + step * 0.6), personAt(0.8 - step * 0.6, { scale: 1.3 })].reverse();
+    });
+    const { ids } = track(frames);
+    const first = ids[0].find(person => person.x < 0.5).id;
+    const last = ids[ids.length - 1].find(person => person.x > 0.5).id;
+
+    assert.ok(ids.every(frame => frame.length === 2));
+    assert.equal(last, first);
+  });
+
+  test('remembers someone briefly out of view and forgets them after a while', () => {
+    const left = personAt(0.25);
+    const right = personAt(0.75);
+    const { ids } = track([[left, right], [left], [left], [left, right]]);
+
+    assert.deepEqual(ids[3].map(person => person.id), [1, 2]);
+
+    const gone = updatePersonTracker(updatePersonTracker(createPersonTrackerState(), [left, right], 0).state, [left], 5000);
+    assert.deepEqual(gone.state.people.map(person => person.id), [1]);
+    assert.deepEqual(updatePersonTracker(gone.state, [left, right], 5066).seen.map(person => person.id), [1, 2]);
+  });
+
+  test('gives new people the lowest free id, so ids stay small as people come and go', () => {
+    const left = personAt(0.25);
+    const right = personAt(0.75);
+    let state = updatePersonTracker(createPersonTrackerState(), [left, right], 0).state;
+    const ids = [];
+
+    // The person on the right leaves for longer than MAX_MISSING_MS, then someone new steps in
+    for (let visit = 1; visit <= 5; visit++) {
+      state = updatePersonTracker(state, [left], visit * 10000 - 5000).state;
+      const next = updatePersonTracker(state, [left, right], visit * 10000);
+      state = next.state;
+      ids.push(next.seen.map(person => person.id));
+    }
+
+    ids.forEach(frame => assert.deepEqual(frame, [1, 2]));
+  });
+
+  test('never hands a dropped id to someone new in the same frame', () => {
+    const left = personAt(0.25);
+    const right = personAt(0.75);
+    const started = updatePersonTracker(createPersonTrackerState(), [left], 0).state;
+    const { seen } = updatePersonTracker(started, [right], 5000);
+
+    assert.deepEqual(seen.map(person => person.id), [2]);
+  });
+
+  test('measures movement in the frame\'s true proportions', () => {
+    // A quarter of the frame's width is within reach on a square frame but far too far on
+    // a widescreen one, and the other way round for almost half the width on a portrait one
+    const jump = track([[personAt(0.3)], [personAt(0.55)]]);
+    const wideJump = track([[personAt(0.3)], [personAt(0.55)]], { aspectRatio: 16 / 9 });
+    const step = track([[personAt(0.3)], [personAt(0.75)]]);
+    const portraitStep = track([[personAt(0.3)], [personAt(0.75)]], { aspectRatio: 9 / 16 });
+
+    assert.deepEqual(jump.ids[1].map(person => person.id), [1]);
+    assert.deepEqual(wideJump.ids[1].map(person => person.id), [2]);
+    assert.deepEqual(step.ids[1].map(person => person.id), [2]);
+    assert.deepEqual(portraitStep.ids[1].map(person => person.id), [1]);
+  });
+
+  test('tracks at most the configured number of people', () => {
+    const poses = [0.1, 0.3, 0.5, 0.7, 0.9].map(x => personAt(x, { scale: 0.5 }));
+    const { state, seen } = updatePersonTracker(createPersonTrackerState(), poses, 0, { MAX_PEOPLE: 3 });
+
+    assert.equal(state.people.length, 3);
+    assert.equal(seen.length, 3);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generatePose, interpolatePose, sampleKeyframes, buildRepKeyframes, generateSequence } from '../src/utils/poseGenerator.js';
+import { LANDMARK_COUNT, POSE_LANDMARKS } from '../src/utils/landmarkSchema.js';
+import { calculate3DAngle, getNamedLandmarks } from '../src/utils/poseUtils.js';
+import { evaluateSquatForm, SQUAT_PHASES } from '../src/utils/squatRules.js';
+
+const assertClose = (actual, expected, tolerance = 0.5) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+describe('generatePose', () => {
+  test('produces a full set of visible landmarks', () => {
+    const landmarks = generatePose();
+
+    assert.equal(landmarks.length, LANDMARK_COUNT);
+    landmarks.forEach((landmark) => {
+      assert.ok(Number.isFinite(landmark.x) && Number.isFinite(landmark.y) && Number.isFinite(landmark.z));
+      assert.ok(landmark.visibility > 0.5);
+    });
+  });
+
+  test('stands upright on the floor, facing the camera', () => {
+    const named = getNamedLandmarks(generatePose({}, { floorY: 0.9 }));
+
+    assert.ok(named.nose.y < named.leftShoulder.y);
+    assert.ok(named.leftShoulder.y < named.leftHip.y);
+    assert.ok(named.leftHip.y < named.leftKnee.y);
+    assert.ok(named.leftKnee.y < named.leftAnkle.y);
+    assertClose(Math.max(...generatePose({}, { floorY: 0.9 }).map(landmark => landmark.y)), 0.9, 1e-9);
+    // The person's left is on the right of the image, and the nose is nearer the camera
+    assert.ok(named.leftShoulder.x > named.rightShoulder.x);
+    assert.ok(named.nose.z < named.leftShoulder.z);
+  });
+
+  test('reproduces the requested joint angles', () => {
+    const named = getNamedLandmarks(generatePose({ kneeFlexion: 120, elbowFlexion: 70, hipFlexion: 40 }, { yaw: 30 }));
+
+    assertClose(calculate3DAngle(named.leftHip, named.leftKnee, named.leftAnkle), 60);
+    assertClose(calculate3DAngle(named.rightShoulder, named.rightElbow, named.rightWrist), 110);
+    assertClose(calculate3DAngle(named.leftShoulder, named.leftHip, named.leftKnee), 140, 2);
+  });
+
+  test('feeds the rule functions directly', () => {
+    const bottom = generatePose({ trunkLean: 60, hipFlexion: 120, kneeFlexion: 120 }, { yaw: 40 });
+    const { angles, issues } = evaluateSquatForm(bottom, SQUAT_PHASES.BOTTOM);
+
+    assertClose(angles.leftKnee, 60);
+    assert.ok(issues.some(issue => issue.code === 'KNEES_BENT_TOO_MUCH'));
+  });
+
+  test('turns the body with the camera yaw', () => {
+    const front = generatePose({}, { yaw: 0 });
+    const side = generatePose({}, { yaw: 90 });
+    const width = landmarks => Math.abs(landmarks[POSE_LANDMARKS.leftShoulder].x - landmarks[POSE_LANDMARKS.rightShoulder].x);
+
+    assert.ok(width(side) < 0.01);
+    assert.ok(width(front) > 0.15);
+  });
+});
+
+describe('keyframes', () => {
+  test('interpolates single and per-side angles', () => {
+    const pose = interpolatePose({ kneeFlexion: 0, hipFlexion: 10 }, { kneeFlexion: { left: 90, right: 60 } }, 0.5);
+
+    assert.deepEqual(pose, { kneeFlexion: { left: 45, right: 30 }, hipFlexion: 5 });
+  });
+
+  test('samples eased poses between keyframes and holds the ends', () => {
+    const keyframes = [{ time: 0, pose: { kneeFlexion: 0 } }, { time: 1000, pose: { kneeFlexion: 90 } }];
+
+    assert.deepEqual(sampleKeyframes(keyframes, -100), { kneeFlexion: 0 });
+    assertClose(sampleKeyframes(keyframes, 500).kneeFlexion, 45, 1e-9);
+    assert.ok(sampleKeyframes(keyframes, 100).kneeFlexion < 9);
+    assert.deepEqual(sampleKeyframes(keyframes, 2000), { kneeFlexion: 90 });
+  });
+
+  test('builds rep keyframes and samples them at the frame rate', () => {
+    const keyframes = buildRepKeyframes({ start: { kneeFlexion: 0 }, bottom: { kneeFlexion: 90 }, reps: 2, repMs: 1000, restMs: 500 });
+    const frames = generateSequence(keyframes, { frameRate: 10 });
+
+    assert.equal(keyframes[keyframes.length - 1].time, 3500);
+    assert.equal(frames.length, 36);
+    assert.equal(frames[10].timestamp, 1000);
+    assert.deepEqual(frames[10].landmarks, generatePose({ kneeFlexion: 90 }));
+  });
+});
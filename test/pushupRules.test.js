@@ -0,0 +1,83 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PUSHUP_PHASES, determinePushupPhase, evaluatePushupForm } from '../src/utils/pushupRules.js';
+import { pushupPose } from './helpers/syntheticPoses.js';
+
+const issueCodes = result => result.issues.map(issue => issue.code);
+
+describe('determinePushupPhase', () => {
+  test('is at the top with extended arms', () => {
+    const { phase, elbowAngle } = determinePushupPhase(pushupPose({ elbow: 170 }), PUSHUP_PHASES.ASCENDING, 140);
+
+    assert.equal(phase, PUSHUP_PHASES.TOP);
+    assert.ok(Math.abs(elbowAngle - 170) < 0.5);
+  });
+
+  test('keeps the previous phase between the top and moving cut-offs', () => {
+    const pose = pushupPose({ elbow: 135 });
+
+    const { elbowAngle } = determinePushupPhase(pose, PUSHUP_PHASES.TOP);
+
+    assert.equal(determinePushupPhase(pose, PUSHUP_PHASES.TOP, elbowAngle).phase, PUSHUP_PHASES.TOP);
+    assert.equal(determinePushupPhase(pose, PUSHUP_PHASES.DESCENDING, 140).phase, PUSHUP_PHASES.DESCENDING);
+  });
+
+  test('starts descending as soon as the elbows bend out of the top', () => {
+    const pose = pushupPose({ elbow: 140 });
+
+    assert.equal(determinePushupPhase(pose, PUSHUP_PHASES.TOP, 155).phase, PUSHUP_PHASES.DESCENDING);
+  });
+
+  test('is descending while the elbows bend', () => {
+    assert.equal(determinePushupPhase(pushupPose({ elbow: 110 }), PUSHUP_PHASES.TOP, 115).phase, PUSHUP_PHASES.DESCENDING);
+  });
+
+  test('reports the bottom on the first frame the elbows straighten', () => {
+    assert.equal(determinePushupPhase(pushupPose({ elbow: 90 }), PUSHUP_PHASES.DESCENDING, 85).phase, PUSHUP_PHASES.BOTTOM);
+  });
+
+  test('is ascending while the elbows keep straightening', () => {
+    assert.equal(determinePushupPhase(pushupPose({ elbow: 100 }), PUSHUP_PHASES.BOTTOM, 90).phase, PUSHUP_PHASES.ASCENDING);
+  });
+
+  test('keeps the previous phase when the arms are not visible', () => {
+    const pose = pushupPose({ elbow: 90 }).map(landmark => ({ ...landmark, visibility: 0.1 }));
+
+    assert.deepEqual(determinePushupPhase(pose, PUSHUP_PHASES.BOTTOM, 88), { phase: PUSHUP_PHASES.BOTTOM, elbowAngle: 88 });
+  });
+});
+
+describe('evaluatePushupForm', () => {
+  test('accepts a full push-up with a straight body', () => {
+    assert.deepEqual(issueCodes(evaluatePushupForm(pushupPose({ elbow: 170 }), PUSHUP_PHASES.TOP)), []);
+    assert.deepEqual(issueCodes(evaluatePushupForm(pushupPose({ elbow: 85 }), PUSHUP_PHASES.BOTTOM)), []);
+  });
+
+  test('flags a shallow bottom', () => {
+    assert.deepEqual(issueCodes(evaluatePushupForm(pushupPose({ elbow: 110 }), PUSHUP_PHASES.BOTTOM)), ['NOT_DEEP_ENOUGH']);
+  });
+
+  test('flags sagging hips in every phase', () => {
+    Object.values(PUSHUP_PHASES).forEach((phase) => {
+      const elbow = phase === PUSHUP_PHASES.TOP ? 170 : 90;
+      assert.deepEqual(issueCodes(evaluatePushupForm(pushupPose({ elbow, hips: 20 }), phase)), ['BACK_SAGGING']);
+    });
+  });
+
+  test('flags piked hips', () => {
+    assert.deepEqual(issueCodes(evaluatePushupForm(pushupPose({ elbow: 170, hips: -40 }), PUSHUP_PHASES.TOP)), ['HIPS_PIKING']);
+  });
+
+  test('flags bent arms at the top', () => {
+    assert.deepEqual(issueCodes(evaluatePushupForm(pushupPose({ elbow: 140 }), PUSHUP_PHASES.TOP)), ['ARMS_NOT_EXTENDED']);
+  });
+
+  test('accepts a head in line with the body and flags one dropped or craned up', () => {
+    const neckIssues = neck => issueCodes(evaluatePushupForm(pushupPose({ elbow: 90, neck }), PUSHUP_PHASES.BOTTOM));
+
+    assert.deepEqual(neckIssues(0), []);
+    assert.deepEqual(neckIssues(15), []);
+    assert.deepEqual(neckIssues(45), ['NECK_NOT_NEUTRAL']);
+    assert.deepEqual(neckIssues(-45), ['NECK_NOT_NEUTRAL']);
+  });
+});
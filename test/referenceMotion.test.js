@@ -0,0 +1,70 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReferenceClip, getClipTime, getReferenceGhost } from '../src/utils/referenceMotion.js';
+import { measureMetrics } from '../src/utils/exerciseEngine.js';
+import { generatePose, sampleKeyframes } from '../src/utils/poseGenerator.js';
+import { getNamedLandmarks, getMidpoint, calculateDistance } from '../src/utils/poseUtils.js';
+import { squatDefinition, SQUAT_PHASES } from '../src/utils/squatRules.js';
+import { plankDefinition } from '../src/utils/holdRules.js';
+import { squatPose } from './helpers/syntheticPoses.js';
+
+const clip = createReferenceClip(squatDefinition);
+
+// Average knee angle of the ideal rep at a clip time, seen side-on
+const clipKneeAngle = (time) => {
+  const metrics = measureMetrics(squatDefinition, generatePose(sampleKeyframes(clip.keyframes, time), { yaw: 90 }));
+  return (metrics.leftKnee + metrics.rightKnee) / 2;
+};
+
+const midHip = (landmarks) => {
+  const named = getNamedLandmarks(landmarks);
+  return getMidpoint(named.leftHip, named.rightHip);
+};
+
+describe('reference clip', () => {
+  test('is only built for definitions with a reference motion', () => {
+    assert.equal(createReferenceClip(plankDefinition), null);
+    assert.equal(clip.keyframes[clip.keyframes.length - 1].time, clip.repMs);
+  });
+
+  test('warps to the point of the ideal rep with the same knee angle', () => {
+    [170, 140, 110, 95].forEach((knee) => {
+      const time = getClipTime(squatDefinition, clip, squatPose({ knee, yaw: 90 }), SQUAT_PHASES.DESCENDING);
+
+      assert.ok(time <= clip.repMs / 2);
+      assert.ok(Math.abs(clipKneeAngle(time) - knee) < 2, `knee ${knee}: ghost at ${clipKneeAngle(time)}`);
+    });
+  });
+
+  test('plays the rising half of the clip while ascending', () => {
+    const landmarks = squatPose({ knee: 130, yaw: 90 });
+    const down = getClipTime(squatDefinition, clip, landmarks, SQUAT_PHASES.DESCENDING);
+    const up = getClipTime(squatDefinition, clip, landmarks, SQUAT_PHASES.ASCENDING);
+
+    assert.ok(Math.abs(down + up - clip.repMs) < 1e-6);
+  });
+
+  test('stays at the bottom of the clip below the ideal depth', () => {
+    const time = getClipTime(squatDefinition, clip, squatPose({ knee: 60, yaw: 90 }), SQUAT_PHASES.BOTTOM);
+
+    assert.equal(time, clip.repMs / 2);
+  });
+});
+
+describe('getReferenceGhost', () => {
+  test('lays the ghost over the user at their size, facing their way', () => {
+    [60, -60].forEach((yaw) => {
+      const user = squatPose({ knee: 120, yaw });
+      const ghost = getReferenceGhost(squatDefinition, clip, user, SQUAT_PHASES.DESCENDING);
+
+      assert.ok(calculateDistance(midHip(ghost), midHip(user)) < 1e-6);
+      const userKnee = getNamedLandmarks(user).leftKnee;
+      assert.ok(calculateDistance(getNamedLandmarks(ghost).leftKnee, userKnee) < 0.05, `yaw ${yaw}`);
+    });
+  });
+
+  test('has nothing to show without landmarks or a clip', () => {
+    assert.equal(getReferenceGhost(squatDefinition, clip, null, SQUAT_PHASES.STANDING), null);
+    assert.equal(getReferenceGhost(plankDefinition, null, squatPose(), 'holding'), null);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCORE_FACTORS, addScoreFrame, createScoreAccumulator, getGrade, scoreRep, getScoreChanges } from '../src/utils/repScore.js';
+import { createPipelineState, processFrame } from '../src/utils/exercisePipeline.js';
+import { squatDefinition } from '../src/utils/squatRules.js';
+import { parseTempo } from '../src/utils/tempo.js';
+import { pushupDefinition } from '../src/utils/pushupRules.js';
+import { squatPose, pushupPose, buildRepFrames, buildHeldRepFrames } from './helpers/syntheticPoses.js';
+
+const BACK = {
+  code: 'BACK_LEANING_FORWARD',
+  severity: 'error',
+  message: 'Back leaning too far forward',
+  value: 60,
+  range: { min: null, max: 45 },
+  unit: 'degrees'
+};
+const KNEES = {
+  code: 'KNEES_NOT_BENT_ENOUGH',
+  severity: 'warning',
+  message: 'Knees not bent enough',
+  value: 115,
+  range: { min: null, max: 100 },
+  unit: 'degrees'
+};
+
+// Count `frames` frames of a check, failing in the first `failed` of them
+const countFrames = (code, frames, failed, accumulator = createScoreAccumulator()) => {
+  let counts = accumulator;
+  for (let i = 0; i < frames; i++) {
+    counts = addScoreFrame(counts, { checked: [code], issues: i < failed ? [{ code }] : [] });
+  }
+  return counts;
+};
+
+const rep = (issues, checks, extra = {}) => ({ issues, checks, asymmetry: null, tempo: null, ...extra });
+
+// Run frames through a pipeline and collect the completed reps
+const runReps = (definition, frames, options = {}) => {
+  let state = createPipelineState(definition);
+  const reps = [];
+  frames.forEach(({ timestamp, landmarks }) => {
+    const result = processFrame(definition, state, landmarks, timestamp, options);
+    state = result.state;
+    if (result.completedRep) reps.push(result.completedRep);
+  });
+  return { reps, state };
+};
+
+describe('scoreRep', () => {
+  test('one noisy frame costs a few points, a persistent issue fails the rep', () => {
+    const noisy = scoreRep(rep([BACK], countFrames(BACK.code, 30, 1)), squatDefinition.scoring);
+    const persistent = scoreRep(rep([BACK], countFrames(BACK.code, 30, 30)), squatDefinition.scoring);
+
+    assert.ok(noisy.score >= 95, `noisy score ${noisy.score}`);
+    assert.ok(persistent.score < 60, `persistent score ${persistent.score}`);
+    assert.equal(persistent.grade, 'F');
+  });
+
+  test('explains which factor each deduction comes from', () => {
+    const checks = countFrames(BACK.code, 20, 10, countFrames(KNEES.code, 2, 2));
+    const { deductions } = scoreRep(rep([BACK, KNEES], checks), squatDefinition.scoring);
+
+    assert.deepEqual(deductions.map(({ factor, label }) => [factor, label]), [
+      [SCORE_FACTORS.DEPTH, 'Knees not bent enough'],
+      [SCORE_FACTORS.ALIGNMENT, 'Back leaning too far forward']
+    ]);
+  });
+
+  test('leaves out factors it cannot measure and scales up the rest', () => {
+    // Depth and alignment only: depth is 35 of their 75 points
+    const { score, deductions } = scoreRep(rep([{ ...KNEES, severity: 'error' }], countFrames(KNEES.code, 2, 2)), squatDefinition.scoring);
+
+    assert.equal(deductions[0].points, 46.7);
+    assert.equal(score, 53);
+  });
+
+  test('scores left/right balance and tempo against the target', () => {
+    const uneven = scoreRep(rep([], {}, { asymmetry: { pairs: { knee: 20, hip: 2 }, hipShift: 0.01, shoulderTilt: 1 } }), squatDefinition.scoring);
+    const even = scoreRep(rep([], {}, { asymmetry: { pairs: { knee: 3, hip: 2 }, hipShift: 0.01, shoulderTilt: 1 } }), squatDefinition.scoring);
+    const rushed = scoreRep(
+      rep([], {}, { tempo: { eccentric: 1000, pause: 1000, concentric: 1000, timeUnderTension: 3000 } }),
+      squatDefinition.scoring,
+      { targetTempo: { eccentric: 3000, pause: 1000, concentric: null } }
+    );
+
+    assert.deepEqual(uneven.deductions, [{ factor: SCORE_FACTORS.SYMMETRY, label: 'Uneven knees', points: 16.7 }]);
+    assert.equal(even.score, 100);
+    assert.deepEqual(rushed.deductions, [{ factor: SCORE_FACTORS.TEMPO, label: 'Lowered too fast', points: 5.9 }]);
+  });
+
+  test('a rep that misses its depth is never good, even with a passing score', () => {
+    const justShort = { ...KNEES, value: 102 };
+    const shallow = scoreRep(rep([justShort], countFrames(KNEES.code, 2, 2)), squatDefinition.scoring);
+    const onceShallow = scoreRep(rep([justShort], countFrames(KNEES.code, 4, 1)), squatDefinition.scoring);
+    const leaning = scoreRep(rep([{ ...BACK, severity: 'info' }], countFrames(BACK.code, 2, 2)), squatDefinition.scoring);
+
+    assert.ok(shallow.score >= 80, `score ${shallow.score}`);
+    assert.equal(shallow.isGood, false);
+    assert.equal(onceShallow.isGood, true);
+    assert.equal(leaning.isGood, true);
+  });
+
+  test('grades scores', () => {
+    assert.deepEqual([100, 90, 85, 70, 55, 10].map(getGrade), ['A', 'A', 'B', 'C', 'D', 'F']);
+  });
+});
+
+describe('scores in the pipeline', () => {
+  test('clean reps score 100 and count as good', () => {
+    const { reps, state } = runReps(squatDefinition, buildRepFrames(squatPose, { top: { knee: 175, lean: 5 }, bottom: { knee: 90, lean: 30 } }));
+
+    assert.equal(reps.length, 2);
+    assert.ok(reps.every(item => item.score === 100 && item.grade === 'A' && item.isGood));
+    assert.equal(state.repState.goodReps, 2);
+  });
+
+  test('a paused rep done at the target tempo loses no tempo points', () => {
+    const frames = buildHeldRepFrames(squatPose, {
+      top: { knee: 175, lean: 5 },
+      bottom: { knee: 90, lean: 30 },
+      downMs: 3000,
+      holdMs: 1000,
+      upMs: 1000
+    });
+    const { reps } = runReps(squatDefinition, frames, { targetTempo: parseTempo('3-1-1') });
+
+    assert.equal(reps.length, 1);
+    assert.deepEqual(reps[0].deductions, []);
+    assert.equal(reps[0].score, 100);
+  });
+
+  test('shallow push-ups lose depth points and count as needing work', () => {
+    const { reps } = runReps(pushupDefinition, buildRepFrames(pushupPose, { top: { elbow: 170 }, bottom: { elbow: 110 } }));
+
+    assert.equal(reps.length, 2);
+    reps.forEach((item) => {
+      assert.ok(item.score < 80, `score ${item.score}`);
+      assert.equal(item.isGood, false);
+      assert.equal(item.deductions[0].factor, SCORE_FACTORS.DEPTH);
+    });
+  });
+});
+
+describe('getScoreChanges', () => {
+  test('compares each session with the previous one of the same exercise', () => {
+    const sessions = [
+      { exerciseType: 'squat', averageScore: 85 },
+      { exerciseType: 'pushup', averageScore: 70 },
+      { exerciseType: 'squat', averageScore: null },
+      { exerciseType: 'squat', averageScore: 78 }
+    ];
+
+    assert.deepEqual(getScoreChanges(sessions), [7, null, null, null]);
+  });
+});
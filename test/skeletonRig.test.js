@@ -0,0 +1,62 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSkeletonRig, updateSkeletonRig, toScenePosition, disposeObject } from '../src/utils/skeletonRig.js';
+import { BODY_CONNECTIONS, POSE_LANDMARKS } from '../src/utils/landmarkSchema.js';
+import { squatPose } from './helpers/syntheticPoses.js';
+
+// Position and scale of one instance of an instanced mesh
+const getInstance = (mesh, index) => {
+  const matrix = new THREE.Matrix4();
+  mesh.getMatrixAt(index, matrix);
+  const position = new THREE.Vector3();
+  const scale = new THREE.Vector3();
+  matrix.decompose(position, new THREE.Quaternion(), scale);
+  return { position, scale };
+};
+
+describe('skeleton rig', () => {
+  test('moves the joints and bones in place on each update', () => {
+    const rig = createSkeletonRig({ offsetX: 0.8 });
+    const { joints, bones } = rig;
+
+    [squatPose({ knee: 175 }), squatPose({ knee: 90 })].forEach((landmarks) => {
+      updateSkeletonRig(rig, landmarks);
+
+      const knee = getInstance(joints, POSE_LANDMARKS.leftKnee);
+      assert.ok(knee.position.distanceTo(toScenePosition(landmarks[POSE_LANDMARKS.leftKnee], 0.8)) < 1e-6);
+
+      const thigh = BODY_CONNECTIONS.findIndex(([a, b]) => a === POSE_LANDMARKS.leftHip && b === POSE_LANDMARKS.leftKnee);
+      const length = toScenePosition(landmarks[POSE_LANDMARKS.leftHip]).distanceTo(toScenePosition(landmarks[POSE_LANDMARKS.leftKnee]));
+      assert.ok(Math.abs(getInstance(bones, thigh).scale.y - length) < 1e-6);
+    });
+
+    assert.equal(rig.joints, joints);
+    assert.equal(rig.bones, bones);
+  });
+
+  test('hides joints and bones that are not visible', () => {
+    const rig = createSkeletonRig();
+    const landmarks = squatPose().map((landmark, index) => (
+      index === POSE_LANDMARKS.leftAnkle ? { ...landmark, visibility: 0.1 } : landmark
+    ));
+    updateSkeletonRig(rig, landmarks);
+
+    const shin = BODY_CONNECTIONS.findIndex(([a, b]) => a === POSE_LANDMARKS.leftKnee && b === POSE_LANDMARKS.leftAnkle);
+    assert.equal(getInstance(rig.joints, POSE_LANDMARKS.leftAnkle).scale.length(), 0);
+    assert.equal(getInstance(rig.bones, shin).scale.length(), 0);
+    assert.ok(getInstance(rig.joints, POSE_LANDMARKS.leftKnee).scale.length() > 0);
+  });
+
+  test('disposes shared geometries and materials once', () => {
+    const rig = createSkeletonRig();
+    let disposals = 0;
+    [rig.joints.geometry, rig.bones.geometry, rig.material].forEach((resource) => {
+      resource.addEventListener('dispose', () => { disposals += 1; });
+    });
+
+    disposeObject(rig.group);
+
+    assert.equal(disposals, 3);
+  });
+});
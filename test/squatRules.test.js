@@ -0,0 +1,136 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SQUAT_PHASES, determineSquatPhase, evaluateSquatForm } from '../src/utils/squatRules.js';
+import { POSE_LANDMARKS } from '../src/utils/landmarkSchema.js';
+import { squatPose } from './helpers/syntheticPoses.js';
+
+// Hip height (image y) of a synthetic squat pose
+const hipHeightOf = pose => (pose[POSE_LANDMARKS.leftHip].y + pose[POSE_LANDMARKS.rightHip].y) / 2;
+
+const issueCodes = result => result.issues.map(issue => issue.code);
+
+describe('determineSquatPhase', () => {
+  test('is standing with straight knees', () => {
+    const pose = squatPose({ knee: 175 });
+    const { phase, hipHeight } = determineSquatPhase(pose, SQUAT_PHASES.ASCENDING, 0.5);
+
+    assert.equal(phase, SQUAT_PHASES.STANDING);
+    assert.equal(hipHeight, hipHeightOf(pose));
+  });
+
+  test('keeps the previous phase between the standing and moving cut-offs', () => {
+    const pose = squatPose({ knee: 130 });
+
+    assert.equal(determineSquatPhase(pose, SQUAT_PHASES.STANDING, hipHeightOf(pose)).phase, SQUAT_PHASES.STANDING);
+    assert.equal(determineSquatPhase(pose, SQUAT_PHASES.ASCENDING, 1).phase, SQUAT_PHASES.ASCENDING);
+  });
+
+  test('starts descending as soon as the hips drop out of standing', () => {
+    const standing = squatPose({ knee: 165 });
+    const lower = squatPose({ knee: 150 });
+
+    assert.equal(determineSquatPhase(lower, SQUAT_PHASES.STANDING, hipHeightOf(standing)).phase, SQUAT_PHASES.DESCENDING);
+    assert.equal(determineSquatPhase(lower, SQUAT_PHASES.STANDING).phase, SQUAT_PHASES.STANDING);
+  });
+
+  test('is descending while the hips drop below the moving cut-off', () => {
+    const higher = squatPose({ knee: 105 });
+    const lower = squatPose({ knee: 100 });
+
+    assert.equal(determineSquatPhase(lower, SQUAT_PHASES.STANDING, hipHeightOf(higher)).phase, SQUAT_PHASES.DESCENDING);
+    assert.equal(determineSquatPhase(lower, SQUAT_PHASES.DESCENDING, hipHeightOf(higher)).phase, SQUAT_PHASES.DESCENDING);
+  });
+
+  test('reports the bottom on the first rising frame after descending', () => {
+    const lower = squatPose({ knee: 90 });
+    const higher = squatPose({ knee: 95 });
+
+    assert.equal(determineSquatPhase(higher, SQUAT_PHASES.DESCENDING, hipHeightOf(lower)).phase, SQUAT_PHASES.BOTTOM);
+  });
+
+  test('is ascending while the hips keep rising after the bottom', () => {
+    const lower = squatPose({ knee: 95 });
+    const higher = squatPose({ knee: 100 });
+
+    assert.equal(determineSquatPhase(higher, SQUAT_PHASES.BOTTOM, hipHeightOf(lower)).phase, SQUAT_PHASES.ASCENDING);
+    assert.equal(determineSquatPhase(higher, SQUAT_PHASES.ASCENDING, hipHeightOf(lower)).phase, SQUAT_PHASES.ASCENDING);
+  });
+
+  test('stays descending when the hips hold still at the bottom', () => {
+    const pose = squatPose({ knee: 90 });
+
+    assert.equal(determineSquatPhase(pose, SQUAT_PHASES.DESCENDING, hipHeightOf(pose)).phase, SQUAT_PHASES.DESCENDING);
+  });
+
+  test('keeps the previous phase and hip height when the legs are not visible', () => {
+    const pose = squatPose({ knee: 90 }).map(landmark => ({ ...landmark, visibility: 0.1 }));
+
+    assert.deepEqual(determineSquatPhase(pose, SQUAT_PHASES.ASCENDING, 0.42), { phase: SQUAT_PHASES.ASCENDING, hipHeight: 0.42 });
+  });
+});
+
+describe('evaluateSquatForm', () => {
+  test('accepts a parallel squat with the chest up', () => {
+    const result = evaluateSquatForm(squatPose({ knee: 90, lean: 30 }), SQUAT_PHASES.BOTTOM);
+
+    assert.equal(result.isCorrect, true);
+    assert.deepEqual(issueCodes(result), []);
+    assert.ok(Math.abs(result.angles.leftKnee - 90) < 0.5);
+  });
+
+  test('flags a shallow bottom', () => {
+    const result = evaluateSquatForm(squatPose({ knee: 105, lean: 25 }), SQUAT_PHASES.BOTTOM);
+
+    assert.deepEqual(issueCodes(result), ['KNEES_NOT_BENT_ENOUGH']);
+  });
+
+  test('flags a forward lean while moving', () => {
+    const result = evaluateSquatForm(squatPose({ knee: 100, lean: 70 }), SQUAT_PHASES.DESCENDING);
+
+    assert.deepEqual(issueCodes(result), ['BACK_LEANING_FORWARD']);
+  });
+
+  test('flags knees caving in', () => {
+    const result = evaluateSquatForm(squatPose({ knee: 100, lean: 30, kneeValgus: 20 }), SQUAT_PHASES.ASCENDING);
+
+    assert.deepEqual(issueCodes(result), ['KNEES_NOT_ALIGNED']);
+  });
+
+  test('describes the measurement and landmarks behind an issue', () => {
+    const [issue] = evaluateSquatForm(squatPose({ knee: 105, lean: 25 }), SQUAT_PHASES.BOTTOM).issues;
+
+    assert.equal(issue.severity, 'warning');
+    assert.equal(issue.messageKey, 'squat.KNEES_NOT_BENT_ENOUGH');
+    assert.equal(issue.message, 'Knees not bent enough');
+    assert.deepEqual(issue.range, { min: null, max: 100 });
+    assert.equal(issue.unit, 'degrees');
+    assert.ok(Math.abs(issue.value - 105) < 0.5);
+    assert.deepEqual(issue.landmarks.sort(), ['leftAnkle', 'leftHip', 'leftKnee', 'rightAnkle', 'rightHip', 'rightKnee']);
+  });
+
+  test('lists the most serious issues first', () => {
+    const result = evaluateSquatForm(squatPose({ knee: 105, lean: 70 }), SQUAT_PHASES.BOTTOM);
+
+    assert.equal(result.issues[0].severity, 'error');
+    assert.equal(result.issues[0].code, 'BACK_LEANING_FORWARD');
+  });
+
+  test('only applies the bottom checks at the bottom', () => {
+    const pose = squatPose({ knee: 105, lean: 25 });
+
+    assert.deepEqual(issueCodes(evaluateSquatForm(pose, SQUAT_PHASES.DESCENDING)), []);
+  });
+
+  test('flags an incomplete lockout between reps', () => {
+    const result = evaluateSquatForm(squatPose({ knee: 150 }), SQUAT_PHASES.STANDING);
+
+    assert.deepEqual(issueCodes(result), ['NOT_STANDING_BETWEEN_REPS']);
+  });
+
+  test('reports missing or hidden landmarks', () => {
+    const hidden = squatPose().map(landmark => ({ ...landmark, visibility: 0.1 }));
+
+    assert.deepEqual(issueCodes(evaluateSquatForm([], SQUAT_PHASES.STANDING)), ['NO_LANDMARKS']);
+    assert.deepEqual(issueCodes(evaluateSquatForm(hidden, SQUAT_PHASES.STANDING)), ['LANDMARKS_NOT_VISIBLE']);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TEMPO_PHASES, parseTempo, measureRepTempo, checkTempoPhase, checkRepTempo, getTempoConsistency } from '../src/utils/tempo.js';
+import { createPipelineState, processFrame } from '../src/utils/exercisePipeline.js';
+import { squatDefinition } from '../src/utils/squatRules.js';
+import { squatPose, buildRepFrames, buildHeldRepFrames } from './helpers/syntheticPoses.js';
+
+const tempo = (eccentric, pause, concentric) => ({
+  eccentric,
+  pause,
+  concentric,
+  timeUnderTension: eccentric + pause + concentric
+});
+
+// Run frames through the squat pipeline and collect completed reps and tempo feedback
+const runSquats = (frames, options = {}) => {
+  let state = createPipelineState(squatDefinition);
+  const reps = [];
+  const feedback = [];
+  frames.forEach(({ timestamp, landmarks }) => {
+    const result = processFrame(squatDefinition, state, landmarks, timestamp, options);
+    state = result.state;
+    if (result.completedRep) reps.push(result.completedRep);
+    if (result.tempoFeedback) feedback.push(result.tempoFeedback);
+  });
+  return { reps, feedback };
+};
+
+describe('parseTempo', () => {
+  test('reads seconds per part, with X for explosive', () => {
+    assert.deepEqual(parseTempo('3-1-1'), { eccentric: 3000, pause: 1000, concentric: 1000 });
+    assert.deepEqual(parseTempo(' 2.5 - 0 - x '), { eccentric: 2500, pause: 0, concentric: null });
+  });
+
+  test('rejects text that is not a three-part tempo', () => {
+    assert.equal(parseTempo('3-1'), null);
+    assert.equal(parseTempo('3-1-1-0'), null);
+    assert.equal(parseTempo('slow'), null);
+  });
+});
+
+describe('rep tempo', () => {
+  test('measures each part around the time spent near the lowest angle', () => {
+    const motion = [
+      { t: 1000, angle: 150 },
+      { t: 2000, angle: 100 },
+      { t: 2500, angle: 90 },
+      { t: 3000, angle: 91 },
+      { t: 3500, angle: 90.5 },
+      { t: 4000, angle: 120 }
+    ];
+
+    assert.deepEqual(measureRepTempo(motion, 500, 5000), tempo(2000, 1000, 1500));
+    assert.equal(measureRepTempo([], 500, 5000), null);
+  });
+
+  test('flags parts well under their target', () => {
+    const target = parseTempo('3-1-X');
+
+    assert.equal(checkTempoPhase(TEMPO_PHASES.ECCENTRIC, 2400, target), null);
+    assert.equal(checkTempoPhase(TEMPO_PHASES.ECCENTRIC, 2000, target).message, 'Lower more slowly');
+    assert.equal(checkTempoPhase(TEMPO_PHASES.CONCENTRIC, 100, target), null);
+    assert.equal(checkRepTempo(tempo(3000, 200, 500), target).phase, TEMPO_PHASES.PAUSE);
+    assert.equal(checkRepTempo(tempo(3000, 1000, 500), target), null);
+  });
+
+  test('scores tempo consistency', () => {
+    assert.equal(getTempoConsistency([{ tempo: tempo(2000, 500, 1000) }]), null);
+    assert.equal(getTempoConsistency([{ tempo: tempo(2000, 500, 1000) }, { tempo: tempo(2000, 500, 1000) }]), 100);
+
+    const steady = getTempoConsistency([{ tempo: tempo(2000, 500, 1000) }, { tempo: tempo(2100, 450, 1000) }]);
+    const erratic = getTempoConsistency([{ tempo: tempo(2000, 500, 1000) }, { tempo: tempo(800, 0, 400) }]);
+    assert.ok(steady > 90, `steady ${steady}`);
+    assert.ok(erratic < 40, `erratic ${erratic}`);
+  });
+});
+
+describe('tempo in the pipeline', () => {
+  const frames = buildRepFrames(squatPose, {
+    top: { knee: 175, lean: 5 },
+    bottom: { knee: 80, lean: 30 },
+    reps: 3,
+    repMs: 2400,
+    restMs: 800
+  });
+
+  test('times every completed rep', () => {
+    const { reps } = runSquats(frames);
+
+    assert.equal(reps.length, 3);
+    reps.forEach((rep) => {
+      assert.ok(rep.tempo.eccentric > 0 && rep.tempo.concentric > 0);
+      assert.equal(rep.tempo.timeUnderTension, rep.tempo.eccentric + rep.tempo.pause + rep.tempo.concentric);
+      assert.ok(rep.tempo.timeUnderTension <= 2400 + 100);
+    });
+    assert.ok(getTempoConsistency(reps) > 90);
+  });
+
+  test('gives feedback as each part of a rep finishes too fast', () => {
+    const { feedback } = runSquats(frames, { targetTempo: parseTempo('2-0-2') });
+
+    assert.deepEqual(
+      feedback.slice(0, 2).map(item => item.phase),
+      [TEMPO_PHASES.ECCENTRIC, TEMPO_PHASES.CONCENTRIC]
+    );
+    assert.equal(runSquats(frames, { targetTempo: parseTempo('0.5-0-0.5') }).feedback.length, 0);
+  });
+
+  test('times a held bottom as the pause and the whole way down and up', () => {
+    const held = buildHeldRepFrames(squatPose, {
+      top: { knee: 175, lean: 5 },
+      bottom: { knee: 85, lean: 30 },
+      downMs: 3000,
+      holdMs: 1000,
+      upMs: 1000
+    });
+    const { reps, feedback } = runSquats(held, { targetTempo: parseTempo('3-1-1') });
+
+    assert.equal(reps.length, 1);
+    const { eccentric, pause, concentric } = reps[0].tempo;
+    assert.ok(pause >= 900 && pause <= 1500, `pause ${pause}`);
+    assert.ok(eccentric >= 2400, `eccentric ${eccentric}`);
+    assert.ok(concentric >= 800, `concentric ${concentric}`);
+    assert.deepEqual(feedback, []);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeVideo, buildAnalysisReport, getFrameAtTime } from '../src/utils/videoAnalysis.js';
+import { createPipelineState } from '../src/utils/exercisePipeline.js';
+import { SQUAT_PHASES, squatDefinition } from '../src/utils/squatRules.js';
+import { parseTempo } from '../src/utils/tempo.js';
+import { buildRepKeyframes, sampleKeyframes } from '../src/utils/poseGenerator.js';
+import { squatPose } from './helpers/syntheticPoses.js';
+
+// A video element that finishes each seek on the next tick
+const fakeVideo = (durationMs) => {
+  const listeners = {};
+  let currentTime = 0;
+  return {
+    duration: durationMs / 1000,
+    videoWidth: 1280,
+    videoHeight: 720,
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    removeEventListener: (type) => { delete listeners[type]; },
+    get currentTime() { return currentTime; },
+    set currentTime(time) {
+      currentTime = time;
+      setTimeout(() => listeners.seeked && listeners.seeked(), 0);
+    }
+  };
+};
+
+// A VIDEO-mode landmarker that sees the squat keyframes, and nobody while `isEmpty(timestamp)`
+const fakeLandmarker = (keyframes, isEmpty = () => false) => ({
+  detectForVideo: (video, timestamp) => ({
+    landmarks: isEmpty(timestamp) ? [] : [squatPose(sampleKeyframes(keyframes, timestamp))]
+  })
+});
+
+const squats = ({ bottom = { knee: 90, lean: 30 }, reps = 2 } = {}) => buildRepKeyframes({
+  start: { knee: 175, lean: 5 },
+  bottom,
+  reps,
+  repMs: 2000,
+  restMs: 600
+});
+
+const duration = keyframes => keyframes[keyframes.length - 1].time;
+
+const analyze = (keyframes, options = {}) => analyzeVideo({
+  video: fakeVideo(duration(keyframes)),
+  landmarker: fakeLandmarker(keyframes, options.isEmpty),
+  definition: squatDefinition,
+  ...options
+});
+
+describe('analyzeVideo', () => {
+  test('analyses the video frame by frame and summarises each rep', async () => {
+    const keyframes = squats();
+    const progress = [];
+    const report = await analyze(keyframes, { onProgress: value => progress.push(value) });
+
+    assert.equal(report.durationMs, 5800);
+    assert.equal(report.frames.length, Math.floor(5.8 * 15));
+    assert.equal(progress[progress.length - 1], 1);
+
+    assert.equal(report.summary.totalReps, 2);
+    assert.equal(report.summary.goodReps, 2);
+    assert.deepEqual(report.repMarkers.map(marker => marker.number), [1, 2]);
+    report.repMarkers.forEach((marker) => {
+      assert.ok(marker.start < marker.end);
+      assert.equal(marker.isGood, true);
+      assert.deepEqual(marker.issues, []);
+    });
+    assert.ok(report.repMarkers[0].end <= report.repMarkers[1].start);
+
+    assert.equal(report.phaseSegments[0].phase, SQUAT_PHASES.STANDING);
+    assert.ok(report.phaseSegments.some(segment => segment.phase === SQUAT_PHASES.BOTTOM));
+    assert.equal(report.phaseSegments[report.phaseSegments.length - 1].end, 5800);
+    assert.equal(report.hold, null);
+  });
+
+  test('keeps the phase and leaves out the landmarks while nobody is detected', async () => {
+    const report = await analyze(squats({ reps: 1 }), { isEmpty: timestamp => timestamp >= 1200 && timestamp < 1600 });
+    const empty = report.frames.filter(frame => frame.landmarks === null);
+
+    assert.ok(empty.length > 0);
+    empty.forEach((frame) => {
+      const previous = report.frames[report.frames.indexOf(frame) - 1];
+      assert.equal(frame.phase, previous.phase);
+      assert.equal(frame.isCorrect, null);
+      assert.deepEqual(frame.issues, []);
+    });
+    assert.equal(report.summary.totalReps, 1);
+  });
+
+  test('judges form with the calibrated thresholds and target tempo', async () => {
+    const shallow = squats({ bottom: { knee: 105, lean: 25 } });
+    const hasShallowIssue = report => report.repMarkers.some(marker => marker.issues.some(issue => issue.code === 'KNEES_NOT_BENT_ENOUGH'));
+
+    const defaults = await analyze(shallow);
+    const calibrated = await analyze(shallow, { thresholds: { MAX_KNEE_ANGLE: 110 }, targetTempo: parseTempo('4-0-4') });
+
+    assert.equal(hasShallowIssue(defaults), true);
+    assert.equal(hasShallowIssue(calibrated), false);
+    assert.ok(calibrated.reps.every(rep => rep.deductions.some(deduction => deduction.factor === 'tempo')));
+  });
+
+  test('stops when cancelled', async () => {
+    assert.equal(await analyze(squats(), { isCancelled: () => true }), null);
+  });
+});
+
+describe('buildAnalysisReport', () => {
+  const issue = code => ({ code, message: code });
+  const frames = [
+    { time: 0, phase: 'standing', issues: [] },
+    { time: 100, phase: 'standing', issues: [issue('A')] },
+    { time: 200, phase: 'descending', issues: [issue('A')] },
+    { time: 300, phase: 'descending', issues: [issue('B')] },
+    { time: 400, phase: 'descending', issues: [] }
+  ];
+
+  test('merges consecutive frames into phase and issue segments', () => {
+    const report = buildAnalysisReport(frames, createPipelineState(squatDefinition), 500);
+
+    assert.deepEqual(report.phaseSegments, [
+      { phase: 'standing', start: 0, end: 200 },
+      { phase: 'descending', start: 200, end: 500 }
+    ]);
+    assert.deepEqual(report.issueSegments, [
+      { issues: [issue('A')], start: 100, end: 300 },
+      { issues: [issue('B')], start: 300, end: 400 }
+    ]);
+    assert.deepEqual(report.repMarkers, []);
+  });
+
+  test('finds the frame shown at a time', () => {
+    assert.equal(getFrameAtTime(frames, 250), frames[2]);
+    assert.equal(getFrameAtTime(frames, 300), frames[3]);
+    assert.equal(getFrameAtTime(frames, 9000), frames[4]);
+    assert.equal(getFrameAtTime([{ time: 100 }], 50), null);
+  });
+});
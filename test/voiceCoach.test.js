@@ -0,0 +1,120 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUE_TYPES, VERBOSITY, createVoiceCoachState, updateVoiceCoach } from '../src/utils/voiceCoach.js';
+import { TRACKING_ISSUES } from '../src/utils/formIssues.js';
+
+const issue = (code, severity, message = code) => ({ code, severity, message, messageKey: `squat.${code}` });
+
+const BACK = issue('BACK_LEANING_FORWARD', 'error', 'Keep your back straight');
+const DEPTH = issue('KNEES_NOT_BENT_ENOUGH', 'warning', 'Bend your knees more');
+const FEET = issue('FEET_TOO_NARROW', 'info', 'Widen your stance');
+
+const withIssues = (...issues) => ({ evaluation: { isCorrect: issues.length === 0, issues } });
+
+// Feed the same frame every `stepMs` from `start` to `end` and collect the spoken cues
+const run = (state, frame, start, end, stepMs = 100, options = {}) => {
+  const cues = [];
+  for (let t = start; t <= end; t += stepMs) {
+    const result = updateVoiceCoach(state, frame, t, options);
+    state = result.state;
+    if (result.cue) cues.push({ ...result.cue, time: t });
+  }
+  return { state, cues };
+};
+
+describe('updateVoiceCoach', () => {
+  test('speaks an issue once it has persisted, then not again until it may repeat', () => {
+    const { cues } = run(createVoiceCoachState(), withIssues(BACK), 0, 10000);
+
+    assert.deepEqual(cues.map(cue => cue.time), [400, 8400]);
+    assert.equal(cues[0].text, 'Keep your back straight');
+    assert.equal(cues[0].type, CUE_TYPES.ISSUE);
+  });
+
+  test('stays quiet for an issue that flickers for a frame', () => {
+    let state = createVoiceCoachState();
+    ({ state } = run(state, withIssues(DEPTH), 0, 200));
+    const { cues } = run(state, withIssues(), 300, 2000);
+
+    assert.equal(cues.length, 0);
+  });
+
+  test('keeps a minimum gap between cues', () => {
+    let state = createVoiceCoachState();
+    ({ state } = run(state, withIssues(BACK), 0, 400));
+    const { cues } = run(state, withIssues(BACK, DEPTH), 500, 4000);
+
+    assert.deepEqual(cues.map(cue => [cue.time, cue.text]), [[2900, 'Bend your knees more']]);
+  });
+
+  test('counts reps and praises clean ones', () => {
+    let state = createVoiceCoachState();
+    let result = updateVoiceCoach(state, { completedRep: { number: 1, isGood: true } }, 0);
+    assert.equal(result.cue.text, '1. Good rep');
+
+    result = updateVoiceCoach(result.state, { completedRep: { number: 2, isGood: false } }, 3000);
+    assert.equal(result.cue.text, '2');
+
+    result = updateVoiceCoach(result.state, { completedRep: { number: 3, isGood: true } }, 6000);
+    assert.equal(result.cue.text, '3. Nice form');
+
+    state = createVoiceCoachState();
+    result = updateVoiceCoach(state, { completedRep: { number: 1, isGood: true } }, 0, { verbosity: VERBOSITY.MINIMAL });
+    assert.equal(result.cue.text, '1');
+  });
+
+  test('speaks errors before a rep count and the count once the gap has passed', () => {
+    let state = createVoiceCoachState();
+    ({ state } = run(state, withIssues(BACK), 0, 300));
+
+    const result = updateVoiceCoach(state, { ...withIssues(BACK), completedRep: { number: 4, isGood: false } }, 400);
+    assert.equal(result.cue.type, CUE_TYPES.ISSUE);
+
+    const { cues } = run(result.state, withIssues(BACK), 500, 3000);
+    assert.deepEqual(cues.map(cue => [cue.time, cue.text]), [[2900, '4']]);
+  });
+
+  test('drops a rep count that waited too long', () => {
+    let state = createVoiceCoachState();
+    ({ state } = run(state, withIssues(BACK), 0, 400));
+
+    const result = updateVoiceCoach(state, { completedRep: { number: 2, isGood: true } }, 500);
+    assert.equal(result.cue, null);
+    assert.notEqual(result.state.pendingRep, null);
+
+    // Still speaking the error until well after the count was due
+    const { state: later, cues } = run(result.state, { isSpeaking: true }, 600, 4000);
+    assert.equal(cues.length, 0);
+    assert.equal(later.pendingRep, null);
+    assert.equal(run(later, {}, 4100, 5000).cues.length, 0);
+  });
+
+  test('waits while the previous cue is still being spoken', () => {
+    const { cues } = run(createVoiceCoachState(), { ...withIssues(BACK), isSpeaking: true }, 0, 2000);
+
+    assert.equal(cues.length, 0);
+  });
+
+  test('filters issues by verbosity and ignores tracking issues', () => {
+    const frame = withIssues(FEET, TRACKING_ISSUES.LANDMARKS_NOT_VISIBLE);
+
+    assert.equal(run(createVoiceCoachState(), frame, 0, 2000).cues.length, 0);
+    assert.equal(run(createVoiceCoachState(), withIssues(DEPTH), 0, 2000, 100, { verbosity: VERBOSITY.MINIMAL }).cues.length, 0);
+    assert.deepEqual(
+      run(createVoiceCoachState(), frame, 0, 2000, 100, { verbosity: VERBOSITY.DETAILED }).cues.map(cue => cue.text),
+      ['Widen your stance']
+    );
+  });
+
+  test('announces hold time every ten seconds', () => {
+    let state = createVoiceCoachState();
+    const cues = [];
+    for (let t = 0; t <= 25000; t += 500) {
+      const result = updateVoiceCoach(state, { holdTimeMs: t }, t);
+      state = result.state;
+      if (result.cue) cues.push(result.cue.text);
+    }
+
+    assert.deepEqual(cues, ['10 seconds', '20 seconds']);
+  });
+});
@@ -1,7 +1,31 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Installed MediaPipe version, for the remote WASM fallback in src/utils/poseModel.js
+const mediapipePackage = JSON.parse(
+  readFileSync(new URL('./node_modules/@mediapipe/tasks-vision/package.json', import.meta.url), 'utf-8')
+)
+
+// Lists every file the build emits (hashed scripts, styles, workers) in
+// precache-manifest.json, so public/sw.js can cache them all on install
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const files = Object.keys(bundle).filter(fileName => !fileName.endsWith('.map'))
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache-manifest.json',
+      source: JSON.stringify(files),
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
+  define: {
+    'import.meta.env.VITE_MEDIAPIPE_VERSION': JSON.stringify(mediapipePackage.version),
+  },
 })